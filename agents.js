@@ -0,0 +1,321 @@
+// agents.js
+/**
+ * Multi-Agent Literature Review Pipeline
+ * Summarizer -> Theme Extractor -> Comparator -> Writer.
+ * Agents never touch WebLLM directly: they talk to an LLM client
+ * ({ complete(messages, options) => Promise<string> }), so the same pipeline
+ * runs on the real engine or on a scripted fake engine.
+ */
+
+// --- Configuration ---
+const PAPER_CONTEXT_CHARS = 3000; // Per-paper text budget handed to the Summarizer
+
+const LIT_REVIEW_PATTERN = /\b(lit(erature)?\s+review|review\s+(of\s+)?(the|these|my|all)\s+(uploaded\s+)?papers|related\s+work\s+section)\b/i;
+
+export const AGENTS = {
+  summarizer: {
+    label: "Summarizer",
+    icon: "📝",
+    maxTokens: 300,
+    system: "You are the Summarizer agent of a literature review team. " +
+            "Summarize ONE research paper from the excerpts you are given. " +
+            "Cover the research question, method, data, key results (keep exact numbers) and limitations. " +
+            "Use only the excerpts. Answer in at most 150 words.",
+  },
+  themes: {
+    label: "Theme Extractor",
+    icon: "🧭",
+    maxTokens: 300,
+    system: "You are the Theme Extractor agent of a literature review team. " +
+            "Cluster the paper summaries you are given into 2-4 shared research themes. " +
+            "Output one line per theme in the form: Theme name: Smith et al. (2020), Lee (2021) - one sentence description. " +
+            "Name papers exactly as they are given (author and year, or the filename when no authors are known). " +
+            "When paper relations are given, prefer grouping papers that are similar or cite each other.",
+  },
+  comparator: {
+    label: "Comparator",
+    icon: "⚖️",
+    maxTokens: 400,
+    system: "You are the Comparator agent of a literature review team. " +
+            "Contrast the papers theme by theme, in sentences like \"While [paper A] suggests X, [paper B] argues Y\". " +
+            "Point out agreements, contradictions and complementary findings, citing papers by author and year as given in the summaries. " +
+            "Never mention papers that are not in the summaries.",
+  },
+  writer: {
+    label: "Writer",
+    icon: "✍️",
+    maxTokens: 1024,
+    system: "You are the Writer agent of a literature review team and an expert Academic Researcher. " +
+            "Write a concise, professional literature review with exactly these sections: " +
+            "Introduction, Key Themes, Comparison of Approaches, Conclusion. " +
+            "Back claims with specific details and numbers from the notes and cite papers by author and year as given in the notes, " +
+            "e.g. Vaswani et al. (2017). " +
+            "Never cite papers that are not in the notes.",
+  },
+};
+
+function buildStats(usage, fallbackTokens, elapsedMs, decodeMs) {
+  const completionTokens = usage?.completion_tokens ?? fallbackTokens;
+  const seconds = Math.max(decodeMs, 1) / 1000;
+  return {
+    promptTokens: usage?.prompt_tokens ?? null,
+    completionTokens,
+    totalTokens: usage?.total_tokens ?? null,
+    elapsedMs,
+    tokensPerSecond: usage?.extra?.decode_tokens_per_s ?? completionTokens / seconds,
+  };
+}
+
+/**
+ * Wrap anything exposing `chat.completions.create` (WebLLM's MLCEngine or a
+ * scripted fake engine) into the LLM client interface used by the agents.
+ *
+ * - `complete(messages, { temperature, maxTokens, onToken, onStats })` resolves to the
+ *   reply text; passing `onToken` switches to a streamed completion.
+ * - `stream(messages, options)` resolves to { text, finishReason, stats }.
+ * - `interrupt()` stops the current generation (WebLLM's interruptGenerate);
+ *   the stream then ends and keeps the partial text.
+ * @param {{chat: {completions: {create: Function}}, interruptGenerate?: Function}} engine
+ */
+export function createEngineClient(engine) {
+  if (!engine?.chat?.completions?.create) {
+    throw new Error("Engine does not implement chat.completions.create");
+  }
+
+  async function stream(messages, { temperature = 0.7, maxTokens = 512, onToken } = {}) {
+    const startedAt = performance.now();
+    const chunks = await engine.chat.completions.create({
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+      stream_options: { include_usage: true },
+    });
+
+    let text = "";
+    let usage = null;
+    let finishReason = null;
+    let deltaCount = 0;
+    let firstTokenAt = null;
+
+    for await (const chunk of chunks) {
+      const choice = chunk.choices?.[0];
+      const delta = choice?.delta?.content || "";
+      if (delta) {
+        firstTokenAt ??= performance.now();
+        text += delta;
+        deltaCount++;
+        onToken?.(delta, text);
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (chunk.usage) usage = chunk.usage;
+    }
+
+    const finishedAt = performance.now();
+    return {
+      text,
+      finishReason,
+      stats: buildStats(usage, deltaCount, finishedAt - startedAt, finishedAt - (firstTokenAt ?? startedAt)),
+    };
+  }
+
+  return {
+    async complete(messages, { temperature = 0.7, maxTokens = 512, onToken, onStats } = {}) {
+      if (onToken) {
+        const result = await stream(messages, { temperature, maxTokens, onToken });
+        onStats?.(result.stats);
+        return result.text.trim();
+      }
+
+      const startedAt = performance.now();
+      const reply = await engine.chat.completions.create({
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+      });
+      const elapsedMs = performance.now() - startedAt;
+      const text = reply?.choices?.[0]?.message?.content ?? "";
+
+      onStats?.(buildStats(reply?.usage, Math.ceil(text.length / 4), elapsedMs, elapsedMs));
+      return text.trim();
+    },
+
+    stream,
+
+    interrupt() {
+      engine.interruptGenerate?.();
+    },
+  };
+}
+
+/**
+ * Whether a user message asks for a literature review (and should go through
+ * the multi-agent pipeline instead of a single RAG answer).
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isLiteratureReviewRequest(text) {
+  return LIT_REVIEW_PATTERN.test(text || "");
+}
+
+/**
+ * Build the Summarizer context for a paper from its chunks, capped at
+ * PAPER_CONTEXT_CHARS. Chunks are taken in the order given (most important
+ * first), skipping any that no longer fit, and laid out in document order.
+ * @param {{text: string, chunkIndex?: number}[]} chunks
+ * @param {number} [maxChars]
+ * @returns {string}
+ */
+export function buildPaperContext(chunks, maxChars = PAPER_CONTEXT_CHARS) {
+  const kept = [];
+  let length = 0;
+
+  for (const chunk of chunks) {
+    if (length + chunk.text.length > maxChars) continue;
+    kept.push(chunk);
+    length += chunk.text.length + 2;
+  }
+
+  // Always give the agent something, even if the first chunk is over budget
+  if (kept.length === 0 && chunks.length > 0) {
+    return chunks[0].text.slice(0, maxChars).trim();
+  }
+  return kept
+    .sort((a, b) => (a.chunkIndex ?? 0) - (b.chunkIndex ?? 0))
+    .map((chunk) => chunk.text)
+    .join("\n\n")
+    .trim();
+}
+
+async function runAgent(client, agentName, prompt, { temperature, onToken, onStats }) {
+  const agent = AGENTS[agentName];
+  return client.complete(
+    [
+      { role: "system", content: agent.system },
+      { role: "user", content: prompt },
+    ],
+    {
+      temperature,
+      maxTokens: agent.maxTokens,
+      onToken: onToken && ((delta, text) => onToken(agentName, delta, text)),
+      onStats: onStats && ((stats) => onStats(agentName, stats)),
+    }
+  );
+}
+
+function formatSummaries(summaries, labelFor) {
+  return summaries
+    .map(({ paper, summary }) => `[${labelFor(paper)}]\n${summary}`)
+    .join("\n\n");
+}
+
+/**
+ * Run the full literature review pipeline.
+ * `onStage` is called with { stage, label, icon, status: "start" | "done", paper?, output? }
+ * so the UI can show every intermediate result. If `signal` is aborted the
+ * pipeline stops before the next agent and resolves with what it has so far
+ * (`interrupted: true`).
+ * @param {object} params
+ * @param {{complete: Function}} params.client - LLM client (see createEngineClient)
+ * @param {string} params.request - The user's original request
+ * @param {{name: string}[]} params.papers - Papers to review
+ * @param {(paper: object) => Promise<string>|string} params.getPaperContext - Text excerpts for a paper
+ * @param {string} [params.relations] - Similarity and citation links between the papers (see paper-graph.js)
+ * @param {(paperName: string) => string} [params.labelFor] - How agents cite a paper, e.g. "Vaswani et al. (2017)"
+ * @param {(event: object) => void} [params.onStage]
+ * @param {(stage: string, delta: string, text: string) => void} [params.onToken] - Streams agent output
+ * @param {(stage: string, stats: object) => void} [params.onStats] - Token usage per agent call
+ * @param {AbortSignal} [params.signal]
+ * @param {number} [params.temperature]
+ * @returns {Promise<{summaries: {paper: string, summary: string}[], themes: string, comparison: string, review: string, interrupted: boolean}>}
+ */
+export async function runLiteratureReview({
+  client,
+  request,
+  papers,
+  getPaperContext,
+  relations = "",
+  labelFor = (name) => name,
+  onStage = () => {},
+  onToken,
+  onStats,
+  signal,
+  temperature = 0.7,
+}) {
+  if (!papers || papers.length === 0) {
+    throw new Error("No papers uploaded to review.");
+  }
+
+  const emit = (stage, status, extra = {}) =>
+    onStage({ stage, label: AGENTS[stage].label, icon: AGENTS[stage].icon, status, ...extra });
+  const agentOptions = { temperature, onToken, onStats };
+  const result = { summaries: [], themes: "", comparison: "", review: "", interrupted: false };
+  const stopped = () => {
+    result.interrupted = Boolean(signal?.aborted);
+    return result.interrupted;
+  };
+
+  // 1. Summarizer: one call per paper
+  const summaries = result.summaries;
+  for (const paper of papers) {
+    if (stopped()) return result;
+    emit("summarizer", "start", { paper: paper.name });
+    const context = await getPaperContext(paper);
+    const summary = await runAgent(
+      client,
+      "summarizer",
+      `Paper: ${labelFor(paper.name)}\n\n--- EXCERPTS ---\n${context}\n--- END EXCERPTS ---\n\nSummarize this paper.`,
+      agentOptions
+    );
+    summaries.push({ paper: paper.name, summary });
+    emit("summarizer", "done", { paper: paper.name, output: summary });
+  }
+
+  const summaryNotes = formatSummaries(summaries, labelFor);
+  const relationNotes = relations ? `--- PAPER RELATIONS ---\n${relations}\n--- END RELATIONS ---\n\n` : "";
+
+  // 2. Theme Extractor: cluster the summaries
+  if (stopped()) return result;
+  emit("themes", "start");
+  const themes = await runAgent(
+    client,
+    "themes",
+    `--- PAPER SUMMARIES ---\n${summaryNotes}\n--- END SUMMARIES ---\n\n${relationNotes}List the shared themes.`,
+    agentOptions
+  );
+  result.themes = themes;
+  emit("themes", "done", { output: themes });
+
+  // 3. Comparator: contrasts across papers, guided by the themes
+  if (stopped()) return result;
+  emit("comparator", "start");
+  const comparison = await runAgent(
+    client,
+    "comparator",
+    `--- PAPER SUMMARIES ---\n${summaryNotes}\n--- END SUMMARIES ---\n\n` +
+      `--- THEMES ---\n${themes}\n--- END THEMES ---\n\nCompare the papers.`,
+    agentOptions
+  );
+  result.comparison = comparison;
+  emit("comparator", "done", { output: comparison });
+
+  // 4. Writer: final structured review
+  if (stopped()) return result;
+  emit("writer", "start");
+  const review = await runAgent(
+    client,
+    "writer",
+    `User request: ${request}\n\n` +
+      `--- PAPER SUMMARIES ---\n${summaryNotes}\n--- END SUMMARIES ---\n\n` +
+      `--- THEMES ---\n${themes}\n--- END THEMES ---\n\n` +
+      `--- COMPARISON ---\n${comparison}\n--- END COMPARISON ---\n\n` +
+      relationNotes +
+      "Write the literature review.",
+    agentOptions
+  );
+  result.review = review;
+  stopped(); // The Writer itself may have been interrupted mid-stream
+  emit("writer", "done", { output: review });
+
+  return result;
+}
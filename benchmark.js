@@ -0,0 +1,178 @@
+// benchmark.js
+console.log("✅ benchmark.js loaded");
+
+/**
+ * Brute force vs HNSW benchmark for the vector store.
+ * Ground truth is the exact (brute force) top-k; recall@k is the share of it
+ * the approximate index returns.
+ */
+
+import { createVectorStore } from "./vector-store.js";
+import { loadLibrary } from "./storage.js";
+
+const DIMENSIONS = 384; // all-MiniLM-L6-v2
+const CLUSTERS = 50;
+
+// --- UI Refs ---
+const sourceSelect = document.getElementById("bench-source");
+const sizeInput = document.getElementById("bench-size");
+const queriesInput = document.getElementById("bench-queries");
+const kInput = document.getElementById("bench-k");
+const mInput = document.getElementById("bench-m");
+const efConstructionInput = document.getElementById("bench-ef-construction");
+const efSearchInput = document.getElementById("bench-ef-search");
+const runBtn = document.getElementById("bench-run");
+const statusEl = document.getElementById("bench-status");
+const resultsBody = document.getElementById("bench-results");
+
+function setStatus(text) {
+  statusEl.textContent = text;
+  console.log(`🕸️ ${text}`);
+}
+
+// Let the browser paint status updates between heavy steps
+const nextFrame = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// --- Data ---
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+}
+
+function randomVector(dimensions) {
+  const vector = new Float32Array(dimensions);
+  for (let i = 0; i < dimensions; i++) vector[i] = Math.random() * 2 - 1;
+  return normalize(vector);
+}
+
+// Points scattered around a few centres, closer to real embeddings than uniform noise
+function noisyCopy(centre, noise) {
+  const vector = new Float32Array(centre.length);
+  for (let i = 0; i < centre.length; i++) vector[i] = centre[i] + (Math.random() * 2 - 1) * noise;
+  return normalize(vector);
+}
+
+function syntheticVectors(count) {
+  const centres = Array.from({ length: CLUSTERS }, () => randomVector(DIMENSIONS));
+  return Array.from({ length: count }, () => noisyCopy(centres[Math.floor(Math.random() * CLUSTERS)], 0.15));
+}
+
+async function libraryVectors() {
+  const { chunks } = await loadLibrary();
+  return chunks.filter((chunk) => chunk.embedding).map((chunk) => chunk.embedding);
+}
+
+// --- Measurement ---
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function measure(queries, runQuery) {
+  const latencies = [];
+  const results = queries.map((query) => {
+    const started = performance.now();
+    const result = runQuery(query);
+    latencies.push(performance.now() - started);
+    return result;
+  });
+  return {
+    results,
+    avg: latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length,
+    p95: percentile(latencies, 0.95),
+  };
+}
+
+function recallAtK(truth, approximate) {
+  let hits = 0;
+  truth.forEach((expected, i) => {
+    const expectedIds = new Set(expected.map((result) => result.id));
+    hits += approximate[i].filter((result) => expectedIds.has(result.id)).length / Math.max(expected.length, 1);
+  });
+  return hits / truth.length;
+}
+
+function renderResults(rows) {
+  const baseline = rows[0].avg;
+  resultsBody.innerHTML = rows
+    .map((row) => `
+      <tr class="border-b border-gray-100">
+        <td class="py-2 font-medium">${row.name}</td>
+        <td class="py-2">${(row.recall * 100).toFixed(1)}%</td>
+        <td class="py-2">${row.avg.toFixed(2)} ms</td>
+        <td class="py-2">${row.p95.toFixed(2)} ms</td>
+        <td class="py-2">${(baseline / row.avg).toFixed(1)}×</td>
+      </tr>
+    `)
+    .join("");
+}
+
+async function runBenchmark() {
+  runBtn.disabled = true;
+  try {
+    const k = parseInt(kInput.value, 10) || 5;
+    const queryCount = parseInt(queriesInput.value, 10) || 100;
+    const efSearchValues = efSearchInput.value
+      .split(",")
+      .map((value) => parseInt(value, 10))
+      .filter((value) => value > 0);
+
+    setStatus("Preparing vectors…");
+    await nextFrame();
+    const vectors = sourceSelect.value === "library"
+      ? await libraryVectors()
+      : syntheticVectors(parseInt(sizeInput.value, 10) || 5000);
+
+    if (vectors.length === 0) {
+      setStatus("No vectors found. Upload papers in the app first or use the synthetic dataset.");
+      return;
+    }
+
+    // Queries are perturbed copies of stored vectors, like real questions near real chunks
+    const queries = Array.from({ length: queryCount }, () =>
+      noisyCopy(vectors[Math.floor(Math.random() * vectors.length)], 0.1)
+    );
+
+    const store = createVectorStore();
+    vectors.forEach((vector, i) => store.add(`v${i}`, vector));
+
+    setStatus(`Brute force over ${vectors.length} vectors…`);
+    await nextFrame();
+    const exact = measure(queries, (query) => store.search(query, { k, exact: true }));
+    const rows = [{ name: "Brute force", recall: 1, avg: exact.avg, p95: exact.p95 }];
+
+    setStatus(`Building HNSW index over ${vectors.length} vectors…`);
+    await nextFrame();
+    const buildStarted = performance.now();
+    store.setANN({
+      M: parseInt(mInput.value, 10) || 16,
+      efConstruction: parseInt(efConstructionInput.value, 10) || 100,
+    });
+    const buildMs = performance.now() - buildStarted;
+
+    for (const ef of efSearchValues) {
+      setStatus(`HNSW queries with efSearch=${ef}…`);
+      await nextFrame();
+      const approximate = measure(queries, (query) => store.search(query, { k, ef }));
+      rows.push({
+        name: `HNSW (ef=${ef})`,
+        recall: recallAtK(exact.results, approximate.results),
+        avg: approximate.avg,
+        p95: approximate.p95,
+      });
+    }
+
+    renderResults(rows);
+    setStatus(`Done: ${vectors.length} vectors, ${queryCount} queries, k=${k}. HNSW build took ${(buildMs / 1000).toFixed(1)}s.`);
+  } catch (error) {
+    console.error("❌ Benchmark failed:", error);
+    setStatus(`Benchmark failed: ${error.message}`);
+  } finally {
+    runBtn.disabled = false;
+  }
+}
+
+runBtn.addEventListener("click", runBenchmark);
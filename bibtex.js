@@ -0,0 +1,301 @@
+// bibtex.js
+/**
+ * BibTeX parsing and matching of bibliography entries to uploaded papers.
+ * Entries are turned into the same metadata shape the document loaders
+ * produce ({ title, authors, year, venue, doi, ... }).
+ */
+
+const MONTHS = {
+  jan: "January", feb: "February", mar: "March", apr: "April", may: "May", jun: "June",
+  jul: "July", aug: "August", sep: "September", oct: "October", nov: "November", dec: "December",
+};
+
+// LaTeX accent commands -> Unicode combining marks ({\"o} -> ö)
+const ACCENTS = { '"': "\u0308", "'": "\u0301", "`": "\u0300", "^": "\u0302", "~": "\u0303", "=": "\u0304", ".": "\u0307", c: "\u0327", v: "\u030c", u: "\u0306", H: "\u030b" };
+
+const SPECIAL_CHARACTERS = { ss: "ß", o: "ø", O: "Ø", ae: "æ", AE: "Æ", aa: "å", AA: "Å", l: "ł", L: "Ł", i: "ı" };
+
+/**
+ * Convert LaTeX markup inside a field value to plain text.
+ * @param {string} value
+ * @returns {string}
+ */
+export function latexToText(value) {
+  return value
+    .replace(/\\([cvuH])(?:\s+|\{)\s*([a-zA-Z])\}?/g, (_, accent, letter) => letter + ACCENTS[accent])
+    .replace(/\\(["'`^~=.])\s*\{?\s*([a-zA-Z])\}?/g, (_, accent, letter) => letter + ACCENTS[accent])
+    .replace(/\\(ss|ae|AE|aa|AA|o|O|l|L|i)\b\s*/g, (_, name) => SPECIAL_CHARACTERS[name])
+    .replace(/\\[&%$#_{}]/g, (match) => match.slice(1))
+    .replace(/\\[a-zA-Z]+\*?\s*/g, "")
+    .replace(/~/g, " ")
+    .replace(/--/g, "–")
+    .replace(/[{}]/g, "")
+    .replace(/\s+/g, " ")
+    .normalize("NFC")
+    .trim();
+}
+
+const CLOSING = { "{": "}", "(": ")", '"': '"' };
+
+// Reads a {...}, (...) or "..." value starting at `index`, honouring nested braces
+function readDelimited(source, index) {
+  const close = CLOSING[source[index]];
+  let depth = 0;
+
+  for (let i = index + 1; i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === close && depth === 0) {
+      return { value: source.slice(index + 1, i), end: i + 1 };
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth--;
+    }
+  }
+  throw new Error("Unterminated value in BibTeX input.");
+}
+
+function skipWhitespace(source, index) {
+  while (index < source.length && /\s/.test(source[index])) index++;
+  return index;
+}
+
+// value = part ( "#" part )*, where part is {...}, "..." , a number or a @string macro
+function readValue(source, index, macros) {
+  let value = "";
+  for (;;) {
+    index = skipWhitespace(source, index);
+    const char = source[index];
+    if (char === "{" || char === '"') {
+      const part = readDelimited(source, index);
+      value += part.value;
+      index = part.end;
+    } else {
+      const match = /^[^\s,#}]+/.exec(source.slice(index));
+      if (!match) break;
+      const word = match[0];
+      value += macros[word.toLowerCase()] ?? MONTHS[word.toLowerCase()] ?? word;
+      index += word.length;
+    }
+
+    index = skipWhitespace(source, index);
+    if (source[index] !== "#") break;
+    index++;
+  }
+  return { value, end: index };
+}
+
+function readFields(source, index, macros) {
+  const fields = {};
+  for (;;) {
+    index = skipWhitespace(source, index);
+    if (source[index] === ",") {
+      index++;
+      continue;
+    }
+    if (index >= source.length || source[index] === "}" || source[index] === ")") return { fields, end: index + 1 };
+
+    const name = /^[A-Za-z][\w-]*/.exec(source.slice(index))?.[0];
+    if (!name) throw new Error(`Unexpected character "${source[index]}" in BibTeX entry.`);
+    index = skipWhitespace(source, index + name.length);
+    if (source[index] !== "=") throw new Error(`Expected "=" after field "${name}".`);
+
+    const { value, end } = readValue(source, index + 1, macros);
+    fields[name.toLowerCase()] = value;
+    index = end;
+  }
+}
+
+/**
+ * "Vaswani, Ashish and Shazeer, Noam" -> ["Ashish Vaswani", "Noam Shazeer"]
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function parseAuthors(value) {
+  if (!value) return [];
+  return latexToText(value)
+    .split(/\s+and\s+/i)
+    .map((name) => {
+      const [last, ...first] = name.split(",").map((part) => part.trim());
+      return first.length > 0 ? `${first.join(" ")} ${last}` : last;
+    })
+    .filter((name) => name && name.toLowerCase() !== "others");
+}
+
+function entryToMetadata(entry) {
+  const { fields } = entry;
+  const eprint = fields.eprint || fields.arxivid || null;
+  return {
+    bibKey: entry.key,
+    entryType: entry.type,
+    title: fields.title ? latexToText(fields.title) : null,
+    authors: parseAuthors(fields.author),
+    year: parseInt(fields.year, 10) || null,
+    venue: latexToText(fields.journal || fields.booktitle || fields.publisher || fields.school || fields.howpublished || "") || null,
+    doi: fields.doi ? fields.doi.trim().replace(/^https?:\/\/(dx\.)?doi\.org\//i, "") : null,
+    url: fields.url?.trim() || null,
+    arxivId: eprint ? eprint.trim().replace(/^arxiv:/i, "") : null,
+    abstract: fields.abstract ? latexToText(fields.abstract) : null,
+  };
+}
+
+/**
+ * Parse a .bib file.
+ * @param {string} source
+ * @returns {{key: string, type: string, fields: object, metadata: object}[]}
+ */
+export function parseBibTeX(source) {
+  const entries = [];
+  const macros = {};
+  let index = 0;
+
+  for (;;) {
+    index = source.indexOf("@", index);
+    if (index === -1) break;
+
+    const type = /^@\s*([A-Za-z]+)\s*[{(]/.exec(source.slice(index));
+    if (!type) {
+      index++;
+      continue;
+    }
+    const kind = type[1].toLowerCase();
+    index += type[0].length;
+
+    if (kind === "comment" || kind === "preamble") {
+      const { end } = readDelimited(source, index - 1);
+      index = end;
+      continue;
+    }
+
+    if (kind === "string") {
+      const { fields, end } = readFields(source, index, macros);
+      Object.entries(fields).forEach(([name, value]) => { macros[name] = value; });
+      index = end;
+      continue;
+    }
+
+    const key = /^\s*([^,\s]+)\s*,/.exec(source.slice(index));
+    if (!key) throw new Error(`Missing citation key in @${kind} entry.`);
+    index += key[0].length;
+
+    const { fields, end } = readFields(source, index, macros);
+    index = end;
+
+    const entry = { key: key[1], type: kind, fields };
+    entry.metadata = entryToMetadata(entry);
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+function normalizeTitle(text) {
+  return (text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\.[a-z]{2,4}$/, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Find the paper a bibliography entry describes.
+ * Tries, in order: DOI, arXiv id in the filename, citation key == filename,
+ * title == filename, title == extracted title, title on the first page.
+ * @param {{metadata: object}} entry
+ * @param {{name: string, metadata?: object, leadText?: string}[]} papers
+ * @returns {object|null} The matching paper
+ */
+export function matchBibEntry(entry, papers) {
+  const { bibKey, title, doi, arxivId } = entry.metadata;
+  const wantedTitle = normalizeTitle(title);
+  const lowerDoi = doi?.toLowerCase();
+
+  const checks = [
+    (paper) => lowerDoi && paper.metadata?.doi?.toLowerCase() === lowerDoi,
+    (paper) => arxivId && paper.name.includes(arxivId.replace(/v\d+$/, "")),
+    (paper) => normalizeTitle(paper.name) === normalizeTitle(bibKey),
+    (paper) => wantedTitle && normalizeTitle(paper.name) === wantedTitle,
+    (paper) => wantedTitle && normalizeTitle(paper.metadata?.title) === wantedTitle,
+    (paper) => wantedTitle.length > 15 && normalizeTitle(paper.leadText).includes(wantedTitle),
+  ];
+
+  for (const check of checks) {
+    const paper = papers.find(check);
+    if (paper) return paper;
+  }
+  return null;
+}
+
+// --- Writing ---
+
+const KEY_STOPWORDS = new Set(["a", "an", "the", "on", "of", "for", "in", "to", "and", "with", "towards", "toward", "is"]);
+
+function asciiWord(text) {
+  return (text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Citation key for a paper: its BibTeX key if it came from a .bib file,
+ * otherwise "vaswani2017attention" (first author, year, first title word),
+ * falling back to the filename. Keys already in `usedKeys` get a/b/c suffixes.
+ * @param {object} metadata
+ * @param {string} fallbackName - Filename
+ * @param {Set<string>} [usedKeys] - Updated with the returned key
+ * @returns {string}
+ */
+export function citationKey(metadata = {}, fallbackName = "paper", usedKeys = new Set()) {
+  let base = metadata.bibKey;
+  if (!base) {
+    const firstAuthor = metadata.authors?.[0]?.trim().split(/\s+/).pop();
+    const titleWord = (metadata.title || "").split(/\s+/).find((word) => asciiWord(word) && !KEY_STOPWORDS.has(asciiWord(word)));
+    base = firstAuthor
+      ? `${asciiWord(firstAuthor)}${metadata.year || ""}${asciiWord(titleWord)}`
+      : asciiWord(fallbackName.replace(/\.[^.]+$/, "")) || "paper";
+  }
+
+  let key = base;
+  for (let suffix = 0; usedKeys.has(key); suffix++) {
+    key = base + String.fromCharCode(97 + (suffix % 26)) + (suffix >= 26 ? Math.floor(suffix / 26) : "");
+  }
+  usedKeys.add(key);
+  return key;
+}
+
+function escapeBibValue(value) {
+  return String(value).replace(/([&%$#_])/g, "\\$1").replace(/[{}]/g, "");
+}
+
+/**
+ * BibTeX entry text for a paper's metadata.
+ * @param {string} key
+ * @param {object} metadata
+ * @param {string} [fallbackTitle] - Used when the metadata has no title
+ * @returns {string}
+ */
+export function formatBibEntry(key, metadata = {}, fallbackTitle = "") {
+  const type = metadata.entryType || (metadata.venue ? (/journal|transactions|letters|review/i.test(metadata.venue) ? "article" : "inproceedings") : "misc");
+  const venueField = type === "article" ? "journal" : type === "inproceedings" ? "booktitle" : "howpublished";
+
+  const fields = [
+    // Double braces keep the title's capitalisation in every bibliography style
+    ["title", `{${escapeBibValue(metadata.title || fallbackTitle)}}`],
+    ["author", (metadata.authors || []).map(escapeBibValue).join(" and ")],
+    ["year", metadata.year],
+    [venueField, metadata.venue && escapeBibValue(metadata.venue)],
+    ["doi", metadata.doi && escapeBibValue(metadata.doi)],
+    ["url", metadata.url],
+    ["eprint", metadata.arxivId],
+    ["archiveprefix", metadata.arxivId && "arXiv"],
+  ].filter(([, value]) => value !== null && value !== undefined && value !== "");
+
+  const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(",\n");
+  return `@${type}{${key},\n${body}\n}`;
+}
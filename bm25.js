@@ -0,0 +1,117 @@
+// bm25.js
+/**
+ * Client-side BM25 keyword index.
+ * Complements the embedding search for exact terms embeddings tend to blur:
+ * dataset and metric names ("F1", "BLEU", "SQuAD"), author names, acronyms.
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "has", "have", "in", "is", "it",
+  "its", "of", "on", "or", "that", "the", "their", "this", "to", "was", "were", "which", "with",
+  "what", "how", "does", "do", "did", "about", "we", "our", "they", "these", "those", "paper", "papers",
+]);
+
+/**
+ * Lowercased terms without stopwords. Keeps short alphanumeric tokens such as
+ * "f1" or "4" because metric names and numbers matter for search.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term && !STOPWORDS.has(term) && (term.length > 1 || /\d/.test(term)));
+}
+
+/**
+ * Create an empty BM25 index. Documents are identified by string ids
+ * (see chunkKey in retrieval.js) and can be added and removed incrementally.
+ */
+export function createBM25Index() {
+  const postings = new Map(); // term -> Map(docId -> term frequency)
+  const docTerms = new Map(); // docId -> unique terms (for removal)
+  const docLengths = new Map(); // docId -> number of terms
+  let totalLength = 0;
+
+  function remove(docId) {
+    const terms = docTerms.get(docId);
+    if (!terms) return;
+
+    terms.forEach((term) => {
+      const docs = postings.get(term);
+      docs.delete(docId);
+      if (docs.size === 0) postings.delete(term);
+    });
+    totalLength -= docLengths.get(docId);
+    docTerms.delete(docId);
+    docLengths.delete(docId);
+  }
+
+  function add(docId, text) {
+    if (docTerms.has(docId)) remove(docId);
+
+    const terms = tokenize(text);
+    const frequencies = new Map();
+    terms.forEach((term) => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+    frequencies.forEach((tf, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(docId, tf);
+    });
+    docTerms.set(docId, [...frequencies.keys()]);
+    docLengths.set(docId, terms.length);
+    totalLength += terms.length;
+  }
+
+  /**
+   * Rank documents for a query.
+   * @param {string} query
+   * @param {number} [limit]
+   * @returns {{id: string, score: number}[]} Best first
+   */
+  function search(query, limit = 50) {
+    const docCount = docLengths.size;
+    if (docCount === 0) return [];
+
+    const averageLength = totalLength / docCount || 1;
+    const scores = new Map();
+
+    new Set(tokenize(query)).forEach((term) => {
+      const docs = postings.get(term);
+      if (!docs) return;
+
+      const idf = Math.log(1 + (docCount - docs.size + 0.5) / (docs.size + 0.5));
+      docs.forEach((tf, docId) => {
+        const lengthNorm = 1 - B + B * (docLengths.get(docId) / averageLength);
+        const score = idf * ((tf * (K1 + 1)) / (tf + K1 * lengthNorm));
+        scores.set(docId, (scores.get(docId) || 0) + score);
+      });
+    });
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  function clear() {
+    postings.clear();
+    docTerms.clear();
+    docLengths.clear();
+    totalLength = 0;
+  }
+
+  return {
+    add,
+    remove,
+    search,
+    clear,
+    get size() {
+      return docLengths.size;
+    },
+  };
+}
@@ -0,0 +1,428 @@
+// chunking.js
+/**
+ * Structure-aware chunking strategies.
+ * Every strategy works on character spans of the extracted text, so chunks keep
+ * exact offsets (and therefore page numbers) into the original document.
+ *
+ * - window:    fixed character window (the original 500/100 sliding window)
+ * - sentence:  packs whole sentences up to the chunk size
+ * - paragraph: packs whole paragraphs, splitting oversized ones by sentence
+ * - section:   like sentence, but chunks never cross a section heading
+ */
+
+import { formatTable } from "./pdf-layout.js";
+
+export const CHUNKING_STRATEGIES = {
+  window: "Fixed window",
+  sentence: "Sentence boundary",
+  paragraph: "Paragraph",
+  section: "Section-aware",
+};
+
+export const DEFAULT_CHUNKING = {
+  strategy: "section",
+  chunkSize: 500,
+  chunkOverlap: 100,
+  excludeReferences: false,
+};
+
+const FRONT_MATTER = "Front Matter";
+const REFERENCE_SECTIONS = new Set(["References"]);
+
+// Canonical section names for common headings (matched after numbering is stripped)
+const SECTION_HEADINGS = [
+  ["Abstract", /^abstract$/],
+  ["Introduction", /^introduction$/],
+  ["Background", /^(background|preliminaries)$/],
+  ["Related Work", /^(related work|prior work|literature review|related literature)$/],
+  ["Methods", /^(methods?|methodology|materials and methods|approach|proposed (method|approach)|our approach)$/],
+  ["Experiments", /^(experiments?|experimental (setup|design|evaluation)|evaluation)$/],
+  ["Results", /^(results?|results and discussion|findings|experimental results)$/],
+  ["Discussion", /^discussion$/],
+  ["Limitations", /^limitations?$/],
+  ["Conclusion", /^(conclusions?|concluding remarks|conclusions? and future work|summary and conclusions?)$/],
+  ["Acknowledgements", /^acknowledge?ments?$/],
+  ["References", /^(references|bibliography|works cited|literature cited)$/],
+  ["Appendix", /^(appendix|appendices)(\s+[a-z0-9]+)?$/],
+];
+
+const NUMBERING_PATTERN = /^((\d+(\.\d+)*|[IVXLC]+|[A-Z])[.)]?\s+)/;
+const INLINE_ABSTRACT_PATTERN = /^abstract\s*[—–:.-]\s*\S/i;
+const ABBREVIATION_PATTERN = /(\b(et al|e\.g|i\.e|etc|fig|figs|eq|eqs|sec|tab|vs|cf|approx|resp|no)|\b[A-Z])\.$/i;
+
+// --- Sections ---
+
+function splitLines(text, start = 0, end = text.length) {
+  const lines = [];
+  let lineStart = start;
+  while (lineStart < end) {
+    let lineEnd = text.indexOf("\n", lineStart);
+    if (lineEnd === -1 || lineEnd > end) lineEnd = end;
+    lines.push({ start: lineStart, end: lineEnd, text: text.slice(lineStart, lineEnd) });
+    lineStart = lineEnd + 1;
+  }
+  return lines;
+}
+
+/**
+ * Canonical section name if a line is a section heading, otherwise null.
+ * @param {string} line
+ * @returns {string|null}
+ */
+export function matchSectionHeading(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 80) return null;
+
+  if (INLINE_ABSTRACT_PATTERN.test(trimmed)) return "Abstract";
+
+  const numbered = NUMBERING_PATTERN.test(trimmed);
+  const title = trimmed.replace(NUMBERING_PATTERN, "").replace(/[:.]$/, "").trim();
+  const normalized = title.toLowerCase().replace(/\s+/g, " ");
+
+  for (const [name, pattern] of SECTION_HEADINGS) {
+    if (pattern.test(normalized)) return name;
+  }
+
+  // Other top-level numbered headings ("3 Our Dataset"), but not "3.1 ..." subsections
+  const topLevel = /^(\d+|[IVXLC]+)[.)]?\s+/.test(trimmed);
+  const words = title.split(/\s+/);
+  if (numbered && topLevel && /^[A-Z]/.test(title) && words.length <= 8 && !/[.,;]$/.test(trimmed)) {
+    return title;
+  }
+  return null;
+}
+
+/**
+ * Split the text into sections at detected headings.
+ * Text before the first heading is reported as "Front Matter".
+ * @param {string} text
+ * @returns {{name: string, start: number, end: number}[]}
+ */
+export function detectSections(text) {
+  const sections = [];
+  let current = { name: FRONT_MATTER, start: 0, end: text.length };
+
+  for (const line of splitLines(text)) {
+    const heading = matchSectionHeading(line.text);
+    if (!heading) continue;
+
+    current.end = line.start;
+    if (current.end > current.start) sections.push(current);
+    current = { name: heading, start: line.start, end: text.length };
+  }
+
+  if (current.end > current.start) sections.push(current);
+  return sections;
+}
+
+/**
+ * Sections from headings a loader already knows (Markdown "#", LaTeX \section,
+ * HTML <h2>), instead of guessing them from the text. Known headings are
+ * mapped to their canonical name so "References" can still be excluded.
+ * @param {string} text
+ * @param {{title: string, start: number}[]} headings - Offsets into `text`, in order
+ * @returns {{name: string, start: number, end: number}[]}
+ */
+export function sectionsFromHeadings(text, headings) {
+  const sections = [];
+  let current = { name: FRONT_MATTER, start: 0, end: text.length };
+
+  for (const heading of headings) {
+    const title = heading.title.replace(NUMBERING_PATTERN, "").trim() || heading.title;
+    current.end = heading.start;
+    if (current.end > current.start) sections.push(current);
+    current = { name: matchSectionHeading(heading.title) || title, start: heading.start, end: text.length };
+  }
+
+  if (current.end > current.start) sections.push(current);
+  return sections;
+}
+
+function sectionAt(sections, offset) {
+  let name = FRONT_MATTER;
+  for (const section of sections) {
+    if (section.start > offset) break;
+    name = section.name;
+  }
+  return name;
+}
+
+// --- Units (sentences / paragraphs) as spans ---
+
+function windowSpans(text, start, end, size, overlap, snapToWords = false) {
+  const spans = [];
+  const step = Math.max(1, size - overlap);
+
+  for (let i = start; i < end; i += step) {
+    let spanEnd = Math.min(i + size, end);
+
+    // Avoid cutting a word in half when a space is reasonably close
+    if (snapToWords && spanEnd < end) {
+      const lastSpace = text.lastIndexOf(" ", spanEnd);
+      if (lastSpace > i + size * 0.8) spanEnd = lastSpace;
+    }
+    spans.push({ start: i, end: spanEnd });
+    if (spanEnd >= end) break;
+    if (snapToWords) i = Math.max(i + 1, spanEnd - overlap) - step;
+  }
+  return spans;
+}
+
+function splitSentences(text, start, end) {
+  const spans = [];
+  const boundary = /[.!?]["')\]]?\s+/g;
+  boundary.lastIndex = start;
+  let sentenceStart = start;
+  let match;
+
+  while ((match = boundary.exec(text)) && match.index < end) {
+    const sentenceEnd = Math.min(match.index + match[0].trimEnd().length, end);
+    const nextStart = Math.min(match.index + match[0].length, end);
+    const nextChar = text[nextStart];
+
+    if (ABBREVIATION_PATTERN.test(text.slice(sentenceStart, match.index + 1))) continue;
+    if (nextChar && !/[A-Z0-9("“[]/.test(nextChar)) continue;
+
+    spans.push({ start: sentenceStart, end: sentenceEnd });
+    sentenceStart = nextStart;
+  }
+
+  if (sentenceStart < end) spans.push({ start: sentenceStart, end });
+  return spans.filter((span) => text.slice(span.start, span.end).trim().length > 0);
+}
+
+function splitParagraphs(text, start, end) {
+  const lines = splitLines(text, start, end);
+  const lengths = lines.map((line) => line.text.trim().length).filter(Boolean).sort((a, b) => a - b);
+  const typicalLength = lengths[Math.floor(lengths.length / 2)] || 0;
+
+  const spans = [];
+  let paragraph = null;
+
+  lines.forEach((line, i) => {
+    const content = line.text.trim();
+    const previous = lines[i - 1]?.text.trim() || "";
+    const previousClosesParagraph =
+      /[.!?:]["')]?$/.test(previous) && previous.length < typicalLength * 0.75;
+
+    const isBreak =
+      !content ||
+      matchSectionHeading(line.text) !== null ||
+      matchSectionHeading(previous) !== null ||
+      previousClosesParagraph;
+
+    if (isBreak && paragraph) {
+      spans.push(paragraph);
+      paragraph = null;
+    }
+    if (!content) return;
+
+    if (paragraph) paragraph.end = line.end;
+    else paragraph = { start: line.start, end: line.end };
+  });
+
+  if (paragraph) spans.push(paragraph);
+  return spans;
+}
+
+// Units longer than the chunk size are cut into word-aligned windows
+function limitUnitSize(text, units, chunkSize, chunkOverlap) {
+  return units.flatMap((unit) =>
+    unit.end - unit.start > chunkSize
+      ? windowSpans(text, unit.start, unit.end, chunkSize, chunkOverlap, true)
+      : [unit]
+  );
+}
+
+// Greedily pack consecutive units into chunks; trailing units up to `chunkOverlap`
+// characters are repeated at the start of the next chunk.
+function packUnits(units, chunkSize, chunkOverlap) {
+  const chunks = [];
+  let current = [];
+  let hasNewUnits = false;
+
+  for (const unit of units) {
+    if (current.length > 0 && unit.end - current[0].start > chunkSize) {
+      chunks.push({ start: current[0].start, end: current[current.length - 1].end });
+
+      const lastEnd = current[current.length - 1].end;
+      const carry = [];
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (lastEnd - current[i].start > chunkOverlap) break;
+        carry.unshift(current[i]);
+      }
+      current = carry.length > 0 && unit.end - carry[0].start <= chunkSize ? carry : [];
+      hasNewUnits = false;
+    }
+    current.push(unit);
+    hasNewUnits = true;
+  }
+
+  if (current.length > 0 && hasNewUnits) {
+    chunks.push({ start: current[0].start, end: current[current.length - 1].end });
+  }
+  return chunks;
+}
+
+// --- Public API ---
+
+/**
+ * Split a document into chunk spans with the chosen strategy.
+ * @param {string} text - Extracted text; offsets in the result refer to it
+ * @param {object} [options]
+ * @param {"window"|"sentence"|"paragraph"|"section"} [options.strategy]
+ * @param {number} [options.chunkSize] - Maximum characters per chunk
+ * @param {number} [options.chunkOverlap] - Characters repeated between consecutive chunks
+ * @param {boolean} [options.excludeReferences] - Drop the References section
+ * @param {{title: string, start: number}[]} [options.headings] - Known section headings (skips detection)
+ * @returns {{text: string, start: number, end: number, section: string}[]}
+ */
+export function chunkDocument(text, options = {}) {
+  const { strategy, chunkSize, chunkOverlap, excludeReferences, headings } = { ...DEFAULT_CHUNKING, ...options };
+  if (!CHUNKING_STRATEGIES[strategy]) throw new Error(`Unknown chunking strategy: ${strategy}`);
+  if (chunkOverlap >= chunkSize) throw new Error("Chunk overlap must be smaller than the chunk size.");
+
+  const sections = headings?.length ? sectionsFromHeadings(text, headings) : detectSections(text);
+  const kept = excludeReferences
+    ? sections.filter((section) => !REFERENCE_SECTIONS.has(section.name))
+    : sections;
+
+  // Section-aware chunking treats every section separately; the other strategies
+  // only split where excluded text was removed.
+  const regions = [];
+  kept.forEach((section) => {
+    const last = regions[regions.length - 1];
+    if (strategy !== "section" && last && last.end === section.start) last.end = section.end;
+    else regions.push({ start: section.start, end: section.end });
+  });
+
+  const spans = regions.flatMap(({ start, end }) => {
+    switch (strategy) {
+      case "window":
+        return windowSpans(text, start, end, chunkSize, chunkOverlap);
+      case "paragraph":
+        return packUnits(
+          splitParagraphs(text, start, end).flatMap((paragraph) =>
+            paragraph.end - paragraph.start > chunkSize
+              ? limitUnitSize(text, splitSentences(text, paragraph.start, paragraph.end), chunkSize, chunkOverlap)
+              : [paragraph]
+          ),
+          chunkSize,
+          chunkOverlap
+        );
+      default: // sentence, section
+        return packUnits(
+          limitUnitSize(text, splitSentences(text, start, end), chunkSize, chunkOverlap),
+          chunkSize,
+          chunkOverlap
+        );
+    }
+  });
+
+  return spans
+    .map(({ start, end }) => {
+      const raw = text.slice(start, end);
+      const chunkStart = start + (raw.length - raw.trimStart().length);
+      const chunkText = raw.replace(/\s+/g, " ").trim();
+      return {
+        text: chunkText,
+        start: chunkStart,
+        end: chunkStart + raw.trim().length,
+        section: sectionAt(sections, chunkStart),
+      };
+    })
+    .filter((chunk) => chunk.text.length > 0);
+}
+
+/**
+ * Page number containing a character offset of the extracted text.
+ * @param {{pageNumber: number, start: number}[]} pages
+ * @param {number} offset
+ * @returns {number|null}
+ */
+export function pageAtOffset(pages, offset) {
+  let pageNumber = null;
+  for (const page of pages) {
+    if (page.start > offset) break;
+    pageNumber = page.pageNumber;
+  }
+  return pageNumber;
+}
+
+// Tables longer than this many chunk sizes are split by rows, repeating the header row
+const TABLE_CHUNK_FACTOR = 2;
+
+// Chunk texts for a table or figure caption (see pdf-layout.js)
+function elementParts(element, chunkSize) {
+  if (element.type !== "table") {
+    return [{ text: `${element.label}: ${element.caption}`.trim(), rows: undefined }];
+  }
+
+  const rows = element.rows || [];
+  const parts = [];
+  let part = [];
+  rows.forEach((row) => {
+    const candidate = formatTable({ ...element, rows: [...part, row] });
+    if (part.length > 1 && candidate.length > chunkSize * TABLE_CHUNK_FACTOR) {
+      parts.push(part);
+      part = [rows[0]];
+    }
+    part.push(row);
+  });
+  if (part.length > 0 || parts.length === 0) parts.push(part);
+
+  return parts.map((partRows, i) => {
+    const label = parts.length > 1 && element.label ? `${element.label} (part ${i + 1} of ${parts.length})` : element.label;
+    return { text: formatTable({ ...element, label, rows: partRows }), rows: partRows };
+  });
+}
+
+/**
+ * Chunk a document into vector store entries (without embeddings).
+ * Body text becomes `type: "text"` chunks; tables and figure captions found by
+ * the loader become `type: "table"` / `"figure"` chunks after them, carrying
+ * their `label` ("Table 2"), `caption` and, for tables, `rows`.
+ * @param {string} text - Extracted text
+ * @param {string} source - Filename the chunks come from
+ * @param {{pageNumber: number, start: number, end: number}[]} [pages] - Page ranges within `text`
+ * @param {object} [settings] - See chunkDocument
+ * @param {{type: string, label: string|null, caption: string, rows?: string[][], page: number, offset: number}[]} [elements] - From the loader
+ * @returns {object[]}
+ */
+export function buildChunks(text, source, pages = [], settings = DEFAULT_CHUNKING, elements = []) {
+  const chunks = chunkDocument(text, settings).map((span, chunkIndex) => ({
+    text: span.text,
+    source,
+    embedding: null,
+    chunkIndex,
+    type: "text",
+    section: span.section,
+    // Character offsets within the extracted text
+    charStart: span.start,
+    charEnd: span.end,
+    page: pageAtOffset(pages, span.start),
+    pageEnd: pageAtOffset(pages, span.end - 1),
+  }));
+  if (elements.length === 0) return chunks;
+
+  const { chunkSize, headings } = { ...DEFAULT_CHUNKING, ...settings };
+  const sections = headings?.length ? sectionsFromHeadings(text, headings) : detectSections(text);
+  elements.forEach((element) => {
+    elementParts(element, chunkSize).forEach(({ text: elementText, rows }) => {
+      chunks.push({
+        text: elementText,
+        source,
+        embedding: null,
+        chunkIndex: chunks.length,
+        type: element.type,
+        label: element.label,
+        caption: element.caption,
+        ...(rows ? { rows } : {}),
+        section: sectionAt(sections, element.offset),
+        page: element.page,
+        pageEnd: element.page,
+      });
+    });
+  });
+  return chunks;
+}
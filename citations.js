@@ -0,0 +1,108 @@
+// citations.js
+/**
+ * Inline citation parsing.
+ * Answers cite retrieved chunks by their bracketed context number ("[2]",
+ * "[1, 3]"), papers by filename ("[paper.pdf]", "[Source: paper.pdf]") or by
+ * author and year ("[Vaswani et al. (2017)]", "[Vaswani et al., 2017]").
+ * The parser turns an answer into text and citation segments so the UI can
+ * render citations as clickable chips.
+ */
+
+const BRACKET_PATTERN = /\[([^[\]\n]{1,200})\]/g;
+const PAGE_SUFFIX_PATTERN = /,?\s*(p\.|pp\.|page)\s*\d+(\s*[-–]\s*\d+)?$/i;
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/\.(pdf|txt|md|html?|tex)$/i, "").trim();
+}
+
+// "Vaswani et al. (2017)", "Vaswani et al., 2017" and "vaswani et al 2017" compare equal
+function normalizeAlias(label) {
+  return label.toLowerCase().replace(/[^\p{L}\p{N}&]+/gu, " ").trim();
+}
+
+function findPaper(label, paperNames, aliases) {
+  const wanted = normalizeName(label);
+  const byName = paperNames.find((name) => normalizeName(name) === wanted);
+  if (byName) return { paper: byName, label: byName };
+
+  const alias = Object.keys(aliases).find((candidate) => normalizeAlias(candidate) === normalizeAlias(label));
+  return alias ? { paper: aliases[alias], label: alias } : null;
+}
+
+/**
+ * Resolve the inside of one bracket pair into citations.
+ * @param {string} inner - Bracket content, e.g. "2", "1, 3" or "Source: paper.pdf"
+ * @param {object[]} sources - Chunks that were numbered [1..n] in the prompt
+ * @param {string[]} paperNames - Names of the uploaded papers
+ * @param {Object<string, string>} [aliases] - Citation label ("Vaswani et al. (2017)") -> paper name
+ * @returns {{label: string, sourceIndex: number|null, paper: string}[]|null} null if it is not a citation
+ */
+export function resolveCitation(inner, sources = [], paperNames = [], aliases = {}) {
+  const content = inner.replace(/^\s*source:\s*/i, "").trim();
+
+  // Numbered references: [2], [1, 3], [1][2] is handled as two brackets
+  if (/^\d+(\s*[,;]\s*\d+)*$/.test(content)) {
+    const citations = content
+      .split(/[,;]/)
+      .map((n) => parseInt(n, 10) - 1)
+      .filter((index) => index >= 0 && index < sources.length)
+      .map((index) => ({ label: String(index + 1), sourceIndex: index, paper: sources[index].source }));
+    return citations.length > 0 ? citations : null;
+  }
+
+  // Filename references, possibly several and with a page suffix
+  const citations = [];
+  for (const part of content.split(/;|,\s*(?=[^,]*\.\w{2,4}\b)/)) {
+    const found = findPaper(part.replace(PAGE_SUFFIX_PATTERN, "").trim(), paperNames, aliases);
+    if (!found) continue;
+    const { paper, label } = found;
+
+    // Prefer the retrieved chunk on the cited page, else the paper's best-ranked chunk
+    const page = parseInt(part.match(PAGE_SUFFIX_PATTERN)?.[0].match(/\d+/)?.[0], 10);
+    const onPage = sources.findIndex((chunk) => chunk.source === paper && chunk.page === page);
+    const sourceIndex = onPage !== -1 ? onPage : sources.findIndex((chunk) => chunk.source === paper);
+    citations.push({ label, sourceIndex: sourceIndex === -1 ? null : sourceIndex, paper });
+  }
+  return citations.length > 0 ? citations : null;
+}
+
+/**
+ * Split an answer into plain text and citation segments.
+ * Brackets that do not resolve to a source (e.g. "[citation needed]") stay text.
+ * @param {string} text
+ * @param {{sources?: object[], paperNames?: string[], aliases?: Object<string, string>}} [options]
+ * @returns {({type: "text", text: string}|{type: "citation", label: string, sourceIndex: number|null, paper: string, raw: string})[]}
+ */
+export function parseCitations(text, { sources = [], paperNames = [], aliases = {} } = {}) {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of (text || "").matchAll(BRACKET_PATTERN)) {
+    const citations = resolveCitation(match[1], sources, paperNames, aliases);
+    if (!citations) continue;
+
+    if (match.index > lastIndex) {
+      segments.push({ type: "text", text: text.slice(lastIndex, match.index) });
+    }
+    citations.forEach((citation) => segments.push({ type: "citation", raw: match[0], ...citation }));
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < (text || "").length) {
+    segments.push({ type: "text", text: text.slice(lastIndex) });
+  }
+  return segments;
+}
+
+/**
+ * Unique papers cited in an answer, in order of first citation.
+ * @param {string} text
+ * @param {{sources?: object[], paperNames?: string[], aliases?: Object<string, string>}} [options]
+ * @returns {string[]}
+ */
+export function getCitedPapers(text, options) {
+  const papers = parseCitations(text, options)
+    .filter((segment) => segment.type === "citation")
+    .map((segment) => segment.paper);
+  return [...new Set(papers)];
+}
@@ -0,0 +1,173 @@
+// context-budget.js
+/**
+ * Context-window budgeting for chat prompts.
+ * Every prompt must fit the model's context window together with the
+ * retrieved context and the answer. When the conversation no longer fits,
+ * the oldest turns are folded into a rolling summary that rides along in the
+ * system message.
+ */
+
+export const DEFAULT_CONTEXT_WINDOW = 4096;
+const MESSAGE_OVERHEAD_TOKENS = 4; // Chat-template role markers around each message
+const SAFETY_MARGIN = 0.05; // Share of the window left free for estimation error
+
+/**
+ * Approximate token counter. Starts from a characters-per-token ratio typical
+ * of English prose and calibrates itself from the prompt token counts the
+ * engine reports, so estimates converge on the loaded model's tokenizer.
+ * @param {{charsPerToken?: number}} [options]
+ */
+export function createTokenCounter({ charsPerToken = 3.6 } = {}) {
+  let ratio = charsPerToken;
+
+  const count = (text) => Math.ceil((text || "").length / ratio);
+  const countMessages = (messages) =>
+    messages.reduce((total, message) => total + count(message.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+
+  return {
+    count,
+    countMessages,
+
+    get charsPerToken() {
+      return ratio;
+    },
+
+    /**
+     * Learn from a finished request.
+     * @param {{content: string}[]} messages - What was sent
+     * @param {number} promptTokens - What the engine counted
+     */
+    calibrate(messages, promptTokens) {
+      const chars = messages.reduce((total, message) => total + (message.content || "").length, 0);
+      const tokens = promptTokens - messages.length * MESSAGE_OVERHEAD_TOKENS;
+      if (!(tokens > 0) || chars === 0) return;
+      const observed = Math.min(6, Math.max(2, chars / tokens));
+      ratio = ratio * 0.7 + observed * 0.3;
+    },
+  };
+}
+
+/**
+ * Split a window into its reservations.
+ * @param {{contextWindow: number, answerTokens: number, contextShare?: number}} options
+ * @returns {{window: number, answer: number, margin: number, maxContext: number}}
+ */
+export function budgetFor({ contextWindow = DEFAULT_CONTEXT_WINDOW, answerTokens, contextShare = 0.4 }) {
+  const margin = Math.ceil(contextWindow * SAFETY_MARGIN);
+  const answer = Math.min(answerTokens, Math.floor(contextWindow / 3));
+  return { window: contextWindow, answer, margin, maxContext: Math.floor((contextWindow - answer - margin) * contextShare) };
+}
+
+/**
+ * Keep the best-ranked chunks whose text fits `maxTokens`.
+ * @param {object[]} chunks - In rank order
+ * @param {number} maxTokens
+ * @param {ReturnType<typeof createTokenCounter>} counter
+ * @returns {object[]}
+ */
+export function fitChunks(chunks, maxTokens, counter) {
+  const kept = [];
+  let used = 0;
+  for (const chunk of chunks) {
+    const tokens = counter.count(chunk.text) + 12; // "[n] Source: ..., page n" header
+    if (used + tokens > maxTokens && kept.length > 0) break;
+    kept.push(chunk);
+    used += tokens;
+  }
+  return kept;
+}
+
+/**
+ * Decide which earlier messages still fit. The newest messages are kept
+ * (never splitting a user/assistant pair), everything older is folded.
+ * @param {{content: string}[]} history - Earlier messages, oldest first, without the system message
+ * @param {number} available - Tokens left for them
+ * @param {ReturnType<typeof createTokenCounter>} counter
+ * @returns {{keep: object[], fold: object[]}}
+ */
+export function planHistory(history, available, counter) {
+  let used = 0;
+  let start = history.length;
+  while (start > 0) {
+    // Step back over whole turns: an assistant message together with its question
+    let next = start - 1;
+    if (history[next].role === "assistant" && next > 0 && history[next - 1].role === "user") next--;
+    const tokens = counter.countMessages(history.slice(next, start));
+    if (used + tokens > available) break;
+    used += tokens;
+    start = next;
+  }
+  return { keep: history.slice(start), fold: history.slice(0, start) };
+}
+
+/**
+ * Token usage of one prompt, for the System Controls meter.
+ * @returns {{window: number, system: number, summary: number, history: number, context: number, question: number, answer: number, used: number}}
+ */
+export function measureUsage({ budget, counter, system, summary, history, context = "", question = "" }) {
+  const usage = {
+    window: budget.window,
+    system: counter.count(system) + MESSAGE_OVERHEAD_TOKENS,
+    summary: summary ? counter.count(summary) : 0,
+    history: counter.countMessages(history),
+    context: counter.count(context),
+    question: question ? counter.count(question) + MESSAGE_OVERHEAD_TOKENS : 0,
+    answer: budget.answer,
+  };
+  usage.used = usage.system + usage.summary + usage.history + usage.context + usage.question + usage.answer;
+  return usage;
+}
+
+// --- Rolling summary ---
+
+export const SUMMARY_SYSTEM_PROMPT =
+  "You maintain the running summary of a conversation between a researcher and an AI literature assistant. " +
+  "Merge the previous summary with the new messages into one updated summary of at most 120 words. " +
+  "Keep the questions asked, the papers discussed, key findings and numbers, and any decisions or preferences the user stated. " +
+  "Write plain prose without headings. Output only the summary.";
+
+/**
+ * Fold earlier summary + messages into a new summary (LLM prompt).
+ * @param {string} previousSummary
+ * @param {{role: string, text: string}[]} turns - Messages to fold, with their display text
+ * @returns {{role: string, content: string}[]}
+ */
+export function buildSummaryMessages(previousSummary, turns) {
+  const transcript = turns
+    .map((turn) => `${turn.role === "user" ? "User" : "Assistant"}: ${turn.text.slice(0, 1500)}`)
+    .join("\n\n");
+  return [
+    { role: "system", content: SUMMARY_SYSTEM_PROMPT },
+    {
+      role: "user",
+      content: `Previous summary:\n${previousSummary || "(none)"}\n\nNew messages:\n${transcript}\n\nUpdated summary:`,
+    },
+  ];
+}
+
+/**
+ * Summary without an LLM: the user's questions and the first sentence of each
+ * answer, trimmed to `maxChars` from the end so the newest turns survive.
+ * @param {string} previousSummary
+ * @param {{role: string, text: string}[]} turns
+ * @param {number} [maxChars]
+ * @returns {string}
+ */
+export function fallbackSummary(previousSummary, turns, maxChars = 600) {
+  const lines = turns.map((turn) => {
+    const firstSentence = turn.text.replace(/\s+/g, " ").trim().match(/^.{1,200}?[.!?](\s|$)/)?.[0] ?? turn.text.slice(0, 200);
+    return turn.role === "user" ? `Asked: ${firstSentence.trim()}` : `Answered: ${firstSentence.trim()}`;
+  });
+  const summary = [previousSummary, ...lines].filter(Boolean).join(" ");
+  return summary.length > maxChars ? `…${summary.slice(-maxChars)}` : summary;
+}
+
+/**
+ * System message with the rolling summary appended.
+ * @param {string} systemPrompt
+ * @param {string} summary
+ * @returns {string}
+ */
+export function withSummary(systemPrompt, summary) {
+  return summary ? `${systemPrompt}\n\nSummary of the earlier conversation:\n${summary}` : systemPrompt;
+}
@@ -0,0 +1,242 @@
+// embedding-map.js
+/**
+ * 2D map of the library's chunk embeddings.
+ * Chunks are projected onto the first two principal components (PCA by power
+ * iteration, fast enough on the main thread for a few thousand 384-d vectors)
+ * and clustered with k-means on the full embeddings, so clusters reflect the
+ * embedding space rather than the flattened picture. Each cluster gets
+ * keywords (cluster-specific terms) that seed an LLM topic label.
+ */
+
+import { tokenize } from "./bm25.js";
+import { dotProduct } from "./vector-store.js";
+
+const PCA_ITERATIONS = 60;
+const KMEANS_ITERATIONS = 30;
+export const MAX_CLUSTERS = 10;
+const CLUSTER_KEYWORDS = 6;
+const LABEL_EXCERPTS = 3; // Excerpts per cluster shown to the labelling LLM
+const LABEL_EXCERPT_CHARS = 200;
+
+// Small seeded PRNG (mulberry32) so the same library gives the same map
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalizeInPlace(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+}
+
+/**
+ * Project vectors onto their first two principal components.
+ * @param {ArrayLike<number>[]} vectors
+ * @returns {{points: {x: number, y: number}[], variance: number[]}} `variance` is the share explained by each axis
+ */
+export function projectPCA(vectors) {
+  const n = vectors.length;
+  if (n === 0) return { points: [], variance: [0, 0] };
+  const dims = vectors[0].length;
+
+  const mean = new Float64Array(dims);
+  vectors.forEach((vector) => { for (let d = 0; d < dims; d++) mean[d] += vector[d] / n; });
+  const centred = vectors.map((vector) => Float64Array.from(vector, (value, d) => value - mean[d]));
+  const totalVariance = centred.reduce((sum, vector) => sum + dotProduct(vector, vector), 0) || 1;
+
+  const random = createRandom(42);
+  const components = [];
+  const variance = [];
+  for (let c = 0; c < 2; c++) {
+    // Power iteration on the covariance (X^T X v), deflated against earlier components
+    let component = normalizeInPlace(Float64Array.from({ length: dims }, () => random() - 0.5));
+    let eigenvalue = 0;
+    for (let iteration = 0; iteration < PCA_ITERATIONS; iteration++) {
+      const next = new Float64Array(dims);
+      centred.forEach((vector) => {
+        const projection = dotProduct(vector, component);
+        for (let d = 0; d < dims; d++) next[d] += projection * vector[d];
+      });
+      components.forEach((previous) => {
+        const overlap = dotProduct(next, previous);
+        for (let d = 0; d < dims; d++) next[d] -= overlap * previous[d];
+      });
+      eigenvalue = Math.sqrt(dotProduct(next, next));
+      if (eigenvalue === 0) break;
+      component = normalizeInPlace(next);
+    }
+    components.push(component);
+    variance.push(eigenvalue / totalVariance);
+  }
+
+  return {
+    points: centred.map((vector) => ({ x: dotProduct(vector, components[0]), y: dotProduct(vector, components[1]) })),
+    variance,
+  };
+}
+
+/**
+ * A sensible number of clusters for `count` chunks.
+ * @param {number} count
+ * @returns {number}
+ */
+export function defaultClusterCount(count) {
+  return Math.max(1, Math.min(MAX_CLUSTERS, count, Math.round(Math.sqrt(count / 4))));
+}
+
+/**
+ * Spherical k-means (cosine similarity) with k-means++ seeding.
+ * @param {ArrayLike<number>[]} vectors - Normalized embeddings
+ * @param {number} k
+ * @param {{seed?: number}} [options]
+ * @returns {number[]} Cluster index per vector
+ */
+export function kMeans(vectors, k, { seed = 1 } = {}) {
+  const n = vectors.length;
+  if (n === 0) return [];
+  k = Math.max(1, Math.min(k, n));
+  const random = createRandom(seed);
+
+  // k-means++: each next centroid is drawn with probability proportional to its distance
+  const centroids = [Float64Array.from(vectors[Math.floor(random() * n)])];
+  const distance = (vector) => Math.max(0, 1 - Math.max(...centroids.map((centroid) => dotProduct(vector, centroid))));
+  while (centroids.length < k) {
+    const distances = vectors.map(distance);
+    const total = distances.reduce((sum, value) => sum + value, 0);
+    let target = random() * total;
+    let index = distances.findIndex((value) => (target -= value) <= 0);
+    if (index === -1 || total === 0) index = Math.floor(random() * n);
+    centroids.push(Float64Array.from(vectors[index]));
+  }
+
+  const assignments = new Array(n).fill(-1);
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    let changed = false;
+    vectors.forEach((vector, i) => {
+      let best = 0;
+      let bestScore = -Infinity;
+      centroids.forEach((centroid, c) => {
+        const score = dotProduct(vector, centroid);
+        if (score > bestScore) {
+          bestScore = score;
+          best = c;
+        }
+      });
+      if (assignments[i] !== best) {
+        assignments[i] = best;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+
+    centroids.forEach((centroid, c) => {
+      const sum = new Float64Array(centroid.length);
+      let members = 0;
+      vectors.forEach((vector, i) => {
+        if (assignments[i] !== c) return;
+        members++;
+        for (let d = 0; d < sum.length; d++) sum[d] += vector[d];
+      });
+      if (members > 0) centroids[c] = normalizeInPlace(sum);
+    });
+  }
+  return assignments;
+}
+
+/**
+ * Per-cluster papers and keywords (terms frequent in the cluster and rare in the others).
+ * @param {object[]} chunks
+ * @param {number[]} assignments - From kMeans
+ * @returns {{id: number, size: number, papers: {name: string, count: number}[], keywords: string[], chunks: object[]}[]} Largest first
+ */
+export function summarizeClusters(chunks, assignments) {
+  const clusters = new Map();
+  chunks.forEach((chunk, i) => {
+    const id = assignments[i];
+    if (!clusters.has(id)) clusters.set(id, { id, chunks: [], terms: new Map() });
+    const cluster = clusters.get(id);
+    cluster.chunks.push(chunk);
+    tokenize(chunk.text)
+      .filter((term) => term.length > 2 && !/^\d+$/.test(term))
+      .forEach((term) => cluster.terms.set(term, (cluster.terms.get(term) || 0) + 1));
+  });
+
+  const clusterFrequency = new Map();
+  clusters.forEach(({ terms }) => terms.forEach((_, term) => clusterFrequency.set(term, (clusterFrequency.get(term) || 0) + 1)));
+
+  return [...clusters.values()]
+    .map(({ id, chunks: members, terms }) => {
+      const papers = new Map();
+      members.forEach((chunk) => papers.set(chunk.source, (papers.get(chunk.source) || 0) + 1));
+      const keywords = [...terms]
+        .map(([term, count]) => [term, count * Math.log(1 + clusters.size / clusterFrequency.get(term))])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, CLUSTER_KEYWORDS)
+        .map(([term]) => term);
+      return {
+        id,
+        size: members.length,
+        papers: [...papers].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count),
+        keywords,
+        chunks: members,
+      };
+    })
+    .sort((a, b) => b.size - a.size);
+}
+
+/**
+ * Messages asking the LLM for a short topic label per cluster.
+ * @param {ReturnType<typeof summarizeClusters>} clusters
+ * @returns {{role: string, content: string}[]}
+ */
+export function buildTopicLabelMessages(clusters) {
+  const described = clusters.map((cluster, i) => {
+    const excerpts = cluster.chunks
+      .slice(0, LABEL_EXCERPTS)
+      .map((chunk) => `  - ${chunk.text.replace(/\s+/g, " ").slice(0, LABEL_EXCERPT_CHARS)}`)
+      .join("\n");
+    return `Cluster ${i + 1}\n  Keywords: ${cluster.keywords.join(", ")}\n  Excerpts:\n${excerpts}`;
+  });
+
+  return [
+    {
+      role: "system",
+      content:
+        "You name research topics. For each cluster of paper excerpts, give a short topic label of two to five words. " +
+        `Reply with a JSON array of ${clusters.length} strings, one per cluster in order, and nothing else.`,
+    },
+    { role: "user", content: `${described.join("\n\n")}\n\nReply with the JSON array of labels.` },
+  ];
+}
+
+/**
+ * @param {string} reply
+ * @param {number} count
+ * @returns {(string|null)[]} One label per cluster, null where the reply had none
+ */
+export function parseTopicLabels(reply, count) {
+  let labels = null;
+  const json = /\[[\s\S]*\]/.exec(reply || "")?.[0];
+  try {
+    if (json) labels = JSON.parse(json);
+  } catch {
+    labels = null;
+  }
+  // Fall back to one label per line: "1. Attention mechanisms"
+  if (!Array.isArray(labels)) {
+    labels = (reply || "").split("\n").map((line) => line.replace(/^\s*(\d+[.):]|[-*])\s*/, "").trim()).filter(Boolean);
+  }
+  return Array.from({ length: count }, (_, i) => {
+    const label = typeof labels[i] === "string" ? labels[i].replace(/^["']|["']$/g, "").trim() : "";
+    return label ? label.slice(0, 60) : null;
+  });
+}
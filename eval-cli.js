@@ -0,0 +1,133 @@
+// eval-cli.js
+/**
+ * Headless evaluation runner (Node 20+), using the stub embedder and engine:
+ *
+ *   node --experimental-default-type=module eval-cli.js <testset.json> <papers-dir> [options]
+ *
+ *   --k <n>                  Chunks retrieved per question (default: test set k, else 5)
+ *   --mode <m>               hybrid | vector | keyword (default hybrid)
+ *   --strategy <s>           Chunking strategy (see chunking.js)
+ *   --chunk-size <n>         --chunk-overlap <n>
+ *   --diversity <x>          --min-similarity <x>
+ *   --answers                Generate answers with the stub engine and score citations
+ *   --json <file>            Also write the full results as JSON
+ *
+ * Papers are the .txt, .md and .tex files in <papers-dir>, named by filename
+ * as in the app. PDFs need the browser page (eval.html).
+ */
+
+import { readFile, readdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+import { DEFAULT_CHUNKING, CHUNKING_STRATEGIES, buildChunks } from "./chunking.js";
+import { createBM25Index } from "./bm25.js";
+import { DEFAULT_RETRIEVAL, chunkKey } from "./retrieval.js";
+import { createVectorStore } from "./vector-store.js";
+import { createRetriever } from "./retriever.js";
+import { createEngineClient } from "./agents.js";
+import { parseTestSet, runEvaluation, buildAnswerMessages, formatReport } from "./evaluation.js";
+import { createStubEmbedder, createStubEngine } from "./eval-stubs.js";
+
+const TEXT_EXTENSIONS = /\.(txt|md|tex)$/i;
+const RETRIEVAL_MODES = ["hybrid", "vector", "keyword"];
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) positional.push(arg);
+    else if (arg === "--answers") options.answers = true;
+    else options[arg.slice(2)] = argv[++i];
+  }
+  return { positional, options };
+}
+
+function numberOption(value, fallback) {
+  const number = Number(value);
+  return value === undefined || Number.isNaN(number) ? fallback : number;
+}
+
+async function loadPapers(dir, chunking) {
+  const names = (await readdir(dir)).filter((name) => TEXT_EXTENSIONS.test(name)).sort();
+  const chunks = [];
+  for (const name of names) {
+    const text = await readFile(join(dir, name), "utf8");
+    chunks.push(...buildChunks(text, name, [], chunking));
+  }
+  return { names, chunks };
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [testSetPath, papersDir] = positional;
+  if (!testSetPath || !papersDir) {
+    console.error("Usage: node --experimental-default-type=module eval-cli.js <testset.json> <papers-dir> [--k n] [--mode hybrid|vector|keyword] [--answers] [--json out.json]");
+    process.exit(2);
+  }
+
+  const mode = options.mode || "hybrid";
+  if (!RETRIEVAL_MODES.includes(mode)) throw new Error(`Unknown retrieval mode "${mode}"`);
+  const strategy = options.strategy || DEFAULT_CHUNKING.strategy;
+  if (!CHUNKING_STRATEGIES[strategy]) throw new Error(`Unknown chunking strategy "${strategy}"`);
+
+  const chunking = {
+    ...DEFAULT_CHUNKING,
+    strategy,
+    chunkSize: numberOption(options["chunk-size"], DEFAULT_CHUNKING.chunkSize),
+    chunkOverlap: numberOption(options["chunk-overlap"], DEFAULT_CHUNKING.chunkOverlap),
+  };
+  const settings = {
+    ...DEFAULT_RETRIEVAL,
+    diversity: numberOption(options.diversity, DEFAULT_RETRIEVAL.diversity),
+    minSimilarity: numberOption(options["min-similarity"], DEFAULT_RETRIEVAL.minSimilarity),
+    rerank: false, // No cross-encoder without Transformers.js
+  };
+
+  const testSet = parseTestSet(await readFile(testSetPath, "utf8"));
+  const { names, chunks } = await loadPapers(papersDir, chunking);
+  if (chunks.length === 0) throw new Error(`No .txt, .md or .tex papers in ${papersDir}`);
+  console.log(`📚 ${names.length} papers, ${chunks.length} chunks (${strategy}, ${chunking.chunkSize}/${chunking.chunkOverlap})`);
+
+  // Same indexes as the app, filled with stub embeddings
+  const embed = createStubEmbedder();
+  const chunkLookup = new Map();
+  const vectorIndex = createVectorStore();
+  const keywordIndex = createBM25Index();
+  for (const chunk of chunks) {
+    const key = chunkKey(chunk);
+    chunkLookup.set(key, chunk);
+    vectorIndex.add(key, await embed(chunk.text));
+    keywordIndex.add(key, chunk.text);
+  }
+
+  const retriever = createRetriever({ vectorIndex, keywordIndex, chunkLookup, embedQuery: embed });
+  const client = options.answers ? createEngineClient(createStubEngine()) : null;
+
+  // Retrieval logging is for the browser console; keep the report readable
+  const log = console.log;
+  console.log = () => {};
+  let evaluation;
+  try {
+    evaluation = await runEvaluation({
+      testSet,
+      k: options.k ? numberOption(options.k, null) : null,
+      paperNames: names,
+      search: (question, { topK }) => retriever.search(question, { ...settings, mode, topK }),
+      answer: client && ((question, retrieved) => client.complete(buildAnswerMessages(question, retrieved), { temperature: 0 })),
+    });
+  } finally {
+    console.log = log;
+  }
+
+  console.log(`\n${formatReport(evaluation)}`);
+  if (options.json) {
+    await writeFile(options.json, JSON.stringify({ settings: { mode, chunking, diversity: settings.diversity, minSimilarity: settings.minSimilarity }, ...evaluation }, null, 2));
+    console.log(`\n💾 Results written to ${options.json}`);
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Evaluation failed:", error.message);
+  process.exit(1);
+});
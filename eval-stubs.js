@@ -0,0 +1,133 @@
+// eval-stubs.js
+/**
+ * Stand-ins for the models so evaluation.js runs without a GPU or downloads.
+ *
+ * - createStubEmbedder: hashed bag-of-words vectors (same stopwords and
+ *   tokens as the BM25 index), normalized, in the embedder's dimensions.
+ *   Far weaker than MiniLM, but deterministic.
+ * - createStubEngine: a WebLLM-shaped engine that answers from the prompt's
+ *   document context, quoting the passage that best overlaps the question and
+ *   citing it by number. Prompts without numbered context but with
+ *   "--- NOTES ---" sections (the review agents') get the instruction echoed
+ *   with the first sentence of the last section, so each agent's output shows
+ *   up in the next one's. Streaming and non-streaming completions both work,
+ *   so it drops into createEngineClient.
+ */
+
+import { tokenize } from "./bm25.js";
+
+const STUB_DIMENSIONS = 384; // Same as all-MiniLM-L6-v2
+const CONTEXT_ENTRY = /^\[(\d+)\] Source: (.*)$/;
+const NOTES_SECTION = /^--- (?!END )[A-Z ]+ ---\n([\s\S]*?)\n--- END [A-Z ]+ ---$/gm;
+
+// FNV-1a, enough to spread terms over the dimensions
+function hashTerm(term) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * @param {{dimensions?: number}} [options]
+ * @returns {(text: string) => Promise<Float32Array>}
+ */
+export function createStubEmbedder({ dimensions = STUB_DIMENSIONS } = {}) {
+  return async function embed(text) {
+    const vector = new Float32Array(dimensions);
+    tokenize(text).forEach((term) => {
+      const hash = hashTerm(term);
+      vector[hash % dimensions] += hash & 0x80000000 ? -1 : 1;
+    });
+
+    let norm = 0;
+    for (let i = 0; i < dimensions; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < dimensions; i++) vector[i] /= norm;
+    return vector;
+  };
+}
+
+// Numbered entries of a renderContextBlock prompt, and the question after it
+function readPrompt(prompt) {
+  const [context, after = prompt] = prompt.split("--- END CONTEXT ---");
+  const entries = [];
+  context.split("\n").forEach((line) => {
+    const match = CONTEXT_ENTRY.exec(line);
+    if (match) entries.push({ number: Number(match[1]), text: "" });
+    else if (entries.length > 0) entries[entries.length - 1].text += `${line} `;
+  });
+  return { entries, question: after.trim().split("\n").pop() };
+}
+
+function firstSentence(text) {
+  return text.trim().replace(/\s+/g, " ").split(/(?<=[.!?])\s+/)[0];
+}
+
+// Agent prompts: the instruction plus the gist of the latest notes
+function notesAnswer(prompt) {
+  const sections = [...prompt.matchAll(NOTES_SECTION)];
+  if (sections.length === 0) return null;
+  const instruction = prompt.trim().split("\n").pop();
+  return `${instruction} ${firstSentence(sections[sections.length - 1][1])}`;
+}
+
+function stubAnswer(messages) {
+  const prompt = [...messages].reverse().find((message) => message.role === "user")?.content || "";
+  const { entries, question } = readPrompt(prompt);
+  if (entries.length === 0) return notesAnswer(prompt) || "I could not find anything about this in the uploaded papers.";
+
+  const wanted = new Set(tokenize(question));
+  const overlap = (entry) => tokenize(entry.text).filter((term) => wanted.has(term)).length;
+  const ranked = [...entries].sort((a, b) => overlap(b) - overlap(a) || a.number - b.number);
+
+  return ranked
+    .slice(0, 2)
+    .map((entry) => {
+      const sentence = entry.text.trim().split(/(?<=[.!?])\s+/)[0];
+      return `${sentence} [${entry.number}]`;
+    })
+    .join(" ");
+}
+
+function usageFor(messages, text) {
+  const prompt_tokens = Math.ceil(messages.reduce((sum, message) => sum + message.content.length, 0) / 4);
+  const completion_tokens = Math.ceil(text.length / 4);
+  return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+}
+
+/**
+ * @returns {{chat: {completions: {create: Function}}, interruptGenerate: Function}}
+ */
+export function createStubEngine() {
+  let interrupted = false;
+
+  async function* streamReply(messages, text) {
+    for (const word of text.split(/(?<=\s)/)) {
+      if (interrupted) break;
+      yield { choices: [{ delta: { content: word }, finish_reason: null }] };
+    }
+    yield { choices: [{ delta: {}, finish_reason: interrupted ? "abort" : "stop" }], usage: usageFor(messages, text) };
+  }
+
+  return {
+    chat: {
+      completions: {
+        async create({ messages, stream = false }) {
+          interrupted = false;
+          const text = stubAnswer(messages);
+          if (stream) return streamReply(messages, text);
+          return {
+            choices: [{ message: { role: "assistant", content: text }, finish_reason: "stop" }],
+            usage: usageFor(messages, text),
+          };
+        },
+      },
+    },
+    interruptGenerate() {
+      interrupted = true;
+    },
+  };
+}
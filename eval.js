@@ -0,0 +1,173 @@
+// eval.js
+console.log("✅ eval.js loaded");
+
+/**
+ * Evaluation page: runs a JSON test set (see evaluation.js) against the
+ * library stored in IndexedDB, through the same retriever as the chat.
+ * The embedder and the answering engine can be swapped for the stubs in
+ * eval-stubs.js, which need no model downloads or GPU.
+ */
+
+import { CreateMLCEngine } from "https://esm.run/@mlc-ai/web-llm";
+import {
+  pipeline,
+  AutoTokenizer,
+  AutoModelForSequenceClassification,
+} from "https://cdn.jsdelivr.net/npm/@xenova/transformers@2.6.0";
+import { loadLibrary } from "./storage.js";
+import { createBM25Index } from "./bm25.js";
+import { DEFAULT_RETRIEVAL, chunkKey } from "./retrieval.js";
+import { createVectorStore } from "./vector-store.js";
+import { createRetriever } from "./retriever.js";
+import { createEngineClient } from "./agents.js";
+import { citationLabels } from "./metadata.js";
+import { parseTestSet, runEvaluation, buildAnswerMessages, formatReport } from "./evaluation.js";
+import { createStubEmbedder, createStubEngine } from "./eval-stubs.js";
+
+const EMBEDDING_MODEL = "Xenova/all-MiniLM-L6-v2";
+const RERANK_MODEL = "Xenova/ms-marco-MiniLM-L-6-v2";
+const ANSWER_MODEL = "Llama-3.2-1B-Instruct-q4f32_1-MLC";
+const ANSWER_MAX_TOKENS = 512;
+
+// --- UI Refs ---
+const testSetInput = document.getElementById("eval-testset");
+const kInput = document.getElementById("eval-k");
+const modeSelect = document.getElementById("eval-mode");
+const embedderSelect = document.getElementById("eval-embedder");
+const answersSelect = document.getElementById("eval-answers");
+const diversityInput = document.getElementById("eval-diversity");
+const rerankCheckbox = document.getElementById("eval-rerank");
+const runBtn = document.getElementById("eval-run");
+const downloadBtn = document.getElementById("eval-download");
+const statusEl = document.getElementById("eval-status");
+const reportEl = document.getElementById("eval-report");
+
+let lastEvaluation = null;
+let engine = null; // WebLLM, kept across runs
+
+function setStatus(text) {
+  statusEl.textContent = text;
+  console.log(`🧪 ${text}`);
+}
+
+// --- Models ---
+async function modelEmbedder() {
+  setStatus("Loading embedding model…");
+  const extractor = await pipeline("feature-extraction", EMBEDDING_MODEL);
+  return async (text) => Float32Array.from((await extractor(text, { pooling: "mean", normalize: true })).data);
+}
+
+let reranker = null;
+async function crossEncode(query, chunks) {
+  reranker ??= Promise.all([
+    AutoTokenizer.from_pretrained(RERANK_MODEL),
+    AutoModelForSequenceClassification.from_pretrained(RERANK_MODEL),
+  ]);
+  const [tokenizer, model] = await reranker;
+  const inputs = tokenizer(new Array(chunks.length).fill(query), {
+    text_pair: chunks.map((chunk) => chunk.text),
+    padding: true,
+    truncation: true,
+  });
+  const { logits } = await model(inputs);
+  return Array.from(logits.data, (logit) => 1 / (1 + Math.exp(-logit)));
+}
+
+async function answerClient(kind) {
+  if (kind === "stub") return createEngineClient(createStubEngine());
+  if (!engine) {
+    engine = await CreateMLCEngine(ANSWER_MODEL, {
+      initProgressCallback: (report) => setStatus(`Loading ${ANSWER_MODEL}: ${report.text}`),
+    });
+  }
+  return createEngineClient(engine);
+}
+
+// --- Library ---
+// Stored embeddings come from MiniLM; the stub embedder re-embeds every chunk so queries and chunks match
+async function buildRetriever(chunks, embed, useStoredEmbeddings) {
+  const chunkLookup = new Map();
+  const vectorIndex = createVectorStore();
+  const keywordIndex = createBM25Index();
+  for (const [i, chunk] of chunks.entries()) {
+    const key = chunkKey(chunk);
+    const embedding = useStoredEmbeddings ? chunk.embedding : await embed(chunk.text);
+    if (!embedding) continue;
+    chunkLookup.set(key, chunk);
+    vectorIndex.add(key, embedding);
+    keywordIndex.add(key, chunk.text);
+    if (!useStoredEmbeddings && i % 200 === 0) setStatus(`Embedding chunks with the stub (${i}/${chunks.length})…`);
+  }
+  return createRetriever({ vectorIndex, keywordIndex, chunkLookup, embedQuery: embed, crossEncode });
+}
+
+async function runEval() {
+  const file = testSetInput.files[0];
+  if (!file) {
+    setStatus("Choose a test set first.");
+    return;
+  }
+
+  runBtn.disabled = true;
+  downloadBtn.disabled = true;
+  try {
+    const testSet = parseTestSet(await file.text());
+
+    setStatus("Loading library…");
+    const { papers, chunks } = await loadLibrary();
+    if (chunks.length === 0) {
+      setStatus("The library is empty. Upload papers in the app first.");
+      return;
+    }
+
+    const useStub = embedderSelect.value === "stub";
+    const embed = useStub ? createStubEmbedder() : await modelEmbedder();
+    const retriever = await buildRetriever(chunks, embed, !useStub);
+
+    const labels = citationLabels(papers);
+    const aliases = {};
+    labels.forEach((label, name) => { if (label) aliases[label] = name; });
+    const labelFor = (name) => labels.get(name) || name;
+
+    const client = answersSelect.value === "none" ? null : await answerClient(answersSelect.value);
+    const settings = {
+      ...DEFAULT_RETRIEVAL,
+      mode: modeSelect.value,
+      diversity: Math.min(1, Math.max(0, parseFloat(diversityInput.value) || 0)),
+      rerank: rerankCheckbox.checked,
+    };
+
+    lastEvaluation = await runEvaluation({
+      testSet,
+      k: parseInt(kInput.value, 10) || null,
+      paperNames: papers.map((paper) => paper.name),
+      aliases,
+      search: (question, { topK }) => retriever.search(question, { ...settings, topK }),
+      answer: client && ((question, retrieved) =>
+        client.complete(buildAnswerMessages(question, retrieved, { labelFor }), { temperature: 0, maxTokens: ANSWER_MAX_TOKENS })),
+      onCase: (result, index, total) => setStatus(`Question ${index + 1}/${total}: ${result.id}`),
+    });
+
+    reportEl.textContent = formatReport(lastEvaluation);
+    downloadBtn.disabled = false;
+    setStatus(`Done: ${testSet.cases.length} questions over ${papers.length} papers (${useStub ? "stub" : "MiniLM"} embedder).`);
+  } catch (error) {
+    console.error("❌ Evaluation failed:", error);
+    setStatus(`Evaluation failed: ${error.message}`);
+  } finally {
+    runBtn.disabled = false;
+  }
+}
+
+function downloadResults() {
+  if (!lastEvaluation) return;
+  const blob = new Blob([JSON.stringify(lastEvaluation, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `evaluation-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+runBtn.addEventListener("click", runEval);
+downloadBtn.addEventListener("click", downloadResults);
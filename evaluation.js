@@ -0,0 +1,298 @@
+// evaluation.js
+/**
+ * Retrieval and answer-quality evaluation.
+ * A test set lists questions with the papers that should be retrieved for
+ * them and, optionally, snippets the answer should contain:
+ *
+ *   { "name": "transformers", "k": 5, "cases": [
+ *       { "id": "q1", "question": "How is attention scaled?",
+ *         "sources": ["vaswani2017.pdf"], "answer": ["square root"] } ] }
+ *
+ * (A bare array of cases works too.) Papers are matched by filename, with or
+ * without the extension. Questions go through the same retriever as
+ * searchSimilarChunks; the report has recall@k, MRR and per-paper hit rates,
+ * and for generated answers citation correctness (every cited paper must be
+ * among the retrieved chunks) and snippet recall.
+ *
+ * Nothing here touches the DOM or loads models, so it runs headlessly with
+ * the stubs in eval-stubs.js (see eval-cli.js).
+ */
+
+import { parseCitations } from "./citations.js";
+import { renderContextBlock, renderUserPrompt } from "./messages.js";
+
+export const DEFAULT_EVAL_K = 5;
+
+const EVAL_SYSTEM_PROMPT =
+  "You are an expert Academic Researcher. Answer from the provided document context only " +
+  "and cite the sources you use.";
+
+// Bracket contents that look like a citation even when they do not resolve to a retrieved source
+const NUMERIC_CITATION = /^\s*(source:\s*)?\d+(\s*[,;]\s*\d+)*\s*$/i;
+const FILENAME_CITATION = /\.(pdf|txt|md|html?|tex)\b/i;
+const BRACKET_PATTERN = /\[([^[\]\n]{1,200})\]/g;
+
+function paperKey(name) {
+  return String(name || "").toLowerCase().replace(/\.(pdf|txt|md|html?|tex)$/i, "").trim();
+}
+
+function normalizeText(text) {
+  return String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map((item) => String(item).trim()).filter(Boolean);
+}
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Validate and normalize a test set.
+ * @param {object|object[]|string} data - Parsed JSON, or the JSON text
+ * @returns {{name: string, k: number|null, cases: {id: string, question: string, sources: string[], snippets: string[]}[]}}
+ */
+export function parseTestSet(data) {
+  const parsed = typeof data === "string" ? JSON.parse(data) : data;
+  const rawCases = Array.isArray(parsed) ? parsed : parsed?.cases;
+  if (!Array.isArray(rawCases) || rawCases.length === 0) {
+    throw new Error('Test set needs a non-empty "cases" array');
+  }
+
+  const cases = rawCases.map((raw, i) => {
+    const question = typeof raw?.question === "string" ? raw.question.trim() : "";
+    if (!question) throw new Error(`Case ${i + 1} has no question`);
+    return {
+      id: String(raw.id ?? `q${i + 1}`),
+      question,
+      sources: asList(raw.sources ?? raw.expectedSources),
+      snippets: asList(raw.answer ?? raw.snippets),
+    };
+  });
+
+  const k = parseInt(parsed?.k, 10);
+  return { name: String(parsed?.name || "Untitled test set"), k: k > 0 ? k : null, cases };
+}
+
+/**
+ * Retrieval metrics for one question.
+ * @param {object[]} chunks - Retrieved chunks, best first
+ * @param {string[]} expected - Paper names that should be retrieved
+ * @param {number} k
+ * @returns {{retrieved: string[], found: string[], missed: string[], recall: number|null, reciprocalRank: number|null, hit: boolean|null}}
+ *   Metrics are null when the case lists no expected papers
+ */
+export function scoreRetrieval(chunks, expected, k) {
+  const top = chunks.slice(0, k);
+  const retrieved = [...new Set(top.map((chunk) => chunk.source))];
+  const retrievedKeys = new Set(retrieved.map(paperKey));
+  const found = expected.filter((name) => retrievedKeys.has(paperKey(name)));
+  const missed = expected.filter((name) => !retrievedKeys.has(paperKey(name)));
+  if (expected.length === 0) return { retrieved, found, missed, recall: null, reciprocalRank: null, hit: null };
+
+  // Rank of the first chunk from any expected paper
+  const expectedKeys = new Set(expected.map(paperKey));
+  const firstRank = top.findIndex((chunk) => expectedKeys.has(paperKey(chunk.source)));
+  return {
+    retrieved,
+    found,
+    missed,
+    recall: found.length / expected.length,
+    reciprocalRank: firstRank === -1 ? 0 : 1 / (firstRank + 1),
+    hit: found.length > 0,
+  };
+}
+
+/**
+ * Citation correctness of a generated answer: every citation must point at a
+ * chunk or paper that was retrieved for it. Numbers outside [1..n] and
+ * filenames that are not among the retrieved papers count as invalid.
+ * @param {string} text - The answer
+ * @param {object[]} chunks - The chunks numbered [1..n] in its prompt
+ * @param {{paperNames?: string[], aliases?: Object<string, string>}} [options] - The whole library, so papers that were not retrieved still resolve
+ * @returns {{cited: string[], invalid: string[], citations: number, correct: boolean, precision: number|null}}
+ */
+export function scoreCitations(text, chunks, { paperNames = [], aliases = {} } = {}) {
+  const retrievedKeys = new Set(chunks.map((chunk) => paperKey(chunk.source)));
+  const names = [...new Set([...paperNames, ...chunks.map((chunk) => chunk.source)])];
+  const citations = parseCitations(text, { sources: chunks, paperNames: names, aliases })
+    .filter((segment) => segment.type === "citation");
+
+  const invalid = citations
+    .filter((citation) => !retrievedKeys.has(paperKey(citation.paper)))
+    .map((citation) => citation.raw);
+
+  // What the parser drops or leaves as text: "[7]" or "[2, 7]" with five sources, "[missing.pdf]"
+  let unresolved = 0;
+  for (const match of (text || "").matchAll(BRACKET_PATTERN)) {
+    if (NUMERIC_CITATION.test(match[1])) {
+      const outOfRange = match[1].match(/\d+/g).filter((n) => n < 1 || n > chunks.length).length;
+      if (outOfRange > 0) invalid.push(match[0]);
+      unresolved += outOfRange;
+    } else if (FILENAME_CITATION.test(match[1]) && !citations.some((citation) => citation.raw === match[0])) {
+      invalid.push(match[0]);
+      unresolved++;
+    }
+  }
+
+  const total = citations.length + unresolved;
+  const wrong = citations.length - citations.filter((citation) => retrievedKeys.has(paperKey(citation.paper))).length + unresolved;
+  return {
+    cited: [...new Set(citations.map((citation) => citation.paper))],
+    invalid: [...new Set(invalid)],
+    citations: total,
+    correct: wrong === 0,
+    precision: total > 0 ? (total - wrong) / total : null,
+  };
+}
+
+/**
+ * Share of expected snippets that appear in the answer (case and whitespace insensitive).
+ * @param {string} text
+ * @param {string[]} snippets
+ * @returns {{matched: string[], missing: string[], recall: number|null}}
+ */
+export function scoreSnippets(text, snippets) {
+  const answer = normalizeText(text);
+  const matched = snippets.filter((snippet) => answer.includes(normalizeText(snippet)));
+  return {
+    matched,
+    missing: snippets.filter((snippet) => !matched.includes(snippet)),
+    recall: snippets.length > 0 ? matched.length / snippets.length : null,
+  };
+}
+
+/**
+ * Prompt for an evaluated answer, rendered like a chat turn in the app.
+ * @param {string} question
+ * @param {object[]} chunks
+ * @param {{system?: string, labelFor?: (paperName: string) => string}} [options]
+ * @returns {{role: string, content: string}[]}
+ */
+export function buildAnswerMessages(question, chunks, { system = EVAL_SYSTEM_PROMPT, labelFor } = {}) {
+  return [
+    { role: "system", content: system },
+    { role: "user", content: renderUserPrompt(question, renderContextBlock(chunks, labelFor)) },
+  ];
+}
+
+/**
+ * Run a test set.
+ * @param {object} options
+ * @param {ReturnType<typeof parseTestSet>} options.testSet
+ * @param {(question: string, options: {topK: number}) => Promise<object[]>} options.search - Retrieval under test
+ * @param {(question: string, chunks: object[]) => Promise<string>} [options.answer] - Generates an answer; skipped when omitted
+ * @param {string[]} [options.paperNames] - Library papers, for citation parsing
+ * @param {Object<string, string>} [options.aliases] - Citation label -> paper name
+ * @param {number} [options.k] - Overrides the test set's k
+ * @param {(result: object, index: number, total: number) => void} [options.onCase] - Progress callback
+ * @returns {Promise<{name: string, k: number, cases: object[], summary: object}>}
+ */
+export async function runEvaluation({ testSet, search, answer = null, paperNames = [], aliases = {}, k = null, onCase }) {
+  const topK = k || testSet.k || DEFAULT_EVAL_K;
+  const results = [];
+
+  for (const [index, testCase] of testSet.cases.entries()) {
+    const started = performance.now();
+    const chunks = await search(testCase.question, { topK });
+    const result = {
+      id: testCase.id,
+      question: testCase.question,
+      expected: testCase.sources,
+      ...scoreRetrieval(chunks, testCase.sources, topK),
+      searchMs: performance.now() - started,
+      answer: null,
+      citation: null,
+      snippets: null,
+    };
+
+    if (answer) {
+      result.answer = await answer(testCase.question, chunks);
+      result.citation = scoreCitations(result.answer, chunks, { paperNames, aliases });
+      result.snippets = scoreSnippets(result.answer, testCase.snippets);
+    }
+
+    results.push(result);
+    onCase?.(result, index, testSet.cases.length);
+  }
+
+  return { name: testSet.name, k: topK, cases: results, summary: summarize(results) };
+}
+
+function summarize(results) {
+  const scored = results.filter((result) => result.recall !== null);
+
+  const perPaper = {};
+  scored.forEach((result) => {
+    result.expected.forEach((name) => {
+      perPaper[name] ??= { cases: 0, hits: 0, hitRate: 0 };
+      perPaper[name].cases++;
+      if (result.found.includes(name)) perPaper[name].hits++;
+    });
+  });
+  Object.values(perPaper).forEach((entry) => { entry.hitRate = entry.hits / entry.cases; });
+
+  const answered = results.filter((result) => result.citation);
+  const withSnippets = answered.filter((result) => result.snippets.recall !== null);
+  return {
+    cases: results.length,
+    scoredCases: scored.length,
+    recallAtK: mean(scored.map((result) => result.recall)),
+    mrr: mean(scored.map((result) => result.reciprocalRank)),
+    hitRate: mean(scored.map((result) => (result.hit ? 1 : 0))),
+    perPaper,
+    answered: answered.length,
+    citationAccuracy: mean(answered.map((result) => (result.citation.correct ? 1 : 0))),
+    citationPrecision: mean(answered.map((result) => result.citation.precision).filter((value) => value !== null)),
+    snippetRecall: mean(withSnippets.map((result) => result.snippets.recall)),
+    meanSearchMs: mean(results.map((result) => result.searchMs)),
+  };
+}
+
+/**
+ * Plain-text report, for the console and the evaluation page.
+ * @param {{name: string, k: number, cases: object[], summary: object}} evaluation
+ * @returns {string}
+ */
+export function formatReport({ name, k, cases, summary }) {
+  const value = (number, digits = 3) => (number === null || number === undefined ? "n/a" : number.toFixed(digits));
+  const lines = [
+    `Evaluation: ${name} (${summary.cases} questions, k = ${k})`,
+    "",
+    `recall@${k}    ${value(summary.recallAtK)}`,
+    `MRR         ${value(summary.mrr)}`,
+    `hit rate    ${value(summary.hitRate)}`,
+    `search      ${value(summary.meanSearchMs, 1)} ms per question`,
+  ];
+
+  if (summary.answered > 0) {
+    lines.push(
+      `citations   ${value(summary.citationAccuracy)} of answers fully correct, precision ${value(summary.citationPrecision)}`,
+      `snippets    ${value(summary.snippetRecall)} recall`
+    );
+  }
+
+  const papers = Object.entries(summary.perPaper);
+  if (papers.length > 0) {
+    lines.push("", "Per paper:");
+    const width = Math.max(...papers.map(([paper]) => paper.length));
+    papers
+      .sort((a, b) => a[1].hitRate - b[1].hitRate || a[0].localeCompare(b[0]))
+      .forEach(([paper, entry]) => {
+        lines.push(`  ${paper.padEnd(width)}  ${entry.hits}/${entry.cases}  ${value(entry.hitRate, 2)}`);
+      });
+  }
+
+  const failures = cases.filter((result) => result.missed.length > 0 || result.citation?.correct === false);
+  if (failures.length > 0) {
+    lines.push("", "Misses:");
+    failures.forEach((result) => {
+      const notes = [];
+      if (result.missed.length > 0) notes.push(`missed ${result.missed.join(", ")} (got ${result.retrieved.join(", ") || "nothing"})`);
+      if (result.citation?.correct === false) notes.push(`invalid citations ${result.citation.invalid.join(" ")}`);
+      lines.push(`  ${result.id}: ${notes.join("; ")}`);
+    });
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,489 @@
+// exporters.js
+/**
+ * Export answers and whole conversations as Markdown, LaTeX (+ .bib) and DOCX.
+ * Inline citations ("[2]", "[paper.pdf]", "[Vaswani et al., 2017]") are
+ * resolved with the same parser the chat uses, and the reference list only
+ * holds the papers that were actually cited from the retrieved chunks.
+ */
+
+import { parseCitations } from "./citations.js";
+import { citationLabels, citationSuffixes, formatCitationLabel, lastName } from "./metadata.js";
+import { citationKey, formatBibEntry } from "./bibtex.js";
+import { createZip } from "./zip.js";
+
+const APP_NAME = "AI Paper Assistant";
+const MAX_REFERENCE_AUTHORS = 6;
+
+// --- Citations ---
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Citations of papers the answer did not retrieve are left as the text they were
+// written as, so References only lists what the answer drew on. Answers without
+// retrieved sources (agent-written reviews) keep every citation
+function retrievedCitations(segments, sources) {
+  if (sources.length === 0) return segments;
+  const retrieved = new Set(sources.map((source) => source.source));
+  const result = [];
+  let bracket = [];
+  const flush = () => {
+    const kept = bracket.filter((segment) => retrieved.has(segment.paper));
+    if (kept.length > 0) result.push(...kept);
+    else if (bracket.length > 0) result.push({ type: "text", text: bracket[0].raw });
+    bracket = [];
+  };
+
+  segments.forEach((segment) => {
+    // One bracket ("[1, 3]") yields one segment per citation, all with the same raw text
+    if (segment.type !== "citation" || bracket[0]?.raw !== segment.raw) flush();
+    if (segment.type === "citation") bracket.push(segment);
+    else result.push(segment);
+  });
+  flush();
+  return result;
+}
+
+// Resolve every answer's citations and group adjacent ones: "[1][3]" becomes a
+// single group, so it exports as one "(A, 2017; B, 2020)" or \citep{a,b}
+function prepareExport({ messages = [], papers = [] }) {
+  const paperNames = papers.map((paper) => paper.name);
+  const aliases = {};
+  citationLabels(papers).forEach((label, name) => {
+    if (label) aliases[label] = name;
+  });
+  // 2020a/2020b are worked out across the whole library, so they match the chat's labels
+  const suffixes = citationSuffixes(papers);
+
+  const cited = [];
+  const keys = new Map(); // paper name -> citation key
+  const usedKeys = new Set();
+  const cite = (name) => {
+    if (keys.has(name)) return;
+    const paper = papers.find((candidate) => candidate.name === name) || { name, metadata: {} };
+    keys.set(name, citationKey(paper.metadata, name, usedKeys));
+    cited.push(paper);
+  };
+
+  const blocks = messages.map((message) => {
+    if (message.role !== "assistant") return { role: message.role, parts: [{ type: "text", text: message.text || "" }] };
+
+    const sources = message.sources || [];
+    const parts = [];
+    retrievedCitations(parseCitations(message.text, { sources, paperNames, aliases }), sources).forEach((segment) => {
+      if (segment.type === "text") {
+        const previous = parts[parts.length - 1];
+        // Whitespace between two citations does not split the group
+        if (previous?.type === "citations" && !segment.text.trim()) return;
+        parts.push({ type: "text", text: segment.text });
+        return;
+      }
+
+      cite(segment.paper);
+      // Only numbered citations point at a specific retrieved chunk, and so a page
+      const chunk = /^\d+$/.test(segment.label) && segment.sourceIndex !== null ? sources[segment.sourceIndex] : null;
+      let group = parts[parts.length - 1];
+      if (group?.type !== "citations") {
+        group = { type: "citations", items: [] };
+        parts.push(group);
+      }
+      const item = group.items.find((existing) => existing.paper === segment.paper);
+      if (item) {
+        if (chunk?.page && !item.pages.includes(chunk.page)) item.pages.push(chunk.page);
+      } else {
+        group.items.push({ paper: segment.paper, pages: chunk?.page ? [chunk.page] : [] });
+      }
+    });
+    return { role: "assistant", parts };
+  });
+
+  return { blocks, cited, keys, suffixes };
+}
+
+function parentheticalLabel(paper, suffixes) {
+  return formatCitationLabel(paper.metadata, { parenthetical: true, suffix: suffixes.get(paper.name) || "" }) ||
+    paper.metadata?.title || paper.name;
+}
+
+function pageSuffix(pages) {
+  if (pages.length === 0) return "";
+  return pages.length === 1 ? `, p. ${pages[0]}` : `, pp. ${[...pages].sort((a, b) => a - b).join(", ")}`;
+}
+
+// Answer text with each citation group rendered by `renderGroup`
+function renderParts(parts, renderGroup) {
+  return parts.map((part) => (part.type === "text" ? part.text : renderGroup(part.items))).join("");
+}
+
+function textCitationRenderer(cited, suffixes) {
+  const byName = new Map(cited.map((paper) => [paper.name, paper]));
+  return (items) => `(${items.map((item) => parentheticalLabel(byName.get(item.paper), suffixes) + pageSuffix(item.pages)).join("; ")})`;
+}
+
+// --- References ---
+
+// "Ashish Vaswani" -> "Vaswani, A."
+function referenceAuthor(author) {
+  const last = lastName(author);
+  const initials = author
+    .slice(0, author.length - last.length)
+    .trim()
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .map((name) => `${name[0].toUpperCase()}.`)
+    .join(" ");
+  return initials ? `${last}, ${initials}` : last;
+}
+
+function referenceAuthors(authors) {
+  const names = authors.slice(0, MAX_REFERENCE_AUTHORS).map(referenceAuthor);
+  if (authors.length > MAX_REFERENCE_AUTHORS) return `${names.join(", ")}, et al.`;
+  if (names.length <= 1) return names.join("");
+  return `${names.slice(0, -1).join(", ")}, & ${names[names.length - 1]}`;
+}
+
+function sortKey(paper, suffixes) {
+  const metadata = paper.metadata || {};
+  const first = metadata.authors?.[0];
+  return `${(first ? lastName(first) : metadata.title || paper.name).toLowerCase()} ${metadata.year || ""}${suffixes.get(paper.name) || ""}`;
+}
+
+/**
+ * APA-style reference entries, sorted by first author.
+ * Each entry is split into parts so formats can italicise the venue.
+ * @returns {{paper: object, lead: string, venue: string|null, link: string|null}[]}
+ */
+function buildReferences(cited, suffixes) {
+  return [...cited]
+    .sort((a, b) => sortKey(a, suffixes).localeCompare(sortKey(b, suffixes)))
+    .map((paper) => {
+      const metadata = paper.metadata || {};
+      const title = metadata.title || paper.name;
+      const suffix = suffixes.get(paper.name) || "";
+      const year = `(${metadata.year ? `${metadata.year}${suffix}` : `n.d.${suffix ? `-${suffix}` : ""}`}).`;
+      const authors = metadata.authors?.length ? referenceAuthors(metadata.authors) : null;
+      const lead = authors ? `${authors} ${year} ${title}.` : `${title}. ${year}`;
+      const link = metadata.doi
+        ? `https://doi.org/${metadata.doi}`
+        : metadata.url || (metadata.arxivId ? `https://arxiv.org/abs/${metadata.arxivId}` : null);
+      return { paper, lead, venue: metadata.venue || null, link };
+    });
+}
+
+// --- Lightweight Markdown structure (shared by LaTeX and DOCX) ---
+
+/**
+ * Split Markdown-ish answer text into headings, paragraphs, lists and quotes.
+ * @param {string} text
+ * @returns {({type: "heading", level: number, text: string}|{type: "paragraph"|"quote", text: string}|{type: "list", ordered: boolean, items: string[]})[]}
+ */
+function parseBlocks(text) {
+  const blocks = [];
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push({ type: "paragraph", text: paragraph.join(" ") });
+    paragraph = [];
+  };
+
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.trim();
+    const heading = /^(#{1,6})\s+(.+?)\s*#*$/.exec(line);
+    const boldHeading = /^\*\*([^*]+)\*\*:?$/.exec(line);
+    const item = /^(?:([-*•])|(\d+)[.)])\s+(.*)$/.exec(line);
+    const quote = /^>\s?(.*)$/.exec(line);
+
+    if (!line) {
+      flush();
+    } else if (heading || boldHeading) {
+      flush();
+      blocks.push({ type: "heading", level: heading ? Math.min(heading[1].length, 3) : 3, text: heading ? heading[2] : boldHeading[1] });
+    } else if (item) {
+      flush();
+      const ordered = Boolean(item[2]);
+      const previous = blocks[blocks.length - 1];
+      if (previous?.type === "list" && previous.ordered === ordered) previous.items.push(item[3]);
+      else blocks.push({ type: "list", ordered, items: [item[3]] });
+    } else if (quote) {
+      flush();
+      blocks.push({ type: "quote", text: quote[1] });
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+// "**bold** and *italic*" -> runs
+function parseInline(text) {
+  const runs = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(/\*\*([^*]+)\*\*|(?<![\w*])\*([^*\s][^*]*)\*(?![\w*])|`([^`]+)`/g)) {
+    if (match.index > lastIndex) runs.push({ text: text.slice(lastIndex, match.index) });
+    if (match[1] !== undefined) runs.push({ text: match[1], bold: true });
+    else if (match[2] !== undefined) runs.push({ text: match[2], italic: true });
+    else runs.push({ text: match[3], code: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) runs.push({ text: text.slice(lastIndex) });
+  return runs;
+}
+
+// --- Markdown ---
+
+/**
+ * @typedef {object} ExportOptions
+ * @property {string} title
+ * @property {{role: "user"|"assistant", text: string, sources?: object[]}[]} messages
+ * @property {{name: string, metadata?: object}[]} papers - The library, used to resolve citations
+ * @property {Date} [date]
+ */
+
+/**
+ * Markdown document with "(Author, Year)" citations and a References section.
+ * @param {ExportOptions} options
+ * @returns {string}
+ */
+export function exportMarkdown({ title, messages, papers, date = new Date() }) {
+  const { blocks, cited, suffixes } = prepareExport({ messages, papers });
+  const renderGroup = textCitationRenderer(cited, suffixes);
+
+  const lines = [`# ${title}`, "", `_Exported from ${APP_NAME} on ${isoDate(date)}_`, ""];
+  blocks.forEach((block) => {
+    const text = renderParts(block.parts, renderGroup).trim();
+    if (block.role === "user") {
+      lines.push(`> **You:** ${text.replace(/\n/g, "\n> ")}`, "");
+    } else {
+      lines.push(text, "");
+    }
+  });
+
+  const references = buildReferences(cited, suffixes);
+  if (references.length > 0) {
+    lines.push("## References", "");
+    references.forEach(({ lead, venue, link }) => {
+      lines.push(`- ${lead}${venue ? ` *${venue}*.` : ""}${link ? ` ${link}` : ""}`);
+    });
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+// --- LaTeX ---
+
+const LATEX_SPECIALS = {
+  "\\": "\\textbackslash{}", "{": "\\{", "}": "\\}", "&": "\\&", "%": "\\%", "$": "\\$",
+  "#": "\\#", "_": "\\_", "~": "\\textasciitilde{}", "^": "\\textasciicircum{}",
+};
+
+function escapeLatex(text) {
+  return text.replace(/[\\{}&%$#_~^]/g, (char) => LATEX_SPECIALS[char]);
+}
+
+function latexInline(text) {
+  return parseInline(text)
+    .map((run) => {
+      const escaped = escapeLatex(run.text);
+      if (run.bold) return `\\textbf{${escaped}}`;
+      if (run.italic) return `\\emph{${escaped}}`;
+      if (run.code) return `\\texttt{${escaped}}`;
+      return escaped;
+    })
+    .join("");
+}
+
+const LATEX_HEADINGS = { 1: "section", 2: "subsection", 3: "subsubsection" };
+
+function latexBlocks(text) {
+  return parseBlocks(text)
+    .map((block) => {
+      if (block.type === "heading") return `\\${LATEX_HEADINGS[block.level]}*{${latexInline(block.text)}}`;
+      if (block.type === "quote") return `\\begin{quote}\n${latexInline(block.text)}\n\\end{quote}`;
+      if (block.type === "list") {
+        const environment = block.ordered ? "enumerate" : "itemize";
+        const items = block.items.map((item) => `  \\item ${latexInline(item)}`).join("\n");
+        return `\\begin{${environment}}\n${items}\n\\end{${environment}}`;
+      }
+      return latexInline(block.text);
+    })
+    .join("\n\n");
+}
+
+/**
+ * LaTeX source citing with natbib's \citep{} plus the matching .bib file.
+ * @param {ExportOptions} options
+ * @returns {{tex: string, bib: string}}
+ */
+export function exportLatex({ title, messages, papers, date = new Date() }) {
+  const { blocks, cited, keys } = prepareExport({ messages, papers });
+
+  // Citations become placeholders so escaping leaves the \citep commands alone
+  const commands = [];
+  const renderGroup = (items) => {
+    const citeKeys = items.map((item) => keys.get(item.paper)).join(",");
+    const single = items.length === 1 && items[0].pages.length > 0 ? items[0].pages : null;
+    const note = single ? `[${single.length === 1 ? "p" : "pp"}.~${single.join(", ")}]` : "";
+    commands.push(`\\citep${note}{${citeKeys}}`);
+    return `\u0000${commands.length - 1}\u0000`;
+  };
+
+  const body = blocks
+    .map((block) => {
+      const text = renderParts(block.parts, renderGroup).trim();
+      if (block.role === "user") return `\\begin{quote}\n\\textbf{You:} ${latexInline(text.replace(/\n+/g, " "))}\n\\end{quote}`;
+      return latexBlocks(text);
+    })
+    .join("\n\n")
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => commands[index]);
+
+  const tex = [
+    "\\documentclass[11pt]{article}",
+    "\\usepackage[utf8]{inputenc}",
+    "\\usepackage[T1]{fontenc}",
+    "\\usepackage[round]{natbib}",
+    "\\usepackage{hyperref}",
+    "",
+    `\\title{${escapeLatex(title)}}`,
+    `\\date{${isoDate(date)}}`,
+    "",
+    "\\begin{document}",
+    "\\maketitle",
+    "",
+    body,
+    "",
+    ...(cited.length > 0 ? ["\\bibliographystyle{plainnat}", "\\bibliography{references}", ""] : []),
+    "\\end{document}",
+    "",
+  ].join("\n");
+
+  const bib = cited.map((paper) => formatBibEntry(keys.get(paper.name), paper.metadata, paper.name)).join("\n\n");
+  return { tex, bib: bib ? `${bib}\n` : "" };
+}
+
+// --- DOCX ---
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const WORD_NAMESPACE = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+function escapeXml(text) {
+  return text
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function docxRun({ text, bold, italic, code }) {
+  const properties = [bold && "<w:b/>", italic && "<w:i/>", code && '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/>'].filter(Boolean).join("");
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ""}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+function docxParagraph(runs, style = null) {
+  const properties = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : "";
+  return `<w:p>${properties}${runs.map(docxRun).join("")}</w:p>`;
+}
+
+const DOCX_HEADINGS = { 1: "Heading1", 2: "Heading2", 3: "Heading3" };
+
+function docxBlocks(text) {
+  return parseBlocks(text).flatMap((block) => {
+    if (block.type === "heading") return [docxParagraph([{ text: block.text.replace(/\*\*/g, "") }], DOCX_HEADINGS[block.level])];
+    if (block.type === "quote") return [docxParagraph(parseInline(block.text), "Quote")];
+    if (block.type === "list") {
+      return block.items.map((item, i) => docxParagraph([{ text: block.ordered ? `${i + 1}. ` : "• " }, ...parseInline(item)], "ListParagraph"));
+    }
+    return [docxParagraph(parseInline(block.text))];
+  });
+}
+
+function paragraphStyle(id, name, { basedOn = "Normal", paragraph = "", run = "" } = {}) {
+  return (
+    `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="${basedOn}"/><w:qFormat/>` +
+    `${paragraph ? `<w:pPr>${paragraph}</w:pPr>` : ""}${run ? `<w:rPr>${run}</w:rPr>` : ""}</w:style>`
+  );
+}
+
+const DOCX_STYLES =
+  `${XML_HEADER}<w:styles xmlns:w="${WORD_NAMESPACE}">` +
+  '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>' +
+  '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+  '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+  paragraphStyle("Title", "Title", { run: '<w:b/><w:sz w:val="40"/>' }) +
+  paragraphStyle("Subtitle", "Subtitle", { run: '<w:i/><w:color w:val="666666"/>' }) +
+  paragraphStyle("Heading1", "heading 1", { paragraph: '<w:keepNext/><w:spacing w:before="360"/><w:outlineLvl w:val="0"/>', run: '<w:b/><w:sz w:val="32"/>' }) +
+  paragraphStyle("Heading2", "heading 2", { paragraph: '<w:keepNext/><w:spacing w:before="240"/><w:outlineLvl w:val="1"/>', run: '<w:b/><w:sz w:val="26"/>' }) +
+  paragraphStyle("Heading3", "heading 3", { paragraph: '<w:keepNext/><w:spacing w:before="200"/><w:outlineLvl w:val="2"/>', run: '<w:b/><w:sz w:val="22"/>' }) +
+  paragraphStyle("Quote", "Quote", { paragraph: '<w:ind w:left="720" w:right="720"/>', run: '<w:i/><w:color w:val="404040"/>' }) +
+  paragraphStyle("ListParagraph", "List Paragraph", { paragraph: '<w:spacing w:after="60"/><w:ind w:left="360"/>' }) +
+  paragraphStyle("Bibliography", "Bibliography", { paragraph: '<w:ind w:left="720" w:hanging="720"/>' }) +
+  "</w:styles>";
+
+const DOCX_CONTENT_TYPES =
+  `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+  '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+  "</Types>";
+
+const DOCX_PACKAGE_RELS =
+  `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+  "</Relationships>";
+
+const DOCX_DOCUMENT_RELS =
+  `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+  "</Relationships>";
+
+/**
+ * Word document with "(Author, Year)" citations and a References section.
+ * @param {ExportOptions} options
+ * @returns {Blob}
+ */
+export function exportDocx({ title, messages, papers, date = new Date() }) {
+  const { blocks, cited, suffixes } = prepareExport({ messages, papers });
+  const renderGroup = textCitationRenderer(cited, suffixes);
+
+  const paragraphs = [
+    docxParagraph([{ text: title }], "Title"),
+    docxParagraph([{ text: `Exported from ${APP_NAME} on ${isoDate(date)}` }], "Subtitle"),
+  ];
+  blocks.forEach((block) => {
+    const text = renderParts(block.parts, renderGroup).trim();
+    if (block.role === "user") {
+      paragraphs.push(docxParagraph([{ text: "You: ", bold: true }, { text: text.replace(/\n+/g, " ") }], "Quote"));
+    } else {
+      paragraphs.push(...docxBlocks(text));
+    }
+  });
+
+  const references = buildReferences(cited, suffixes);
+  if (references.length > 0) {
+    paragraphs.push(docxParagraph([{ text: "References" }], "Heading1"));
+    references.forEach(({ lead, venue, link }) => {
+      const runs = [{ text: lead }];
+      if (venue) runs.push({ text: " " }, { text: venue, italic: true }, { text: "." });
+      if (link) runs.push({ text: ` ${link}` });
+      paragraphs.push(docxParagraph(runs, "Bibliography"));
+    });
+  }
+
+  const document =
+    `${XML_HEADER}<w:document xmlns:w="${WORD_NAMESPACE}"><w:body>${paragraphs.join("")}` +
+    '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>' +
+    "</w:body></w:document>";
+
+  return createZip(
+    [
+      { name: "[Content_Types].xml", data: DOCX_CONTENT_TYPES },
+      { name: "_rels/.rels", data: DOCX_PACKAGE_RELS },
+      { name: "word/document.xml", data: document },
+      { name: "word/styles.xml", data: DOCX_STYLES },
+      { name: "word/_rels/document.xml.rels", data: DOCX_DOCUMENT_RELS },
+    ],
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+  );
+}
@@ -0,0 +1,199 @@
+// extraction.js
+/**
+ * Structured extraction of study attributes ("comparison of approaches" table).
+ * A schema lists the fields to extract; the LLM reads numbered excerpts of one
+ * paper and replies with JSON naming, for every field, a value and the excerpt
+ * it came from, so each table cell links back to its chunk.
+ */
+
+import { tokenize } from "./bm25.js";
+
+/** @typedef {{key: string, label: string, description: string}} ExtractionField */
+
+/** @type {ExtractionField[]} */
+export const DEFAULT_EXTRACTION_SCHEMA = [
+  { key: "task", label: "Task", description: "the problem or research question the paper addresses" },
+  { key: "dataset", label: "Dataset", description: "datasets or data sources used for training and evaluation" },
+  { key: "method", label: "Method", description: "the proposed method, model or approach" },
+  { key: "metrics", label: "Metrics", description: "evaluation metrics reported" },
+  { key: "headline_results", label: "Headline results", description: "the main quantitative results, with exact numbers" },
+  { key: "limitations", label: "Limitations", description: "limitations stated by the authors" },
+];
+
+const MAX_VALUE_CHARS = 300;
+const MISSING_VALUE = /^(null|none|n\/?a|unknown|not (reported|mentioned|stated|specified|available|given)|-+)\.?$/i;
+
+// --- Schema ---
+
+function fieldKey(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Parse the schema editor's text: one field per line, "Label: what to extract".
+ * @param {string} text
+ * @returns {ExtractionField[]}
+ */
+export function parseSchemaText(text) {
+  const fields = [];
+  (text || "").split("\n").forEach((line) => {
+    const [label, ...rest] = line.split(":");
+    const key = fieldKey(label || "");
+    if (!key || fields.some((field) => field.key === key)) return;
+    fields.push({ key, label: label.trim(), description: rest.join(":").trim() });
+  });
+  return fields;
+}
+
+/**
+ * @param {ExtractionField[]} schema
+ * @returns {string}
+ */
+export function formatSchemaText(schema) {
+  return schema.map((field) => (field.description ? `${field.label}: ${field.description}` : field.label)).join("\n");
+}
+
+/**
+ * One retrieval query per field, to find the passages that answer it.
+ * @param {ExtractionField[]} schema
+ * @returns {string[]}
+ */
+export function extractionQueries(schema) {
+  return schema.map((field) => (field.description ? `${field.label}: ${field.description}` : field.label));
+}
+
+// --- Prompt ---
+
+export const EXTRACTION_SYSTEM_PROMPT =
+  "You extract study attributes from numbered excerpts of ONE research paper. " +
+  'Reply with JSON only: an object with exactly the requested keys, each {"value": string or null, "source": excerpt number}. ' +
+  "Keep values short (at most 25 words) and keep exact numbers. Use null when the excerpts do not say. Never guess.";
+
+/**
+ * Messages asking the LLM to fill the schema for one paper.
+ * @param {string} paperName
+ * @param {ExtractionField[]} schema
+ * @param {{text: string, section?: string}[]} excerpts - Numbered from 1 in the prompt
+ * @returns {{role: string, content: string}[]}
+ */
+export function buildExtractionMessages(paperName, schema, excerpts) {
+  const numbered = excerpts
+    .map((chunk, i) => `[${i + 1}]${chunk.section ? ` (${chunk.section})` : ""} ${chunk.text.replace(/\s+/g, " ").trim()}`)
+    .join("\n\n");
+  const fields = schema.map((field) => `- "${field.key}": ${field.label}${field.description ? ` (${field.description})` : ""}`).join("\n");
+  const example = `{${schema.map((field) => `"${field.key}": {"value": "...", "source": 1}`).join(", ")}}`;
+
+  return [
+    { role: "system", content: EXTRACTION_SYSTEM_PROMPT },
+    {
+      role: "user",
+      content:
+        `Paper: ${paperName}\n\n--- EXCERPTS ---\n${numbered}\n--- END EXCERPTS ---\n\n` +
+        `Fields:\n${fields}\n\nReply with JSON in the form ${example}`,
+    },
+  ];
+}
+
+// --- Validation ---
+
+function cellValue(value) {
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  if (Array.isArray(value)) {
+    const items = value.map(cellValue).filter(Boolean);
+    return items.length > 0 ? items.join("; ").slice(0, MAX_VALUE_CHARS) : null;
+  }
+  if (typeof value !== "string") return null;
+  const text = value.replace(/\s+/g, " ").trim();
+  return text && !MISSING_VALUE.test(text) ? text.slice(0, MAX_VALUE_CHARS) : null;
+}
+
+/**
+ * Validate the LLM reply against the schema. Missing fields become null cells;
+ * a reply without a JSON object, or with none of the schema's keys, is an error.
+ * @param {string} reply
+ * @param {ExtractionField[]} schema
+ * @param {number} excerptCount - Sources outside 1..excerptCount are dropped
+ * @returns {{cells: Object<string, {value: string|null, excerpt: number|null}>|null, error: string|null}}
+ *   `excerpt` is the 1-based excerpt number the value came from
+ */
+export function parseExtractionReply(reply, schema, excerptCount) {
+  const json = /\{[\s\S]*\}/.exec(reply || "")?.[0];
+  if (!json) return { cells: null, error: "The reply contained no JSON object." };
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    return { cells: null, error: `The reply was not valid JSON (${error.message}).` };
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { cells: null, error: "The reply was not a JSON object." };
+  }
+
+  const cells = {};
+  let answered = 0;
+  schema.forEach((field) => {
+    const raw = data[field.key] !== undefined ? data[field.key] : data[field.label];
+    if (raw !== undefined) answered++;
+    // Small models sometimes reply with bare values instead of {value, source}
+    const entry = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : { value: raw };
+    const value = cellValue(entry.value);
+    const excerpt = parseInt(String(entry.source ?? "").match(/\d+/)?.[0], 10);
+    cells[field.key] = { value, excerpt: value && excerpt >= 1 && excerpt <= excerptCount ? excerpt : null };
+  });
+
+  if (answered === 0) return { cells: null, error: "The JSON had none of the schema's fields." };
+  return { cells, error: null };
+}
+
+/**
+ * The excerpt a value most likely came from, for cells the LLM gave no valid source for.
+ * @param {string} value
+ * @param {{text: string}[]} excerpts
+ * @returns {number|null} 1-based excerpt number, null if no excerpt shares a word with the value
+ */
+export function locateValue(value, excerpts) {
+  const terms = new Set(tokenize(value || ""));
+  if (terms.size === 0) return null;
+
+  let best = null;
+  let bestOverlap = 0;
+  excerpts.forEach((chunk, i) => {
+    const words = new Set(tokenize(chunk.text));
+    const overlap = [...terms].filter((term) => words.has(term)).length;
+    if (overlap > bestOverlap) {
+      best = i + 1;
+      bestOverlap = overlap;
+    }
+  });
+  return best;
+}
+
+// --- Export ---
+
+/**
+ * @param {ExtractionField[]} schema
+ * @param {{paper: string, cells: Object<string, {value: string|null}>}[]} rows - `paper` is the label shown in the first column
+ * @returns {string}
+ */
+export function extractionToCSV(schema, rows) {
+  const escape = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  const lines = [["Paper", ...schema.map((field) => field.label)]];
+  rows.forEach((row) => lines.push([row.paper, ...schema.map((field) => row.cells?.[field.key]?.value || "")]));
+  return lines.map((line) => line.map(escape).join(",")).join("\n") + "\n";
+}
+
+/**
+ * @param {ExtractionField[]} schema
+ * @param {{paper: string, cells: Object<string, {value: string|null}>}[]} rows
+ * @returns {string}
+ */
+export function extractionToMarkdown(schema, rows) {
+  const escape = (text) => text.replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+  const header = ["Paper", ...schema.map((field) => field.label)];
+  return [
+    `| ${header.map(escape).join(" | ")} |`,
+    `| ${header.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${[row.paper, ...schema.map((field) => row.cells?.[field.key]?.value || "–")].map(escape).join(" | ")} |`),
+  ].join("\n") + "\n";
+}
@@ -0,0 +1,259 @@
+// hnsw.js
+/**
+ * Hierarchical Navigable Small World graph (Malkov & Yashunin, 2016) for
+ * approximate nearest-neighbour search over normalized embeddings.
+ * Supports incremental insert and delete, so it can follow papers being
+ * added to and removed from the library.
+ * Vectors are not copied: the graph reads them through `getVector(id)`.
+ */
+
+function createHeap(compare) {
+  const items = [];
+
+  function swap(i, j) {
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+
+  return {
+    get size() {
+      return items.length;
+    },
+    peek() {
+      return items[0];
+    },
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (compare(items[i], items[parent]) >= 0) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && compare(items[left], items[smallest]) < 0) smallest = left;
+          if (right < items.length && compare(items[right], items[smallest]) < 0) smallest = right;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top;
+    },
+    toArray() {
+      return [...items];
+    },
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {(id: string) => Float32Array} options.getVector
+ * @param {(a: Float32Array, b: Float32Array) => number} options.similarity - Higher is closer
+ * @param {number} [options.M] - Links per node (2*M on the bottom layer)
+ * @param {number} [options.efConstruction] - Candidate list size while inserting
+ * @param {number} [options.efSearch] - Candidate list size while searching
+ */
+export function createHNSWIndex({ getVector, similarity, M = 16, efConstruction = 100, efSearch = 64 }) {
+  const nodes = new Map(); // id -> { level, neighbors: string[][] }
+  const levelMultiplier = 1 / Math.log(M);
+  let entryPoint = null;
+  let maxLevel = -1;
+
+  const maxConnections = (layer) => (layer === 0 ? 2 * M : M);
+
+  function randomLevel() {
+    return Math.floor(-Math.log(1 - Math.random()) * levelMultiplier);
+  }
+
+  function searchLayer(query, entryIds, ef, layer) {
+    const visited = new Set(entryIds);
+    const candidates = createHeap((a, b) => b.score - a.score); // best first
+    const results = createHeap((a, b) => a.score - b.score); // worst first
+
+    entryIds.forEach((id) => {
+      const item = { id, score: similarity(query, getVector(id)) };
+      candidates.push(item);
+      results.push(item);
+    });
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.score < results.peek().score) break;
+
+      const neighbors = nodes.get(current.id)?.neighbors[layer] || [];
+      for (const neighborId of neighbors) {
+        if (visited.has(neighborId) || !nodes.has(neighborId)) continue;
+        visited.add(neighborId);
+
+        const score = similarity(query, getVector(neighborId));
+        if (results.size < ef || score > results.peek().score) {
+          const item = { id: neighborId, score };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.toArray().sort((a, b) => b.score - a.score);
+  }
+
+  // Neighbour selection heuristic: prefer candidates that are closer to the base
+  // vector than to any neighbour already picked, then fill up with the rest.
+  function selectNeighbors(baseVector, candidates, limit) {
+    const sorted = [...candidates].sort((a, b) => b.score - a.score);
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of sorted) {
+      if (selected.length >= limit) break;
+      const candidateVector = getVector(candidate.id);
+      const diverse = selected.every(
+        (picked) => similarity(candidateVector, getVector(picked.id)) < candidate.score
+      );
+      (diverse ? selected : pruned).push(candidate);
+    }
+
+    for (const candidate of pruned) {
+      if (selected.length >= limit) break;
+      selected.push(candidate);
+    }
+    return selected.map((item) => item.id);
+  }
+
+  function greedyDescend(query, fromLevel, toLevel) {
+    let current = entryPoint;
+    for (let layer = fromLevel; layer > toLevel; layer--) {
+      current = searchLayer(query, [current], 1, layer)[0]?.id ?? current;
+    }
+    return current;
+  }
+
+  function insert(id) {
+    if (nodes.has(id)) remove(id);
+
+    const vector = getVector(id);
+    const level = randomLevel();
+    const node = { level, neighbors: Array.from({ length: level + 1 }, () => []) };
+    nodes.set(id, node);
+
+    if (entryPoint === null) {
+      entryPoint = id;
+      maxLevel = level;
+      return;
+    }
+
+    let entryIds = [greedyDescend(vector, maxLevel, level)];
+
+    for (let layer = Math.min(level, maxLevel); layer >= 0; layer--) {
+      const found = searchLayer(vector, entryIds, efConstruction, layer).filter((item) => item.id !== id);
+      node.neighbors[layer] = selectNeighbors(vector, found, maxConnections(layer));
+
+      // Link back and keep every neighbour list within its size limit
+      node.neighbors[layer].forEach((neighborId) => {
+        const neighbor = nodes.get(neighborId);
+        const links = neighbor.neighbors[layer];
+        links.push(id);
+
+        if (links.length > maxConnections(layer)) {
+          const neighborVector = getVector(neighborId);
+          neighbor.neighbors[layer] = selectNeighbors(
+            neighborVector,
+            links.filter((linkId) => nodes.has(linkId)).map((linkId) => ({
+              id: linkId,
+              score: similarity(neighborVector, getVector(linkId)),
+            })),
+            maxConnections(layer)
+          );
+        }
+      });
+
+      entryIds = found.length > 0 ? found.map((item) => item.id) : entryIds;
+    }
+
+    if (level > maxLevel) {
+      entryPoint = id;
+      maxLevel = level;
+    }
+  }
+
+  function remove(id) {
+    const node = nodes.get(id);
+    if (!node) return;
+    nodes.delete(id);
+
+    // Reconnect the former neighbours through each other so the graph stays navigable
+    node.neighbors.forEach((links, layer) => {
+      links.forEach((neighborId) => {
+        const neighbor = nodes.get(neighborId);
+        if (!neighbor || !neighbor.neighbors[layer]) return;
+
+        const neighborVector = getVector(neighborId);
+        const candidateIds = new Set(
+          [...neighbor.neighbors[layer], ...links].filter(
+            (candidateId) => candidateId !== id && candidateId !== neighborId && nodes.has(candidateId)
+          )
+        );
+        neighbor.neighbors[layer] = selectNeighbors(
+          neighborVector,
+          [...candidateIds].map((candidateId) => ({
+            id: candidateId,
+            score: similarity(neighborVector, getVector(candidateId)),
+          })),
+          maxConnections(layer)
+        );
+      });
+    });
+
+    if (entryPoint === id) {
+      entryPoint = null;
+      maxLevel = -1;
+      nodes.forEach((candidate, candidateId) => {
+        if (candidate.level > maxLevel) {
+          entryPoint = candidateId;
+          maxLevel = candidate.level;
+        }
+      });
+    }
+  }
+
+  /**
+   * Approximate k nearest neighbours.
+   * @param {Float32Array} query
+   * @param {number} k
+   * @param {number} [ef]
+   * @returns {{id: string, score: number}[]} Best first
+   */
+  function search(query, k, ef = efSearch) {
+    if (entryPoint === null) return [];
+    const entryId = greedyDescend(query, maxLevel, 0);
+    return searchLayer(query, [entryId], Math.max(ef, k), 0).slice(0, k);
+  }
+
+  function clear() {
+    nodes.clear();
+    entryPoint = null;
+    maxLevel = -1;
+  }
+
+  return {
+    insert,
+    remove,
+    search,
+    clear,
+    get size() {
+      return nodes.size;
+    },
+  };
+}
@@ -0,0 +1,161 @@
+// ingest-queue.js
+/**
+ * Main-thread job queue for the ingestion worker.
+ * At most `concurrency` files are in the worker at once; the rest wait here
+ * and can be cancelled for free. Running jobs are cancelled cooperatively
+ * (the worker checks between pages and embedding batches).
+ */
+
+/**
+ * @param {object} options
+ * @param {string|URL} options.workerUrl
+ * @param {string} options.embeddingModel
+ * @param {number} [options.concurrency]
+ * @param {(job: object) => void} [options.onChange] - Called on every status/progress change
+ */
+export function createIngestQueue({ workerUrl, embeddingModel, concurrency = 2, onChange = () => {} }) {
+  const jobs = new Map(); // jobId -> job (queued and running)
+  const waiting = [];
+  let running = 0;
+  let nextJobId = 1;
+  let worker = null;
+
+  function abortError() {
+    const error = new Error("Ingestion cancelled");
+    error.name = "AbortError";
+    return error;
+  }
+
+  function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker(workerUrl);
+    worker.onmessage = ({ data }) => handleMessage(data);
+    worker.onerror = (event) => {
+      console.error("❌ Ingestion worker error:", event);
+      // Fail every job that was inside the worker; queued jobs get a fresh worker
+      [...jobs.values()]
+        .filter((job) => job.status === "running")
+        .forEach((job) => finish(job, "failed", new Error(event.message || "Ingestion worker crashed")));
+      worker?.terminate();
+      worker = null;
+      pump();
+    };
+    worker.postMessage({ type: "init", embeddingModel });
+    return worker;
+  }
+
+  function finish(job, status, error = null, result = null) {
+    if (!jobs.has(job.id)) return;
+    jobs.delete(job.id);
+    if (job.status === "running") running--;
+
+    job.status = status;
+    onChange(job);
+    if (error) job.reject(error);
+    else job.resolve(result);
+  }
+
+  function pump() {
+    while (running < concurrency && waiting.length > 0) {
+      const job = waiting.shift();
+      job.status = "running";
+      job.stage = "extracting";
+      running++;
+      getWorker().postMessage({
+        type: "ingest",
+        jobId: job.id,
+        file: job.file,
+        loaderId: job.loaderId,
+        document: job.document,
+        settings: job.settings,
+      });
+      onChange(job);
+    }
+  }
+
+  function handleMessage(data) {
+    const job = jobs.get(data.jobId);
+    if (!job) return;
+
+    switch (data.type) {
+      case "progress":
+        job.stage = data.stage;
+        job.current = data.current;
+        job.total = data.total;
+        onChange(job);
+        break;
+      case "done":
+        finish(job, "done", null, {
+          chunks: data.chunks,
+          failedEmbeddings: data.failedEmbeddings,
+          metadata: data.metadata,
+          leadText: data.leadText,
+        });
+        pump();
+        break;
+      case "cancelled":
+        finish(job, "cancelled", abortError());
+        pump();
+        break;
+      case "error":
+        finish(job, "failed", new Error(data.message));
+        pump();
+        break;
+    }
+  }
+
+  /**
+   * Queue a file for ingestion.
+   * @param {File} file
+   * @param {object} settings - Chunking settings
+   * @param {{loaderId?: string, document?: object}} [source] - Loader to run in the worker, or an already loaded document
+   * @returns {{id: number, name: string, status: string, stage: string, current: number, total: number, promise: Promise<{chunks: object[], failedEmbeddings: number, metadata: object, leadText: string}>}}
+   */
+  function enqueue(file, settings, { loaderId = "pdf", document = null } = {}) {
+    const job = {
+      id: nextJobId++,
+      name: file.name,
+      file,
+      settings,
+      loaderId,
+      document,
+      status: "queued",
+      stage: "queued",
+      current: 0,
+      total: 0,
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    jobs.set(job.id, job);
+    waiting.push(job);
+    onChange(job);
+    pump();
+    return job;
+  }
+
+  function cancel(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+
+    if (job.status === "queued") {
+      waiting.splice(waiting.indexOf(job), 1);
+      finish(job, "cancelled", abortError());
+      return;
+    }
+    job.stage = "cancelling";
+    onChange(job);
+    worker?.postMessage({ type: "cancel", jobId });
+  }
+
+  return {
+    enqueue,
+    cancel,
+    get jobs() {
+      return [...jobs.values()];
+    },
+  };
+}
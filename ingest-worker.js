@@ -0,0 +1,160 @@
+// ingest-worker.js
+/**
+ * Ingestion worker: text extraction (see loaders.js), chunking and batched
+ * embedding off the main thread.
+ *
+ * Classic (non-module) worker on purpose: pdf.js 3.x only ships a UMD build,
+ * which needs importScripts. Loading pdf.worker as well registers
+ * `pdfjsWorker`, so pdf.js parses inside this thread instead of spawning a
+ * nested worker. ES modules (Transformers.js, loaders.js, chunking.js) come
+ * in through dynamic import().
+ *
+ * Protocol (main -> worker):
+ *   { type: "init", embeddingModel }
+ *   { type: "ingest", jobId, file, loaderId, document?, settings }
+ *   { type: "cancel", jobId }
+ * Protocol (worker -> main):
+ *   { type: "progress", jobId, stage: "extracting" | "chunking" | "embedding", current, total }
+ *   { type: "done", jobId, chunks, failedEmbeddings, metadata, leadText }
+ *   { type: "cancelled", jobId }
+ *   { type: "error", jobId, message }
+ */
+
+const PDFJS_URL = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js";
+const PDFJS_WORKER_URL = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js";
+const TRANSFORMERS_URL = "https://cdn.jsdelivr.net/npm/@xenova/transformers@2.6.0";
+const EMBEDDING_BATCH_SIZE = 16;
+const LEAD_TEXT_CHARS = 3000; // First-page text returned for metadata fallbacks
+
+importScripts(PDFJS_URL, PDFJS_WORKER_URL);
+
+let embeddingModel = "Xenova/all-MiniLM-L6-v2";
+let embedderPromise = null;
+const cancelledJobs = new Set();
+
+function loadEmbedder() {
+  if (!embedderPromise) {
+    embedderPromise = import(TRANSFORMERS_URL).then(({ pipeline }) =>
+      pipeline("feature-extraction", embeddingModel)
+    );
+    embedderPromise.catch(() => { embedderPromise = null; });
+  }
+  return embedderPromise;
+}
+
+function loadModule(path) {
+  return import(new URL(path, self.location.href).href);
+}
+
+function reportProgress(jobId, stage, current, total) {
+  self.postMessage({ type: "progress", jobId, stage, current, total });
+}
+
+function throwIfCancelled(jobId) {
+  if (!cancelledJobs.has(jobId)) return;
+  const error = new Error("Ingestion cancelled");
+  error.name = "AbortError";
+  throw error;
+}
+
+// Embeds chunks in batches; a failing batch is retried chunk by chunk so one bad
+// chunk does not lose its neighbours. Failed chunks keep `embedding: null`.
+async function generateEmbeddings(chunks, jobId) {
+  const embedder = await loadEmbedder();
+  console.log(`🔢 [worker] Embedding ${chunks.length} chunks in batches of ${EMBEDDING_BATCH_SIZE}`);
+
+  let failed = 0;
+  for (let start = 0; start < chunks.length; start += EMBEDDING_BATCH_SIZE) {
+    throwIfCancelled(jobId);
+    const batch = chunks.slice(start, start + EMBEDDING_BATCH_SIZE);
+
+    try {
+      const output = await embedder(batch.map((chunk) => chunk.text), { pooling: "mean", normalize: true });
+      const dims = output.dims[output.dims.length - 1];
+      batch.forEach((chunk, i) => {
+        chunk.embedding = Float32Array.from(output.data.subarray(i * dims, (i + 1) * dims));
+      });
+    } catch (error) {
+      console.warn(`⚠️ [worker] Batch at ${start} failed, retrying one by one:`, error);
+      for (const chunk of batch) {
+        try {
+          const output = await embedder(chunk.text, { pooling: "mean", normalize: true });
+          chunk.embedding = Float32Array.from(output.data);
+        } catch (chunkError) {
+          console.error(`❌ [worker] Failed to embed chunk ${chunk.chunkIndex}:`, chunkError);
+          chunk.embedding = null;
+          failed++;
+        }
+      }
+    }
+
+    reportProgress(jobId, "embedding", Math.min(start + batch.length, chunks.length), chunks.length);
+  }
+  return failed;
+}
+
+// `document` is set when the loader needs the DOM and already ran on the main thread
+async function loadDocument({ jobId, file, loaderId, document }) {
+  if (document) return document;
+
+  const { getLoader } = await loadModule("./loaders.js");
+  const loader = getLoader(loaderId);
+  if (!loader) throw new Error(`No loader registered for "${loaderId}".`);
+
+  return loader.load(file, {
+    onProgress: (current, total) => reportProgress(jobId, "extracting", current, total),
+    throwIfCancelled: () => throwIfCancelled(jobId),
+  });
+}
+
+async function ingest({ jobId, file, loaderId, document, settings }) {
+  try {
+    // Start loading the model while the document is being parsed
+    loadEmbedder();
+
+    const { text, pages = [], headings = [], metadata = {}, elements = [] } = await loadDocument({ jobId, file, loaderId, document });
+    if (!text || text.length === 0) throw new Error(`No text could be extracted from ${file.name}.`);
+
+    throwIfCancelled(jobId);
+    reportProgress(jobId, "chunking", 0, 1);
+    const { buildChunks } = await loadModule("./chunking.js");
+    const chunks = buildChunks(text, file.name, pages, { ...settings, headings }, elements);
+    if (elements.length > 0) {
+      const tables = elements.filter((element) => element.type === "table").length;
+      console.log(`📐 [worker] ${file.name}: ${tables} tables and ${elements.length - tables} figure captions`);
+    }
+    reportProgress(jobId, "chunking", 1, 1);
+
+    const failedEmbeddings = await generateEmbeddings(chunks, jobId);
+    const embedded = chunks.filter((chunk) => chunk.embedding !== null);
+    const leadText = (pages.length > 0 ? text.slice(pages[0].start, pages[0].end) : text).slice(0, LEAD_TEXT_CHARS);
+
+    self.postMessage(
+      { type: "done", jobId, chunks: embedded, failedEmbeddings, metadata, leadText },
+      embedded.map((chunk) => chunk.embedding.buffer)
+    );
+  } catch (error) {
+    if (error.name === "AbortError") {
+      self.postMessage({ type: "cancelled", jobId });
+    } else {
+      self.postMessage({ type: "error", jobId, message: error.message || String(error) });
+    }
+  } finally {
+    cancelledJobs.delete(jobId);
+  }
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case "init":
+      embeddingModel = data.embeddingModel || embeddingModel;
+      loadEmbedder().catch((error) => console.error("❌ [worker] Failed to load embedder:", error));
+      break;
+    case "ingest":
+      ingest(data);
+      break;
+    case "cancel":
+      cancelledJobs.add(data.jobId);
+      break;
+  }
+};
@@ -0,0 +1,85 @@
+// library-stats.js
+/**
+ * Library analytics for the Dashboard: chunk counts and embedding coverage per
+ * paper, storage estimates, and how often each paper is retrieved.
+ * Retrieval counts come from the saved sessions (the `sources` of assistant
+ * messages), so they survive reloads without a separate log.
+ */
+
+import { estimateLibraryBytes } from "./storage.js";
+
+/**
+ * @param {object[]} papers
+ * @param {object[]} chunks - Chunks in the library (vectorStore)
+ * @param {object} options
+ * @param {(chunk: object) => boolean} options.hasVector - Whether a chunk has an embedding in the vector index
+ * @param {number} [options.dimensions] - Embedding size, for storage estimates
+ * @returns {{name: string, type: string, chunks: number, embedded: number, failed: number, coverage: number, chars: number, sections: number, bytes: number}[]}
+ *   `failed` counts chunks whose embedding failed at ingestion (dropped) plus stored chunks without a vector
+ */
+export function paperStats(papers, chunks, { hasVector, dimensions = 0 }) {
+  const byPaper = new Map(papers.map((paper) => [paper.name, []]));
+  chunks.forEach((chunk) => byPaper.get(chunk.source)?.push(chunk));
+
+  return papers.map((paper) => {
+    const paperChunks = byPaper.get(paper.name);
+    const embedded = paperChunks.filter(hasVector).length;
+    const failed = (paper.failedEmbeddings || 0) + paperChunks.length - embedded;
+    const total = embedded + failed;
+    return {
+      name: paper.name,
+      type: paper.type || "pdf",
+      chunks: paperChunks.length,
+      embedded,
+      failed,
+      coverage: total > 0 ? embedded / total : 1,
+      chars: paperChunks.reduce((sum, chunk) => sum + chunk.text.length, 0),
+      sections: new Set(paperChunks.map((chunk) => chunk.section).filter(Boolean)).size,
+      bytes: estimateLibraryBytes([paper], paperChunks, dimensions),
+    };
+  });
+}
+
+/**
+ * Library-wide totals of paperStats rows.
+ * @param {ReturnType<typeof paperStats>} rows
+ * @returns {{papers: number, chunks: number, embedded: number, failed: number, coverage: number, bytes: number}}
+ */
+export function libraryTotals(rows) {
+  const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+  const embedded = sum("embedded");
+  const failed = sum("failed");
+  return {
+    papers: rows.length,
+    chunks: sum("chunks"),
+    embedded,
+    failed,
+    coverage: embedded + failed > 0 ? embedded / (embedded + failed) : 1,
+    bytes: sum("bytes"),
+  };
+}
+
+/**
+ * How often each paper was retrieved for an answer, most retrieved first.
+ * Literature reviews count the passages they were written from (`evidence`).
+ * @param {object[]} sessions
+ * @returns {{name: string, answers: number, chunks: number}[]} `answers` it contributed to, `chunks` retrieved from it in total
+ */
+export function retrievalCounts(sessions) {
+  const counts = new Map();
+  sessions.forEach((session) => {
+    session.messages
+      .filter((message) => message.role === "assistant")
+      .forEach((message) => {
+        const perPaper = new Map();
+        [...(message.sources || []), ...(message.evidence || [])].forEach((ref) => perPaper.set(ref.source, (perPaper.get(ref.source) || 0) + 1));
+        perPaper.forEach((chunks, name) => {
+          const entry = counts.get(name) || { name, answers: 0, chunks: 0 };
+          entry.answers++;
+          entry.chunks += chunks;
+          counts.set(name, entry);
+        });
+      });
+  });
+  return [...counts.values()].sort((a, b) => b.answers - a.answers || b.chunks - a.chunks || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,647 @@
+// loaders.js
+/**
+ * Document loader registry.
+ * `handleFileDrop` picks a loader by file extension (then MIME type). Every
+ * document loader resolves to the shape the chunker consumes:
+ *   { text, pages, headings, metadata, elements? }
+ * - text:     plain text, one line per paragraph line, blank line between paragraphs
+ * - pages:    [{ pageNumber, start, end }] character ranges (only paged formats)
+ * - headings: [{ title, level, start }] section headings, or [] to let the
+ *             chunker detect them from the text
+ * - metadata: bibliographic fields found in the file ({ title, authors, year, ... })
+ * - elements: tables and figure captions found by layout analysis (PDF only):
+ *             [{ type: "table" | "figure", label, number, caption, rows?, page, offset }],
+ *             kept out of `text`; `offset` is where they sat in it
+ *
+ * Loaders of kind "bibliography" resolve to { entries } instead; their entries
+ * describe other papers and are never indexed as body text.
+ *
+ * Loaders run inside the ingestion worker unless they set `needsDOM` (the
+ * HTML loader needs DOMParser, which workers do not have).
+ */
+
+import { latexToText, parseBibTeX } from "./bibtex.js";
+import { firstYear, mergeMetadata, parseFirstPage, parsePdfInfo } from "./metadata.js";
+import { analyzePageLayout } from "./pdf-layout.js";
+
+const loaders = [];
+
+/**
+ * Register (or replace) a loader.
+ * @param {object} loader
+ * @param {string} loader.id
+ * @param {string} loader.label - Shown in the UI ("Markdown")
+ * @param {string[]} loader.extensions - Lower-case, with the dot (".md")
+ * @param {string[]} [loader.mimeTypes]
+ * @param {"document"|"bibliography"} [loader.kind]
+ * @param {boolean} [loader.needsDOM] - Must run on the main thread
+ * @param {(file: File, options?: {onProgress?: Function, throwIfCancelled?: Function}) => Promise<object>} loader.load
+ */
+export function registerLoader(loader) {
+  if (!loader?.id || typeof loader.load !== "function") {
+    throw new Error("A loader needs an id and a load(file) function.");
+  }
+  const entry = { kind: "document", mimeTypes: [], needsDOM: false, ...loader };
+  const existing = loaders.findIndex((candidate) => candidate.id === loader.id);
+  if (existing === -1) loaders.push(entry);
+  else loaders[existing] = entry;
+}
+
+export function getLoader(id) {
+  return loaders.find((loader) => loader.id === id) || null;
+}
+
+export function fileExtension(name) {
+  const match = /\.[^.]+$/.exec(name || "");
+  return match ? match[0].toLowerCase() : "";
+}
+
+/**
+ * Loader for a file, matched by extension first (browsers report Markdown and
+ * LaTeX with empty or inconsistent MIME types), then by MIME type.
+ * @param {{name: string, type?: string}} file
+ * @returns {object|null}
+ */
+export function findLoader(file) {
+  const extension = fileExtension(file.name);
+  return (
+    loaders.find((loader) => loader.extensions.includes(extension)) ||
+    loaders.find((loader) => file.type && loader.mimeTypes.includes(file.type)) ||
+    null
+  );
+}
+
+/**
+ * Value for <input type="file" accept>.
+ * @returns {string}
+ */
+export function acceptedFileTypes() {
+  return [...new Set(loaders.flatMap((loader) => [...loader.mimeTypes, ...loader.extensions]))].join(",");
+}
+
+export function supportedExtensions() {
+  return loaders.flatMap((loader) => loader.extensions);
+}
+
+// --- Text assembly ---
+
+// Builds the loader text line by line while recording heading offsets
+function createTextBuilder() {
+  let text = "";
+  let line = "";
+  const headings = [];
+
+  function endLine() {
+    const content = line.replace(/\s+/g, " ").trim();
+    line = "";
+    if (content) text += content + "\n";
+  }
+
+  function paragraphBreak() {
+    endLine();
+    if (text && !text.endsWith("\n\n")) text += "\n";
+  }
+
+  return {
+    append(content) {
+      line += content;
+    },
+    endLine,
+    paragraphBreak,
+    push(content) {
+      line += content;
+      endLine();
+    },
+    // Preformatted text keeps its own spacing
+    pushRaw(content) {
+      endLine();
+      if (content.trim()) text += content.replace(/\s+$/, "") + "\n";
+    },
+    heading(title, level) {
+      const clean = title.replace(/\s+/g, " ").trim();
+      if (!clean) return;
+      paragraphBreak();
+      headings.push({ title: clean, level, start: text.length });
+      text += clean + "\n";
+      paragraphBreak();
+    },
+    build() {
+      endLine();
+      return { text: text.trimEnd(), headings };
+    },
+  };
+}
+
+// A single top-level heading at the start is the document title; the
+// sections are the headings one level below it.
+function splitTitleHeading(headings) {
+  if (headings.length === 0) return { title: null, sections: [] };
+
+  const levels = [...new Set(headings.map((heading) => heading.level))].sort((a, b) => a - b);
+  const topLevel = headings.filter((heading) => heading.level === levels[0]);
+  const hasTitle = topLevel.length === 1 && headings[0] === topLevel[0] && levels.length > 1;
+  const sectionLevel = hasTitle ? levels[1] : levels[0];
+
+  return {
+    title: hasTitle ? topLevel[0].title : null,
+    sections: headings.filter((heading) => heading.level === sectionLevel),
+  };
+}
+
+function normalizeNewlines(text) {
+  return text.replace(/\r\n?/g, "\n");
+}
+
+function readText(file) {
+  return typeof file.text === "function" ? file.text() : new Response(file).text();
+}
+
+// --- Plain text ---
+
+/**
+ * @param {string} source
+ * @returns {{text: string, pages: [], headings: [], metadata: object}}
+ */
+export function parsePlainText(source) {
+  const text = normalizeNewlines(source)
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  return { text, pages: [], headings: [], metadata: {} };
+}
+
+// --- Markdown ---
+
+function parseFrontMatter(block) {
+  const fields = {};
+  let listKey = null;
+
+  block.split("\n").forEach((line) => {
+    const item = /^\s*-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      fields[listKey] = [...(Array.isArray(fields[listKey]) ? fields[listKey] : []), unquote(item[1])];
+      return;
+    }
+    const field = /^([A-Za-z_][\w-]*)\s*:\s*(.*)$/.exec(line);
+    if (!field) return;
+
+    const key = field[1].toLowerCase();
+    const value = field[2].trim();
+    listKey = value ? null : key;
+    if (/^\[.*\]$/.test(value)) {
+      fields[key] = value.slice(1, -1).split(",").map(unquote).filter(Boolean);
+    } else if (value) {
+      fields[key] = unquote(value);
+    }
+  });
+
+  const authors = fields.authors ?? fields.author;
+  return {
+    title: fields.title || null,
+    authors: Array.isArray(authors) ? authors : authors ? authors.split(/\s*(?:;|\band\b)\s*/) : [],
+    year: firstYear(String(fields.year ?? fields.date ?? "")),
+    venue: fields.venue || fields.journal || null,
+    doi: fields.doi || null,
+    abstract: fields.abstract || fields.description || null,
+  };
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(["'])(.*)\1$/, "$2");
+}
+
+function cleanMarkdownInline(line) {
+  return line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1")
+    .replace(/<(https?:[^>\s]+)>/g, "$1")
+    .replace(/<\/?[a-zA-Z][^>]*>/g, "")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/(\*\*|__)(?=\S)(.+?)\1/g, "$2")
+    .replace(/(^|[^\w*])\*(?=\S)(.+?)\*(?!\w)/g, "$1$2")
+    .replace(/(^|\W)_(?=\S)(.+?)_(?!\w)/g, "$1$2")
+    .replace(/~~(.+?)~~/g, "$1");
+}
+
+/**
+ * @param {string} source
+ * @returns {{text: string, pages: [], headings: object[], metadata: object}}
+ */
+export function parseMarkdown(source) {
+  let body = normalizeNewlines(source).replace(/<!--[\s\S]*?-->/g, "");
+  let frontMatter = {};
+
+  const frontMatterMatch = /^---\n([\s\S]*?)\n(?:---|\.\.\.)\s*(?:\n|$)/.exec(body);
+  if (frontMatterMatch) {
+    frontMatter = parseFrontMatter(frontMatterMatch[1]);
+    body = body.slice(frontMatterMatch[0].length);
+  }
+
+  const builder = createTextBuilder();
+  const lines = body.split("\n");
+  let fence = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fenceMatch = /^\s*(```|~~~)/.exec(line);
+    if (fenceMatch && (!fence || fenceMatch[1] === fence)) {
+      fence = fence ? null : fenceMatch[1];
+      builder.paragraphBreak();
+      continue;
+    }
+    if (fence) {
+      builder.pushRaw(line);
+      continue;
+    }
+
+    const atx = /^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/.exec(line);
+    if (atx) {
+      builder.heading(cleanMarkdownInline(atx[2]), atx[1].length);
+      continue;
+    }
+
+    const underline = lines[i + 1];
+    if (line.trim() && underline !== undefined && /^\s{0,3}(=+|-+)\s*$/.test(underline) && !/^\s*[-*+]\s/.test(line)) {
+      builder.heading(cleanMarkdownInline(line), underline.trim().startsWith("=") ? 1 : 2);
+      i++;
+      continue;
+    }
+
+    if (!line.trim() || /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      builder.paragraphBreak();
+      continue;
+    }
+    if (/^\s{0,3}\[[^\]]+\]:\s+\S+/.test(line)) continue; // link reference definition
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) continue; // table rule
+
+    const content = line
+      .replace(/^\s*(>\s?)+/, "")
+      .replace(/^\s*\|(.*)\|\s*$/, "$1")
+      .replace(/\s*\|\s*/g, " | ");
+    builder.push(cleanMarkdownInline(content));
+  }
+
+  const { text, headings } = builder.build();
+  const { title, sections } = splitTitleHeading(headings);
+  return {
+    text,
+    pages: [],
+    headings: sections,
+    metadata: { ...frontMatter, title: frontMatter.title || title },
+  };
+}
+
+// --- LaTeX ---
+
+// Reads a balanced {...} group starting at `index`
+function readGroup(source, index) {
+  let depth = 0;
+  for (let i = index; i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") i++;
+    else if (char === "{") depth++;
+    else if (char === "}" && --depth === 0) return { value: source.slice(index + 1, i), end: i + 1 };
+  }
+  return { value: source.slice(index + 1), end: source.length };
+}
+
+// Replace \name[opt]{arg1}...{argN} (names is a regex alternation) using balanced braces
+function replaceCommand(source, names, argCount, replace) {
+  const pattern = new RegExp(`\\\\(${names})\\*?(?![a-zA-Z])`, "g");
+  let result = "";
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    let index = match.index + match[0].length;
+    while (/\s/.test(source[index] || "")) index++;
+    if (source[index] === "[") {
+      const close = source.indexOf("]", index);
+      if (close !== -1) index = close + 1;
+    }
+
+    const args = [];
+    while (args.length < argCount) {
+      while (/\s/.test(source[index] || "")) index++;
+      if (source[index] !== "{") break;
+      const group = readGroup(source, index);
+      args.push(group.value);
+      index = group.end;
+    }
+    if (args.length < argCount) continue;
+
+    result += source.slice(last, match.index) + replace(args, match[1]);
+    last = index;
+    pattern.lastIndex = index;
+  }
+  return result + source.slice(last);
+}
+
+function commandArguments(source, name) {
+  const values = [];
+  replaceCommand(source, name, 1, ([value]) => {
+    values.push(value);
+    return "";
+  });
+  return values;
+}
+
+function stripLatexComments(source) {
+  return source
+    .split("\n")
+    .map((line) => line.replace(/(^|[^\\])%.*$/, "$1"))
+    .join("\n");
+}
+
+function latexAuthors(source) {
+  return commandArguments(source, "author")
+    .map((block) => replaceCommand(block, "thanks|footnote|inst|textsuperscript|affil|email", 1, () => ""))
+    .flatMap((block) => block.split(/\\and\b/))
+    // The first line of an author block is the name; affiliation lines follow "\\"
+    .map((author) => latexToText(author.split(/\\\\|\\newline\b/)[0]))
+    .flatMap((author) => author.split(/\s*,\s*|\s+and\s+/))
+    .filter((author) => author && !author.includes("@"));
+}
+
+const SECTION_LEVELS = { part: -1, chapter: 0, section: 1, subsection: 2, subsubsection: 3 };
+const DROPPED_WITH_ARGUMENT = "label|bibliographystyle|bibliography|includegraphics|input|include|vspace|hspace|usepackage|documentclass|thispagestyle|pagestyle|setlength|addbibresource";
+const CITE_COMMANDS = "cite|citep|citet|citealp|citeauthor|citeyear|parencite|textcite|autocite";
+const REF_COMMANDS = "ref|eqref|autoref|cref|Cref|pageref";
+
+/**
+ * Single-file LaTeX source (\input files are not followed).
+ * @param {string} source
+ * @returns {{text: string, pages: [], headings: object[], metadata: object}}
+ */
+export function parseLatex(source) {
+  const clean = stripLatexComments(normalizeNewlines(source));
+
+  const title = commandArguments(clean, "title")[0];
+  const date = commandArguments(clean, "date")[0];
+  const abstract = /\\begin\{abstract\}([\s\S]*?)\\end\{abstract\}/.exec(clean)?.[1];
+  const metadata = {
+    title: title ? latexToText(title.replace(/\\\\/g, " ")) : null,
+    authors: latexAuthors(clean),
+    year: firstYear(date),
+    abstract: abstract ? latexToText(abstract) : null,
+  };
+
+  let body = /\\begin\{document\}([\s\S]*?)(\\end\{document\}|$)/.exec(clean)?.[1] ?? clean;
+
+  // Structure first, with markers that survive the inline clean-up below
+  body = replaceCommand(body, Object.keys(SECTION_LEVELS).join("|"), 1, ([heading], name) =>
+    `\n\n\u0000H${SECTION_LEVELS[name]}\u0000${heading.replace(/\s+/g, " ")}\n\n`
+  );
+  body = replaceCommand(body, "paragraph|subparagraph", 1, ([heading]) => `\n\n${heading}. `);
+  body = body
+    .replace(/\\begin\{abstract\}/g, `\n\n\u0000H${SECTION_LEVELS.section}\u0000Abstract\n\n`)
+    .replace(/\\begin\{thebibliography\}(\{[^}]*\})?/g, `\n\n\u0000H${SECTION_LEVELS.section}\u0000References\n\n`)
+    .replace(/\\bibitem(\[[^\]]*\])?\{[^}]*\}/g, "\n");
+
+  body = replaceCommand(body, "maketitle|tableofcontents|centering|hline|toprule|midrule|bottomrule|noindent", 0, () => "");
+  body = replaceCommand(body, DROPPED_WITH_ARGUMENT, 1, () => "");
+  body = replaceCommand(body, "caption", 1, ([caption]) => `\n\n${caption}\n\n`);
+  body = replaceCommand(body, "footnote", 1, ([note]) => ` (${note})`);
+  body = replaceCommand(body, "href", 2, ([, label]) => label);
+  body = replaceCommand(body, "url", 1, ([url]) => url);
+  body = body.replace(new RegExp(`\\\\(${CITE_COMMANDS})\\*?(\\[[^\\]]*\\]){0,2}\\{([^}]*)\\}`, "g"), (_, __, ___, keys) =>
+    `(${keys.split(",").map((key) => key.trim()).join(", ")})`
+  );
+  body = body.replace(new RegExp(`\\\\(${REF_COMMANDS})\\{([^}]*)\\}`, "g"), "$2");
+
+  body = body
+    .replace(/\\(begin|end)\{[^}]*\}(\[[^\]]*\])?(\{[^}]*\})?/g, "\n\n")
+    .replace(/\s*\\item\b(\[[^\]]*\])?/g, "\n• ")
+    .replace(/\\\\(\[[^\]]*\])?|\\newline\b/g, "\n")
+    .replace(/\\par\b/g, "\n\n")
+    .replace(/(^|[^\\])&/gm, "$1 | ")
+    .replace(/``|''/g, '"')
+    .replace(/(^|[^\\])\$+/g, "$1");
+
+  const builder = createTextBuilder();
+  body.split("\n").forEach((line) => {
+    const heading = /^\s*\u0000H(-?\d)\u0000(.*)$/.exec(line);
+    if (heading) builder.heading(latexToText(heading[2]), parseInt(heading[1], 10));
+    else if (!line.trim()) builder.paragraphBreak();
+    else builder.push(latexToText(line));
+  });
+
+  const { text, headings } = builder.build();
+  const topLevel = Math.min(...headings.map((heading) => heading.level));
+  return {
+    text,
+    pages: [],
+    headings: headings.filter((heading) => heading.level === topLevel || heading.title === "Abstract"),
+    metadata,
+  };
+}
+
+// --- HTML ---
+
+const HTML_REMOVED = "script, style, noscript, template, nav, footer, aside, form, button, svg, iframe, canvas";
+const HTML_BLOCKS = new Set([
+  "ADDRESS", "ARTICLE", "BLOCKQUOTE", "DD", "DETAILS", "DIV", "DL", "DT", "FIELDSET", "FIGCAPTION",
+  "FIGURE", "HEADER", "HR", "LI", "MAIN", "OL", "P", "SECTION", "SUMMARY", "TABLE", "TBODY", "THEAD", "TR", "UL",
+]);
+const HTML_PARAGRAPHS = new Set(["P", "BLOCKQUOTE", "FIGURE", "TABLE", "UL", "OL", "DL", "SECTION", "ARTICLE", "HR"]);
+
+function htmlMeta(doc, names) {
+  return names
+    .flatMap((name) => [...doc.querySelectorAll(`meta[name="${name}" i], meta[property="${name}" i]`)])
+    .map((meta) => meta.getAttribute("content")?.trim())
+    .filter(Boolean);
+}
+
+function walkHtml(node, builder) {
+  if (node.nodeType === 3) {
+    builder.append(node.nodeValue);
+    return;
+  }
+  if (node.nodeType !== 1) return;
+
+  const tag = node.tagName;
+  if (/^H[1-6]$/.test(tag)) {
+    builder.heading(node.textContent, parseInt(tag[1], 10));
+    return;
+  }
+  if (tag === "BR") {
+    builder.endLine();
+    return;
+  }
+  if (tag === "PRE") {
+    builder.paragraphBreak();
+    node.textContent.split("\n").forEach((line) => builder.pushRaw(line));
+    builder.paragraphBreak();
+    return;
+  }
+
+  const block = HTML_BLOCKS.has(tag);
+  if (block) builder.endLine();
+  if (tag === "LI") builder.append("• ");
+  node.childNodes.forEach((child) => walkHtml(child, builder));
+  if (tag === "TD" || tag === "TH") builder.append(" | ");
+  if (HTML_PARAGRAPHS.has(tag)) builder.paragraphBreak();
+  else if (block) builder.endLine();
+}
+
+/**
+ * Saved web article. Prefers <article>/<main> and Highwire/Dublin Core
+ * <meta> tags (citation_title, citation_author, ...) for metadata.
+ * @param {string} source
+ * @returns {{text: string, pages: [], headings: object[], metadata: object}}
+ */
+export function parseHtml(source) {
+  const doc = new DOMParser().parseFromString(source, "text/html");
+  doc.querySelectorAll(HTML_REMOVED).forEach((element) => element.remove());
+
+  const root = doc.querySelector("article") || doc.querySelector("main") || doc.body;
+  const builder = createTextBuilder();
+  if (root) walkHtml(root, builder);
+
+  const { text, headings } = builder.build();
+  const { title, sections } = splitTitleHeading(headings);
+
+  const metaTitle = htmlMeta(doc, ["citation_title", "dc.title", "og:title"])[0];
+  return {
+    text,
+    pages: [],
+    headings: sections,
+    metadata: {
+      title: metaTitle || title || doc.title?.trim() || null,
+      authors: htmlMeta(doc, ["citation_author", "dc.creator", "author"]),
+      year: firstYear(htmlMeta(doc, ["citation_publication_date", "citation_date", "citation_online_date", "dc.date", "article:published_time"])[0]),
+      venue: htmlMeta(doc, ["citation_journal_title", "citation_conference_title", "og:site_name"])[0] || null,
+      doi: htmlMeta(doc, ["citation_doi", "dc.identifier"])[0]?.replace(/^doi:/i, "") || null,
+      abstract: htmlMeta(doc, ["citation_abstract", "dc.description", "description"])[0] || null,
+    },
+  };
+}
+
+// --- PDF ---
+
+// Returns the text line by line (pages separated by "\n") plus the character
+// range of every page, so chunks can point back to their page. Line breaks are
+// kept because the chunking strategies use them to find headings and paragraphs.
+// Tables and figure captions (see pdf-layout.js) are left out of the text and
+// returned as `elements`, so they neither garble paragraphs nor lose their rows.
+// Needs pdf.js as the global `pdfjsLib` (loaded by ingest-worker.js).
+async function loadPdf(file, { onProgress, throwIfCancelled } = {}) {
+  const pdfjsLib = globalThis.pdfjsLib;
+  if (!pdfjsLib) throw new Error("pdf.js not loaded (pdfjsLib is undefined).");
+
+  const arrayBuffer = await file.arrayBuffer();
+  const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+
+  // Destroyed on every exit, cancellation and errors included: the worker outlives the job
+  try {
+    let fullText = "";
+    const pages = [];
+    const elements = [];
+    for (let i = 1; i <= pdf.numPages; i++) {
+      throwIfCancelled?.();
+      onProgress?.(i, pdf.numPages);
+
+      const page = await pdf.getPage(i);
+      const textContent = await page.getTextContent();
+      const layout = analyzePageLayout(textContent.items, { width: page.getViewport({ scale: 1 }).width });
+      const pageElements = [
+        ...layout.tables.map(({ items, ...table }) => ({ type: "table", ...table, items })),
+        ...layout.figures.map(({ items, ...figure }) => ({ type: "figure", ...figure, items })),
+      ];
+      const elementOf = new Map(pageElements.flatMap((element) => element.items.map((index) => [index, element])));
+
+      let pageText = "";
+      const pageStart = fullText.length + (fullText ? 1 : 0);
+      textContent.items.forEach((item, index) => {
+        const element = elementOf.get(index);
+        if (element) {
+          element.offset ??= pageStart + pageText.length; // Approximate: the text is normalized below
+          if (item.hasEOL) pageText += "\n";
+          return;
+        }
+        pageText += item.str + (item.hasEOL ? "\n" : " ");
+      });
+      pageElements.forEach(({ items, ...element }) => {
+        elements.push({ ...element, page: i, offset: Math.min(element.offset ?? pageStart, pageStart + pageText.length) });
+      });
+      pageText = pageText
+        .split("\n")
+        .map((line) => line.replace(/\s+/g, " ").trim())
+        .join("\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+      if (!pageText) continue;
+
+      if (fullText) fullText += "\n";
+      pages.push({ pageNumber: i, start: fullText.length, end: fullText.length + pageText.length });
+      fullText += pageText;
+    }
+
+    // Info dictionary / XMP first, then the first page; the file's creation date
+    // is only used when neither names a year
+    const { info, metadata: xmp } = await pdf.getMetadata().catch(() => ({}));
+    const { creationYear, ...infoMetadata } = parsePdfInfo({ info, xmp: xmp?.getAll?.() ?? {} });
+    const firstPage = pages.length > 0 ? fullText.slice(pages[0].start, pages[0].end) : "";
+    const metadata = mergeMetadata(infoMetadata, parseFirstPage(firstPage), { year: creationYear });
+
+    return { text: fullText, pages, headings: [], metadata, elements };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// --- Built-in loaders ---
+
+registerLoader({
+  id: "pdf",
+  label: "PDF",
+  extensions: [".pdf"],
+  mimeTypes: ["application/pdf"],
+  load: loadPdf,
+});
+
+registerLoader({
+  id: "text",
+  label: "Plain text",
+  extensions: [".txt", ".text"],
+  mimeTypes: ["text/plain"],
+  load: async (file) => parsePlainText(await readText(file)),
+});
+
+registerLoader({
+  id: "markdown",
+  label: "Markdown",
+  extensions: [".md", ".markdown"],
+  mimeTypes: ["text/markdown", "text/x-markdown"],
+  load: async (file) => parseMarkdown(await readText(file)),
+});
+
+registerLoader({
+  id: "html",
+  label: "HTML",
+  extensions: [".html", ".htm", ".xhtml"],
+  mimeTypes: ["text/html", "application/xhtml+xml"],
+  needsDOM: true,
+  load: async (file) => parseHtml(await readText(file)),
+});
+
+registerLoader({
+  id: "latex",
+  label: "LaTeX",
+  extensions: [".tex", ".latex"],
+  mimeTypes: ["application/x-tex", "text/x-tex", "application/x-latex"],
+  load: async (file) => parseLatex(await readText(file)),
+});
+
+registerLoader({
+  id: "bibtex",
+  label: "BibTeX",
+  kind: "bibliography",
+  extensions: [".bib"],
+  mimeTypes: ["application/x-bibtex", "text/x-bibtex"],
+  load: async (file) => ({ entries: parseBibTeX(await readText(file)) }),
+});
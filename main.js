@@ -6,17 +6,138 @@ console.log("✅ main.js loaded");
  * RAG (embeddings + vector store) should work even if WebLLM fails.
  */
 
-import { CreateMLCEngine } from "https://esm.run/@mlc-ai/web-llm";
-import { pipeline } from "https://cdn.jsdelivr.net/npm/@xenova/transformers@2.6.0";
+import { CreateMLCEngine, prebuiltAppConfig } from "https://esm.run/@mlc-ai/web-llm";
+import {
+  pipeline,
+  AutoTokenizer,
+  AutoModelForSequenceClassification,
+} from "https://cdn.jsdelivr.net/npm/@xenova/transformers@2.6.0";
+import {
+  createEngineClient,
+  isLiteratureReviewRequest,
+  buildPaperContext,
+  runLiteratureReview,
+} from "./agents.js";
+import {
+  loadLibrary,
+  savePaper,
+  updatePaper,
+  deletePaper,
+  clearLibrary,
+  getStorageEstimate,
+  estimateLibraryBytes,
+  formatBytes,
+  loadSessions,
+  saveSession,
+  deleteSession,
+} from "./storage.js";
+import { parseCitations } from "./citations.js";
+import { DEFAULT_CHUNKING } from "./chunking.js";
+import { createBM25Index } from "./bm25.js";
+import { DEFAULT_RETRIEVAL, chunkKey } from "./retrieval.js";
+import { createVectorStore } from "./vector-store.js";
+import { createRetriever } from "./retriever.js";
+import { createIngestQueue } from "./ingest-queue.js";
+import { findLoader, acceptedFileTypes, supportedExtensions, fileExtension } from "./loaders.js";
+import { matchBibEntry } from "./bibtex.js";
+import {
+  mergeMetadata,
+  missingMetadataFields,
+  buildMetadataMessages,
+  parseMetadataReply,
+  citationLabels,
+} from "./metadata.js";
+import { exportMarkdown, exportLatex, exportDocx } from "./exporters.js";
+import { createZip } from "./zip.js";
+import {
+  VOICE_STATES,
+  DEFAULT_VAD_OPTIONS,
+  WHISPER_SAMPLE_RATE,
+  createVAD,
+  createVoiceStateMachine,
+  resample,
+  startMicrophone,
+  speak,
+  textForSpeech,
+} from "./voice.js";
+import {
+  DEFAULT_CONTEXT_WINDOW,
+  createTokenCounter,
+  budgetFor,
+  fitChunks,
+  planHistory,
+  measureUsage,
+  buildSummaryMessages,
+  fallbackSummary,
+  withSummary,
+} from "./context-budget.js";
+import {
+  createUserMessage,
+  createAssistantMessage,
+  renderContextBlock,
+  renderUserPrompt,
+  toPromptMessage,
+  promptHistory,
+  recordRequests,
+} from "./messages.js";
+import { createSession, duplicateSession, sessionNameFrom, sortSessions } from "./sessions.js";
+import { buildRewriteMessages, parseRewriteReply, retrievalQueries } from "./query-understanding.js";
+import { toHandle, parseTagList, libraryFacets, mentionTargets, parseMentions, mentionAtCaret } from "./scope.js";
+import { verifyAnswer, flaggedSentences, buildRevisionMessages } from "./verification.js";
+import { paperStats, libraryTotals, retrievalCounts } from "./library-stats.js";
+import {
+  MAX_CLUSTERS,
+  projectPCA,
+  defaultClusterCount,
+  kMeans,
+  summarizeClusters,
+  buildTopicLabelMessages,
+  parseTopicLabels,
+} from "./embedding-map.js";
+import {
+  paperVectors,
+  similarityMatrix,
+  findCitationLinks,
+  buildPaperGraph,
+  layoutPaperGraph,
+  describePaperRelations,
+} from "./paper-graph.js";
+import {
+  DEFAULT_EXTRACTION_SCHEMA,
+  parseSchemaText,
+  formatSchemaText,
+  extractionQueries,
+  buildExtractionMessages,
+  parseExtractionReply,
+  locateValue,
+  extractionToCSV,
+  extractionToMarkdown,
+} from "./extraction.js";
 
 // --- Configuration ---
 let SELECTED_MODEL = "Llama-3.2-1B-Instruct-q4f32_1-MLC";
 const EMBEDDING_MODEL = "Xenova/all-MiniLM-L6-v2";
+const WHISPER_MODEL = "Xenova/whisper-tiny";
 const CHUNK_SIZE = 500;
 const CHUNK_OVERLAP = 100;
-const TOP_K_CHUNKS = 5;
 const MAX_MB = 25;
-const MIN_SIMILARITY_THRESHOLD = 0.1; // Minimum similarity for relevant chunks
+const RERANK_MODEL = "Xenova/ms-marco-MiniLM-L-6-v2"; // Cross-encoder, loaded when re-ranking is enabled
+const RERANK_BATCH = 8; // Query/passage pairs scored per cross-encoder call
+const REWRITE_TURNS = 4; // Earlier messages the query rewriter sees
+const REWRITE_MAX_TOKENS = 300;
+const SUB_QUERIES = 2; // Paraphrases retrieved with besides the standalone query (plus one HyDE passage)
+const REVIEW_LEAD_CHUNKS = 2; // Opening chunks (abstract, introduction) in every paper's review context
+const REVIEW_CHUNKS_PER_PAPER = 6; // Chunks retrieved per paper for a literature review
+const ANN_OPTIONS = { M: 16, efConstruction: 100, efSearch: 64 }; // HNSW parameters
+const INGEST_CONCURRENCY = 2; // Files processed by the ingestion worker at once
+const ANSWER_MAX_TOKENS = 1024; // Reserved in the context window for the answer
+const SUMMARY_MAX_TOKENS = 256; // Rolling summary of folded turns
+const EXTRACTION_CHUNKS_PER_FIELD = 2; // Chunks retrieved per schema field for the comparison table
+const EXTRACTION_MAX_EXCERPTS = 10; // Excerpts the extraction prompt sees per paper
+const EXTRACTION_MAX_TOKENS = 600;
+const TOPIC_LABEL_MAX_TOKENS = 200; // LLM labels for the embedding map's clusters
+const MAP_THEME_MIN_SHARE = 0.1; // Papers below this share of a cluster are left out of "Review this theme"
+const MAP_COLORS = ["#6366f1", "#ec4899", "#10b981", "#f59e0b", "#0ea5e9", "#8b5cf6", "#ef4444", "#14b8a6", "#84cc16", "#f97316"];
 
 // Available Models Configuration
 const AVAILABLE_MODELS = {
@@ -76,32 +197,82 @@ let systemPrompts = {
 
 let currentPromptType = 'default';
 
+// Chunking settings (apply to papers ingested after a change)
+let chunkingSettings = {
+  ...DEFAULT_CHUNKING,
+  chunkSize: CHUNK_SIZE,
+  chunkOverlap: CHUNK_OVERLAP,
+};
+
 // --- State ---
 let engine = null;
 let embedder = null;
 let isModelLoading = false;
 let isEmbedderLoading = false;
 let isTyping = false;
-
+let activeGeneration = null; // { kind, client, controller } while the engine is generating (an answer or a background job)
+const generationWaiters = []; // Queued acquireEngine() calls, handed the engine one at a time as it is released
+let transcriberLoading = null; // Promise for the Whisper pipeline, loaded on first use of voice mode
+let voiceSession = null; // { microphone, vad, machine, controller } while voice mode is on
+let voiceSettings = { silenceMs: DEFAULT_VAD_OPTIONS.silenceMs, threshold: DEFAULT_VAD_OPTIONS.threshold, readAloud: true };
+let conversationSummary = ""; // Rolling summary of the turns folded out of the prompt
+const tokenCounter = createTokenCounter();
+
+// vectorStore holds chunk metadata; embeddings live in vectorIndex (contiguous Float32Array)
 let vectorStore = [];
 let uploadedPapers = [];
+let pendingBibEntries = []; // BibTeX entries that did not match an uploaded paper yet
+let useLLMMetadataFallback = false;
+let editingPaperIndex = null; // Paper card currently showing the metadata editor
+const chunkLookup = new Map(); // chunkKey -> chunk
+const vectorIndex = createVectorStore();
+const keywordIndex = createBM25Index(); // BM25 over the same chunks as vectorStore
+const retriever = createRetriever({ vectorIndex, keywordIndex, chunkLookup, embedQuery, crossEncode: crossEncoderScores });
+let retrievalMode = "hybrid"; // "vector" | "keyword" | "hybrid"
+let retrievalSettings = { ...DEFAULT_RETRIEVAL }; // Top-K, threshold, diversity, cross-encoder
+let rerankerLoading = null; // Promise for the cross-encoder, loaded on first use
+let useQueryRewriting = false; // Rewrite follow-ups and retrieve with several queries (costs one LLM call)
+let autoReviseAnswers = false; // Ask the engine once more to fix claims the verifier flags
+let extractionSchema = DEFAULT_EXTRACTION_SCHEMA.map((field) => ({ ...field })); // Columns of the comparison table
+let isExtracting = false;
+const extractionErrors = new Map(); // paper name -> why its last extraction failed
+let paperGraph = null; // Cached { key, matrix, graph, positions } for the Dashboard
+let embeddingMap = null; // { points, clusters, variance, signature, selectedCluster, selectedPoint } once built on the Dashboard
+const ingestQueue = createIngestQueue({
+  workerUrl: new URL("./ingest-worker.js", import.meta.url),
+  embeddingModel: EMBEDDING_MODEL,
+  concurrency: INGEST_CONCURRENCY,
+  onChange: (job) => handleIngestJobChange(job),
+});
 
-let conversationHistory = [
-  {
-    role: "system",
-    content: systemPrompts.default
-  },
-];
+// User and assistant messages (see messages.js); the system prompt is added per request
+let conversationHistory = [];
+
+// Saved chat sessions (sessions.js). The active one is worked on through the globals
+// above (history, summary, prompt, temperature) and copied back by saveActiveSession()
+let sessions = [];
+let activeSessionId = null;
+let startupRestore = Promise.resolve(); // Library + sessions rehydration; uploads and questions wait for it
 
 // --- UI Refs ---
 const chatInput = document.getElementById("chat-input");
 const sendBtn = document.getElementById("send-btn");
+const stopBtn = document.getElementById("stop-btn");
+const micBtn = document.getElementById("mic-btn");
+const voiceStatus = document.getElementById("voice-status");
 const chatHistoryContainer = document.getElementById("chat-history");
+const conversationExport = document.getElementById("conversation-export");
+const welcomeMarkup = chatHistoryContainer?.innerHTML ?? ""; // Restored when a session is re-rendered
+const mentionSuggestionsList = document.getElementById("mention-suggestions");
+const sessionsList = document.getElementById("sessions-list");
+const newSessionBtn = document.getElementById("new-session-btn");
 const dropZone = document.getElementById("drop-zone");
 const fileInput = document.getElementById("file-input");
 const vectorStoreInfo = document.getElementById("vector-store-info");
 const papersList = document.getElementById("papers-list");
+const paperScope = document.getElementById("paper-scope");
 const ragStatus = document.getElementById("rag-status");
+const clearLibraryBtn = document.getElementById("clear-library-btn");
 
 // Navigation refs
 const chatTab = document.getElementById("chat-tab");
@@ -109,7 +280,39 @@ const papersTab = document.getElementById("papers-tab");
 const dashboardTab = document.getElementById("dashboard-tab");
 const chatView = document.getElementById("chat-view");
 const papersView = document.getElementById("papers-view");
+const dashboardView = document.getElementById("dashboard-view");
+const dashboardTotals = document.getElementById("dashboard-totals");
+const dashboardPapers = document.getElementById("dashboard-papers");
+const dashboardRetrieved = document.getElementById("dashboard-retrieved");
+const explorerForm = document.getElementById("explorer-form");
+const explorerInput = document.getElementById("explorer-input");
+const explorerK = document.getElementById("explorer-k");
+const explorerResults = document.getElementById("explorer-results");
+const explorerSettings = document.getElementById("explorer-settings");
+const extractionPanel = document.getElementById("extraction-panel");
+const extractionRunBtn = document.getElementById("extraction-run-btn");
+const extractionSchemaBtn = document.getElementById("extraction-schema-btn");
+const extractionCsvBtn = document.getElementById("extraction-csv-btn");
+const extractionMarkdownBtn = document.getElementById("extraction-markdown-btn");
+const extractionSchemaEditor = document.getElementById("extraction-schema-editor");
+const extractionSchemaInput = document.getElementById("extraction-schema-input");
+const extractionSchemaApply = document.getElementById("extraction-schema-apply");
+const extractionSchemaReset = document.getElementById("extraction-schema-reset");
+const extractionStatus = document.getElementById("extraction-status");
+const extractionTable = document.getElementById("extraction-table");
+const similarityMatrixEl = document.getElementById("similarity-matrix");
+const paperGraphCanvas = document.getElementById("paper-graph-canvas");
+const mapCanvas = document.getElementById("map-canvas");
+const mapClustersInput = document.getElementById("map-clusters");
+const mapColorSelect = document.getElementById("map-color");
+const mapBuildBtn = document.getElementById("map-build-btn");
+const mapStatus = document.getElementById("map-status");
+const mapLegend = document.getElementById("map-legend");
+const mapClusterList = document.getElementById("map-cluster-list");
+const mapSelection = document.getElementById("map-selection");
+const mapChunk = document.getElementById("map-chunk");
 const papersGrid = document.getElementById("papers-grid");
+const ingestQueueContainer = document.getElementById("ingest-queue");
 const papersEmptyState = document.getElementById("papers-empty-state");
 const gotoUploadBtn = document.getElementById("goto-upload-btn");
 
@@ -130,6 +333,27 @@ const promptModal = document.getElementById("prompt-modal");
 const customPromptTextarea = document.getElementById("custom-prompt-textarea");
 const cancelPromptBtn = document.getElementById("cancel-prompt-btn");
 const savePromptBtn = document.getElementById("save-prompt-btn");
+const chunkStrategySelect = document.getElementById("chunk-strategy-select");
+const chunkSizeInput = document.getElementById("chunk-size-input");
+const chunkOverlapInput = document.getElementById("chunk-overlap-input");
+const excludeReferencesCheckbox = document.getElementById("exclude-references-checkbox");
+const retrievalModeSelect = document.getElementById("retrieval-mode-select");
+const annCheckbox = document.getElementById("ann-checkbox");
+const topKInput = document.getElementById("top-k-input");
+const minSimilaritySlider = document.getElementById("min-similarity-slider");
+const minSimilarityValue = document.getElementById("min-similarity-value");
+const diversitySlider = document.getElementById("diversity-slider");
+const diversityValue = document.getElementById("diversity-value");
+const rerankCheckbox = document.getElementById("rerank-checkbox");
+const queryRewriteCheckbox = document.getElementById("query-rewrite-checkbox");
+const autoReviseCheckbox = document.getElementById("auto-revise-checkbox");
+const llmMetadataCheckbox = document.getElementById("llm-metadata-checkbox");
+const voiceSilenceInput = document.getElementById("voice-silence-input");
+const voiceThresholdSlider = document.getElementById("voice-threshold-slider");
+const voiceReadAloudCheckbox = document.getElementById("voice-read-aloud-checkbox");
+const budgetBar = document.getElementById("budget-bar");
+const budgetText = document.getElementById("budget-text");
+const budgetLegend = document.getElementById("budget-legend");
 
 // --- Status helpers ---
 function setRagStatus(text, cls = "text-orange-500") {
@@ -166,183 +390,91 @@ async function initEmbedder() {
   }
 }
 
-// ✅ pdf.js from CDN => window.pdfjsLib
-async function extractTextFromPDF(file) {
-  const pdfjsLib = window.pdfjsLib;
-  if (!pdfjsLib) throw new Error("pdf.js not loaded (window.pdfjsLib is undefined).");
-
-  pdfjsLib.GlobalWorkerOptions.workerSrc =
-    "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js";
-
-  const arrayBuffer = await file.arrayBuffer();
-  const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+// --- Library indexes (vector + keyword, kept in sync with vectorStore) ---
+// Embeddings move from the chunk objects into vectorIndex, so they are only stored once.
+function addChunksToLibrary(chunks) {
+  chunks.forEach((chunk) => {
+    const key = chunkKey(chunk);
+    if (chunk.embedding) vectorIndex.add(key, chunk.embedding);
+    delete chunk.embedding;
+
+    keywordIndex.add(key, chunk.text);
+    chunkLookup.set(key, chunk);
+    vectorStore.push(chunk);
+  });
+}
 
-  let fullText = "";
-  for (let i = 1; i <= pdf.numPages; i++) {
-    const page = await pdf.getPage(i);
-    const textContent = await page.getTextContent();
-    fullText += textContent.items.map((item) => item.str).join(" ") + "\n";
-  }
-  return fullText;
+function removeChunksFromLibrary(source) {
+  vectorStore
+    .filter((chunk) => chunk.source === source)
+    .forEach((chunk) => {
+      const key = chunkKey(chunk);
+      vectorIndex.remove(key);
+      keywordIndex.remove(key);
+      chunkLookup.delete(key);
+    });
+  vectorStore = vectorStore.filter((chunk) => chunk.source !== source);
 }
 
-function chunkText(text, filename) {
-  console.log(`📝 Chunking text from ${filename}: ${text.length} characters`);
-  const chunks = [];
-  
-  // Clean and normalize text
-  const cleanText = text.replace(/\s+/g, ' ').trim();
-  
-  // Sliding window approach with character-based chunking
-  for (let i = 0; i < cleanText.length; i += (CHUNK_SIZE - CHUNK_OVERLAP)) {
-    const chunk = cleanText.slice(i, i + CHUNK_SIZE);
-    
-    if (chunk.trim().length > 0) {
-      chunks.push({ 
-        text: chunk.trim(), 
-        source: filename, 
-        embedding: null,
-        chunkIndex: chunks.length
-      });
-    }
-    
-    // Break if we've reached the end
-    if (i + CHUNK_SIZE >= cleanText.length) break;
-  }
-  
-  console.log(`🧩 Created ${chunks.length} chunks with ${CHUNK_OVERLAP} character overlap`);
-  return chunks;
+function clearLibraryIndexes() {
+  vectorStore = [];
+  vectorIndex.clear();
+  keywordIndex.clear();
+  chunkLookup.clear();
 }
 
-async function generateEmbeddings(chunks) {
-  if (!embedder) {
-    console.warn("❌ Embedder not loaded yet, skipping embeddings.");
-    return chunks;
-  }
+// Chunk objects with their embedding attached again (for persistence)
+function withEmbeddings(chunks) {
+  return chunks.map((chunk) => ({ ...chunk, embedding: vectorIndex.get(chunkKey(chunk)) }));
+}
 
-  console.log(`🔢 Generating embeddings for ${chunks.length} chunks using ${EMBEDDING_MODEL}...`);
-  let successCount = 0;
-  let errorCount = 0;
-  
-  for (let i = 0; i < chunks.length; i++) {
-    try {
-      // Generate embedding with proper options
-      const output = await embedder(chunks[i].text, { 
-        pooling: "mean", 
-        normalize: true 
-      });
-      
-      // Convert tensor to array
-      chunks[i].embedding = Array.from(output.data);
-      successCount++;
-      
-      // Progress logging every 10 chunks
-      if (i % 10 === 0 || i === chunks.length - 1) {
-        console.log(`📊 Embedding progress: ${i + 1}/${chunks.length} (${successCount} success, ${errorCount} errors)`);
-      }
-      
-    } catch (error) {
-      console.error(`❌ Failed to generate embedding for chunk ${i}:`, error);
-      chunks[i].embedding = null; // Mark as failed
-      errorCount++;
-    }
-  }
+function setApproximateSearch(enabled) {
+  const started = performance.now();
+  vectorIndex.setANN(enabled ? ANN_OPTIONS : false);
+  console.log(enabled
+    ? `🕸️ HNSW index built over ${vectorIndex.size} vectors in ${(performance.now() - started).toFixed(0)}ms`
+    : "🕸️ HNSW index disabled, using exact search");
+}
 
-  console.log(`✅ Embedding generation complete: ${successCount} successful, ${errorCount} failed`);
-  return chunks.filter(chunk => chunk.embedding !== null); // Filter out failed embeddings
+// Query embedding for the retriever; null until the embedder has loaded
+async function embedQuery(text) {
+  if (!embedder) return null;
+  const output = await embedder(text, { pooling: "mean", normalize: true });
+  return Float32Array.from(output.data);
 }
 
 /**
- * Calculate cosine similarity between two vectors
- * Formula: similarity = (Á·B) / (||Á|| × ||B||)
- * @param {number[]} vecA - First vector
- * @param {number[]} vecB - Second vector
- * @returns {number} Similarity score between 0 and 1
+ * Hybrid/vector/keyword search over the library (see retriever.js).
+ * @param {string} query - Also what the cross-encoder scores against
+ * @param {object} [options]
+ * @param {Set<string>|null} [options.sources] - Only search these papers (null = all)
+ * @param {string[]} [options.queries] - Several queries (rewrites, paraphrases, HyDE) whose pools are fused
+ * @param {number} [options.topK] - Defaults to the System Controls setting
  */
-function cosineSimilarity(vecA, vecB) {
-  if (!vecA || !vecB) {
-    console.warn("❌ One or both vectors are null/undefined");
-    return 0;
-  }
-  
-  if (vecA.length !== vecB.length) {
-    console.warn(`❌ Vector length mismatch: ${vecA.length} vs ${vecB.length}`);
-    return 0;
-  }
-  
-  if (vecA.length === 0) return 0;
-
-  // Calculate dot product and magnitudes
-  let dotProduct = 0;
-  let magnitudeA = 0;
-  let magnitudeB = 0;
-  
-  for (let i = 0; i < vecA.length; i++) {
-    dotProduct += vecA[i] * vecB[i];
-    magnitudeA += vecA[i] * vecA[i];
-    magnitudeB += vecB[i] * vecB[i];
-  }
-  
-  // Calculate magnitudes (L2 norm)
-  magnitudeA = Math.sqrt(magnitudeA);
-  magnitudeB = Math.sqrt(magnitudeB);
-  
-  // Avoid division by zero
-  if (magnitudeA === 0 || magnitudeB === 0) {
-    console.warn("❌ One or both vectors have zero magnitude");
-    return 0;
-  }
-  
-  // Return cosine similarity
-  const similarity = dotProduct / (magnitudeA * magnitudeB);
-  return Math.max(0, Math.min(1, similarity)); // Clamp between 0 and 1
-}
-
-async function searchSimilarChunks(query) {
-  if (!embedder) {
-    console.warn("❌ Embedder not available for search");
-    return [];
-  }
-  
+async function searchSimilarChunks(query, { sources = null, queries = [query], topK = retrievalSettings.topK } = {}) {
   if (vectorStore.length === 0) {
     console.warn("❌ Vector store is empty - no documents to search");
     return [];
   }
-  
-  console.log(`🔍 Searching for: "${query.substring(0, 100)}${query.length > 100 ? '...' : ''}"`);  
+
+  console.log(`🔍 Searching (${retrievalMode}) for: "${query.substring(0, 100)}${query.length > 100 ? '...' : ''}"${queries.length > 1 ? ` + ${queries.length - 1} more queries` : ""}`);
   console.log(`📊 Vector store contains ${vectorStore.length} chunks`);
 
   try {
-    // Generate query embedding
-    const queryEmbedding = await embedder(query, { 
-      pooling: "mean", 
-      normalize: true 
+    const results = await retriever.search(query, {
+      ...retrievalSettings,
+      mode: retrievalMode,
+      sources,
+      queries,
+      topK,
     });
-    const queryVector = Array.from(queryEmbedding.data);
-    
-    console.log(`🎯 Query embedding generated: ${queryVector.length} dimensions`);
-
-    // Calculate similarities and sort
-    const results = vectorStore
-      .map((chunk, index) => {
-        if (!chunk.embedding) {
-          console.warn(`⚠️ Chunk ${index} has no embedding`);
-          return { ...chunk, similarity: 0, index };
-        }
-        
-        const similarity = cosineSimilarity(queryVector, chunk.embedding);
-        return { ...chunk, similarity, index };
-      })
-      .filter(result => result.similarity >= MIN_SIMILARITY_THRESHOLD)
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, TOP_K_CHUNKS);
 
-    console.log(`📊 Found ${results.length} relevant chunks above threshold ${MIN_SIMILARITY_THRESHOLD}`);
-    
     if (results.length > 0) {
-      console.log("🎯 Top similarities:", results.slice(0, 3).map(r => ({
+      console.log("🎯 Top results:", results.slice(0, 3).map(r => ({
         source: r.source,
-        similarity: r.similarity.toFixed(3),
+        similarity: r.similarity?.toFixed(3),
+        bm25: r.bm25Score?.toFixed(2),
+        rerank: r.rerankScore?.toFixed(3),
         preview: r.text.substring(0, 50) + "..."
       })));
     }
@@ -355,9 +487,133 @@ async function searchSimilarChunks(query) {
   }
 }
 
-async function processPDF(file) {
-  console.log("Starting processPDF:", file.name);
+// --- Cross-encoder re-ranking (second stage, see retriever.js) ---
+
+function setRerankStatus(text, cls = "text-gray-400") {
+  const statusEl = document.getElementById("rerank-status");
+  if (!statusEl) return;
+  statusEl.textContent = text;
+  statusEl.className = `text-[10px] ${cls}`;
+}
+
+function loadReranker() {
+  if (!rerankerLoading) {
+    setRerankStatus("Loading…", "text-orange-500");
+    rerankerLoading = Promise.all([
+      AutoTokenizer.from_pretrained(RERANK_MODEL),
+      AutoModelForSequenceClassification.from_pretrained(RERANK_MODEL),
+    ]).then(
+      ([tokenizer, model]) => {
+        console.log("✅ Cross-encoder loaded.");
+        setRerankStatus("Ready", "text-green-600");
+        return { tokenizer, model };
+      },
+      (error) => {
+        rerankerLoading = null; // Retry on the next search
+        setRerankStatus("Load failed", "text-red-600");
+        throw error;
+      }
+    );
+  }
+  return rerankerLoading;
+}
+
+// Cross-encoder relevance of each chunk to the query, in [0, 1]
+async function crossEncoderScores(query, chunks) {
+  const { tokenizer, model } = await loadReranker();
+  const scores = [];
+  for (let i = 0; i < chunks.length; i += RERANK_BATCH) {
+    const batch = chunks.slice(i, i + RERANK_BATCH);
+    const inputs = tokenizer(new Array(batch.length).fill(query), {
+      text_pair: batch.map((chunk) => chunk.text),
+      padding: true,
+      truncation: true,
+    });
+    const { logits } = await model(inputs);
+    Array.from(logits.data).forEach((logit) => scores.push(1 / (1 + Math.exp(-logit))));
+  }
+  return scores;
+}
+
+// --- Ingestion (extraction, chunking and embedding run in ingest-worker.js) ---
+
+const INGEST_STAGE_LABELS = {
+  queued: "Queued",
+  extracting: "Extracting page",
+  chunking: "Chunking",
+  embedding: "Embedding chunk",
+  cancelling: "Cancelling…",
+};
+
+function formatIngestProgress(job) {
+  const label = INGEST_STAGE_LABELS[job.stage] || job.stage;
+  if (job.stage === "extracting" || job.stage === "embedding") {
+    return `${label} ${job.current} of ${job.total}`;
+  }
+  return label;
+}
+
+// Share of the whole job done, for the progress bar. Extraction and embedding
+// dominate, so they get most of the bar.
+function ingestProgressPercent(job) {
+  const fraction = job.total ? job.current / job.total : 0;
+  switch (job.stage) {
+    case "extracting": return fraction * 30;
+    case "chunking": return 30 + fraction * 5;
+    case "embedding": return 35 + fraction * 65;
+    default: return 0;
+  }
+}
+
+function handleIngestJobChange(job) {
+  const statusMessage = chatHistoryContainer?.querySelector(`[data-job-id="${job.id}"]`);
+  if (statusMessage && (job.status === "queued" || job.status === "running")) {
+    statusMessage.textContent = `Processing ${job.name}: ${formatIngestProgress(job)}`;
+  }
+  renderIngestQueue();
+}
+
+function renderIngestQueue() {
+  if (!ingestQueueContainer) return;
+
+  const jobs = ingestQueue.jobs;
+  ingestQueueContainer.classList.toggle("hidden", jobs.length === 0);
+  ingestQueueContainer.innerHTML = "";
+
+  jobs.forEach((job) => {
+    const row = document.createElement("div");
+    row.className = "glass-panel p-3 rounded-xl";
+    row.innerHTML = `
+      <div class="flex items-center justify-between gap-3">
+        <div class="min-w-0">
+          <p class="text-sm font-medium text-gray-800 truncate"></p>
+          <p class="text-xs text-gray-500"></p>
+        </div>
+        <button class="px-3 py-1 bg-red-100 text-red-700 rounded-lg text-xs font-medium hover:bg-red-200 transition-colors flex-shrink-0">
+          Cancel
+        </button>
+      </div>
+      <div class="mt-2 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+        <div class="h-full bg-indigo-500 rounded-full transition-all duration-300"></div>
+      </div>
+    `;
+    const [name, progress] = row.querySelectorAll("p");
+    name.textContent = job.name;
+    progress.textContent = formatIngestProgress(job);
+    row.querySelector(".bg-indigo-500").style.width = `${ingestProgressPercent(job)}%`;
+
+    const cancelBtn = row.querySelector("button");
+    cancelBtn.disabled = job.stage === "cancelling";
+    cancelBtn.addEventListener("click", () => ingestQueue.cancel(job.id));
+
+    ingestQueueContainer.appendChild(row);
+  });
+}
+
+async function processDocument(file, loader) {
+  console.log(`Starting processDocument (${loader.id}):`, file.name);
 
+  const settings = { ...chunkingSettings };
   const statusMessage = document.createElement("div");
   statusMessage.className = "p-2 bg-blue-100 text-blue-800 rounded text-sm mb-2";
   statusMessage.textContent = `Processing ${file.name}...`;
@@ -365,22 +621,63 @@ async function processPDF(file) {
   scrollToBottom();
 
   try {
-    const text = await extractTextFromPDF(file);
-    if (!text || text.length === 0) throw new Error("No text could be extracted from this PDF.");
+    // The restored library must be in place before this paper joins it
+    await startupRestore;
+
+    // Papers are keyed by filename, so a second copy replaces the first
+    if (findPaperByName(file.name) && !confirm(`"${file.name}" is already in the library. Replace it?`)) {
+      statusMessage.remove();
+      return;
+    }
+
+    // DOM-based loaders cannot run in the worker, so they extract here first
+    const loaded = loader.needsDOM ? await loader.load(file) : null;
+    const job = ingestQueue.enqueue(file, settings, { loaderId: loader.id, document: loaded });
+    statusMessage.dataset.jobId = job.id;
+    statusMessage.textContent = `Processing ${file.name}: ${formatIngestProgress(job)}`;
 
-    const chunks = chunkText(text, file.name);
-    const embeddedChunks = await generateEmbeddings(chunks);
+    const { chunks: embeddedChunks, failedEmbeddings, metadata, leadText } = await job.promise;
+    if (failedEmbeddings > 0) {
+      console.warn(`⚠️ ${failedEmbeddings} chunks of ${file.name} could not be embedded and were skipped.`);
+    }
 
-    vectorStore.push(...embeddedChunks);
-    uploadedPapers.push({ 
-      name: file.name, 
-      chunks: embeddedChunks.length, 
+    const paper = {
+      name: file.name,
+      chunks: embeddedChunks.length,
       uploadTime: new Date(),
+      chunking: settings,
+      type: loader.id,
+      metadata: mergeMetadata(metadata),
+      collection: null,
+      tags: [],
+      failedEmbeddings, // Chunks dropped because embedding failed (shown on the Dashboard)
       file: file // Store the original file for viewing
-    });
+    };
+
+    // Re-check: another copy may have finished while this one was processing
+    const previous = findPaperByName(paper.name);
+    if (previous) {
+      paper.collection = previous.collection;
+      paper.tags = previous.tags;
+      removeChunksFromLibrary(previous.name);
+      extractionErrors.delete(previous.name);
+      editingPaperIndex = null;
+      paperGraph = null; // Same name and maybe the same chunk count, so its cache key would not change
+      // savePaper below overwrites the stored record and drops its old chunks
+      uploadedPapers = uploadedPapers.filter((other) => other !== previous);
+      console.log(`♻️ Replacing ${paper.name} in the library`);
+    }
+
+    addChunksToLibrary(embeddedChunks);
+    uploadedPapers.push(paper);
+    addPaperToSession(paper.name);
+    applyPendingBibEntries(paper);
+    persistPaper(paper, embeddedChunks);
+    if (useLLMMetadataFallback) fillMissingMetadata(paper, leadText);
 
     updateVectorStoreUI();
     updatePapersListUI();
+    updatePapersGrid();
 
     statusMessage.remove();
 
@@ -390,9 +687,19 @@ async function processPDF(file) {
     chatHistoryContainer.appendChild(ok);
     scrollToBottom();
   } catch (err) {
-    console.error("processPDF error:", err);
     statusMessage.remove();
 
+    if (err.name === "AbortError") {
+      console.log(`⏹️ Ingestion of ${file.name} cancelled.`);
+      const cancelled = document.createElement("div");
+      cancelled.className = "p-2 bg-gray-100 text-gray-700 rounded text-sm mb-2";
+      cancelled.textContent = `⏹️ Cancelled processing of ${file.name}`;
+      chatHistoryContainer.appendChild(cancelled);
+      scrollToBottom();
+      return;
+    }
+
+    console.error("processDocument error:", err);
     const bad = document.createElement("div");
     bad.className = "p-2 bg-red-100 text-red-800 rounded text-sm mb-2";
     bad.textContent = `❌ Failed to process ${file.name}: ${err.message}`;
@@ -403,6 +710,221 @@ async function processPDF(file) {
   }
 }
 
+// --- Paper metadata ---
+
+function findPaperByName(name) {
+  return uploadedPapers.find((paper) => paper.name === name) || null;
+}
+
+// How a paper is cited in prompts and source lists: "Vaswani et al. (2017)",
+// "Smith et al. (2020a)" when another paper shares the label, or the filename
+// while no authors are known
+function citationLabel(paperName) {
+  return citationLabels(uploadedPapers).get(paperName) || paperName;
+}
+
+// Citation label -> paper name, so answers citing "[Vaswani et al., 2017]" get chips too
+function citationAliases() {
+  const aliases = {};
+  citationLabels(uploadedPapers).forEach((label, name) => {
+    if (label) aliases[label] = name;
+  });
+  return aliases;
+}
+
+function savePaperMetadata(paper) {
+  updatePaper(paper).catch((error) => console.warn(`⚠️ Could not save metadata for ${paper.name}:`, error));
+  updatePapersListUI();
+  updatePapersGrid();
+}
+
+// Optional LLM pass over the first page for fields the heuristics missed.
+// Only empty fields are filled; the extracted and edited values always win.
+// Queued behind whatever the engine is doing, and dropped if stopped.
+async function fillMissingMetadata(paper, firstPage) {
+  if (!engine || !firstPage || missingMetadataFields(paper.metadata).length === 0) return;
+  const model = engine;
+  const { client, controller } = await acquireEngine("metadata extraction", createEngineClient(model));
+  try {
+    const missing = missingMetadataFields(paper.metadata); // The user may have filled some meanwhile
+    if (engine !== model || missing.length === 0 || !uploadedPapers.includes(paper)) return;
+
+    console.log(`🤖 Asking the LLM for missing metadata of ${paper.name}: ${missing.join(", ")}`);
+    const reply = await client.complete(buildMetadataMessages(firstPage), {
+      temperature: 0,
+      maxTokens: 256,
+    });
+    if (controller.signal.aborted) return;
+    paper.metadata = mergeMetadata(paper.metadata, parseMetadataReply(reply));
+    if (uploadedPapers.includes(paper)) savePaperMetadata(paper);
+  } catch (error) {
+    console.warn(`⚠️ LLM metadata fallback failed for ${paper.name}:`, error);
+  } finally {
+    endGeneration();
+  }
+}
+
+// --- Bibliography import (.bib) ---
+// Entries attach metadata to the papers they describe; they are never indexed.
+
+function bibMatchCandidates() {
+  return uploadedPapers.map((paper) => ({
+    paper,
+    name: paper.name,
+    metadata: paper.metadata,
+    leadText: vectorStore
+      .filter((chunk) => chunk.source === paper.name && chunk.chunkIndex < 2)
+      .map((chunk) => chunk.text)
+      .join(" "),
+  }));
+}
+
+function applyBibEntry(paper, entry) {
+  const fields = Object.fromEntries(
+    Object.entries(entry.metadata).filter(([, value]) => value !== null && !(Array.isArray(value) && value.length === 0))
+  );
+  paper.metadata = { ...paper.metadata, ...fields };
+}
+
+// Entries imported before their paper was uploaded
+function applyPendingBibEntries(paper) {
+  const [candidate] = bibMatchCandidates().filter((item) => item.paper === paper);
+  const entry = pendingBibEntries.find((pending) => matchBibEntry(pending, [candidate]));
+  if (!entry) return;
+
+  applyBibEntry(paper, entry);
+  pendingBibEntries = pendingBibEntries.filter((pending) => pending !== entry);
+  console.log(`📚 Applied BibTeX entry ${entry.key} to ${paper.name}`);
+}
+
+async function importBibliography(file, loader) {
+  try {
+    const { entries } = await loader.load(file);
+    const matched = [];
+    const unmatched = [];
+
+    entries.forEach((entry) => {
+      const paper = matchBibEntry(entry, bibMatchCandidates())?.paper;
+      if (!paper) {
+        unmatched.push(entry);
+        return;
+      }
+      applyBibEntry(paper, entry);
+      matched.push(paper);
+      savePaperMetadata(paper);
+    });
+
+    const unmatchedKeys = new Set(unmatched.map((entry) => entry.key));
+    pendingBibEntries = [...pendingBibEntries.filter((entry) => !unmatchedKeys.has(entry.key)), ...unmatched];
+    console.log(`📚 ${file.name}: ${entries.length} entries, ${matched.length} matched, ${unmatched.length} pending`);
+
+    const status = document.createElement("div");
+    status.className = "p-2 bg-green-100 text-green-800 rounded text-sm mb-2";
+    status.textContent =
+      `📚 Imported ${file.name}: ${matched.length} of ${entries.length} entries matched ` +
+      (matched.length > 0 ? `(${[...new Set(matched.map((paper) => paper.name))].join(", ")})` : "uploaded papers") +
+      (unmatched.length > 0 ? `. The other ${unmatched.length} will be applied to matching papers uploaded later in this session.` : ".");
+    chatHistoryContainer.appendChild(status);
+    scrollToBottom();
+  } catch (error) {
+    console.error("importBibliography error:", error);
+    const bad = document.createElement("div");
+    bad.className = "p-2 bg-red-100 text-red-800 rounded text-sm mb-2";
+    bad.textContent = `❌ Failed to import ${file.name}: ${error.message}`;
+    chatHistoryContainer.appendChild(bad);
+    scrollToBottom();
+  }
+}
+
+// --- Library persistence (IndexedDB) ---
+// Persistence is best-effort: if IndexedDB fails the library still works in memory.
+
+async function restoreLibrary() {
+  try {
+    const { papers, chunks } = await loadLibrary();
+    if (papers.length === 0) return;
+
+    uploadedPapers = papers;
+    // The comparison table keeps the schema of the latest extraction
+    const latest = papers
+      .map((paper) => paper.extraction)
+      .filter((extraction) => extraction?.schema?.length > 0)
+      .sort((a, b) => new Date(b.extractedAt) - new Date(a.extractedAt))[0];
+    if (latest) extractionSchema = latest.schema;
+    clearLibraryIndexes();
+    addChunksToLibrary(chunks);
+    console.log(`💾 Restored ${papers.length} papers and ${chunks.length} chunks from IndexedDB`);
+
+    updateVectorStoreUI();
+    updatePapersListUI();
+  } catch (error) {
+    console.warn("⚠️ Could not restore library from IndexedDB:", error);
+  }
+}
+
+async function persistPaper(paper, chunks) {
+  try {
+    await savePaper(paper, withEmbeddings(chunks));
+    refreshStorageUsage();
+  } catch (error) {
+    console.warn(`⚠️ Could not save ${paper.name} to IndexedDB:`, error);
+  }
+}
+
+async function forgetPaper(name) {
+  try {
+    await deletePaper(name);
+    refreshStorageUsage();
+  } catch (error) {
+    console.warn(`⚠️ Could not delete ${name} from IndexedDB:`, error);
+  }
+}
+
+async function handleClearLibrary() {
+  if (uploadedPapers.length === 0) return;
+  if (!confirm(`Remove all ${uploadedPapers.length} papers and their embeddings from this browser?`)) return;
+
+  try {
+    await clearLibrary();
+  } catch (error) {
+    console.warn("⚠️ Could not clear IndexedDB library:", error);
+  }
+
+  clearLibraryIndexes();
+  uploadedPapers = [];
+  editingPaperIndex = null;
+  resetSessionPapers();
+
+  updateVectorStoreUI();
+  updatePapersListUI();
+  updatePapersGrid();
+
+  const statusMsg = document.createElement("div");
+  statusMsg.className = "p-2 bg-orange-100 text-orange-800 rounded text-sm mb-2";
+  statusMsg.textContent = "🗑️ Library cleared";
+  chatHistoryContainer.appendChild(statusMsg);
+  scrollToBottom();
+}
+
+async function refreshStorageUsage() {
+  const usageEl = document.getElementById("storage-usage");
+  if (!usageEl) return;
+
+  const libraryBytes = estimateLibraryBytes(uploadedPapers, vectorStore, vectorIndex.dimensions || 0);
+  let text = `💾 Library ${formatBytes(libraryBytes)}`;
+
+  try {
+    const estimate = await getStorageEstimate();
+    if (estimate) {
+      text += ` • Browser ${formatBytes(estimate.usage)} / ${formatBytes(estimate.quota)}`;
+    }
+  } catch (error) {
+    console.warn("⚠️ Storage estimate unavailable:", error);
+  }
+
+  usageEl.textContent = text;
+}
+
 // --- WebLLM (LLM part) ---
 // IMPORTANT: does NOT block embedder / RAG.
 async function initWebLLM(modelId = SELECTED_MODEL) {
@@ -476,6 +998,7 @@ async function changeModel(newModelId) {
   }
   
   SELECTED_MODEL = newModelId;
+  refreshBudgetMeter();
   await initWebLLM(newModelId);
 }
 
@@ -484,6 +1007,7 @@ function switchToView(viewName) {
   // Hide all views
   if (chatView) chatView.classList.add('hidden');
   if (papersView) papersView.classList.add('hidden');
+  if (dashboardView) dashboardView.classList.add('hidden');
   
   // Reset all tab styles
   document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -502,14 +1026,94 @@ function switchToView(viewName) {
       updatePapersGrid();
       break;
     case 'dashboard':
-      if (chatView) chatView.classList.remove('hidden'); // Default to chat for now
+      if (dashboardView) dashboardView.classList.remove('hidden');
       if (dashboardTab) dashboardTab.className = 'tab-btn text-sm font-bold text-indigo-600 bg-white/50 px-3 py-1 rounded-full shadow-sm';
+      renderDashboard();
       break;
   }
 }
 
+// "Vaswani et al. (2017) · NeurIPS" from whatever metadata is known
+function describeCredit(label, metadata = {}) {
+  return [label, metadata.venue].filter(Boolean).join(" · ");
+}
+
+// Collection and tags as short labels: "📁 Side project", "#nlp"
+function paperLabels(paper) {
+  return [paper.collection ? `📁 ${paper.collection}` : null, ...(paper.tags || []).map((tag) => `#${tag}`)].filter(Boolean);
+}
+
+// Inline editor shown on a paper card; metadata values are set as properties, never as HTML
+function createMetadataEditor(paper) {
+  const metadata = paper.metadata || {};
+  const inputClass = "w-full text-xs border border-gray-200 rounded-lg p-1.5 bg-white/80 focus:ring-2 focus:ring-indigo-400 focus:border-transparent";
+
+  const form = document.createElement("form");
+  form.className = "mt-3 space-y-2";
+  form.innerHTML = `
+    <label class="block text-[10px] text-gray-500">Title<input name="title" class="${inputClass}"></label>
+    <label class="block text-[10px] text-gray-500">Authors (one per line)<textarea name="authors" rows="3" class="${inputClass}"></textarea></label>
+    <div class="grid grid-cols-3 gap-2">
+      <label class="block text-[10px] text-gray-500">Year<input name="year" type="number" min="1500" max="2100" class="${inputClass}"></label>
+      <label class="block text-[10px] text-gray-500 col-span-2">Venue<input name="venue" class="${inputClass}"></label>
+    </div>
+    <label class="block text-[10px] text-gray-500">DOI<input name="doi" class="${inputClass}"></label>
+    <label class="block text-[10px] text-gray-500">Abstract<textarea name="abstract" rows="3" class="${inputClass}"></textarea></label>
+    <div class="grid grid-cols-2 gap-2">
+      <label class="block text-[10px] text-gray-500">Collection<input name="collection" list="collection-options" class="${inputClass}"></label>
+      <label class="block text-[10px] text-gray-500">Tags (comma-separated)<input name="tags" class="${inputClass}"></label>
+    </div>
+    <datalist id="collection-options"></datalist>
+    <div class="flex gap-2 justify-end">
+      <button type="button" data-action="cancel" class="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg text-xs font-medium hover:bg-gray-200 transition-colors">Cancel</button>
+      <button type="submit" class="px-3 py-1 bg-indigo-500 text-white rounded-lg text-xs font-medium hover:bg-indigo-600 transition-colors">Save</button>
+    </div>
+  `;
+
+  const fields = form.elements;
+  fields.title.value = metadata.title || "";
+  fields.authors.value = (metadata.authors || []).join("\n");
+  fields.year.value = metadata.year || "";
+  fields.venue.value = metadata.venue || "";
+  fields.doi.value = metadata.doi || "";
+  fields.abstract.value = metadata.abstract || "";
+  fields.collection.value = paper.collection || "";
+  fields.tags.value = (paper.tags || []).join(", ");
+  libraryFacets(uploadedPapers).collections.forEach(({ name }) => {
+    const option = document.createElement("option");
+    option.value = name;
+    form.querySelector("datalist").appendChild(option);
+  });
+
+  form.addEventListener("click", (e) => e.stopPropagation());
+  form.querySelector('[data-action="cancel"]').addEventListener("click", () => {
+    editingPaperIndex = null;
+    updatePapersGrid();
+  });
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const text = (field) => field.value.trim() || null;
+    paper.metadata = {
+      ...metadata,
+      title: text(fields.title),
+      authors: fields.authors.value.split("\n").map((name) => name.trim()).filter(Boolean),
+      year: parseInt(fields.year.value, 10) || null,
+      venue: text(fields.venue),
+      doi: text(fields.doi),
+      abstract: text(fields.abstract),
+    };
+    paper.collection = text(fields.collection);
+    paper.tags = parseTagList(fields.tags.value);
+    console.log(`✏️ Metadata of ${paper.name} updated:`, paper.metadata, { collection: paper.collection, tags: paper.tags });
+    editingPaperIndex = null;
+    savePaperMetadata(paper);
+  });
+  return form;
+}
+
 function updatePapersGrid() {
   if (!papersGrid || !papersEmptyState) return;
+  renderExtractionTable();
   
   if (uploadedPapers.length === 0) {
     papersGrid.classList.add('hidden');
@@ -521,6 +1125,7 @@ function updatePapersGrid() {
   papersEmptyState.classList.add('hidden');
   
   papersGrid.innerHTML = '';
+  const labels = citationLabels(uploadedPapers);
   
   uploadedPapers.forEach((paper, index) => {
     const paperCard = document.createElement('div');
@@ -534,6 +1139,9 @@ function updatePapersGrid() {
           <h3 class="font-semibold text-gray-800 truncate group-hover:text-indigo-600 transition-colors">
             ${paper.name}
           </h3>
+          <p class="paper-title hidden text-sm text-gray-700 mt-1 line-clamp-2"></p>
+          <p class="paper-credit hidden text-xs text-gray-500 truncate"></p>
+          <div class="paper-labels hidden flex flex-wrap gap-1 mt-1"></div>
           <p class="text-sm text-gray-500 mt-1">
             ${paper.chunks} chunks • Uploaded ${paper.uploadTime.toLocaleDateString()}
           </p>
@@ -545,6 +1153,12 @@ function updatePapersGrid() {
               </svg>
               View
             </button>
+            <button class="edit-metadata-btn flex items-center gap-1 px-3 py-1 bg-gray-100 text-gray-700 rounded-lg text-xs font-medium hover:bg-gray-200 transition-colors">
+              <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"></path>
+              </svg>
+              Edit
+            </button>
             <button onclick="removePaper(${index})" class="flex items-center gap-1 px-3 py-1 bg-red-100 text-red-700 rounded-lg text-xs font-medium hover:bg-red-200 transition-colors">
               <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
@@ -555,19 +1169,60 @@ function updatePapersGrid() {
         </div>
       </div>
     `;
+
+    // Metadata comes from the file itself, so set it as text rather than HTML
+    const metadata = paper.metadata || {};
+    [[".paper-title", metadata.title], [".paper-credit", describeCredit(labels.get(paper.name), metadata)]].forEach(([selector, value]) => {
+      if (!value) return;
+      const line = paperCard.querySelector(selector);
+      line.textContent = value;
+      line.title = value;
+      line.classList.remove("hidden");
+    });
+
+    const labels = paperLabels(paper);
+    if (labels.length > 0) {
+      const container = paperCard.querySelector(".paper-labels");
+      labels.forEach((label) => {
+        const chip = document.createElement("span");
+        chip.className = "px-1.5 py-0.5 rounded-md bg-indigo-50 text-indigo-600 text-[10px] font-medium";
+        chip.textContent = label;
+        container.appendChild(chip);
+      });
+      container.classList.remove("hidden");
+    }
+
+    paperCard.querySelector(".edit-metadata-btn").addEventListener("click", () => {
+      editingPaperIndex = editingPaperIndex === index ? null : index;
+      updatePapersGrid();
+    });
+    if (index === editingPaperIndex) {
+      paperCard.classList.remove("hover:scale-[1.02]", "cursor-pointer");
+      paperCard.querySelector(".flex-1").appendChild(createMetadataEditor(paper));
+    }
     papersGrid.appendChild(paperCard);
   });
 }
 
 // PDF Viewer functions
-function viewPdf(paperIndex) {
+function viewPdf(paperIndex, page = null) {
   const paper = uploadedPapers[paperIndex];
   if (!paper || !paper.file) return;
   
-  const fileURL = URL.createObjectURL(paper.file);
+  // The browser PDF viewer understands #page=N. Other formats are shown as
+  // text; saved HTML goes into a sandboxed frame so its scripts cannot run.
+  const type = paper.type || "pdf";
+  let blob = paper.file;
+  if (type === "html") blob = new Blob([paper.file], { type: "text/html" });
+  else if (type !== "pdf") blob = new Blob([paper.file], { type: "text/plain;charset=utf-8" });
+  const fileURL = URL.createObjectURL(blob) + (page && type === "pdf" ? `#page=${page}` : "");
   
-  if (pdfViewerTitle) pdfViewerTitle.textContent = paper.name;
-  if (pdfViewerFrame) pdfViewerFrame.src = fileURL;
+  if (pdfViewerTitle) pdfViewerTitle.textContent = page ? `${paper.name} — page ${page}` : paper.name;
+  if (pdfViewerFrame) {
+    if (type === "pdf") pdfViewerFrame.removeAttribute("sandbox");
+    else pdfViewerFrame.setAttribute("sandbox", "");
+    pdfViewerFrame.src = fileURL;
+  }
   if (pdfViewerModal) {
     pdfViewerModal.classList.remove('hidden');
     pdfViewerModal.classList.add('flex');
@@ -589,11 +1244,14 @@ function removePaper(paperIndex) {
   
   const paper = uploadedPapers[paperIndex];
   
-  // Remove chunks from vector store
-  vectorStore = vectorStore.filter(chunk => chunk.source !== paper.name);
+  // Remove chunks from vector store and both indexes
+  removeChunksFromLibrary(paper.name);
   
   // Remove from uploaded papers
   uploadedPapers.splice(paperIndex, 1);
+  editingPaperIndex = null;
+  forgetPaper(paper.name);
+  removePaperFromSessions(paper.name);
   
   // Update UI
   updateVectorStoreUI();
@@ -608,85 +1266,1825 @@ function removePaper(paperIndex) {
   scrollToBottom();
 }
 
+// Open the PDF a citation points to, at the page of the cited chunk
+function openCitation(paperName, chunk = null) {
+  const paperIndex = uploadedPapers.findIndex((paper) => paper.name === paperName);
+  if (paperIndex === -1) {
+    alert(`"${paperName}" is not in the paper library.`);
+    return;
+  }
+  viewPdf(paperIndex, chunk?.page ?? null);
+}
+
 // Make functions available globally for onclick handlers
 window.viewPdf = viewPdf;
 window.removePaper = removePaper;
 
-// --- Chat ---
-async function sendChatMessage() {
-  const text = chatInput.value.trim();
-  if (!text || isTyping) return;
+// --- Structured extraction (comparison table) ---
+// Each paper's row is extracted from its opening chunks plus the chunks that best
+// match each schema field, interleaved so every field gets excerpts within the cap
+async function extractionExcerpts(paper) {
+  const sources = new Set([paper.name]);
+  const lead = vectorStore
+    .filter((chunk) => chunk.source === paper.name)
+    .sort((a, b) => a.chunkIndex - b.chunkIndex)
+    .slice(0, REVIEW_LEAD_CHUNKS);
+  const perField = [];
+  for (const query of extractionQueries(extractionSchema)) {
+    perField.push(await searchSimilarChunks(query, { sources, topK: EXTRACTION_CHUNKS_PER_FIELD }));
+  }
 
-  chatInput.value = "";
-  chatHistoryContainer.appendChild(createMessageBubble(text, true));
-  scrollToBottom();
+  const ranked = [...lead];
+  for (let rank = 0; rank < EXTRACTION_CHUNKS_PER_FIELD; rank++) {
+    perField.forEach((chunks) => { if (chunks[rank]) ranked.push(chunks[rank]); });
+  }
+  return [...new Map(ranked.map((chunk) => [chunkKey(chunk), chunk])).values()]
+    .slice(0, EXTRACTION_MAX_EXCERPTS)
+    .sort((a, b) => a.chunkIndex - b.chunkIndex);
+}
 
-  conversationHistory.push({ role: "user", content: text });
-  isTyping = true;
-  
-  // Show typing indicator
-  const typingIndicator = createTypingIndicator();
-  chatHistoryContainer.appendChild(typingIndicator);
-  scrollToBottom();
+async function extractPaper(paper, client, signal) {
+  const excerpts = await extractionExcerpts(paper);
+  if (excerpts.length === 0) throw new Error("The paper has no chunks to extract from.");
+
+  const schema = extractionSchema;
+  const messages = buildExtractionMessages(paper.name, schema, excerpts);
+  const options = { temperature: 0, maxTokens: EXTRACTION_MAX_TOKENS };
+  const reply = await client.complete(messages, options);
+  // A stopped completion is cut short and would only fail validation
+  if (signal.aborted) return false;
+  let parsed = parseExtractionReply(reply, schema, excerpts.length);
+  if (parsed.error) {
+    // One retry, telling the model what was wrong with its reply
+    console.warn(`⚠️ Extraction reply for ${paper.name} rejected: ${parsed.error}`);
+    const retry = await client.complete(
+      [...messages, { role: "assistant", content: reply }, { role: "user", content: `${parsed.error} Reply with the JSON object only.` }],
+      options
+    );
+    if (signal.aborted) return false;
+    parsed = parseExtractionReply(retry, schema, excerpts.length);
+  }
+  if (parsed.error) throw new Error(parsed.error);
+
+  // Values without a usable source are linked to the excerpt they share most words with
+  const cells = {};
+  Object.entries(parsed.cells).forEach(([key, cell]) => {
+    const excerpt = cell.excerpt ?? (cell.value ? locateValue(cell.value, excerpts) : null);
+    const chunk = excerpt ? excerpts[excerpt - 1] : null;
+    cells[key] = {
+      value: cell.value,
+      ref: chunk ? { source: chunk.source, chunkIndex: chunk.chunkIndex, page: chunk.page ?? null, pageEnd: chunk.pageEnd ?? null } : null,
+      edited: false,
+    };
+  });
 
-  try {
-    let aiResponseText = "";
+  // Cells the user edited keep their value; columns outside this schema are kept for later
+  const previous = paper.extraction?.cells || {};
+  const edited = Object.fromEntries(Object.entries(previous).filter(([, cell]) => cell.edited));
+  paper.extraction = { schema, cells: { ...previous, ...cells, ...edited }, extractedAt: new Date() };
+  updatePaper(paper).catch((error) => console.warn(`⚠️ Could not save the extraction for ${paper.name}:`, error));
+  return true;
+}
 
-    if (engine) {
-      const relevantChunks = await searchSimilarChunks(text);
+async function runExtraction(papers = uploadedPapers) {
+  if (isExtracting || papers.length === 0) return;
+  if (!engine) {
+    if (extractionStatus) extractionStatus.textContent = "Load a model first: the extraction runs on the LLM.";
+    return;
+  }
+  if (isEngineBusy()) {
+    if (extractionStatus) extractionStatus.textContent = `Wait for the ${activeGeneration?.kind || "answer"} to finish.`;
+    return;
+  }
 
-      let contextString = "";
-      if (relevantChunks.length > 0) {
-        contextString = "\n\n--- DOCUMENT CONTEXT ---\n";
-        relevantChunks.forEach((chunk) => {
-          contextString += `[Source: ${chunk.source}]\n${chunk.text}\n\n`;
-        });
-        contextString += "--- END CONTEXT ---\n\n";
+  isExtracting = true;
+  renderExtractionTable();
+  const { client, controller } = beginGeneration("comparison table extraction", createEngineClient(engine));
+  let done = 0;
+  let failed = 0;
+  try {
+    for (const [i, paper] of papers.entries()) {
+      if (controller.signal.aborted) break;
+      if (extractionStatus) extractionStatus.textContent = `Extracting ${i + 1}/${papers.length}: ${citationLabel(paper.name)}…`;
+      try {
+        if (!(await extractPaper(paper, client, controller.signal))) break;
+        extractionErrors.delete(paper.name);
+        done++;
+      } catch (error) {
+        failed++;
+        extractionErrors.set(paper.name, error.message);
+        console.warn(`⚠️ Extraction failed for ${paper.name}:`, error);
       }
+      renderExtractionTable();
+    }
+  } finally {
+    isExtracting = false;
+    endGeneration();
+  }
 
-      const enhancedPrompt =
-        contextString +
-        (relevantChunks.length > 0
-          ? "Based on the provided document context above, please answer the following question. Always cite your sources using the filenames provided.\n\n"
-          : "") +
-        text;
-
-      const enhancedHistory = [...conversationHistory];
-      enhancedHistory[enhancedHistory.length - 1].content = enhancedPrompt;
+  const stopped = controller.signal.aborted;
+  console.log(`📋 Extracted ${done}/${papers.length} papers into the comparison table${stopped ? " (stopped)" : ""}`);
+  renderExtractionTable();
+  if (extractionStatus) {
+    extractionStatus.textContent = `${stopped ? "⏹️ Stopped. " : ""}Extracted ${done} of ${papers.length} papers` +
+      (failed > 0 ? ` • ${failed} failed, hover the ⚠️ for details` : "");
+  }
+}
 
-      const reply = await engine.chat.completions.create({
-        messages: enhancedHistory,
-        temperature: currentTemperature,
-        max_tokens: 1024,
-      });
+function renderExtractionTable() {
+  if (!extractionPanel || !extractionTable) return;
+  extractionPanel.classList.toggle("hidden", uploadedPapers.length === 0);
+  if (extractionRunBtn) extractionRunBtn.disabled = isExtracting;
+
+  extractionTable.innerHTML = `
+    <thead>
+      <tr class="text-left text-[10px] uppercase tracking-wide text-gray-400 border-b border-gray-200">
+        <th class="py-2 pr-2">Paper</th>
+      </tr>
+    </thead>
+    <tbody></tbody>
+  `;
+  // Labels and descriptions come from the user's schema: text only
+  const header = extractionTable.querySelector("thead tr");
+  extractionSchema.forEach((field) => {
+    const th = document.createElement("th");
+    th.className = "py-2 px-2 min-w-[9rem]";
+    th.textContent = field.label;
+    th.title = field.description;
+    header.appendChild(th);
+  });
+  const body = extractionTable.querySelector("tbody");
+
+  uploadedPapers.forEach((paper) => {
+    const row = document.createElement("tr");
+    row.className = "border-b border-gray-100 align-top";
+
+    const paperCell = document.createElement("td");
+    paperCell.className = "py-2 pr-2 max-w-[12rem]";
+    paperCell.innerHTML = `
+      <div class="flex items-start gap-1">
+        <span class="extraction-paper font-medium text-gray-700 truncate"></span>
+        <button type="button" class="extraction-rerun text-gray-400 hover:text-indigo-600 flex-shrink-0" title="Extract this paper again">↻</button>
+      </div>
+    `;
+    const name = paperCell.querySelector(".extraction-paper");
+    const error = extractionErrors.get(paper.name);
+    name.textContent = `${error ? "⚠️ " : ""}${citationLabel(paper.name)}`;
+    name.title = error ? `${paper.name}: ${error}` : paper.name;
+    paperCell.querySelector(".extraction-rerun").addEventListener("click", () => runExtraction([paper]));
+    row.appendChild(paperCell);
+
+    extractionSchema.forEach((field) => row.appendChild(createExtractionCell(paper, field)));
+    body.appendChild(row);
+  });
+}
 
-      aiResponseText = reply.choices[0].message.content;
-    } else {
+function createExtractionCell(paper, field) {
+  const cell = paper.extraction?.cells?.[field.key];
+  const td = document.createElement("td");
+  td.className = "py-2 px-2";
+
+  const value = document.createElement("div");
+  value.contentEditable = "true";
+  value.className = `min-h-[1.25rem] rounded px-1 outline-none focus:bg-white focus:ring-2 focus:ring-indigo-300 ${cell?.edited ? "text-indigo-700" : "text-gray-700"}`;
+  value.textContent = cell?.value || "";
+  if (cell?.edited) value.title = "Edited by hand";
+  value.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      value.blur();
+    }
+  });
+  value.addEventListener("blur", () => {
+    const current = paper.extraction?.cells?.[field.key];
+    const text = value.textContent.trim();
+    if (text === (current?.value || "")) return;
+    paper.extraction ??= { schema: extractionSchema, cells: {}, extractedAt: null };
+    paper.extraction.cells[field.key] = { ref: null, ...current, value: text || null, edited: true };
+    updatePaper(paper).catch((error) => console.warn(`⚠️ Could not save the edit for ${paper.name}:`, error));
+    // Only this cell changes; re-rendering the table would drop the focus Tab or a click just moved
+    value.classList.replace("text-gray-700", "text-indigo-700");
+    value.title = "Edited by hand";
+  });
+  td.appendChild(value);
+
+  if (cell?.ref) {
+    const chunk = chunkLookup.get(chunkKey(cell.ref)) || cell.ref;
+    const link = document.createElement("button");
+    link.type = "button";
+    link.className = "text-[10px] text-indigo-500 hover:text-indigo-700 px-1";
+    link.textContent = `↗ ${chunk.page ? `p. ${chunk.page}` : `chunk ${chunk.chunkIndex}`}`;
+    link.title = `${formatChunkLocation(chunk)} • chunk ${chunk.chunkIndex}${chunk.text ? `\n\n${chunk.text.slice(0, 300)}` : ""}`;
+    link.addEventListener("click", () => openCitation(chunk.source, chunk));
+    td.appendChild(link);
+  }
+  return td;
+}
+
+function extractionRows() {
+  return uploadedPapers.map((paper) => ({ paper: citationLabel(paper.name), cells: paper.extraction?.cells || {} }));
+}
+
+function exportExtraction(format) {
+  const filename = exportFilename("comparison table");
+  if (format === "csv") {
+    downloadFile(`${filename}.csv`, new Blob([extractionToCSV(extractionSchema, extractionRows())], { type: "text/csv" }));
+  } else {
+    downloadFile(`${filename}.md`, new Blob([extractionToMarkdown(extractionSchema, extractionRows())], { type: "text/markdown" }));
+  }
+}
+
+function applyExtractionSchema() {
+  const schema = parseSchemaText(extractionSchemaInput?.value);
+  if (schema.length === 0) {
+    if (extractionStatus) extractionStatus.textContent = "The schema needs at least one column.";
+    return;
+  }
+  extractionSchema = schema;
+  extractionSchemaEditor?.classList.add("hidden");
+  if (extractionStatus) extractionStatus.textContent = `Schema updated: ${schema.map((field) => field.label).join(", ")}. Extract again to fill new columns.`;
+  renderExtractionTable();
+}
+
+// --- Dashboard ---
+function isDashboardVisible() {
+  return Boolean(dashboardView) && !dashboardView.classList.contains("hidden");
+}
+
+function renderDashboard() {
+  if (!dashboardView) return;
+
+  const rows = paperStats(uploadedPapers, vectorStore, {
+    hasVector: (chunk) => vectorIndex.has(chunkKey(chunk)),
+    dimensions: vectorIndex.dimensions || 0,
+  });
+  const totals = libraryTotals(rows);
+
+  if (dashboardTotals) {
+    const card = (value, label, cls, detail = "") => `
+      <div class="bg-white/50 rounded-2xl p-3 text-center">
+        <div class="text-2xl font-bold ${cls}">${value}</div>
+        <div class="text-[10px] text-gray-500">${label}</div>
+        ${detail ? `<div class="text-[10px] text-gray-400 mt-1">${detail}</div>` : ""}
+      </div>`;
+    dashboardTotals.innerHTML =
+      card(totals.papers, "Papers", "text-purple-600") +
+      card(totals.chunks, "Chunks", "text-indigo-600", `${vectorIndex.size} vectors${vectorIndex.annEnabled ? " • HNSW" : ""}`) +
+      card(`${(totals.coverage * 100).toFixed(totals.coverage === 1 ? 0 : 1)}%`, "Embedding coverage", totals.failed > 0 ? "text-orange-500" : "text-green-600",
+        totals.failed > 0 ? `${totals.failed} chunks without embeddings` : "All chunks embedded") +
+      card(formatBytes(totals.bytes), "Library size", "text-sky-600", '<span id="dashboard-browser-storage"></span>');
+
+    getStorageEstimate()
+      .then((estimate) => {
+        const el = document.getElementById("dashboard-browser-storage");
+        if (el && estimate) el.textContent = `Browser ${formatBytes(estimate.usage)} / ${formatBytes(estimate.quota)}`;
+      })
+      .catch((error) => console.warn("⚠️ Storage estimate unavailable:", error));
+  }
+
+  if (dashboardPapers) {
+    dashboardPapers.innerHTML = rows.length === 0
+      ? '<tr><td colspan="5" class="py-3 text-gray-400">No papers uploaded yet.</td></tr>'
+      : "";
+    rows.forEach((row) => {
+      const tr = document.createElement("tr");
+      tr.className = "border-b border-gray-100";
+      tr.innerHTML = `
+        <td class="py-2 pr-2 max-w-0 w-1/2">
+          <div class="dashboard-paper-label font-medium text-gray-700 truncate"></div>
+          <div class="dashboard-paper-name text-[10px] text-gray-400 truncate"></div>
+        </td>
+        <td class="py-2 text-right">${row.chunks}</td>
+        <td class="py-2 text-right">${row.sections}</td>
+        <td class="py-2 pl-3">
+          <div class="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+            <div class="h-full ${row.failed > 0 ? "bg-orange-400" : "bg-green-400"}" style="width: ${(row.coverage * 100).toFixed(1)}%"></div>
+          </div>
+          <div class="text-[10px] ${row.failed > 0 ? "text-orange-500" : "text-gray-400"}">
+            ${row.embedded}/${row.embedded + row.failed}${row.failed > 0 ? ` • ${row.failed} failed` : ""}
+          </div>
+        </td>
+        <td class="py-2 text-right whitespace-nowrap">${formatBytes(row.bytes)}</td>`;
+      // Names and author metadata are user (or LLM) supplied: text only
+      const label = tr.querySelector(".dashboard-paper-label");
+      label.textContent = citationLabel(row.name);
+      label.title = row.name;
+      tr.querySelector(".dashboard-paper-name").textContent = row.name;
+      dashboardPapers.appendChild(tr);
+    });
+  }
+
+  if (dashboardRetrieved) {
+    const counts = retrievalCounts(sessions).slice(0, 10);
+    const most = counts[0]?.answers || 1;
+    dashboardRetrieved.innerHTML = counts.length === 0
+      ? '<li class="text-xs text-gray-400">Nothing retrieved yet. Ask a question in the chat.</li>'
+      : "";
+    counts.forEach((entry) => {
+      const li = document.createElement("li");
+      li.innerHTML = `
+        <div class="flex justify-between text-xs">
+          <span class="dashboard-retrieved-label truncate text-gray-700"></span>
+          <span class="text-gray-400 whitespace-nowrap ml-2">${entry.answers} ${entry.answers === 1 ? "answer" : "answers"} • ${entry.chunks} chunks</span>
+        </div>
+        <div class="h-1.5 bg-gray-200 rounded-full overflow-hidden mt-1">
+          <div class="h-full bg-indigo-400" style="width: ${((entry.answers / most) * 100).toFixed(1)}%"></div>
+        </div>`;
+      const label = li.querySelector(".dashboard-retrieved-label");
+      label.textContent = citationLabel(entry.name);
+      label.title = entry.name;
+      dashboardRetrieved.appendChild(li);
+    });
+  }
+
+  if (explorerSettings) {
+    explorerSettings.textContent =
+      `${retrievalMode} • threshold ${retrievalSettings.minSimilarity} • diversity ${retrievalSettings.diversity}` +
+      (retrievalSettings.rerank ? " • cross-encoder" : "");
+  }
+
+  renderPaperSimilarity();
+  renderEmbeddingMap();
+}
+
+// Ranked chunks for a query, with every score the retriever assigned
+async function runChunkExplorer() {
+  const query = explorerInput?.value.trim();
+  if (!query || !explorerResults) return;
+
+  const topK = Math.min(50, Math.max(1, parseInt(explorerK?.value, 10) || 10));
+  explorerResults.innerHTML = '<div class="text-xs text-gray-400">Searching…</div>';
+  const started = performance.now();
+  const results = await searchSimilarChunks(query, { topK });
+  const elapsedMs = performance.now() - started;
+
+  explorerResults.innerHTML = "";
+  const summary = document.createElement("div");
+  summary.className = "text-[10px] text-gray-400";
+  summary.textContent = vectorStore.length === 0
+    ? "The library is empty."
+    : `${results.length} chunks in ${elapsedMs.toFixed(0)} ms`;
+  explorerResults.appendChild(summary);
+
+  results.forEach((chunk, i) => {
+    const scores = [
+      typeof chunk.similarity === "number" ? `cosine ${chunk.similarity.toFixed(3)}` : null,
+      chunk.bm25Score ? `BM25 ${chunk.bm25Score.toFixed(2)}` : null,
+      typeof chunk.fusedScore === "number" ? `RRF ${chunk.fusedScore.toFixed(4)}` : null,
+      typeof chunk.rerankScore === "number" ? `cross-encoder ${chunk.rerankScore.toFixed(3)}` : null,
+    ].filter(Boolean);
+
+    const card = document.createElement("div");
+    card.className = "bg-white/60 rounded-xl p-3 text-xs";
+    card.innerHTML = `
+      <div class="flex items-center gap-2 mb-1">
+        <span class="font-bold text-indigo-600">#${i + 1}</span>
+        <button type="button" class="explorer-open font-medium text-gray-700 hover:text-indigo-600 truncate"></button>
+        <span class="explorer-section text-[10px] text-gray-400 truncate"></span>
+        <span class="ml-auto flex gap-1 flex-shrink-0">
+          ${scores.map((score) => `<span class="px-1.5 py-0.5 rounded-md bg-indigo-50 text-indigo-600 text-[10px]">${score}</span>`).join("")}
+        </span>
+      </div>
+      <p class="explorer-text text-gray-600 whitespace-pre-wrap"></p>
+    `;
+    const openBtn = card.querySelector(".explorer-open");
+    openBtn.textContent = `${formatChunkLocation(chunk)} • chunk ${chunk.chunkIndex}`;
+    openBtn.addEventListener("click", () => openCitation(chunk.source, chunk));
+    card.querySelector(".explorer-section").textContent = chunk.section || "";
+    card.querySelector(".explorer-text").textContent = chunk.text;
+    explorerResults.appendChild(card);
+  });
+}
+
+// --- Paper similarity ---
+// Document vectors, citation links and the related-work graph (see paper-graph.js)
+function paperRelations(papers) {
+  const names = new Set(papers.map((paper) => paper.name));
+  const chunks = vectorStore.filter((chunk) => names.has(chunk.source));
+  const matrix = similarityMatrix(paperVectors(papers, chunks, (chunk) => vectorIndex.get(chunkKey(chunk))));
+  const graph = buildPaperGraph(papers, matrix, findCitationLinks(papers, chunks));
+  return { matrix, graph };
+}
+
+// The Dashboard's graph over the whole library, recomputed when papers, chunks or titles change
+function libraryPaperGraph() {
+  const key = `${librarySignature()}|${uploadedPapers.map((paper) => paper.metadata?.title || "").join("|")}`;
+  if (paperGraph?.key !== key) {
+    const { matrix, graph } = paperRelations(uploadedPapers);
+    paperGraph = { key, matrix, graph, positions: layoutPaperGraph(graph) };
+  }
+  return paperGraph;
+}
+
+function renderPaperSimilarity() {
+  if (!similarityMatrixEl && !paperGraphCanvas) return;
+  const { matrix } = libraryPaperGraph();
+
+  if (similarityMatrixEl) {
+    if (uploadedPapers.length < 2) {
+      similarityMatrixEl.innerHTML = '<div class="text-xs text-gray-400">Upload at least two papers to compare them.</div>';
+    } else {
+      const off = matrix.flatMap((row, i) => row.filter((value, j) => i !== j && value !== null));
+      const low = Math.min(...off);
+      const high = Math.max(...off);
+      const cell = (tag, className, text, title) => {
+        const el = document.createElement(tag);
+        el.className = className;
+        el.textContent = text;
+        if (title) el.title = title;
+        return el;
+      };
+      const table = document.createElement("table");
+      table.className = "text-[10px] border-separate border-spacing-0.5";
+      const head = table.createTHead().insertRow();
+      head.appendChild(document.createElement("th"));
+      uploadedPapers.forEach((paper, j) => head.appendChild(cell("th", "text-gray-400 font-normal w-8", j + 1, paper.name)));
+
+      const body = table.createTBody();
+      uploadedPapers.forEach((paper, i) => {
+        const row = body.insertRow();
+        row.appendChild(cell("th", "text-left font-normal text-gray-600 pr-2 max-w-[10rem] truncate", `${i + 1}. ${citationLabel(paper.name)}`, paper.name));
+        matrix[i].forEach((value, j) => {
+          if (value === null) {
+            row.appendChild(cell("td", "w-8 h-6 text-center text-gray-300 bg-gray-100 rounded", "–"));
+            return;
+          }
+          const strength = i === j ? 1 : (value - low) / (high - low || 1);
+          const td = cell("td", `w-8 h-6 text-center rounded ${strength > 0.6 ? "text-white" : "text-gray-700"}`,
+            value.toFixed(2), `${paper.name} ↔ ${uploadedPapers[j].name}: ${value.toFixed(3)}`);
+          td.style.background = `rgba(99, 102, 241, ${(0.1 + 0.9 * strength).toFixed(2)})`;
+          row.appendChild(td);
+        });
+      });
+      similarityMatrixEl.replaceChildren(table);
+    }
+  }
+
+  drawPaperGraph();
+}
+
+function drawPaperGraph() {
+  if (!paperGraphCanvas) return;
+  const rect = paperGraphCanvas.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) return; // Hidden
+
+  const ratio = window.devicePixelRatio || 1;
+  paperGraphCanvas.width = Math.round(rect.width * ratio);
+  paperGraphCanvas.height = Math.round(rect.height * ratio);
+  const ctx = paperGraphCanvas.getContext("2d");
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, rect.width, rect.height);
+  ctx.font = "11px sans-serif";
+  ctx.textAlign = "center";
+
+  const { graph, positions } = libraryPaperGraph();
+  if (graph.nodes.length === 0) {
+    ctx.fillStyle = "#9ca3af";
+    ctx.fillText("No papers uploaded yet.", rect.width / 2, rect.height / 2);
+    return;
+  }
+
+  // Screen positions are kept for hit testing; the margin leaves room for labels
+  const margin = 40;
+  paperGraph.screen = positions.map((position) => ({
+    x: margin + position.x * (rect.width - 2 * margin),
+    y: margin / 2 + position.y * (rect.height - 1.5 * margin),
+  }));
+  const screen = paperGraph.screen;
+
+  const similarities = graph.edges.map((edge) => edge.similarity).filter((value) => value !== null);
+  const low = Math.min(...similarities);
+  const high = Math.max(...similarities);
+  graph.edges.forEach((edge) => {
+    const a = screen[edge.source];
+    const b = screen[edge.target];
+    if (edge.similarity !== null) {
+      const strength = (edge.similarity - low) / (high - low || 1);
+      ctx.strokeStyle = `rgba(107, 114, 128, ${(0.2 + 0.5 * strength).toFixed(2)})`;
+      ctx.lineWidth = 1 + 4 * strength;
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    }
+    if (edge.cites) drawCitationArrow(ctx, a, b);
+    if (edge.citedBy) drawCitationArrow(ctx, b, a);
+  });
+  ctx.setLineDash([]);
+
+  graph.nodes.forEach((name, i) => {
+    ctx.fillStyle = MAP_COLORS[i % MAP_COLORS.length];
+    ctx.beginPath();
+    ctx.arc(screen[i].x, screen[i].y, 8, 0, Math.PI * 2);
+    ctx.fill();
+    const label = citationLabel(name);
+    ctx.fillStyle = "#374151";
+    ctx.fillText(label.length > 24 ? `${label.slice(0, 23)}…` : label, screen[i].x, screen[i].y + 20);
+  });
+}
+
+function drawCitationArrow(ctx, from, to) {
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+  const tip = { x: to.x - 10 * Math.cos(angle), y: to.y - 10 * Math.sin(angle) }; // Stop at the node's edge
+  ctx.strokeStyle = ctx.fillStyle = "#6366f1";
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(tip.x, tip.y);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.beginPath();
+  ctx.moveTo(tip.x, tip.y);
+  ctx.lineTo(tip.x - 8 * Math.cos(angle - 0.4), tip.y - 8 * Math.sin(angle - 0.4));
+  ctx.lineTo(tip.x - 8 * Math.cos(angle + 0.4), tip.y - 8 * Math.sin(angle + 0.4));
+  ctx.closePath();
+  ctx.fill();
+}
+
+function handlePaperGraphClick(event) {
+  if (!paperGraph?.screen) return;
+  const rect = paperGraphCanvas.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const y = event.clientY - rect.top;
+  const index = paperGraph.screen.findIndex((point) => (point.x - x) ** 2 + (point.y - y) ** 2 <= 12 * 12);
+  if (index !== -1) openCitation(paperGraph.graph.nodes[index]);
+}
+
+// --- Embedding map ---
+// Chunk embeddings projected to 2D and clustered into topics (see embedding-map.js).
+// Built on demand from the Dashboard; the map is kept until rebuilt and flagged
+// as outdated once the library changes
+function librarySignature() {
+  return `${uploadedPapers.length}:${vectorStore.length}:${vectorIndex.size}`;
+}
+
+function describeEmbeddingMap(map) {
+  const explained = ((map.variance[0] + map.variance[1]) * 100).toFixed(0);
+  return `${map.points.length} chunks • ${map.clusters.length} clusters • the two axes explain ${explained}% of the variance` +
+    (map.signature !== librarySignature() ? " • the library changed since, rebuild to update" : "");
+}
+
+async function buildEmbeddingMap() {
+  const chunks = vectorStore.filter((chunk) => vectorIndex.has(chunkKey(chunk)));
+  if (chunks.length < 3) {
+    embeddingMap = null;
+    renderEmbeddingMap();
+    if (mapStatus) mapStatus.textContent = "The map needs at least 3 embedded chunks. Upload some papers first.";
+    return;
+  }
+
+  if (mapBuildBtn) mapBuildBtn.disabled = true;
+  if (mapStatus) mapStatus.textContent = `Projecting and clustering ${chunks.length} chunks…`;
+  await new Promise((resolve) => setTimeout(resolve, 0)); // Let the status paint before the heavy part
+
+  try {
+    const vectors = chunks.map((chunk) => vectorIndex.get(chunkKey(chunk)));
+    const { points, variance } = projectPCA(vectors);
+    const requested = parseInt(mapClustersInput?.value, 10);
+    const k = requested > 0 ? Math.min(requested, MAX_CLUSTERS) : defaultClusterCount(chunks.length);
+    const assignments = kMeans(vectors, k);
+
+    // Clusters come largest first; points refer to them by that position.
+    // Keywords stand in as labels until (or unless) the LLM names the topics
+    const clusters = summarizeClusters(chunks, assignments)
+      .map((cluster) => ({ ...cluster, label: cluster.keywords.slice(0, 3).join(", ") }));
+    const position = new Map(clusters.map((cluster, i) => [cluster.id, i]));
+
+    embeddingMap = {
+      points: points.map((point, i) => ({ ...point, chunk: chunks[i], cluster: position.get(assignments[i]) })),
+      clusters,
+      variance,
+      signature: librarySignature(),
+      selectedCluster: null,
+      selectedPoint: null,
+    };
+    console.log(`🗺️ Embedding map: ${chunks.length} chunks in ${clusters.length} clusters`);
+    renderEmbeddingMap();
+    await labelMapClusters(embeddingMap);
+  } catch (error) {
+    console.error("❌ Embedding map failed:", error);
+    if (mapStatus) mapStatus.textContent = `Embedding map failed: ${error.message}`;
+  } finally {
+    if (mapBuildBtn) mapBuildBtn.disabled = false;
+  }
+}
+
+// One LLM call names every cluster; skipped without a model or while it is answering
+async function labelMapClusters(map) {
+  if (!engine || isEngineBusy()) {
+    if (mapStatus) {
+      mapStatus.textContent = `${describeEmbeddingMap(map)} • ${engine ? "topic labels skipped while the model is busy" : "load a model for topic labels"}`;
+    }
+    return;
+  }
+
+  if (mapStatus) mapStatus.textContent = `${describeEmbeddingMap(map)} • naming topics…`;
+  const { client, controller } = beginGeneration("topic labelling", createEngineClient(engine));
+  try {
+    const reply = await client.complete(buildTopicLabelMessages(map.clusters), {
+      temperature: 0,
+      maxTokens: TOPIC_LABEL_MAX_TOKENS,
+    });
+    // A stopped reply is cut short; the keyword labels stay
+    if (!controller.signal.aborted) {
+      parseTopicLabels(reply, map.clusters.length).forEach((label, i) => {
+        if (label) map.clusters[i].label = label;
+      });
+    }
+  } catch (error) {
+    console.warn("⚠️ Topic labelling failed, keeping keyword labels:", error);
+  } finally {
+    endGeneration();
+  }
+  if (map === embeddingMap) renderEmbeddingMap();
+}
+
+function mapPointColor(point) {
+  if (mapColorSelect?.value === "cluster") return MAP_COLORS[point.cluster % MAP_COLORS.length];
+  const paperIndex = uploadedPapers.findIndex((paper) => paper.name === point.chunk.source);
+  return MAP_COLORS[Math.max(0, paperIndex) % MAP_COLORS.length];
+}
+
+function renderEmbeddingMap() {
+  if (!mapCanvas) return;
+  drawEmbeddingMap();
+
+  const map = embeddingMap;
+  if (mapStatus && map) mapStatus.textContent = describeEmbeddingMap(map);
+  if (mapLegend) {
+    const papers = map ? [...new Set(map.points.map((point) => point.chunk.source))] : [];
+    mapLegend.innerHTML = "";
+    if (map && mapColorSelect?.value !== "cluster") {
+      papers.forEach((name) => {
+        const entry = document.createElement("span");
+        entry.className = "flex items-center gap-1 max-w-[12rem]";
+        entry.title = name;
+        entry.innerHTML = `
+          <span class="w-2 h-2 rounded-full flex-shrink-0" style="background: ${mapPointColor({ chunk: { source: name } })}"></span>
+          <span class="map-legend-label truncate"></span>`;
+        entry.querySelector(".map-legend-label").textContent = citationLabel(name);
+        mapLegend.appendChild(entry);
+      });
+    }
+  }
+
+  if (mapClusterList) {
+    mapClusterList.innerHTML = "";
+    map?.clusters.forEach((cluster, i) => {
+      const item = document.createElement("li");
+      const selected = map.selectedCluster === i;
+      item.innerHTML = `
+        <button type="button" class="w-full text-left px-2 py-1.5 rounded-lg text-xs transition-colors ${selected ? "bg-indigo-100" : "hover:bg-white/60"}">
+          <div class="flex items-center gap-2">
+            <span class="w-2 h-2 rounded-full flex-shrink-0" style="background: ${mapColorSelect?.value === "cluster" ? MAP_COLORS[i % MAP_COLORS.length] : "#9ca3af"}"></span>
+            <span class="map-cluster-label font-medium text-gray-700 truncate"></span>
+            <span class="ml-auto text-[10px] text-gray-400 whitespace-nowrap">${cluster.size} chunks</span>
+          </div>
+        </button>
+      `;
+      item.querySelector(".map-cluster-label").textContent = cluster.label;
+      item.querySelector("button").addEventListener("click", () => {
+        map.selectedCluster = selected ? null : i;
+        renderEmbeddingMap();
+      });
+      mapClusterList.appendChild(item);
+    });
+  }
+
+  renderMapSelection();
+  renderMapChunk();
+}
+
+function drawEmbeddingMap() {
+  const rect = mapCanvas.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) return; // Hidden
+
+  const ratio = window.devicePixelRatio || 1;
+  mapCanvas.width = Math.round(rect.width * ratio);
+  mapCanvas.height = Math.round(rect.height * ratio);
+  const ctx = mapCanvas.getContext("2d");
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, rect.width, rect.height);
+
+  const map = embeddingMap;
+  if (!map) {
+    ctx.fillStyle = "#9ca3af";
+    ctx.font = "12px sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillText("Build the map to see how the library's chunks group into topics.", rect.width / 2, rect.height / 2);
+    return;
+  }
+
+  // Fit the projection into the canvas; screen positions are kept for hit testing
+  const padding = 12;
+  const xs = map.points.map((point) => point.x);
+  const ys = map.points.map((point) => point.y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  map.points.forEach((point) => {
+    point.screenX = padding + ((point.x - minX) / (maxX - minX || 1)) * (rect.width - 2 * padding);
+    point.screenY = padding + ((maxY - point.y) / (maxY - minY || 1)) * (rect.height - 2 * padding);
+  });
+
+  // Points outside the selected cluster are dimmed and drawn first, so the selection stays on top
+  const inFocus = (point) => map.selectedCluster === null || point.cluster === map.selectedCluster;
+  [...map.points.filter((point) => !inFocus(point)), ...map.points.filter(inFocus)].forEach((point) => {
+    ctx.globalAlpha = inFocus(point) ? 0.85 : 0.12;
+    ctx.fillStyle = mapPointColor(point);
+    ctx.beginPath();
+    ctx.arc(point.screenX, point.screenY, 3.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  ctx.globalAlpha = 1;
+
+  if (map.selectedPoint) {
+    ctx.strokeStyle = "#111827";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(map.selectedPoint.screenX, map.selectedPoint.screenY, 7, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+}
+
+function handleMapClick(event) {
+  const map = embeddingMap;
+  if (!map) return;
+
+  const rect = mapCanvas.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const y = event.clientY - rect.top;
+  let nearest = null;
+  let nearestDistance = 8 * 8; // Click radius in pixels, squared
+  map.points.forEach((point) => {
+    const distance = (point.screenX - x) ** 2 + (point.screenY - y) ** 2;
+    if (distance < nearestDistance) {
+      nearest = point;
+      nearestDistance = distance;
+    }
+  });
+
+  map.selectedPoint = nearest;
+  drawEmbeddingMap();
+  renderMapChunk();
+}
+
+function renderMapSelection() {
+  if (!mapSelection) return;
+  const cluster = embeddingMap?.clusters[embeddingMap.selectedCluster];
+  mapSelection.classList.toggle("hidden", !cluster);
+  if (!cluster) return;
+
+  mapSelection.innerHTML = `
+    <div class="map-selection-label font-bold text-gray-700 mb-1"></div>
+    <div class="map-selection-keywords text-[10px] text-gray-400 mb-2"></div>
+    <ul class="map-selection-papers space-y-0.5 mb-3"></ul>
+    <button type="button" class="map-review-btn w-full px-3 py-1.5 bg-gradient-to-r from-indigo-500 to-purple-500 text-white rounded-lg hover:shadow-lg transition-all duration-200">
+      🤖 Review this theme
+    </button>
+  `;
+  mapSelection.querySelector(".map-selection-label").textContent = cluster.label;
+  mapSelection.querySelector(".map-selection-keywords").textContent = cluster.keywords.join(" • ");
+  const list = mapSelection.querySelector(".map-selection-papers");
+  cluster.papers.slice(0, 8).forEach((paper) => {
+    const item = document.createElement("li");
+    item.className = "flex justify-between gap-2";
+    const name = document.createElement("span");
+    name.className = "truncate text-gray-600";
+    name.title = paper.name;
+    name.textContent = citationLabel(paper.name);
+    const count = document.createElement("span");
+    count.className = "text-gray-400 whitespace-nowrap";
+    count.textContent = paper.count;
+    item.append(name, count);
+    list.appendChild(item);
+  });
+  mapSelection.querySelector(".map-review-btn").addEventListener("click", () => reviewMapTheme(cluster));
+}
+
+function renderMapChunk() {
+  if (!mapChunk) return;
+  const point = embeddingMap?.selectedPoint;
+  mapChunk.classList.toggle("hidden", !point);
+  if (!point) return;
+
+  const { chunk } = point;
+  mapChunk.innerHTML = `
+    <button type="button" class="map-chunk-open font-medium text-gray-700 hover:text-indigo-600 truncate block max-w-full"></button>
+    <div class="map-chunk-meta text-[10px] text-gray-400 mb-1 truncate"></div>
+    <p class="map-chunk-text text-gray-600 whitespace-pre-wrap max-h-48 overflow-y-auto"></p>
+  `;
+  const openBtn = mapChunk.querySelector(".map-chunk-open");
+  openBtn.textContent = `${formatChunkLocation(chunk)} • chunk ${chunk.chunkIndex}`;
+  openBtn.addEventListener("click", () => openCitation(chunk.source, chunk));
+  mapChunk.querySelector(".map-chunk-meta").textContent =
+    [chunk.section, embeddingMap.clusters[point.cluster]?.label].filter(Boolean).join(" • ");
+  mapChunk.querySelector(".map-chunk-text").textContent = chunk.text;
+}
+
+// Hands the theme to the multi-agent review, pinned to the papers that make up the cluster
+function reviewMapTheme(cluster) {
+  if (isTyping) return;
+  const names = new Set(cluster.papers
+    .filter((paper, i) => i === 0 || paper.count >= cluster.size * MAP_THEME_MIN_SHARE)
+    .map((paper) => paper.name));
+  const handles = mentionTargets(uploadedPapers)
+    .filter((target) => target.kind === "paper" && !target.alias && names.has(target.papers[0].name))
+    .map((target) => `@${target.handle}`);
+
+  switchToView("chat");
+  chatInput.value = `Write a literature review of the theme "${cluster.label}" (${cluster.keywords.join(", ")}) across ${handles.join(" ")}`;
+  sendChatMessage();
+}
+
+// --- Multi-Agent Literature Review ---
+// Broad per-paper retrieval for the Summarizer: each paper's opening chunks plus
+// the passages most relevant to the request, instead of one top-K over the library.
+// The chunks used are added to `evidence` for the verifier
+async function reviewPaperContext(paper, query, evidence = []) {
+  const paperChunks = vectorStore.filter((chunk) => chunk.source === paper.name);
+  const retrieved = await searchSimilarChunks(query, {
+    sources: new Set([paper.name]),
+    topK: REVIEW_CHUNKS_PER_PAPER,
+  });
+  if (retrieved.length === 0) {
+    evidence.push(...paperChunks);
+    return buildPaperContext(paperChunks);
+  }
+
+  // Opening chunks, then the retrieved ones by rank: buildPaperContext fills its budget in this order
+  const lead = [...paperChunks].sort((a, b) => a.chunkIndex - b.chunkIndex).slice(0, REVIEW_LEAD_CHUNKS);
+  const selected = [...new Map([...lead, ...retrieved].map((chunk) => [chunkKey(chunk), chunk])).values()];
+  evidence.push(...selected);
+  return buildPaperContext(selected);
+}
+
+async function runAgentPipeline(request, { papers, query = request, client, signal, onToken, onStats, evidence = [] }) {
+  console.log(`🤖 Starting multi-agent literature review over ${papers.length} papers`);
+
+  // Similarity and citation links help the Theme Extractor group the papers
+  const { matrix, graph } = paperRelations(papers);
+
+  const result = await runLiteratureReview({
+    client,
+    request,
+    papers,
+    getPaperContext: (paper) => reviewPaperContext(paper, query, evidence),
+    relations: describePaperRelations(graph, matrix, citationLabel),
+    labelFor: citationLabel,
+    temperature: currentTemperature,
+    signal,
+    onStats: (stage, stats) => onStats(stats),
+    // Only the Writer streams into the answer bubble; the other agents show up once done
+    onToken: (stage, delta, fullText) => {
+      if (stage === "writer") onToken(delta, fullText);
+    },
+    onStage: (event) => {
+      console.log(`${event.icon} ${event.label} ${event.status}${event.paper ? `: ${event.paper}` : ""}`);
+
+      // The Writer's output is rendered as the regular answer bubble
+      if (event.status !== "done" || event.stage === "writer") return;
+
+      const title = `${event.icon} ${event.label}${event.paper ? ` — ${event.paper}` : ""}`;
+      const indicator = document.getElementById("typing-indicator");
+      chatHistoryContainer.insertBefore(createAgentStageBubble(title, event.output), indicator);
+      scrollToBottom();
+    },
+  });
+
+  if (result.interrupted && !result.review) {
+    return "⏹️ Literature review stopped before the Writer agent finished.";
+  }
+  return result.review;
+}
+
+// Engine requests only carry role/content; app-side fields like `sources` stay local
+function toEngineMessages(messages) {
+  return messages.map(({ role, content }) => ({ role, content }));
+}
+
+// --- Context budget ---
+// Window size of the selected model as WebLLM configures it
+function modelContextWindow(modelId = SELECTED_MODEL) {
+  const size = prebuiltAppConfig?.model_list?.find((model) => model.model_id === modelId)?.overrides?.context_window_size;
+  return size > 0 ? size : DEFAULT_CONTEXT_WINDOW;
+}
+
+function currentBudget() {
+  return budgetFor({ contextWindow: modelContextWindow(), answerTokens: ANSWER_MAX_TOKENS });
+}
+
+const BUDGET_SEGMENTS = [
+  { key: "system", label: "System", color: "bg-slate-400" },
+  { key: "summary", label: "Summary", color: "bg-teal-400" },
+  { key: "history", label: "History", color: "bg-indigo-400" },
+  { key: "context", label: "Context", color: "bg-purple-400" },
+  { key: "question", label: "Question", color: "bg-sky-400" },
+  { key: "answer", label: "Answer", color: "bg-amber-300" },
+];
+
+function updateBudgetMeter(usage) {
+  if (!budgetBar || !budgetText) return;
+
+  budgetBar.innerHTML = "";
+  BUDGET_SEGMENTS.forEach(({ key, label, color }) => {
+    if (!usage[key]) return;
+    const segment = document.createElement("div");
+    segment.className = color;
+    segment.style.width = `${Math.min(100, (usage[key] / usage.window) * 100)}%`;
+    segment.title = `${label}: ${usage[key].toLocaleString()} tokens`;
+    budgetBar.appendChild(segment);
+  });
+
+  const folded = conversationHistory.filter((message) => message.folded).length;
+  const over = usage.used > usage.window;
+  budgetText.className = `text-[10px] mt-1 ${over ? "text-red-600" : "text-gray-500"}`;
+  budgetText.textContent =
+    `${usage.used.toLocaleString()} / ${usage.window.toLocaleString()} tokens` +
+    (folded > 0 ? ` • ${folded} earlier messages summarized` : "");
+
+  if (budgetLegend) {
+    budgetLegend.innerHTML = "";
+    BUDGET_SEGMENTS.forEach(({ key, label, color }) => {
+      const item = document.createElement("span");
+      item.className = "inline-flex items-center gap-1";
+      const dot = document.createElement("span");
+      dot.className = `w-2 h-2 rounded-full ${color}`;
+      item.append(dot, `${label} ${usage[key].toLocaleString()}`);
+      budgetLegend.appendChild(item);
+    });
+  }
+}
+
+// Usage of the next prompt before any context is retrieved
+function refreshBudgetMeter() {
+  updateBudgetMeter(measureUsage({
+    budget: currentBudget(),
+    counter: tokenCounter,
+    system: systemPrompts[currentPromptType],
+    summary: conversationSummary,
+    history: promptHistory(conversationHistory).filter((message) => !message.folded).map((message) => toPromptMessage(message)),
+  }));
+}
+
+async function foldIntoSummary(client, messages) {
+  const turns = messages.map((message) => ({ role: message.role, text: message.text }));
+  let summary = "";
+  try {
+    summary = await client.complete(buildSummaryMessages(conversationSummary, turns), {
+      temperature: 0,
+      maxTokens: SUMMARY_MAX_TOKENS,
+    });
+  } catch (error) {
+    console.warn("⚠️ Summarization failed, keeping a trimmed transcript instead:", error);
+  }
+  conversationSummary = summary || fallbackSummary(conversationSummary, turns);
+  messages.forEach((message) => { message.folded = true; });
+
+  console.log(`🗜️ Folded ${messages.length} messages into the conversation summary`);
+  const note = document.createElement("div");
+  note.className = "p-2 bg-blue-100 text-blue-800 rounded text-sm mb-2";
+  note.textContent = `🗜️ Summarized ${messages.length} earlier messages to stay within the model's ${modelContextWindow().toLocaleString()}-token context window.`;
+  chatHistoryContainer.insertBefore(note, document.getElementById("typing-indicator"));
+}
+
+/**
+ * Messages for the next request: system prompt (+ rolling summary), the
+ * earlier turns that fit, and the current message. Older turns are folded
+ * into the summary when the budget is exceeded.
+ */
+async function buildPromptMessages(client, budget, { context, question }) {
+  const system = systemPrompts[currentPromptType];
+  const current = toPromptMessage(conversationHistory[conversationHistory.length - 1], true);
+  // Earlier turns go out as plain text; `message` links each back to the model for folding
+  const earlier = promptHistory(conversationHistory.slice(0, -1))
+    .filter((message) => !message.folded)
+    .map((message) => ({ ...toPromptMessage(message), message }));
+
+  const available = (summaryTokens) =>
+    budget.window - budget.margin - budget.answer - summaryTokens -
+    tokenCounter.countMessages([{ content: system }, current]);
+
+  let plan = planHistory(earlier, available(tokenCounter.count(conversationSummary)), tokenCounter);
+  if (plan.fold.length > 0) {
+    // Leave room for the summary to grow
+    plan = planHistory(earlier, available(SUMMARY_MAX_TOKENS), tokenCounter);
+    await foldIntoSummary(client, plan.fold.map((entry) => entry.message));
+  }
+
+  updateBudgetMeter(measureUsage({
+    budget,
+    counter: tokenCounter,
+    system,
+    summary: conversationSummary,
+    history: plan.keep,
+    context,
+    question,
+  }));
+
+  return toEngineMessages([
+    { role: "system", content: withSummary(system, conversationSummary) },
+    ...plan.keep,
+    current,
+  ]);
+}
+
+// --- Generation control ---
+function setGeneratingUI(generating) {
+  sendBtn?.classList.toggle("hidden", generating);
+  stopBtn?.classList.toggle("hidden", !generating);
+}
+
+// Every engine call goes through here, so answers and background jobs never share the
+// engine and Stop reaches whichever is running
+function beginGeneration(kind, client) {
+  activeGeneration = { kind, client, controller: new AbortController() };
+  setGeneratingUI(true);
+  return activeGeneration;
+}
+
+function endGeneration() {
+  activeGeneration = null;
+  setGeneratingUI(false);
+  // The next queued job takes the engine right here, before anything else can start.
+  // An answer being prepared (isTyping) hands it on when it ends instead
+  if (!isTyping) generationWaiters.shift()?.();
+}
+
+function isEngineBusy() {
+  return isTyping || Boolean(activeGeneration);
+}
+
+// beginGeneration() for background jobs that wait their turn: resolves with the
+// generation once this job holds the engine, in the order the jobs asked for it
+function acquireEngine(kind, client) {
+  if (!isEngineBusy() && generationWaiters.length === 0) return Promise.resolve(beginGeneration(kind, client));
+  return new Promise((resolve) => generationWaiters.push(() => resolve(beginGeneration(kind, client))));
+}
+
+function stopGeneration() {
+  if (!activeGeneration) return;
+  console.log("⏹️ Stopping generation");
+  activeGeneration.controller.abort();
+  activeGeneration.client.interrupt();
+}
+
+function mergeGenerationStats(total, stats) {
+  if (!total) return { ...stats };
+  const elapsedMs = total.elapsedMs + stats.elapsedMs;
+  const completionTokens = total.completionTokens + stats.completionTokens;
+  return {
+    promptTokens: (total.promptTokens ?? 0) + (stats.promptTokens ?? 0),
+    completionTokens,
+    totalTokens: (total.totalTokens ?? 0) + (stats.totalTokens ?? 0),
+    elapsedMs,
+    tokensPerSecond: completionTokens / (Math.max(elapsedMs, 1) / 1000),
+  };
+}
+
+// --- Query understanding ---
+async function understandQuery(client, text, onStats) {
+  const turns = promptHistory(conversationHistory.slice(0, -1))
+    .slice(-REWRITE_TURNS)
+    .map((message) => ({ role: message.role, text: message.text }));
+
+  let reply = "";
+  try {
+    reply = await client.complete(buildRewriteMessages(text, turns, { paraphrases: SUB_QUERIES }), {
+      temperature: 0,
+      maxTokens: REWRITE_MAX_TOKENS,
+      onStats,
+    });
+  } catch (error) {
+    console.warn("⚠️ Query rewriting failed, searching with the question as typed:", error);
+  }
+
+  const understanding = parseRewriteReply(reply, text, { paraphrases: SUB_QUERIES });
+  console.log("🧭 Query understanding:", understanding);
+
+  const note = document.createElement("div");
+  note.className = "p-2 bg-slate-100 text-slate-600 rounded text-xs mb-2";
+  note.textContent = understanding.review
+    ? `🧭 Literature review request: retrieving per paper for "${understanding.query}"`
+    : `🧭 Searching for "${understanding.query}"` +
+      (retrievalQueries(understanding).length > 1 ? ` + ${retrievalQueries(understanding).length - 1} sub-queries` : "");
+  chatHistoryContainer.insertBefore(note, document.getElementById("typing-indicator"));
+  scrollToBottom();
+  return understanding;
+}
+
+// --- Answer verification ---
+function verifyAgainstLibrary(text, { sources = [], evidence = sources }) {
+  return verifyAnswer(text, { sources, evidence, papers: uploadedPapers, aliases: citationAliases() });
+}
+
+// A review's passages, grouped by paper the way the Summarizer saw them
+function renderEvidenceBlock(evidence) {
+  const byPaper = new Map();
+  evidence.forEach((chunk) => {
+    if (!byPaper.has(chunk.source)) byPaper.set(chunk.source, []);
+    byPaper.get(chunk.source).push(chunk);
+  });
+  const sections = [...byPaper].map(([name, chunks]) => `Paper: ${citationLabel(name)} [${name}]\n${buildPaperContext(chunks)}`);
+  return `--- PAPER EXCERPTS ---\n${sections.join("\n\n")}\n--- END EXCERPTS ---\n\n`;
+}
+
+// One revision pass over the flagged claims. Resolves with the revised text and
+// its verification, or null when the revision does not flag fewer sentences
+async function reviseAnswer(client, { question, text, verification, context, sources, evidence, onToken, onStats }) {
+  const flagged = flaggedSentences(verification).length;
+  const note = document.createElement("div");
+  note.className = "p-2 bg-amber-50 text-amber-800 rounded text-xs mb-2";
+  note.textContent = `🛡️ Revising ${flagged} unsupported ${flagged === 1 ? "claim" : "claims"}…`;
+  chatHistoryContainer.appendChild(note);
+  scrollToBottom();
+
+  try {
+    const reply = await client.stream(buildRevisionMessages({ question, answer: text, verification, context }), {
+      temperature: 0,
+      maxTokens: currentBudget().answer,
+      onToken,
+    });
+    onStats(reply.stats);
+
+    const revised = reply.text.trim();
+    if (!revised || activeGeneration?.controller.signal.aborted) {
+      note.textContent = "🛡️ Revision stopped, keeping the original answer.";
+      return null;
+    }
+    const revisedVerification = verifyAgainstLibrary(revised, { sources, evidence });
+    const remaining = flaggedSentences(revisedVerification).length;
+    if (remaining >= flagged) {
+      note.textContent = `🛡️ The revision still had ${remaining} flagged ${remaining === 1 ? "claim" : "claims"}, keeping the original answer.`;
+      return null;
+    }
+    note.textContent = `🛡️ Revised the answer: ${flagged} → ${remaining} flagged ${remaining === 1 ? "claim" : "claims"}.`;
+    console.log(`🛡️ Revision reduced flagged claims from ${flagged} to ${remaining}`);
+    return { text: revised, verification: revisedVerification };
+  } catch (error) {
+    console.warn("⚠️ Answer revision failed, keeping the original answer:", error);
+    note.textContent = "🛡️ Revision failed, keeping the original answer.";
+    return null;
+  }
+}
+
+// --- Chat ---
+// Resolves with the answer text (null if nothing was sent), so voice mode can read it aloud
+async function sendChatMessage() {
+  await startupRestore; // The question belongs to the restored session
+  const text = chatInput.value.trim();
+  if (!text || isTyping) return null;
+  if (activeGeneration) {
+    alert(`Please wait for the ${activeGeneration.kind} to finish (or stop it) before asking.`);
+    return null;
+  }
+
+  chatInput.value = "";
+  closeMentionSuggestions();
+  chatHistoryContainer.appendChild(createMessageBubble(text, true));
+
+  // @-mentions pin this question to specific papers; otherwise the session's selection applies
+  const mentioned = parseMentions(text, uploadedPapers, { labelFor: (paper) => citationLabel(paper.name) });
+  const pinned = mentioned.papers.length > 0;
+  const scopePapers = pinned ? mentioned.papers : sessionPapers();
+  const sources = pinned ? new Set(mentioned.papers.map((paper) => paper.name)) : sessionSources();
+  if (pinned || mentioned.unknown.length > 0) {
+    chatHistoryContainer.appendChild(createMentionNote(mentioned));
+  }
+  scrollToBottom();
+
+  const question = createUserMessage(text);
+  conversationHistory.push(question);
+  nameSessionFrom(text);
+  isTyping = true;
+  
+  // Show typing indicator
+  const typingIndicator = createTypingIndicator();
+  chatHistoryContainer.appendChild(typingIndicator);
+  scrollToBottom();
+
+  // The answer bubble replaces the typing indicator as soon as the first token arrives
+  let responseBubble = null;
+  const showResponseBubble = () => {
+    if (!responseBubble) {
+      removeTypingIndicator();
+      responseBubble = createMessageBubble("", false);
+      chatHistoryContainer.appendChild(responseBubble);
+    }
+    return responseBubble;
+  };
+  const onToken = (delta, fullText) => {
+    setBubbleText(showResponseBubble(), fullText);
+    scrollToBottom();
+  };
+
+  let generationStats = null;
+  let responseSources = [];
+  let contextBlock = "";
+  let verification = null;
+  let answer = null;
+  let stoppedEmpty = false; // Stopped before any text: the placeholder is shown but never sent back
+  const evidence = []; // Passages a literature review was written from
+  const requests = []; // Every engine call made for this answer, for the prompt inspector
+  const onStats = (stats) => {
+    generationStats = mergeGenerationStats(generationStats, stats);
+  };
+
+  try {
+    let aiResponseText = "";
+
+    if (engine) {
+      const client = recordRequests(createEngineClient(engine), requests);
+      beginGeneration("answer", client);
+
+      // Optional query understanding: standalone rewrite, sub-queries and review detection
+      const understanding = useQueryRewriting && scopePapers.length > 0
+        ? await understandQuery(client, mentioned.query, onStats)
+        : null;
+      const searchQuery = understanding?.query ?? mentioned.query;
+      const isReview = isLiteratureReviewRequest(text) || Boolean(understanding?.review);
+
+      if (scopePapers.length > 0 && isReview) {
+        aiResponseText = await runAgentPipeline(mentioned.query, {
+          papers: scopePapers,
+          query: searchQuery,
+          client,
+          signal: activeGeneration.controller.signal,
+          onToken,
+          onStats,
+          evidence,
+        });
+      } else {
+        // Retrieved context gets a fixed share of the window; lower-ranked chunks that do not fit are dropped
+        const budget = currentBudget();
+        const relevantChunks = fitChunks(
+          await searchSimilarChunks(searchQuery, {
+            sources,
+            queries: understanding ? retrievalQueries(understanding) : [searchQuery],
+          }),
+          budget.maxContext,
+          tokenCounter
+        );
+
+        responseSources = relevantChunks;
+
+        // The rendered prompt is kept next to the question, and only this turn sends it
+        contextBlock = renderContextBlock(relevantChunks, citationLabel);
+        // Mentions are sent as the papers' names rather than as handles
+        const questionText = mentioned.query;
+        question.prompt = contextBlock || questionText !== text ? renderUserPrompt(questionText, contextBlock) : null;
+
+        const promptMessages = await buildPromptMessages(client, budget, {
+          context: contextBlock,
+          question: (question.prompt ?? text).slice(contextBlock.length),
+        });
+
+        // Stop is allowed to land before the first token: skip the call entirely
+        if (!activeGeneration.controller.signal.aborted) {
+          const reply = await client.stream(promptMessages, {
+            temperature: currentTemperature,
+            maxTokens: budget.answer,
+            onToken,
+          });
+          onStats(reply.stats);
+          if (reply.stats.promptTokens) tokenCounter.calibrate(promptMessages, reply.stats.promptTokens);
+          aiResponseText = reply.text;
+        }
+      }
+
+      // Hallucination guard: cited sources, numbers and quotes are checked against what was retrieved
+      if (aiResponseText && uploadedPapers.length > 0 && !activeGeneration.controller.signal.aborted) {
+        const checkedAgainst = { sources: responseSources, evidence: responseSources.length > 0 ? responseSources : evidence };
+        verification = verifyAgainstLibrary(aiResponseText, checkedAgainst);
+        console.log("🛡️ Verification:", verification.counts, verification.unknownSources);
+
+        if (autoReviseAnswers && flaggedSentences(verification).length > 0) {
+          const revised = await reviseAnswer(client, {
+            question: mentioned.query,
+            text: aiResponseText,
+            verification,
+            context: responseSources.length > 0 ? contextBlock : renderEvidenceBlock(evidence),
+            ...checkedAgainst,
+            onToken,
+            onStats,
+          });
+          if (revised) ({ text: aiResponseText, verification } = revised);
+        }
+      }
+
+      if (activeGeneration.controller.signal.aborted && !aiResponseText) {
+        aiResponseText = "⏹️ Generation stopped.";
+        stoppedEmpty = true;
+      }
+    } else {
       // LLM not available
       aiResponseText =
         "⚠️ WebLLM is not available (WebGPU/model load failed). " +
         "RAG ingestion still works (PDFs + embeddings).";
     }
 
-    conversationHistory.push({ role: "assistant", content: aiResponseText });
-    
-    // Remove typing indicator before showing response
-    removeTypingIndicator();
-    
-    chatHistoryContainer.appendChild(createMessageBubble(aiResponseText, false));
-    scrollToBottom();
-  } catch (err) {
-    console.error("Chat Error:", err);
-    
-    // Remove typing indicator on error
-    removeTypingIndicator();
-    
-    chatHistoryContainer.appendChild(createMessageBubble("Error generating response.", false));
-  } finally {
-    isTyping = false;
+    const wasStopped = Boolean(activeGeneration?.controller.signal.aborted);
+
+    // Partial text from a stopped generation is kept in history like any other answer
+    answer = createAssistantMessage(aiResponseText, {
+      replyTo: question.id,
+      sources: responseSources,
+      evidence,
+      requests,
+      stats: generationStats,
+      verification,
+      stopped: stoppedEmpty,
+    });
+    conversationHistory.push(answer);
+
+    const bubble = showResponseBubble();
+    renderAnswerWithCitations(bubble, aiResponseText, responseSources, verification);
+    if (generationStats) appendGenerationStats(bubble, generationStats, wasStopped);
+    appendExportActions(bubble, answer);
+    appendPromptInspector(bubble, answer);
+    conversationExport?.classList.remove("hidden");
+    scrollToBottom();
+  } catch (err) {
+    console.error("Chat Error:", err);
+    
+    // Remove typing indicator on error
+    removeTypingIndicator();
+
+    // The question keeps a reply in history, but the pair is never sent back (see promptHistory)
+    if (!answer) conversationHistory.push(createAssistantMessage("Error generating response.", { replyTo: question.id, failed: true }));
+    chatHistoryContainer.appendChild(createMessageBubble("Error generating response.", false));
+  } finally {
+    isTyping = false;
+    endGeneration();
+    saveActiveSession();
+  }
+  return answer?.text ?? null;
+}
+
+function createMentionNote({ papers, unknown }) {
+  const note = document.createElement("div");
+  note.className = "p-2 bg-indigo-50 text-indigo-800 rounded text-sm mb-2";
+  note.textContent = [
+    papers.length > 0 ? `📌 This question searches only: ${papers.map((paper) => citationLabel(paper.name)).join("; ")}.` : "",
+    unknown.length > 0 ? `⚠️ No paper, collection or tag matches ${unknown.map((word) => `@${word}`).join(", ")}.` : "",
+  ].filter(Boolean).join(" ");
+  return note;
+}
+
+// --- Chat sessions ---
+
+function activeSession() {
+  return sessions.find((session) => session.id === activeSessionId) ?? null;
+}
+
+// Papers the active session searches (all papers unless the session has a selection)
+function sessionPapers() {
+  const names = activeSession()?.paperNames;
+  return names ? uploadedPapers.filter((paper) => names.includes(paper.name)) : uploadedPapers;
+}
+
+// Source filter for searchSimilarChunks (null = whole library)
+function sessionSources() {
+  const names = activeSession()?.paperNames;
+  return names ? new Set(names) : null;
+}
+
+function isPaperInSession(name) {
+  const names = activeSession()?.paperNames;
+  return !names || names.includes(name);
+}
+
+async function persistSession(session) {
+  try {
+    await saveSession(session);
+  } catch (error) {
+    console.warn(`⚠️ Could not save session "${session.name}" to IndexedDB:`, error);
+  }
+}
+
+// Copy the working state back into the active session and save it
+function saveActiveSession({ touch = true } = {}) {
+  const session = activeSession();
+  if (!session) return;
+
+  Object.assign(session, {
+    messages: conversationHistory,
+    summary: conversationSummary,
+    promptType: currentPromptType,
+    customPrompt: systemPrompts.custom,
+    temperature: currentTemperature,
+  });
+  if (touch) session.updatedAt = Date.now();
+
+  renderSessionsList();
+  persistSession(session);
+}
+
+// Sessions start out named after their first question
+function nameSessionFrom(text) {
+  const session = activeSession();
+  if (!session?.autoNamed || conversationHistory.length > 1) return;
+  session.name = sessionNameFrom(text);
+  session.autoNamed = false;
+}
+
+// Select exactly these papers for the active session (null = all papers)
+function setSessionPapers(names) {
+  const session = activeSession();
+  if (!session) return;
+
+  // Back to "all papers" once everything is selected, so later uploads are included too
+  const selected = names ? new Set(names) : null;
+  session.paperNames = selected && !uploadedPapers.every((paper) => selected.has(paper.name)) ? [...selected] : null;
+  saveActiveSession({ touch: false });
+  updatePapersListUI();
+}
+
+function setPaperInSession(name, included) {
+  const names = new Set(activeSession()?.paperNames ?? uploadedPapers.map((paper) => paper.name));
+  if (included) names.add(name);
+  else names.delete(name);
+  setSessionPapers([...names]);
+}
+
+// A paper uploaded while a session has a selection joins that selection
+function addPaperToSession(name) {
+  const session = activeSession();
+  if (!session?.paperNames || session.paperNames.includes(name)) return;
+  session.paperNames = [...session.paperNames, name];
+  saveActiveSession({ touch: false });
+}
+
+function removePaperFromSessions(name) {
+  sessions
+    .filter((session) => session.paperNames?.includes(name))
+    .forEach((session) => {
+      session.paperNames = session.paperNames.filter((paperName) => paperName !== name);
+      persistSession(session);
+    });
+}
+
+// After the library is cleared every session searches whatever is uploaded next
+function resetSessionPapers() {
+  sessions
+    .filter((session) => session.paperNames)
+    .forEach((session) => {
+      session.paperNames = null;
+      persistSession(session);
+    });
+  renderSessionsList();
+}
+
+function renderStoredAnswer(message) {
+  const sources = message.sources.map((ref) =>
+    chunkLookup.has(ref.key) ? { ...chunkLookup.get(ref.key), similarity: ref.similarity } : { ...ref, text: "" }
+  );
+  const bubble = createMessageBubble("", false);
+  chatHistoryContainer.appendChild(bubble);
+  renderAnswerWithCitations(bubble, message.text, sources, message.verification);
+  if (message.stats) appendGenerationStats(bubble, message.stats);
+  appendExportActions(bubble, message);
+  appendPromptInspector(bubble, message);
+}
+
+// Rebuild the chat from the active session's messages
+function renderConversation() {
+  if (!chatHistoryContainer) return;
+  chatHistoryContainer.innerHTML = welcomeMarkup;
+
+  const folded = conversationHistory.filter((message) => message.folded).length;
+  // Stopped and failed turns are never folded, so the folded messages need not come first
+  const lastFolded = conversationHistory.findLastIndex((message) => message.folded);
+  conversationHistory.forEach((message, i) => {
+    if (message.role === "user") chatHistoryContainer.appendChild(createMessageBubble(message.text, true));
+    else renderStoredAnswer(message);
+
+    if (i === lastFolded) {
+      const note = document.createElement("div");
+      note.className = "p-2 bg-blue-100 text-blue-800 rounded text-sm mb-2";
+      note.textContent = `🗜️ The ${folded} messages above are sent to the model as a summary.`;
+      chatHistoryContainer.appendChild(note);
+    }
+  });
+
+  conversationExport?.classList.toggle("hidden", !conversationHistory.some((message) => message.role === "assistant"));
+  scrollToBottom();
+}
+
+// Make `session` the active one and load its state into the UI
+function applySession(session) {
+  activeSessionId = session.id;
+  conversationHistory = session.messages;
+  conversationSummary = session.summary;
+  currentPromptType = session.promptType;
+  systemPrompts.custom = session.customPrompt;
+  currentTemperature = session.temperature;
+
+  if (systemPromptSelect) systemPromptSelect.value = currentPromptType;
+  if (temperatureSlider) temperatureSlider.value = currentTemperature;
+  if (temperatureValue) temperatureValue.textContent = currentTemperature.toFixed(1);
+
+  renderConversation();
+  refreshBudgetMeter();
+  updatePapersListUI();
+  renderSessionsList();
+}
+
+function canLeaveSession() {
+  if (!isTyping) return true;
+  alert("Please wait for the current answer to finish (or stop it) before switching sessions.");
+  return false;
+}
+
+function switchSession(id) {
+  const session = sessions.find((candidate) => candidate.id === id);
+  if (!session || id === activeSessionId || !canLeaveSession()) return;
+
+  if (voiceSession) stopVoiceMode();
+  saveActiveSession({ touch: false });
+  applySession(session);
+  console.log(`💬 Switched to session "${session.name}"`);
+}
+
+function newSession() {
+  if (!canLeaveSession()) return;
+
+  // Starts from the current prompt and temperature, searching the whole library
+  const session = createSession({
+    promptType: currentPromptType,
+    customPrompt: systemPrompts.custom,
+    temperature: currentTemperature,
+  });
+  if (voiceSession) stopVoiceMode();
+  saveActiveSession({ touch: false });
+  sessions.push(session);
+  persistSession(session);
+  applySession(session);
+}
+
+function renameSession(id) {
+  const session = sessions.find((candidate) => candidate.id === id);
+  if (!session) return;
+
+  const name = prompt("Session name:", session.name)?.trim();
+  if (!name) return;
+  session.name = name;
+  session.autoNamed = false;
+  renderSessionsList();
+  persistSession(session);
+}
+
+function copySession(id) {
+  const session = sessions.find((candidate) => candidate.id === id);
+  if (!session || !canLeaveSession()) return;
+
+  if (id === activeSessionId) saveActiveSession({ touch: false });
+  const copy = duplicateSession(session);
+  sessions.push(copy);
+  persistSession(copy);
+  switchSession(copy.id);
+}
+
+async function removeSession(id) {
+  const session = sessions.find((candidate) => candidate.id === id);
+  if (!session) return;
+  if (id === activeSessionId && !canLeaveSession()) return;
+  if (!confirm(`Delete the session "${session.name}" and its ${session.messages.length} messages?`)) return;
+
+  sessions = sessions.filter((candidate) => candidate !== session);
+  try {
+    await deleteSession(id);
+  } catch (error) {
+    console.warn(`⚠️ Could not delete session "${session.name}" from IndexedDB:`, error);
+  }
+
+  if (id !== activeSessionId) {
+    renderSessionsList();
+    return;
+  }
+
+  // There is always an active session to chat in
+  if (voiceSession) stopVoiceMode();
+  let next = sortSessions(sessions)[0];
+  if (!next) {
+    next = createSession({ temperature: currentTemperature });
+    sessions.push(next);
+    persistSession(next);
+  }
+  applySession(next);
+}
+
+async function restoreSessions() {
+  try {
+    const restored = await loadSessions();
+    // Sessions started while the restore was running are kept alongside the saved ones
+    const restoredIds = new Set(restored.map((session) => session.id));
+    sessions = [...restored, ...sessions.filter((session) => !restoredIds.has(session.id))];
+    if (restored.length > 0) console.log(`💬 Restored ${restored.length} chat sessions from IndexedDB`);
+  } catch (error) {
+    console.warn("⚠️ Could not restore chat sessions from IndexedDB:", error);
+  }
+
+  if (activeSession()) {
+    renderSessionsList();
+    return;
+  }
+
+  let session = sortSessions(sessions)[0];
+  if (!session) {
+    session = createSession({ temperature: currentTemperature });
+    sessions.push(session);
+    persistSession(session);
+  }
+  applySession(session);
+}
+
+function renderSessionsList() {
+  if (!sessionsList) return;
+
+  sessionsList.innerHTML = "";
+  sortSessions(sessions).forEach((session) => {
+    const active = session.id === activeSessionId;
+    const questions = session.messages.filter((message) => message.role === "user").length;
+    const scope = session.paperNames ? `${session.paperNames.length} papers` : "all papers";
+
+    const li = document.createElement("li");
+    li.className = `group p-2 rounded-xl flex items-center gap-2 cursor-pointer border transition-colors ${
+      active ? "bg-white/80 border-indigo-200" : "bg-white/40 border-transparent hover:bg-white/60"
+    }`;
+
+    const info = document.createElement("div");
+    info.className = "overflow-hidden flex-1";
+    const title = document.createElement("h4");
+    title.className = `text-xs font-semibold truncate ${active ? "text-indigo-700" : "text-gray-700"}`;
+    title.textContent = session.name;
+    const details = document.createElement("p");
+    details.className = "text-[10px] text-gray-400";
+    details.textContent = `${questions} questions • ${scope} • ${new Date(session.updatedAt).toLocaleDateString()}`;
+    info.append(title, details);
+
+    const actions = document.createElement("div");
+    actions.className = "flex gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity";
+    [
+      ["✏️", "Rename", renameSession],
+      ["⧉", "Duplicate", copySession],
+      ["🗑️", "Delete", removeSession],
+    ].forEach(([icon, label, action]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.title = label;
+      button.className = "text-[11px] px-1 rounded hover:bg-white";
+      button.textContent = icon;
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        action(session.id);
+      });
+      actions.appendChild(button);
+    });
+
+    li.append(info, actions);
+    li.addEventListener("click", () => switchSession(session.id));
+    sessionsList.appendChild(li);
+  });
+}
+
+// --- Voice mode ---
+// Microphone -> VAD -> Whisper -> sendChatMessage -> SpeechSynthesis, then listen again
+const VOICE_STATE_LABELS = {
+  listening: "🎙️ Listening…",
+  transcribing: "📝 Transcribing…",
+  thinking: "🤔 Thinking…",
+  speaking: "🔊 Speaking…",
+};
+
+function loadTranscriber() {
+  if (!transcriberLoading) {
+    console.log("Loading speech recognition model...");
+    transcriberLoading = pipeline("automatic-speech-recognition", WHISPER_MODEL)
+      .then((transcriber) => {
+        console.log("✅ Whisper model loaded.");
+        return transcriber;
+      })
+      .catch((error) => {
+        transcriberLoading = null; // Allow a retry next time voice mode starts
+        throw error;
+      });
+  }
+  return transcriberLoading;
+}
+
+async function transcribe(audio, sampleRate) {
+  const transcriber = await loadTranscriber();
+  const output = await transcriber(resample(audio, sampleRate, WHISPER_SAMPLE_RATE), {
+    language: "english",
+    task: "transcribe",
+    chunk_length_s: 30,
+  });
+  // Whisper labels non-speech as "[BLANK_AUDIO]", "(music)" and the like
+  return output.text.replace(/\[[^\]]*\]|\([^)]*\)|\*[^*]*\*/g, "").replace(/\s+/g, " ").trim();
+}
+
+function setVoiceStatus(state, text = VOICE_STATE_LABELS[state]) {
+  const active = state !== VOICE_STATES.IDLE;
+  micBtn?.classList.toggle("text-red-500", active);
+  micBtn?.classList.toggle("bg-red-50", active);
+  micBtn?.setAttribute("title", active ? "Stop voice mode" : "Speech to Text");
+  if (!voiceStatus) return;
+  voiceStatus.textContent = text || "";
+  voiceStatus.classList.toggle("hidden", !active);
+}
+
+async function handleUtterance(session, audio) {
+  const { machine } = session;
+  machine.dispatch("speech-end");
+
+  try {
+    const text = await transcribe(audio, session.microphone.sampleRate);
+    console.log(`🎙️ Heard: "${text}"`);
+    if (!text) {
+      machine.dispatch("done");
+      return;
+    }
+    // False when voice mode was switched off while Whisper was running
+    if (!machine.dispatch("transcribed")) return;
+
+    chatInput.value = text;
+    const answer = await sendChatMessage();
+    if (!answer || !voiceSettings.readAloud || !machine.dispatch("answered")) {
+      machine.dispatch("done");
+      return;
+    }
+
+    await speak(textForSpeech(answer), { signal: session.controller.signal });
+    machine.dispatch("done");
+  } catch (error) {
+    console.error("❌ Voice mode error:", error);
+    machine.dispatch("done");
+  }
+}
+
+async function startVoiceMode() {
+  if (voiceSession) return;
+
+  const session = {
+    controller: new AbortController(),
+    microphone: null,
+    vad: null,
+    machine: createVoiceStateMachine({
+      onChange: (state) => {
+        // Back to listening: drop anything the microphone picked up meanwhile
+        if (state === VOICE_STATES.LISTENING) session.vad?.reset();
+        setVoiceStatus(state);
+      },
+    }),
+  };
+  voiceSession = session;
+  setVoiceStatus(VOICE_STATES.LISTENING, "⏳ Starting microphone…");
+
+  try {
+    session.microphone = await startMicrophone((frame) => {
+      // Frames are ignored unless listening, so the assistant does not hear itself
+      if (session.machine.state !== VOICE_STATES.LISTENING) return;
+      const event = session.vad.process(frame);
+      if (event?.type === "speech-end") handleUtterance(session, event.audio);
+    });
+    if (voiceSession !== session) {
+      session.microphone.stop(); // Switched off while the permission prompt was open
+      return;
+    }
+    session.vad = createVAD({
+      sampleRate: session.microphone.sampleRate,
+      silenceMs: voiceSettings.silenceMs,
+      threshold: voiceSettings.threshold,
+    });
+    session.machine.dispatch("start");
+    loadTranscriber().catch((error) => {
+      console.error("❌ Failed to load Whisper:", error);
+      alert(`Speech recognition could not be loaded: ${error.message}`);
+      stopVoiceMode();
+    });
+  } catch (error) {
+    console.error("❌ Microphone unavailable:", error);
+    alert(`Microphone unavailable: ${error.message}`);
+    stopVoiceMode();
   }
 }
 
+function stopVoiceMode() {
+  const session = voiceSession;
+  if (!session) return;
+  voiceSession = null;
+  session.controller.abort(); // Cancels speech playback
+  session.microphone?.stop();
+  session.machine.dispatch("stop");
+  setVoiceStatus(VOICE_STATES.IDLE);
+}
+
+function toggleVoiceMode() {
+  if (voiceSession) stopVoiceMode();
+  else startVoiceMode();
+}
+
 // --- UI helpers ---
 function createTypingIndicator() {
   const wrapper = document.createElement("div");
@@ -747,6 +3145,301 @@ function createMessageBubble(text, isUser = false) {
   return wrapper;
 }
 
+function setBubbleText(wrapper, text) {
+  const textP = wrapper.querySelector("p");
+  if (textP) textP.innerText = text;
+}
+
+function appendGenerationStats(wrapper, stats, stopped = false) {
+  const bubble = wrapper.lastChild;
+  const footer = document.createElement("div");
+  footer.className = "mt-2 pt-1 border-t border-slate-200/60 text-[10px] text-slate-400";
+
+  const parts = [
+    `⚡ ${stats.tokensPerSecond.toFixed(1)} tok/s`,
+    `${stats.completionTokens} tokens`,
+  ];
+  if (stats.totalTokens) parts.push(`${stats.totalTokens} total incl. prompt`);
+  parts.push(`${(stats.elapsedMs / 1000).toFixed(1)}s`);
+  if (stopped) parts.push("⏹️ stopped");
+
+  footer.textContent = parts.join(" • ");
+  bubble.appendChild(footer);
+}
+
+// --- Citations ---
+function formatChunkLocation(chunk) {
+  const label = citationLabel(chunk.source);
+  const element = chunk.label ? `, ${chunk.label}` : "";
+  if (!chunk.page) return `${label}${element}`;
+  const pages = chunk.pageEnd && chunk.pageEnd !== chunk.page ? `pp. ${chunk.page}-${chunk.pageEnd}` : `p. ${chunk.page}`;
+  return `${label}, ${pages}${element}`;
+}
+
+function createCitationChip(label, paperName, chunk = null) {
+  const chip = document.createElement("button");
+  chip.type = "button";
+  chip.className = "inline-flex items-center mx-0.5 px-1.5 py-0.5 rounded-md bg-indigo-100 text-indigo-700 text-[10px] font-semibold align-baseline hover:bg-indigo-200 transition-colors";
+  chip.textContent = label;
+  chip.title = chunk
+    ? `${formatChunkLocation(chunk)}\n\n${chunk.text.substring(0, 300)}${chunk.text.length > 300 ? "…" : ""}`
+    : paperName;
+  chip.addEventListener("click", () => openCitation(paperName, chunk));
+  return chip;
+}
+
+// Text with its bracketed citations as chips
+function appendCitedText(container, text, sources) {
+  const segments = parseCitations(text, {
+    sources,
+    paperNames: uploadedPapers.map((paper) => paper.name),
+    aliases: citationAliases(),
+  });
+
+  segments.forEach((segment) => {
+    if (segment.type === "text") {
+      container.appendChild(document.createTextNode(segment.text));
+      return;
+    }
+    const chunk = segment.sourceIndex !== null ? sources[segment.sourceIndex] : null;
+    container.appendChild(createCitationChip(segment.label, segment.paper, chunk));
+  });
+}
+
+const VERIFICATION_STYLES = {
+  supported: { cls: "underline decoration-green-300 underline-offset-4", title: "Supported by the cited passages" },
+  unsupported: { cls: "bg-red-50 underline decoration-wavy decoration-red-400 underline-offset-4", title: "Not supported by the cited passages" },
+  uncited: { cls: "underline decoration-dotted decoration-amber-400 underline-offset-4", title: "No citation" },
+};
+
+// Each checked sentence is underlined by its status; hovering lists the problems found
+function appendVerifiedText(container, text, sources, verification) {
+  let position = 0;
+  verification.sentences.forEach(({ start, end, status, issues }) => {
+    appendCitedText(container, text.slice(position, start), sources);
+    position = end;
+    if (!status) {
+      appendCitedText(container, text.slice(start, end), sources);
+      return;
+    }
+    const span = document.createElement("span");
+    span.className = VERIFICATION_STYLES[status].cls;
+    span.title = [VERIFICATION_STYLES[status].title, ...issues].join("\n");
+    appendCitedText(span, text.slice(start, end), sources);
+    container.appendChild(span);
+  });
+  appendCitedText(container, text.slice(position), sources);
+}
+
+function appendVerificationSummary(wrapper, { counts, unknownSources }) {
+  const footer = document.createElement("div");
+  footer.className = "mt-2 text-[10px] text-slate-400";
+  footer.textContent = `🛡️ ${counts.supported} supported • ${counts.unsupported} unsupported • ${counts.uncited} uncited`;
+  if (unknownSources.length > 0) {
+    const warning = document.createElement("div");
+    warning.className = "mt-1 text-red-600";
+    warning.textContent = `⚠️ Cites sources that are not in your library: ${unknownSources.join("; ")}`;
+    footer.appendChild(warning);
+  }
+  wrapper.lastChild.appendChild(footer);
+}
+
+// Render an answer with its bracketed citations as chips, plus the list of retrieved chunks
+function renderAnswerWithCitations(wrapper, text, sources = [], verification = null) {
+  const textP = wrapper.querySelector("p");
+  if (!textP) return;
+
+  textP.textContent = "";
+  textP.classList.add("whitespace-pre-wrap");
+
+  if (verification) {
+    appendVerifiedText(textP, text, sources, verification);
+    appendVerificationSummary(wrapper, verification);
+  } else {
+    appendCitedText(textP, text, sources);
+  }
+
+  if (sources.length === 0) return;
+
+  const sourcesPanel = document.createElement("div");
+  sourcesPanel.className = "mt-3 pt-2 border-t border-slate-200/60";
+
+  const heading = document.createElement("div");
+  heading.className = "text-[10px] font-bold uppercase tracking-wide text-slate-400 mb-1";
+  heading.textContent = `Sources used (${sources.length})`;
+  sourcesPanel.appendChild(heading);
+
+  const list = document.createElement("div");
+  list.className = "flex flex-wrap gap-1";
+  sources.forEach((chunk, i) => {
+    const similarity = typeof chunk.similarity === "number" ? ` • ${(chunk.similarity * 100).toFixed(0)}%` : "";
+    list.appendChild(createCitationChip(`[${i + 1}] ${formatChunkLocation(chunk)}${similarity}`, chunk.source, chunk));
+  });
+  sourcesPanel.appendChild(list);
+
+  wrapper.lastChild.appendChild(sourcesPanel);
+}
+
+// --- Export ---
+const EXPORT_FORMATS = [
+  { id: "markdown", label: "Markdown" },
+  { id: "latex", label: "LaTeX + .bib" },
+  { id: "docx", label: "Word" },
+];
+
+function downloadFile(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "What is attention?" -> "what-is-attention-2026-10-19-1432"
+function exportFilename(title) {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40).replace(/-+$/, "");
+  const stamp = new Date().toISOString().slice(0, 16).replace("T", "-").replace(":", "");
+  return `${slug || "review"}-${stamp}`;
+}
+
+function exportMessages(format, { title, messages }) {
+  const options = { title, messages, papers: uploadedPapers };
+  const filename = exportFilename(title);
+
+  try {
+    if (format === "markdown") {
+      downloadFile(`${filename}.md`, new Blob([exportMarkdown(options)], { type: "text/markdown" }));
+    } else if (format === "latex") {
+      const { tex, bib } = exportLatex(options);
+      downloadFile(`${filename}.zip`, createZip([
+        { name: "main.tex", data: tex },
+        { name: "references.bib", data: bib },
+      ]));
+    } else {
+      downloadFile(`${filename}.docx`, exportDocx(options));
+    }
+    console.log(`📤 Exported "${title}" as ${format}`);
+  } catch (error) {
+    console.error("❌ Export failed:", error);
+    alert(`Export failed: ${error.message}`);
+  }
+}
+
+// One answer exports on its own, titled by the question that prompted it
+function exportAnswer(format, answer) {
+  const question = conversationHistory.find((message) => message.id === answer.replyTo);
+  exportMessages(format, {
+    title: question?.text || "Literature Review",
+    messages: [{ role: "assistant", text: answer.text, sources: answer.sources }],
+  });
+}
+
+function exportWholeConversation(format) {
+  if (!conversationHistory.some((message) => message.role === "assistant")) return;
+  const messages = conversationHistory.map(({ role, text, sources }) => ({ role, text, sources }));
+  exportMessages(format, { title: "Conversation", messages });
+}
+
+function appendExportActions(wrapper, answer) {
+  const actions = document.createElement("div");
+  actions.className = "mt-2 flex items-center gap-1 text-[10px]";
+
+  const label = document.createElement("span");
+  label.className = "text-slate-400 mr-1";
+  label.textContent = "Export:";
+  actions.appendChild(label);
+
+  EXPORT_FORMATS.forEach((format) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "px-1.5 py-0.5 rounded-md bg-slate-100 text-slate-500 font-semibold hover:bg-indigo-100 hover:text-indigo-700 transition-colors";
+    button.textContent = format.label;
+    button.addEventListener("click", () => exportAnswer(format.id, answer));
+    actions.appendChild(button);
+  });
+
+  wrapper.lastChild.appendChild(actions);
+}
+
+// --- Prompt inspector ---
+// Debug view of exactly what was sent to the engine for an answer
+function renderRequests(container, requests) {
+  requests.forEach((request, i) => {
+    const block = document.createElement("div");
+    block.className = "mt-2";
+
+    const header = document.createElement("div");
+    header.className = "flex items-center justify-between font-semibold text-slate-500";
+    const settings = [
+      `${request.messages.length} messages`,
+      request.temperature !== null ? `temperature ${request.temperature}` : null,
+      request.maxTokens !== null ? `max ${request.maxTokens} tokens` : null,
+      `~${tokenCounter.countMessages(request.messages).toLocaleString()} prompt tokens`,
+    ].filter(Boolean);
+    header.textContent = `Request ${i + 1} of ${requests.length} • ${settings.join(" • ")}`;
+
+    const copyBtn = document.createElement("button");
+    copyBtn.type = "button";
+    copyBtn.className = "ml-2 px-1.5 py-0.5 rounded bg-slate-100 hover:bg-indigo-100 hover:text-indigo-700";
+    copyBtn.textContent = "Copy JSON";
+    copyBtn.addEventListener("click", () => {
+      navigator.clipboard?.writeText(JSON.stringify(request.messages, null, 2))
+        .then(() => { copyBtn.textContent = "Copied"; })
+        .catch((error) => console.warn("⚠️ Could not copy prompt:", error));
+    });
+    header.appendChild(copyBtn);
+    block.appendChild(header);
+
+    request.messages.forEach((message) => {
+      const role = document.createElement("div");
+      role.className = "mt-1 uppercase tracking-wide text-indigo-500 font-bold";
+      role.textContent = message.role;
+
+      const content = document.createElement("pre");
+      content.className = "whitespace-pre-wrap break-words font-mono text-[10px] text-slate-600 bg-white/60 rounded-lg p-2 max-h-60 overflow-y-auto";
+      content.textContent = message.content;
+
+      block.append(role, content);
+    });
+    container.appendChild(block);
+  });
+}
+
+function appendPromptInspector(wrapper, answer) {
+  if (answer.requests.length === 0) return;
+
+  const details = document.createElement("details");
+  details.className = "mt-2 text-[10px] text-slate-500";
+
+  const summary = document.createElement("summary");
+  summary.className = "cursor-pointer select-none font-semibold hover:text-indigo-600";
+  summary.textContent = `🔍 View prompt${answer.requests.length > 1 ? ` (${answer.requests.length} requests)` : ""}`;
+  details.appendChild(summary);
+
+  // Prompts can be long, so they are only rendered when first opened
+  details.addEventListener("toggle", () => {
+    if (details.open && details.childElementCount === 1) renderRequests(details, answer.requests);
+  });
+
+  wrapper.lastChild.appendChild(details);
+}
+
+function createAgentStageBubble(title, text) {
+  const wrapper = createMessageBubble(text, false);
+  const bubble = wrapper.lastChild;
+
+  const header = document.createElement("div");
+  header.className = "text-[10px] font-bold uppercase tracking-wide text-indigo-500 mb-1";
+  header.textContent = title;
+
+  bubble.prepend(header);
+  bubble.classList.add("opacity-90");
+  return wrapper;
+}
+
 function scrollToBottom() {
   chatHistoryContainer.scrollTop = chatHistoryContainer.scrollHeight;
 }
@@ -762,12 +3455,49 @@ function updateVectorStoreUI() {
       <div class="text-2xl font-bold text-purple-600">${uploadedPapers.length}</div>
       <div class="text-xs text-gray-500">Papers</div>
     </div>
+    <div id="storage-usage" class="col-span-2 text-[10px] text-gray-500 text-center truncate"></div>
   `;
+  refreshStorageUsage();
+  if (isDashboardVisible()) renderDashboard();
+}
+
+function fileTypeBadge(name) {
+  return fileExtension(name).slice(1, 5).toUpperCase() || "DOC";
+}
+
+// Shortcuts above the papers list: select all papers, a collection or a tag for the session
+function renderPaperScope() {
+  if (!paperScope) return;
+
+  const { collections, tags } = libraryFacets(uploadedPapers);
+  paperScope.innerHTML = "";
+  paperScope.classList.toggle("hidden", collections.length === 0 && tags.length === 0);
+
+  const current = activeSession()?.paperNames ?? null;
+  const isCurrent = (papers) =>
+    current !== null && papers.length === current.length && papers.every((paper) => current.includes(paper.name));
+
+  const options = [
+    { label: "All papers", papers: null, active: current === null },
+    ...collections.map(({ name, papers }) => ({ label: `📁 ${name}`, papers, active: isCurrent(papers) })),
+    ...tags.map(({ tag, papers }) => ({ label: `#${tag}`, papers, active: isCurrent(papers) })),
+  ];
+  options.forEach(({ label, papers, active }) => {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = `px-2 py-0.5 rounded-full text-[10px] font-semibold transition-colors ${
+      active ? "bg-indigo-500 text-white" : "bg-white/60 text-slate-600 hover:bg-indigo-100 hover:text-indigo-700"
+    }`;
+    chip.textContent = papers ? `${label} (${papers.length})` : label;
+    chip.addEventListener("click", () => setSessionPapers(papers && papers.map((paper) => paper.name)));
+    paperScope.appendChild(chip);
+  });
 }
 
 function updatePapersListUI() {
   if (!papersList) return;
 
+  renderPaperScope();
   papersList.innerHTML = "";
   if (uploadedPapers.length === 0) {
     papersList.innerHTML = `
@@ -775,7 +3505,7 @@ function updatePapersListUI() {
         <div class="w-8 h-8 rounded-lg bg-red-100 text-red-400 flex items-center justify-center text-xs font-bold">PDF</div>
         <div class="overflow-hidden">
           <h4 class="text-sm font-semibold text-gray-700 truncate">No papers uploaded yet</h4>
-          <p class="text-[10px] text-gray-400">Upload PDFs to get started</p>
+          <p class="text-[10px] text-gray-400">Upload papers to get started</p>
         </div>
       </li>
     `;
@@ -783,28 +3513,120 @@ function updatePapersListUI() {
   }
 
   uploadedPapers.forEach((paper, index) => {
+    const inSession = isPaperInSession(paper.name);
     const li = document.createElement("li");
     li.className =
-      "p-3 bg-white/40 rounded-2xl flex items-center gap-3 hover:bg-white/60 transition-colors cursor-pointer border border-transparent hover:border-white/50";
+      `p-3 bg-white/40 rounded-2xl flex items-center gap-3 hover:bg-white/60 transition-colors cursor-pointer border border-transparent hover:border-white/50 ${inSession ? "" : "opacity-50"}`;
     li.innerHTML = `
-      <div class="w-8 h-8 rounded-lg bg-red-100 text-red-400 flex items-center justify-center text-xs font-bold">PDF</div>
+      <input type="checkbox" class="rounded text-indigo-500 focus:ring-indigo-400" title="Search this paper in the current session" ${inSession ? "checked" : ""}>
+      <div class="w-8 h-8 rounded-lg bg-red-100 text-red-400 flex items-center justify-center text-xs font-bold">${fileTypeBadge(paper.name)}</div>
       <div class="overflow-hidden flex-1">
         <h4 class="text-sm font-semibold text-gray-700 truncate">${paper.name}</h4>
         <p class="text-[10px] text-gray-400">${paper.chunks} chunks • ${paper.uploadTime.toLocaleTimeString()}</p>
+        <p class="paper-labels hidden text-[10px] text-indigo-400 truncate"></p>
       </div>
     `;
+    const labels = paperLabels(paper);
+    if (labels.length > 0) {
+      const line = li.querySelector(".paper-labels");
+      line.textContent = labels.join(" ");
+      line.classList.remove("hidden");
+    }
+    const checkbox = li.querySelector("input");
+    checkbox.addEventListener('click', (e) => e.stopPropagation());
+    checkbox.addEventListener('change', (e) => setPaperInSession(paper.name, e.target.checked));
     li.addEventListener('click', () => viewPdf(index));
     papersList.appendChild(li);
   });
 }
 
-// --- Drop zone logic ---
-function isPdfFile(file) {
-  const byMime = file.type === "application/pdf";
-  const byExt = file.name?.toLowerCase().endsWith(".pdf");
-  return byMime || byExt;
+// --- @-mention suggestions ---
+let mentionSuggestions = { items: [], selected: 0, start: 0 };
+
+function closeMentionSuggestions() {
+  mentionSuggestions = { items: [], selected: 0, start: 0 };
+  mentionSuggestionsList?.classList.add("hidden");
+}
+
+function renderMentionSuggestions() {
+  mentionSuggestionsList.innerHTML = "";
+  mentionSuggestions.items.forEach((target, i) => {
+    const li = document.createElement("li");
+    li.className = `px-3 py-1.5 cursor-pointer flex justify-between gap-3 ${
+      i === mentionSuggestions.selected ? "bg-indigo-100" : "hover:bg-indigo-50"
+    }`;
+    const handle = document.createElement("span");
+    handle.className = "font-semibold text-indigo-600 whitespace-nowrap";
+    handle.textContent = `@${target.handle}`;
+    const detail = document.createElement("span");
+    detail.className = "text-gray-500 truncate";
+    detail.textContent = target.kind === "paper"
+      ? citationLabel(target.papers[0].name)
+      : `${target.label} (${target.papers.length} papers)`;
+    li.append(handle, detail);
+    // mousedown keeps the focus in the input
+    li.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      acceptMentionSuggestion(i);
+    });
+    mentionSuggestionsList.appendChild(li);
+  });
+  mentionSuggestionsList.classList.remove("hidden");
+}
+
+function updateMentionSuggestions() {
+  if (!mentionSuggestionsList) return;
+
+  const mention = mentionAtCaret(chatInput.value, chatInput.selectionStart ?? chatInput.value.length);
+  const partial = mention ? toHandle(mention.partial) : "";
+  const items = mention
+    ? mentionTargets(uploadedPapers)
+        .filter((target) => !target.alias && target.handle.includes(partial))
+        .sort((a, b) => Number(b.handle.startsWith(partial)) - Number(a.handle.startsWith(partial)))
+        .slice(0, 8)
+    : [];
+  if (items.length === 0) {
+    closeMentionSuggestions();
+    return;
+  }
+
+  mentionSuggestions = { items, selected: 0, start: mention.start };
+  renderMentionSuggestions();
+}
+
+function acceptMentionSuggestion(index = mentionSuggestions.selected) {
+  const target = mentionSuggestions.items[index];
+  if (!target) return;
+
+  const caret = chatInput.selectionStart ?? chatInput.value.length;
+  const before = chatInput.value.slice(0, mentionSuggestions.start);
+  const inserted = `@${target.handle} `;
+  chatInput.value = before + inserted + chatInput.value.slice(caret).replace(/^\s+/, "");
+  chatInput.setSelectionRange(before.length + inserted.length, before.length + inserted.length);
+  closeMentionSuggestions();
+}
+
+// True when the key was handled by the open suggestion list
+function handleMentionKeydown(e) {
+  const count = mentionSuggestions.items.length;
+  if (count === 0) return false;
+
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    mentionSuggestions.selected = (mentionSuggestions.selected + step + count) % count;
+    renderMentionSuggestions();
+  } else if (e.key === "Enter" || e.key === "Tab") {
+    acceptMentionSuggestion();
+  } else if (e.key === "Escape") {
+    closeMentionSuggestions();
+  } else {
+    return false;
+  }
+  e.preventDefault();
+  return true;
 }
 
+// --- Drop zone logic ---
 function setDropActive(active) {
   if (!dropZone) return;
   dropZone.classList.toggle("ring-2", active);
@@ -816,8 +3638,9 @@ function handleFileDrop(files) {
   if (!files || files.length === 0) return;
 
   Array.from(files).forEach((file) => {
-    if (!isPdfFile(file)) {
-      alert(`Please upload only PDF files. "${file.name}" is not a PDF.`);
+    const loader = findLoader(file);
+    if (!loader) {
+      alert(`"${file.name}" is not a supported file type. Supported: ${supportedExtensions().join(", ")}`);
       return;
     }
 
@@ -827,7 +3650,8 @@ function handleFileDrop(files) {
       return;
     }
 
-    processPDF(file);
+    if (loader.kind === "bibliography") importBibliography(file, loader);
+    else processDocument(file, loader);
   });
 }
 
@@ -835,10 +3659,10 @@ function handleFileDrop(files) {
 
 function updateSystemPrompt(promptType) {
   currentPromptType = promptType;
-  const newPrompt = systemPrompts[promptType];
-  
-  // Update conversation history
-  conversationHistory[0].content = newPrompt;
+
+  // The next request picks the prompt up; history itself holds no system message
+  refreshBudgetMeter();
+  saveActiveSession();
   
   // Visual feedback
   const statusMsg = document.createElement("div");
@@ -907,8 +3731,28 @@ function saveCustomPrompt() {
   closePromptModal();
 }
 
+// --- Chunking settings ---
+function updateChunkingSettings() {
+  const chunkSize = parseInt(chunkSizeInput?.value, 10) || CHUNK_SIZE;
+  const chunkOverlap = Math.max(0, parseInt(chunkOverlapInput?.value, 10) || 0);
+
+  if (chunkOverlap >= chunkSize) {
+    alert("Chunk overlap must be smaller than the chunk size.");
+    if (chunkOverlapInput) chunkOverlapInput.value = chunkingSettings.chunkOverlap;
+    return;
+  }
+
+  chunkingSettings = {
+    strategy: chunkStrategySelect?.value || chunkingSettings.strategy,
+    chunkSize,
+    chunkOverlap,
+    excludeReferences: Boolean(excludeReferencesCheckbox?.checked),
+  };
+  console.log("🧩 Chunking settings updated:", chunkingSettings);
+}
+
 // --- Event Listeners ---
-document.addEventListener("DOMContentLoaded", async () => {
+document.addEventListener("DOMContentLoaded", () => {
   console.log("DOM loaded");
 
   // ✅ Prevent browser opening dropped files, WITHOUT breaking drop-zone handlers
@@ -922,45 +3766,49 @@ document.addEventListener("DOMContentLoaded", async () => {
     );
   });
 
-  // ✅ Start embedder immediately (RAG status updates even if WebLLM fails)
-  await initEmbedder();
-
-  // ✅ Then try WebLLM (optional)
-  initWebLLM();
-
   // Chat events
   sendBtn?.addEventListener("click", sendChatMessage);
+  micBtn?.addEventListener("click", toggleVoiceMode);
+  newSessionBtn?.addEventListener("click", newSession);
+  refreshBudgetMeter();
+  conversationExport?.querySelectorAll("[data-export-format]").forEach((button) => {
+    button.addEventListener("click", () => exportWholeConversation(button.dataset.exportFormat));
+  });
+  stopBtn?.addEventListener("click", stopGeneration);
   chatInput?.addEventListener("keydown", (e) => {
+    if (handleMentionKeydown(e)) return;
     if (e.key === "Enter") sendChatMessage();
   });
+  chatInput?.addEventListener("input", updateMentionSuggestions);
+  chatInput?.addEventListener("blur", closeMentionSuggestions);
 
   // Drop zone events
-  if (!dropZone || !fileInput) {
-    console.error("dropZone or fileInput not found:", { dropZone, fileInput });
-    return;
-  }
+  if (dropZone && fileInput) {
+    fileInput.accept = acceptedFileTypes();
+    const openPicker = () => fileInput.click();
 
-  const openPicker = () => fileInput.click();
-
-  dropZone.addEventListener("click", openPicker);
-  dropZone.addEventListener("keydown", (e) => {
-    if (e.key === "Enter" || e.key === " ") {
-      e.preventDefault();
-      openPicker();
-    }
-  });
+    dropZone.addEventListener("click", openPicker);
+    dropZone.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        openPicker();
+      }
+    });
 
-  dropZone.addEventListener("dragover", () => setDropActive(true));
-  dropZone.addEventListener("dragleave", () => setDropActive(false));
-  dropZone.addEventListener("drop", (e) => {
-    setDropActive(false);
-    handleFileDrop(e.dataTransfer.files);
-  });
+    dropZone.addEventListener("dragover", () => setDropActive(true));
+    dropZone.addEventListener("dragleave", () => setDropActive(false));
+    dropZone.addEventListener("drop", (e) => {
+      setDropActive(false);
+      handleFileDrop(e.dataTransfer.files);
+    });
 
-  fileInput.addEventListener("change", (e) => {
-    handleFileDrop(e.target.files);
-    e.target.value = ""; // ✅ allow picking the same file again
-  });
+    fileInput.addEventListener("change", (e) => {
+      handleFileDrop(e.target.files);
+      e.target.value = ""; // ✅ allow picking the same file again
+    });
+  } else {
+    console.error("dropZone or fileInput not found:", { dropZone, fileInput });
+  }
 
   // --- System Controls Event Listeners ---
   
@@ -971,6 +3819,55 @@ document.addEventListener("DOMContentLoaded", async () => {
   if (papersTab) {
     papersTab.addEventListener('click', () => switchToView('papers'));
   }
+  if (vectorStoreInfo) {
+    vectorStoreInfo.addEventListener('click', () => switchToView('dashboard'));
+  }
+  if (explorerForm) {
+    explorerForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      runChunkExplorer();
+    });
+  }
+  if (mapBuildBtn) {
+    mapBuildBtn.addEventListener('click', buildEmbeddingMap);
+  }
+  if (mapColorSelect) {
+    mapColorSelect.addEventListener('change', renderEmbeddingMap);
+  }
+  if (mapCanvas) {
+    mapCanvas.addEventListener('click', handleMapClick);
+  }
+  if (paperGraphCanvas) {
+    paperGraphCanvas.addEventListener('click', handlePaperGraphClick);
+  }
+  if (extractionRunBtn) {
+    extractionRunBtn.addEventListener('click', () => runExtraction());
+  }
+  if (extractionSchemaBtn) {
+    extractionSchemaBtn.addEventListener('click', () => {
+      if (extractionSchemaInput) extractionSchemaInput.value = formatSchemaText(extractionSchema);
+      extractionSchemaEditor?.classList.toggle('hidden');
+    });
+  }
+  if (extractionSchemaApply) {
+    extractionSchemaApply.addEventListener('click', applyExtractionSchema);
+  }
+  if (extractionSchemaReset) {
+    extractionSchemaReset.addEventListener('click', () => {
+      if (extractionSchemaInput) extractionSchemaInput.value = formatSchemaText(DEFAULT_EXTRACTION_SCHEMA);
+    });
+  }
+  if (extractionCsvBtn) {
+    extractionCsvBtn.addEventListener('click', () => exportExtraction('csv'));
+  }
+  if (extractionMarkdownBtn) {
+    extractionMarkdownBtn.addEventListener('click', () => exportExtraction('markdown'));
+  }
+  window.addEventListener('resize', () => {
+    if (!isDashboardVisible()) return;
+    drawPaperGraph();
+    if (mapCanvas) drawEmbeddingMap();
+  });
   if (dashboardTab) {
     dashboardTab.addEventListener('click', () => switchToView('dashboard'));
   }
@@ -978,6 +3875,11 @@ document.addEventListener("DOMContentLoaded", async () => {
     gotoUploadBtn.addEventListener('click', () => switchToView('chat'));
   }
   
+  // Library
+  if (clearLibraryBtn) {
+    clearLibraryBtn.addEventListener('click', handleClearLibrary);
+  }
+
   // PDF Viewer
   if (closePdfViewerBtn) {
     closePdfViewerBtn.addEventListener('click', closePdfViewer);
@@ -1009,6 +3911,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       currentTemperature = parseFloat(e.target.value);
       temperatureValue.textContent = currentTemperature.toFixed(1);
     });
+    temperatureSlider.addEventListener('change', () => saveActiveSession());
   }
   
   // Model selection
@@ -1046,6 +3949,111 @@ document.addEventListener("DOMContentLoaded", async () => {
     savePromptBtn.addEventListener('click', saveCustomPrompt);
   }
   
+  // Retrieval mode
+  if (retrievalModeSelect) {
+    retrievalModeSelect.value = retrievalMode;
+    retrievalModeSelect.addEventListener('change', (e) => {
+      retrievalMode = e.target.value;
+      console.log(`🔎 Retrieval mode: ${retrievalMode}`);
+    });
+  }
+
+  // Approximate nearest-neighbour index
+  if (annCheckbox) {
+    annCheckbox.checked = vectorIndex.annEnabled;
+    annCheckbox.addEventListener('change', (e) => setApproximateSearch(e.target.checked));
+  }
+
+  // Second-stage retrieval
+  if (topKInput) {
+    topKInput.value = retrievalSettings.topK;
+    topKInput.addEventListener('change', (e) => {
+      retrievalSettings.topK = Math.min(20, Math.max(1, parseInt(e.target.value, 10) || DEFAULT_RETRIEVAL.topK));
+      e.target.value = retrievalSettings.topK;
+    });
+  }
+
+  if (minSimilaritySlider && minSimilarityValue) {
+    minSimilaritySlider.value = retrievalSettings.minSimilarity;
+    minSimilarityValue.textContent = retrievalSettings.minSimilarity.toFixed(2);
+    minSimilaritySlider.addEventListener('input', (e) => {
+      retrievalSettings.minSimilarity = parseFloat(e.target.value);
+      minSimilarityValue.textContent = retrievalSettings.minSimilarity.toFixed(2);
+    });
+  }
+
+  if (diversitySlider && diversityValue) {
+    diversitySlider.value = retrievalSettings.diversity;
+    diversityValue.textContent = retrievalSettings.diversity.toFixed(1);
+    diversitySlider.addEventListener('input', (e) => {
+      retrievalSettings.diversity = parseFloat(e.target.value);
+      diversityValue.textContent = retrievalSettings.diversity.toFixed(1);
+    });
+  }
+
+  if (rerankCheckbox) {
+    rerankCheckbox.checked = retrievalSettings.rerank;
+    rerankCheckbox.addEventListener('change', (e) => {
+      retrievalSettings.rerank = e.target.checked;
+      // Start downloading the model right away instead of on the next question
+      if (retrievalSettings.rerank) loadReranker().catch((error) => console.warn("⚠️ Could not load the cross-encoder:", error));
+    });
+  }
+
+  if (autoReviseCheckbox) {
+    autoReviseCheckbox.checked = autoReviseAnswers;
+    autoReviseCheckbox.addEventListener('change', (e) => {
+      autoReviseAnswers = e.target.checked;
+    });
+  }
+
+  if (queryRewriteCheckbox) {
+    queryRewriteCheckbox.checked = useQueryRewriting;
+    queryRewriteCheckbox.addEventListener('change', (e) => {
+      useQueryRewriting = e.target.checked;
+    });
+  }
+
+  if (llmMetadataCheckbox) {
+    llmMetadataCheckbox.checked = useLLMMetadataFallback;
+    llmMetadataCheckbox.addEventListener('change', (e) => {
+      useLLMMetadataFallback = e.target.checked;
+    });
+  }
+
+  // Voice mode (applies the next time voice mode starts)
+  if (voiceSilenceInput) {
+    voiceSilenceInput.value = voiceSettings.silenceMs;
+    voiceSilenceInput.addEventListener('change', (e) => {
+      voiceSettings.silenceMs = Math.max(300, parseInt(e.target.value, 10) || DEFAULT_VAD_OPTIONS.silenceMs);
+      e.target.value = voiceSettings.silenceMs;
+    });
+  }
+
+  if (voiceThresholdSlider) {
+    voiceThresholdSlider.value = voiceSettings.threshold;
+    voiceThresholdSlider.addEventListener('input', (e) => {
+      voiceSettings.threshold = parseFloat(e.target.value);
+    });
+  }
+
+  if (voiceReadAloudCheckbox) {
+    voiceReadAloudCheckbox.checked = voiceSettings.readAloud;
+    voiceReadAloudCheckbox.addEventListener('change', (e) => {
+      voiceSettings.readAloud = e.target.checked;
+    });
+  }
+
+  // Chunking controls
+  if (chunkStrategySelect) chunkStrategySelect.value = chunkingSettings.strategy;
+  if (chunkSizeInput) chunkSizeInput.value = chunkingSettings.chunkSize;
+  if (chunkOverlapInput) chunkOverlapInput.value = chunkingSettings.chunkOverlap;
+  if (excludeReferencesCheckbox) excludeReferencesCheckbox.checked = chunkingSettings.excludeReferences;
+
+  [chunkStrategySelect, chunkSizeInput, chunkOverlapInput, excludeReferencesCheckbox].forEach((control) => {
+    control?.addEventListener('change', updateChunkingSettings);
+  });
+
   // Close modal when clicking backdrop
   if (promptModal) {
     promptModal.addEventListener('click', (e) => {
@@ -1054,4 +4062,12 @@ document.addEventListener("DOMContentLoaded", async () => {
       }
     });
   }
+
+  // ✅ The UI is wired up; everything below loads in the background.
+  // Rehydrate the saved library, then the chat sessions (their answers cite chunks from the library)
+  startupRestore = restoreLibrary().then(restoreSessions);
+
+  // ✅ Start embedder immediately (RAG status updates even if WebLLM fails),
+  // then try WebLLM (optional)
+  initEmbedder().then(() => initWebLLM());
 });
@@ -0,0 +1,161 @@
+// messages.js
+/**
+ * Conversation message model.
+ * History stores what was said, never the prompt text sent for it:
+ *
+ * - user:      { id, role, text, prompt, createdAt }
+ *              `prompt` is the rendered turn (retrieved context + instructions
+ *              + text) sent in place of `text` for this turn only, or null.
+ * - assistant: { id, role, text, replyTo, sources, evidence, requests, stats, verification, stopped, failed, createdAt }
+ *              `sources` are references to the retrieved chunks ([n] in the
+ *              prompt), `evidence` to the passages a literature review was
+ *              written from, `requests` every engine call made for the answer,
+ *              `verification` the per-sentence check from verification.js (or null).
+ *              `stopped` marks an answer stopped before any text and `failed` one
+ *              the engine errored on: `text` is then only the placeholder shown
+ *              in the chat.
+ *
+ * Prompts are rebuilt from the model on every turn, so earlier turns are sent
+ * as plain text and a turn's retrieved context is only sent once.
+ */
+
+import { chunkKey } from "./retrieval.js";
+
+let nextId = 1;
+
+function messageId() {
+  return `m${Date.now().toString(36)}-${nextId++}`;
+}
+
+/**
+ * @param {string} text
+ * @returns {object}
+ */
+export function createUserMessage(text) {
+  return { id: messageId(), role: "user", text, prompt: null, createdAt: Date.now() };
+}
+
+/**
+ * @param {string} text
+ * @param {{replyTo?: string, sources?: object[], evidence?: object[], requests?: object[], stats?: object, verification?: object, stopped?: boolean, failed?: boolean}} [fields]
+ * @returns {object}
+ */
+export function createAssistantMessage(text, { replyTo = null, sources = [], evidence = [], requests = [], stats = null, verification = null, stopped = false, failed = false } = {}) {
+  return {
+    id: messageId(),
+    role: "assistant",
+    text,
+    replyTo,
+    sources: sources.map(chunkRef),
+    evidence: evidence.map(chunkRef),
+    requests,
+    stats,
+    verification,
+    stopped,
+    failed,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * What a message keeps about a retrieved chunk: enough to cite and locate it,
+ * without a copy of its text or embedding.
+ * @param {object} chunk
+ * @returns {{key: string, source: string, chunkIndex: number, page: number|null, pageEnd: number|null, section: string|null, similarity: number|null}}
+ */
+export function chunkRef(chunk) {
+  return {
+    key: chunk.key ?? chunkKey(chunk),
+    source: chunk.source,
+    chunkIndex: chunk.chunkIndex,
+    page: chunk.page ?? null,
+    pageEnd: chunk.pageEnd ?? null,
+    section: chunk.section ?? null,
+    similarity: typeof chunk.similarity === "number" ? chunk.similarity : null,
+  };
+}
+
+// --- Prompt rendering ---
+
+/**
+ * Numbered context block for retrieved chunks.
+ * @param {object[]} chunks
+ * @param {(paperName: string) => string} labelFor - How a paper is named, e.g. "Vaswani et al. (2017)"
+ * @returns {string} Empty when there are no chunks
+ */
+export function renderContextBlock(chunks, labelFor = (name) => name) {
+  if (chunks.length === 0) return "";
+  const entries = chunks.map((chunk, i) => {
+    const pageInfo = chunk.page ? `, page ${chunk.page}` : "";
+    return `[${i + 1}] Source: ${labelFor(chunk.source)}${pageInfo}\n${chunk.text}\n\n`;
+  });
+  return `\n\n--- DOCUMENT CONTEXT ---\n${entries.join("")}--- END CONTEXT ---\n\n`;
+}
+
+/**
+ * The user turn as sent with retrieved context.
+ * @param {string} text
+ * @param {string} contextBlock - From renderContextBlock
+ * @returns {string}
+ */
+export function renderUserPrompt(text, contextBlock) {
+  if (!contextBlock) return text;
+  return (
+    contextBlock +
+    "Based on the provided document context above, please answer the following question. " +
+    "Cite the sources you use inline with their bracketed numbers, e.g. [1] or [2][3]. " +
+    "When you name a paper, use its author and year as given in the context, e.g. Vaswani et al. (2017).\n\n" +
+    text
+  );
+}
+
+/**
+ * Engine message for a history entry. Only the turn being answered
+ * (`current`) carries its rendered prompt.
+ * @param {object} message
+ * @param {boolean} [current]
+ * @returns {{role: string, content: string}}
+ */
+export function toPromptMessage(message, current = false) {
+  return { role: message.role, content: current && message.prompt ? message.prompt : message.text };
+}
+
+/**
+ * History entries that are sent back to the engine: a turn stopped before any
+ * answer text or failed is left out (question and placeholder), so the model
+ * never sees the placeholder as something it said.
+ * @param {object[]} messages
+ * @returns {object[]}
+ */
+export function promptHistory(messages) {
+  const unanswered = new Set(messages.filter((message) => message.stopped || message.failed).map((message) => message.replyTo));
+  return messages.filter((message) => !message.stopped && !message.failed && !unanswered.has(message.id));
+}
+
+/**
+ * Wrap an LLM client so every request it sends is appended to `requests`
+ * as { messages, temperature, maxTokens }.
+ * @param {object} client - From createEngineClient
+ * @param {object[]} requests
+ * @returns {object} Same interface as `client`
+ */
+export function recordRequests(client, requests) {
+  const record = (messages, options = {}) => {
+    requests.push({
+      messages: messages.map(({ role, content }) => ({ role, content })),
+      temperature: options.temperature ?? null,
+      maxTokens: options.maxTokens ?? null,
+    });
+  };
+  return {
+    ...client,
+    complete(messages, options) {
+      record(messages, options);
+      return client.complete(messages, options);
+    },
+    stream(messages, options) {
+      record(messages, options);
+      return client.stream(messages, options);
+    },
+  };
+}
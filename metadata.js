@@ -0,0 +1,332 @@
+// metadata.js
+/**
+ * Bibliographic metadata per paper: { title, authors, year, venue, abstract, doi }.
+ * Sources, in order of trust: the file's own markup (BibTeX, front matter,
+ * <meta> tags), the PDF info dictionary / XMP packet, heuristics over the first
+ * page, and optionally the LLM. Every extractor returns a partial record;
+ * mergeMetadata fills each field from the first source that has it.
+ */
+
+export const METADATA_FIELDS = ["title", "authors", "year", "venue", "abstract", "doi"];
+
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"'<>]*[^\s"'<>.,;)\]])/;
+const ARXIV_STAMP_PATTERN = /arXiv:\s*(\d{4}\.\d{4,5})(v\d+)?(?:\s*\[[^\]]+\])?(?:\s+\d{1,2}\s+[A-Z][a-z]{2}\s+(\d{4}))?/i;
+const COPYRIGHT_PATTERN = /(?:©|\(c\)|copyright)\s*(?:[A-Za-z.]+\s+)?((?:19|20)\d\d)\b/i;
+const VENUE_PATTERN = /\b(proceedings of|conference|symposium|workshop|journal|transactions on|letters|NeurIPS|NIPS|ICML|ICLR|ACL|EMNLP|NAACL|COLING|CVPR|ICCV|ECCV|AAAI|IJCAI|KDD|SIGIR|WWW|CHI|UAI|AISTATS)\b/;
+const ABSTRACT_PATTERN = /^(abstract|a\s?b\s?s\s?t\s?r\s?a\s?c\s?t)\b\s*[—–:.-]?\s*/i;
+const ABSTRACT_END_PATTERN = /^((\d+|I)\.?\s+)?(introduction|keywords|key words|index terms|ccs concepts|acm reference format)\b/i;
+const AFFILIATION_PATTERN = /\b(universit|institut|department|dept\.|school of|college|laborator|lab\b|research|inc\.|corporation|google|microsoft|facebook|meta ai|openai|deepmind|center|centre|academy)/i;
+const NON_TITLE_PATTERN = /^(preprint|draft|under review|published as|accepted (at|to|for)|to appear|submitted to|technical report|arxiv:|proceedings of)/i;
+const NAME_PARTICLES = new Set(["van", "von", "de", "der", "den", "da", "di", "del", "della", "la", "le", "du", "dos", "bin", "al"]);
+const JUNK_TITLE_PATTERN = /^(untitled|microsoft (word|powerpoint)\b|document\d*$|slide\s*\d*$)|\.(docx?|pdf|dvi|tex|ps)$/i;
+
+/**
+ * @param {string} value
+ * @returns {number|null} The first plausible publication year (1800-2099) in `value`
+ */
+export function firstYear(value) {
+  const match = /\b(1[89]\d\d|20\d\d)\b/.exec(value || "");
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === "" || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Fill every field from the first source that has a value for it.
+ * Extra fields (bibKey, arxivId, ...) are kept the same way.
+ * @param {...object} sources - Most trusted first
+ * @returns {object}
+ */
+export function mergeMetadata(...sources) {
+  const merged = {};
+  sources.filter(Boolean).forEach((source) => {
+    Object.entries(source).forEach(([field, value]) => {
+      if (isEmpty(merged[field]) && !isEmpty(value)) merged[field] = value;
+    });
+  });
+  METADATA_FIELDS.forEach((field) => {
+    if (!(field in merged)) merged[field] = field === "authors" ? [] : null;
+  });
+  return merged;
+}
+
+/**
+ * @param {object} metadata
+ * @returns {string[]} Core fields that are still empty
+ */
+export function missingMetadataFields(metadata = {}) {
+  return ["title", "authors", "year"].filter((field) => isEmpty(metadata[field]));
+}
+
+// --- PDF info dictionary / XMP ---
+
+function splitAuthorList(value) {
+  return value
+    .split(/\s*(?:;|,|\band\b|&)\s*/)
+    .map((name) => name.trim())
+    // Single words are usually account names ("user", "IEEE"), not authors
+    .filter((name) => /\s/.test(name) && name.split(/\s+/).length <= 5);
+}
+
+/**
+ * Metadata from pdf.js `getMetadata()`: the info dictionary (Title, Author,
+ * Subject, CreationDate) and the XMP packet as a plain object (`metadata.getAll()`).
+ * Generated titles such as "Microsoft Word - draft.docx" are ignored.
+ * @param {{info?: object, xmp?: object}} pdfMetadata
+ * @returns {object}
+ */
+export function parsePdfInfo({ info = {}, xmp = {} } = {}) {
+  const rawTitle = String(xmp["dc:title"] || info.Title || "").trim();
+  const creators = xmp["dc:creator"];
+  const authors = Array.isArray(creators) ? creators : splitAuthorList(String(creators || info.Author || ""));
+  const doiSource = [xmp["prism:doi"], xmp["dc:identifier"], info.Subject, info.Keywords].filter(Boolean).join(" ");
+
+  return {
+    title: rawTitle && !JUNK_TITLE_PATTERN.test(rawTitle) && rawTitle.length > 3 ? rawTitle : null,
+    authors: authors.map((name) => String(name).trim()).filter(Boolean),
+    venue: xmp["prism:publicationName"] || null,
+    doi: DOI_PATTERN.exec(doiSource)?.[1] || null,
+    // CreationDate is when the file was made, so only a last-resort year
+    creationYear: firstYear(String(info.CreationDate || "").replace(/^D:/, "").slice(0, 4)),
+  };
+}
+
+// --- First page heuristics ---
+
+function cleanLine(line) {
+  return line.replace(/\s+/g, " ").trim();
+}
+
+// Footnote markers, superscript affiliations and emails become name separators,
+// so "Ashish Vaswani∗ Noam Shazeer∗ Niki Parmar∗" -> ["Ashish Vaswani", "Noam Shazeer", "Niki Parmar"]
+function stripAuthorMarkers(line) {
+  return line
+    .replace(/\S+@\S+/g, ",")
+    .replace(/[∗*†‡§¶#♮♭♯⋆]+/g, ",")
+    .replace(/([A-Za-z])\d+(,\d+)*/g, "$1,")
+    .replace(/[¹²³⁴⁵⁶⁷⁸⁹⁰]+/g, ",");
+}
+
+const NAME_PATTERN = /\b[A-Z][\p{L}'’-]+(?:\s+(?:[A-Z]\.(?:\s?[A-Z]\.)*|[A-Z][\p{L}'’-]+|van|von|de|der|da|di|del|la|le)){1,3}/gu;
+
+function namesInLine(line) {
+  if (AFFILIATION_PATTERN.test(line)) return [];
+  return (stripAuthorMarkers(line).match(NAME_PATTERN) || [])
+    .map((name) => name.replace(/\s+(and|und)$/i, "").trim())
+    .filter((name) => name.split(/\s+/).length >= 2);
+}
+
+function looksLikeAuthorLine(line) {
+  if (/\S+@\S+/.test(line) || /[∗†‡]|\w\d(,\d)*\b/.test(line)) return true;
+  const parts = line.split(/\s*(?:,|\band\b|&)\s*/).filter(Boolean);
+  if (parts.length < 2) return false;
+  return parts.every((part) => /^[A-Z][\p{L}'’.-]*(\s+[A-Z][\p{L}'’.-]*){1,3}$/u.test(part));
+}
+
+function extractAbstract(lines) {
+  const start = lines.findIndex((line) => ABSTRACT_PATTERN.test(line));
+  if (start === -1) return null;
+
+  const parts = [lines[start].replace(ABSTRACT_PATTERN, "")];
+  for (const line of lines.slice(start + 1)) {
+    if (ABSTRACT_END_PATTERN.test(line)) break;
+    parts.push(line);
+  }
+  const abstract = parts.join(" ").replace(/-\s+(?=[a-z])/g, "").replace(/\s+/g, " ").trim();
+  return abstract.length > 40 ? abstract.slice(0, 2000) : null;
+}
+
+function extractVenue(lines) {
+  const line = lines.find((candidate) => VENUE_PATTERN.test(candidate) && candidate.length <= 160);
+  if (!line) return null;
+  return line
+    .replace(/^(published|accepted|to appear)\s+(as\s+a\s+\w+\s+paper\s+)?(at|in)\s+/i, "")
+    .replace(/(\)),\s.*$/, "$1")
+    .replace(/[.,]$/, "")
+    .trim();
+}
+
+function extractYear(text, lines) {
+  const stamp = ARXIV_STAMP_PATTERN.exec(text);
+  if (stamp?.[3]) return parseInt(stamp[3], 10);
+  if (stamp?.[1]) return 2000 + parseInt(stamp[1].slice(0, 2), 10);
+
+  const copyright = COPYRIGHT_PATTERN.exec(text);
+  if (copyright) return parseInt(copyright[1], 10);
+
+  const venueLine = lines.find((line) => VENUE_PATTERN.test(line) && firstYear(line));
+  return venueLine ? firstYear(venueLine) : null;
+}
+
+/**
+ * Heuristics over the text of the first page: title (the first lines before
+ * the author block), authors, abstract, venue line, year (arXiv stamp,
+ * copyright line, venue line) and DOI.
+ * @param {string} text
+ * @returns {object}
+ */
+export function parseFirstPage(text) {
+  const lines = (text || "").split("\n").map(cleanLine).filter(Boolean);
+  const abstractIndex = lines.findIndex((line) => ABSTRACT_PATTERN.test(line));
+  const header = lines.slice(0, abstractIndex === -1 ? 15 : abstractIndex);
+
+  // Title: first plausible line, continued until the author block starts
+  const titleStart = header.findIndex(
+    (line) => line.length > 3 && !NON_TITLE_PATTERN.test(line) && !VENUE_PATTERN.test(line) &&
+      !/\S+@\S+/.test(line) && !ARXIV_STAMP_PATTERN.test(line) && /[a-z]/i.test(line) && !/^\d+$/.test(line)
+  );
+  const titleLines = [];
+  let index = titleStart;
+  while (index !== -1 && index < header.length && titleLines.length < 3) {
+    const line = header[index];
+    if (titleLines.length > 0 && (looksLikeAuthorLine(line) || AFFILIATION_PATTERN.test(line))) break;
+    titleLines.push(line);
+    index++;
+    if (titleLines.join(" ").length > 150) break;
+  }
+
+  // Authors: names on the lines between the title and the abstract
+  const authors = [];
+  if (index !== -1) {
+    for (const line of header.slice(index, index + 12)) {
+      namesInLine(line).forEach((name) => {
+        if (!authors.includes(name)) authors.push(name);
+      });
+    }
+  }
+
+  return {
+    title: titleLines.length > 0 ? titleLines.join(" ").replace(/-\s+(?=[a-z])/g, "").replace(/[*∗†‡\d,]+$/, "").trim() : null,
+    authors: authors.slice(0, 30),
+    year: extractYear(text || "", header),
+    venue: extractVenue(lines.slice(0, 40)),
+    abstract: extractAbstract(lines),
+    doi: DOI_PATTERN.exec(text || "")?.[1] || null,
+  };
+}
+
+// --- LLM fallback ---
+
+export const METADATA_SYSTEM_PROMPT =
+  "You extract bibliographic metadata from the first page of a research paper. " +
+  'Reply with JSON only, in the form {"title": string, "authors": [string], "year": number, "venue": string, "doi": string}. ' +
+  "Use null for anything that is not on the page. Never guess.";
+
+/**
+ * Messages asking the LLM for the metadata of a paper.
+ * @param {string} firstPage
+ * @returns {{role: string, content: string}[]}
+ */
+export function buildMetadataMessages(firstPage) {
+  return [
+    { role: "system", content: METADATA_SYSTEM_PROMPT },
+    { role: "user", content: `--- FIRST PAGE ---\n${firstPage.slice(0, 2500)}\n--- END FIRST PAGE ---\n\nExtract the metadata as JSON.` },
+  ];
+}
+
+/**
+ * Parse the LLM reply; anything that is not valid JSON of the expected shape is dropped.
+ * @param {string} reply
+ * @returns {object}
+ */
+export function parseMetadataReply(reply) {
+  const json = /\{[\s\S]*\}/.exec(reply || "")?.[0];
+  if (!json) return {};
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    return {};
+  }
+
+  const text = (value) => (typeof value === "string" && value.trim() && value.trim().toLowerCase() !== "null" ? value.trim() : null);
+  return {
+    title: text(data.title),
+    authors: Array.isArray(data.authors) ? data.authors.map(text).filter(Boolean) : [],
+    year: firstYear(String(data.year ?? "")),
+    venue: text(data.venue),
+    doi: DOI_PATTERN.exec(String(data.doi ?? ""))?.[1] || null,
+  };
+}
+
+// --- Citation labels ---
+
+/**
+ * Family name of an author, keeping particles ("Ludwig van Beethoven" -> "van Beethoven").
+ * @param {string} author
+ * @returns {string}
+ */
+export function lastName(author) {
+  const parts = author.trim().split(/\s+/);
+  let start = parts.length - 1;
+  while (start > 1 && NAME_PARTICLES.has(parts[start - 1].toLowerCase())) start--;
+  return parts.slice(start).join(" ");
+}
+
+/**
+ * "Vaswani et al. (2017)", "Smith & Jones (2020)", "Smith (n.d.)" or null when
+ * no authors are known. The parenthetical form is "Vaswani et al., 2017".
+ * `suffix` tells apart papers that would share a label ("Smith et al. (2020a)").
+ * @param {object} metadata
+ * @param {{parenthetical?: boolean, suffix?: string}} [options]
+ * @returns {string|null}
+ */
+export function formatCitationLabel(metadata = {}, { parenthetical = false, suffix = "" } = {}) {
+  const authors = metadata.authors || [];
+  if (authors.length === 0) return null;
+
+  const names =
+    authors.length === 1 ? lastName(authors[0])
+    : authors.length === 2 ? `${lastName(authors[0])} & ${lastName(authors[1])}`
+    : `${lastName(authors[0])} et al.`;
+  const year = metadata.year ? `${metadata.year}${suffix}` : `n.d.${suffix ? `-${suffix}` : ""}`;
+  return parenthetical ? `${names}, ${year}` : `${names} (${year})`;
+}
+
+function yearSuffix(index) {
+  return String.fromCharCode(97 + (index % 26)) + (index >= 26 ? Math.floor(index / 26) : "");
+}
+
+/**
+ * Year suffixes for papers that would otherwise share a citation label: two
+ * "Smith et al. (2020)" papers become 2020a and 2020b, ordered by title.
+ * Papers with a unique label (or no authors) get no entry.
+ * @param {Array<{name: string, metadata?: object}>} papers
+ * @returns {Map<string, string>} Paper name -> suffix
+ */
+export function citationSuffixes(papers) {
+  const groups = new Map(); // label -> papers
+  papers.forEach((paper) => {
+    const label = formatCitationLabel(paper.metadata);
+    if (!label) return;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(paper);
+  });
+
+  const suffixes = new Map();
+  groups.forEach((group) => {
+    if (group.length < 2) return;
+    const title = (paper) => (paper.metadata?.title || paper.name).toLowerCase();
+    [...group]
+      .sort((a, b) => title(a).localeCompare(title(b)) || a.name.localeCompare(b.name))
+      .forEach((paper, i) => suffixes.set(paper.name, yearSuffix(i)));
+  });
+  return suffixes;
+}
+
+/**
+ * Citation label of every paper, disambiguated across the library (see citationSuffixes).
+ * @param {Array<{name: string, metadata?: object}>} papers
+ * @param {{parenthetical?: boolean}} [options]
+ * @returns {Map<string, string|null>} Paper name -> label (null when no authors are known)
+ */
+export function citationLabels(papers, { parenthetical = false } = {}) {
+  const suffixes = citationSuffixes(papers);
+  return new Map(papers.map((paper) => [
+    paper.name,
+    formatCitationLabel(paper.metadata, { parenthetical, suffix: suffixes.get(paper.name) || "" }),
+  ]));
+}
@@ -0,0 +1,287 @@
+// paper-graph.js
+/**
+ * How the uploaded papers relate to each other: document vectors (the mean of
+ * a paper's chunk embeddings), pairwise cosine similarity, citation links found
+ * by matching reference lists against the other papers' titles, and a small
+ * force-directed layout for drawing the resulting graph.
+ * The same graph is summarized as text for the literature review agents.
+ */
+
+import { dotProduct } from "./vector-store.js";
+
+const GRAPH_NEIGHBORS = 2; // Most similar papers each paper is linked to
+const MIN_TITLE_WORDS = 3; // Shorter titles match too much reference text by chance
+const TITLE_MATCH_WORDS = 10; // Long titles are matched on their first words (references abbreviate or wrap them)
+const REFERENCE_FALLBACK_SHARE = 0.25; // Without a detected References section, the last quarter of the chunks
+const LAYOUT_ITERATIONS = 300;
+const RELATION_PAIRS = 5; // Most similar pairs listed for the review agents
+
+/**
+ * Document vector per paper: the normalized mean of its chunk embeddings.
+ * @param {{name: string}[]} papers
+ * @param {{source: string}[]} chunks
+ * @param {(chunk: object) => ArrayLike<number>|null} getVector
+ * @returns {(Float32Array|null)[]} Aligned with `papers`, null for papers without embeddings
+ */
+export function paperVectors(papers, chunks, getVector) {
+  const sums = new Map();
+  chunks.forEach((chunk) => {
+    const vector = getVector(chunk);
+    if (!vector) return;
+    let sum = sums.get(chunk.source);
+    if (!sum) sums.set(chunk.source, (sum = new Float32Array(vector.length)));
+    for (let i = 0; i < vector.length; i++) sum[i] += vector[i];
+  });
+
+  return papers.map((paper) => {
+    const sum = sums.get(paper.name);
+    if (!sum) return null;
+    const norm = Math.sqrt(dotProduct(sum, sum)) || 1;
+    return sum.map((value) => value / norm);
+  });
+}
+
+/**
+ * Pairwise cosine similarity of document vectors.
+ * @param {(ArrayLike<number>|null)[]} vectors - From paperVectors
+ * @returns {(number|null)[][]} null where either paper has no vector
+ */
+export function similarityMatrix(vectors) {
+  return vectors.map((a, i) => vectors.map((b, j) => {
+    if (!a || !b) return null;
+    return i === j ? 1 : dotProduct(a, b);
+  }));
+}
+
+function normalizeText(text) {
+  return ` ${text
+    .replace(/-\s*\n\s*/g, "") // Words hyphenated across lines
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()} `;
+}
+
+function titleKey(title) {
+  const words = normalizeText(title || "").trim().split(" ").filter(Boolean);
+  return words.length >= MIN_TITLE_WORDS ? ` ${words.slice(0, TITLE_MATCH_WORDS).join(" ")} ` : null;
+}
+
+function referenceText(paperChunks) {
+  // Table and figure chunks are numbered after the body text, so they would crowd the fallback
+  const ordered = paperChunks
+    .filter((chunk) => (chunk.type ?? "text") === "text")
+    .sort((a, b) => a.chunkIndex - b.chunkIndex);
+  const references = ordered.filter((chunk) => chunk.section === "References");
+  const fallback = ordered.slice(Math.floor(ordered.length * (1 - REFERENCE_FALLBACK_SHARE)));
+  return normalizeText((references.length > 0 ? references : fallback).map((chunk) => chunk.text).join("\n"));
+}
+
+/**
+ * Citation links between uploaded papers: paper A cites paper B when B's title
+ * appears in A's reference list (or, if no References section was detected, in
+ * its last chunks).
+ * @param {{name: string, metadata?: {title?: string}}[]} papers
+ * @param {{source: string, text: string, section?: string, chunkIndex: number}[]} chunks
+ * @returns {{source: string, target: string}[]} `source` cites `target`
+ */
+export function findCitationLinks(papers, chunks) {
+  const titles = papers.map((paper) => titleKey(paper.metadata?.title));
+  if (titles.every((title) => !title)) return [];
+
+  const links = [];
+  papers.forEach((paper) => {
+    const paperChunks = chunks.filter((chunk) => chunk.source === paper.name);
+    if (paperChunks.length === 0) return;
+    const references = referenceText(paperChunks);
+    papers.forEach((other, j) => {
+      if (other !== paper && titles[j] && titles[j] !== titleKey(paper.metadata?.title) && references.includes(titles[j])) {
+        links.push({ source: paper.name, target: other.name });
+      }
+    });
+  });
+  return links;
+}
+
+/**
+ * Graph over the papers: every paper is linked to its most similar papers, plus
+ * every citation link.
+ * @param {{name: string}[]} papers
+ * @param {(number|null)[][]} matrix - From similarityMatrix
+ * @param {{source: string, target: string}[]} [citations] - From findCitationLinks
+ * @param {{neighbors?: number}} [options]
+ * @returns {{nodes: string[], edges: {source: number, target: number, similarity: number|null, cites: boolean, citedBy: boolean}[]}}
+ *   Edges point from the lower to the higher node index; `cites` is source → target, `citedBy` the reverse
+ */
+export function buildPaperGraph(papers, matrix, citations = [], { neighbors = GRAPH_NEIGHBORS } = {}) {
+  const nodes = papers.map((paper) => paper.name);
+  const edges = new Map();
+  const edgeFor = (a, b) => {
+    const [source, target] = a < b ? [a, b] : [b, a];
+    const key = `${source}:${target}`;
+    if (!edges.has(key)) edges.set(key, { source, target, similarity: matrix[source]?.[target] ?? null, cites: false, citedBy: false });
+    return edges.get(key);
+  };
+
+  matrix.forEach((row, i) => {
+    row
+      .map((similarity, j) => ({ j, similarity }))
+      .filter(({ j, similarity }) => j !== i && similarity !== null)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, neighbors)
+      .forEach(({ j }) => edgeFor(i, j));
+  });
+
+  const index = new Map(nodes.map((name, i) => [name, i]));
+  citations.forEach(({ source, target }) => {
+    const from = index.get(source);
+    const to = index.get(target);
+    if (from === undefined || to === undefined) return;
+    const edge = edgeFor(from, to);
+    if (from === edge.source) edge.cites = true;
+    else edge.citedBy = true;
+  });
+
+  return { nodes, edges: [...edges.values()] };
+}
+
+/**
+ * Groups of closely related papers: connected components over citation links
+ * and pairs clearly more similar than the library's average pair.
+ * @param {ReturnType<typeof buildPaperGraph>} graph
+ * @param {(number|null)[][]} matrix
+ * @returns {number[][]} Node indices per group (groups of two or more, largest first)
+ */
+export function paperGroups(graph, matrix) {
+  const similarities = matrix.flatMap((row, i) => row.filter((value, j) => j > i && value !== null));
+  const mean = similarities.reduce((sum, value) => sum + value, 0) / (similarities.length || 1);
+  const spread = Math.sqrt(similarities.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (similarities.length || 1));
+  const threshold = mean + spread / 2;
+
+  const parent = graph.nodes.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  graph.edges
+    .filter((edge) => edge.cites || edge.citedBy || (edge.similarity !== null && edge.similarity >= threshold))
+    .forEach((edge) => { parent[find(edge.source)] = find(edge.target); });
+
+  const groups = new Map();
+  graph.nodes.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+  return [...groups.values()].filter((group) => group.length > 1).sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Fruchterman-Reingold layout; similar papers pull harder on each other.
+ * @param {ReturnType<typeof buildPaperGraph>} graph
+ * @param {{iterations?: number}} [options]
+ * @returns {{x: number, y: number}[]} Positions in the unit square, aligned with `graph.nodes`
+ */
+export function layoutPaperGraph(graph, { iterations = LAYOUT_ITERATIONS } = {}) {
+  const n = graph.nodes.length;
+  if (n === 0) return [];
+  if (n === 1) return [{ x: 0.5, y: 0.5 }];
+
+  // Start on a circle so the layout is deterministic
+  const positions = graph.nodes.map((_, i) => ({
+    x: 0.5 + 0.4 * Math.cos((2 * Math.PI * i) / n),
+    y: 0.5 + 0.4 * Math.sin((2 * Math.PI * i) / n),
+  }));
+  const similarities = graph.edges.map((edge) => edge.similarity).filter((value) => value !== null);
+  const low = Math.min(...similarities, 0);
+  const high = Math.max(...similarities, 1);
+  const weight = (edge) => {
+    const similarity = edge.similarity === null ? 0.5 : (edge.similarity - low) / (high - low || 1);
+    return 0.2 + similarity + (edge.cites || edge.citedBy ? 0.5 : 0);
+  };
+
+  const k = Math.sqrt(1 / n); // Ideal edge length in the unit square
+  let temperature = 0.1;
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const shifts = positions.map(() => ({ x: 0, y: 0 }));
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = positions[i].x - positions[j].x || 1e-6;
+        const dy = positions[i].y - positions[j].y;
+        const distance = Math.max(Math.hypot(dx, dy), 1e-3);
+        const force = (k * k) / distance;
+        shifts[i].x += (dx / distance) * force;
+        shifts[i].y += (dy / distance) * force;
+        shifts[j].x -= (dx / distance) * force;
+        shifts[j].y -= (dy / distance) * force;
+      }
+    }
+    graph.edges.forEach((edge) => {
+      const a = positions[edge.source];
+      const b = positions[edge.target];
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const distance = Math.max(Math.hypot(dx, dy), 1e-3);
+      const force = ((distance * distance) / k) * weight(edge);
+      shifts[edge.source].x -= (dx / distance) * force;
+      shifts[edge.source].y -= (dy / distance) * force;
+      shifts[edge.target].x += (dx / distance) * force;
+      shifts[edge.target].y += (dy / distance) * force;
+    });
+
+    positions.forEach((position, i) => {
+      const length = Math.hypot(shifts[i].x, shifts[i].y) || 1;
+      const step = Math.min(length, temperature);
+      position.x = Math.min(1, Math.max(0, position.x + (shifts[i].x / length) * step));
+      position.y = Math.min(1, Math.max(0, position.y + (shifts[i].y / length) * step));
+    });
+    temperature *= 0.98;
+  }
+
+  // Stretch to fill the unit square
+  const xs = positions.map((position) => position.x);
+  const ys = positions.map((position) => position.y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  return positions.map((position) => ({
+    x: (position.x - minX) / (maxX - minX || 1),
+    y: (position.y - minY) / (maxY - minY || 1),
+  }));
+}
+
+/**
+ * Plain-text summary of the graph for the review agents: suggested groups,
+ * the most similar pairs and citation links.
+ * @param {ReturnType<typeof buildPaperGraph>} graph
+ * @param {(number|null)[][]} matrix
+ * @param {(paperName: string) => string} [labelFor] - How papers are named, e.g. "Vaswani et al. (2017)"
+ * @returns {string} Empty when there is nothing worth saying (fewer than two papers)
+ */
+export function describePaperRelations(graph, matrix, labelFor = (name) => name) {
+  if (graph.nodes.length < 2) return "";
+  const name = (i) => labelFor(graph.nodes[i]);
+  const lines = [];
+
+  const groups = paperGroups(graph, matrix);
+  if (groups.length > 0) {
+    lines.push("Closely related groups:");
+    groups.forEach((group) => lines.push(`- ${group.map(name).join(", ")}`));
+  }
+
+  const pairs = graph.edges
+    .filter((edge) => edge.similarity !== null)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, RELATION_PAIRS);
+  if (pairs.length > 0) {
+    lines.push("Most similar pairs (cosine similarity of the full texts):");
+    pairs.forEach((edge) => lines.push(`- ${name(edge.source)} and ${name(edge.target)}: ${edge.similarity.toFixed(2)}`));
+  }
+
+  const citations = graph.edges.flatMap((edge) => [
+    ...(edge.cites ? [`- ${name(edge.source)} cites ${name(edge.target)}`] : []),
+    ...(edge.citedBy ? [`- ${name(edge.target)} cites ${name(edge.source)}`] : []),
+  ]);
+  if (citations.length > 0) {
+    lines.push("Citations between the papers:");
+    lines.push(...citations);
+  }
+
+  return lines.join("\n");
+}
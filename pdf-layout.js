@@ -0,0 +1,277 @@
+// pdf-layout.js
+/**
+ * Layout analysis of one pdf.js page: tables and "Table N" / "Figure N" captions.
+ * Joining the text items in stream order (what the PDF loader does for body
+ * text) turns a table into a run of numbers and runs captions into the
+ * surrounding paragraphs. Here the items are grouped into lines by baseline,
+ * lines into cells by horizontal gaps, and runs of cell-structured lines next
+ * to a table caption (or numeric enough on their own) into rows and columns.
+ * Two-column pages are split at the gutter first, so a table in one column is
+ * not merged with the prose beside it.
+ * The items used by tables and captions are reported so the loader can keep
+ * them out of the body text.
+ */
+
+const CAPTION_PATTERN = /^(Table|TABLE|Tab\.|Figure|FIGURE|Fig\.)\s*(\d+|[IVXLC]+)(\s*[:.|\u2013\u2014-]\s*|\s+(?=[A-Z(]))/;
+const CAPTION_MAX_LINES = 6;
+const CAPTION_LINE_GAP = 1.8; // Vertical gap, in line heights, that ends a caption
+const CELL_GAP = 0.9; // Horizontal gap, in line heights, that separates table cells
+const ROW_GAP = 2.5; // Vertical gap, in line heights, allowed between rows of one table
+const CAPTION_TABLE_GAP = 4; // Distance between a table and its caption, in line heights
+const MAX_CELL_CHARS = 60; // Longer runs of text are prose, not table cells
+const MIN_UNCAPTIONED_ROWS = 3;
+const MIN_NUMERIC_SHARE = 0.3; // Share of cells with digits in a table found without a caption
+const GUTTER = 4; // Half-width of the gap a two-column page leaves at its centre
+
+function toItems(textItems) {
+  return textItems
+    .map((item, index) => {
+      const height = item.height || Math.abs(item.transform?.[3] ?? 0) || 10;
+      const x = item.transform?.[4] ?? 0;
+      return { index, text: item.str || "", x, end: x + (item.width || 0), y: item.transform?.[5] ?? 0, height };
+    })
+    .filter((item) => item.text.trim().length > 0);
+}
+
+// Items on (almost) the same baseline, left to right; lines top to bottom
+function groupLines(items) {
+  const lines = [];
+  [...items]
+    .sort((a, b) => b.y - a.y || a.x - b.x)
+    .forEach((item) => {
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(line.y - item.y) <= 0.5 * Math.min(line.height, item.height)) {
+        line.items.push(item);
+        line.height = Math.max(line.height, item.height);
+      } else {
+        lines.push({ y: item.y, height: item.height, items: [item] });
+      }
+    });
+  lines.forEach((line) => line.items.sort((a, b) => a.x - b.x));
+  return lines;
+}
+
+function cellsOf(items) {
+  const cells = [];
+  items.forEach((item) => {
+    const cell = cells[cells.length - 1];
+    const gap = cell ? item.x - cell.end : Infinity;
+    if (gap < CELL_GAP * item.height) {
+      cell.text += gap > 0.15 * item.height ? ` ${item.text}` : item.text;
+      cell.end = Math.max(cell.end, item.end);
+    } else {
+      cells.push({ x: item.x, end: item.end, text: item.text });
+    }
+  });
+  return cells
+    .map((cell) => ({ ...cell, text: cell.text.replace(/\s+/g, " ").trim() }))
+    .filter((cell) => cell.text);
+}
+
+function makeSegment(items, column, height) {
+  const cells = cellsOf(items);
+  return {
+    column,
+    y: items[0].y,
+    height,
+    items: items.map((item) => item.index),
+    cells,
+    text: cells.map((cell) => cell.text).join(" "),
+  };
+}
+
+// Lines split at the gutter of a two-column page. Lines that run across it
+// (titles, full-width tables and figures) keep column -1 and belong to both flows
+function splitColumns(lines, pageWidth) {
+  const mid = pageWidth / 2;
+  const crosses = (line) => line.items.some((item) => item.x < mid + GUTTER && item.end > mid - GUTTER);
+  const twoSided = lines.filter((line) =>
+    line.items.some((item) => item.end <= mid) && line.items.some((item) => item.x >= mid));
+  const twoColumn = pageWidth > 0 && twoSided.length >= 5 &&
+    twoSided.filter((line) => !crosses(line)).length >= 0.6 * twoSided.length;
+
+  const segments = [];
+  lines.forEach((line) => {
+    if (!twoColumn) {
+      segments.push(makeSegment(line.items, 0, line.height));
+    } else if (crosses(line)) {
+      segments.push(makeSegment(line.items, -1, line.height));
+    } else {
+      const left = line.items.filter((item) => item.end <= mid);
+      const right = line.items.filter((item) => item.end > mid);
+      if (left.length > 0) segments.push(makeSegment(left, 0, line.height));
+      if (right.length > 0) segments.push(makeSegment(right, 1, line.height));
+    }
+  });
+  const flows = twoColumn ? [0, 1] : [0];
+  return flows.map((column) => segments.filter((segment) => segment.column === column || segment.column === -1));
+}
+
+function isRow(segment) {
+  return segment.cells.length >= 2 && segment.cells.every((cell) => cell.text.length <= MAX_CELL_CHARS);
+}
+
+function findCaptions(flow, used) {
+  const captions = [];
+  flow.forEach((segment, i) => {
+    if (used.has(segment)) return;
+    const match = CAPTION_PATTERN.exec(segment.text);
+    if (!match) return;
+
+    // The caption runs on while lines follow closely in the same font size
+    const lines = [segment];
+    for (let j = i + 1; j < flow.length && lines.length < CAPTION_MAX_LINES; j++) {
+      const previous = lines[lines.length - 1];
+      const next = flow[j];
+      if (used.has(next) || CAPTION_PATTERN.test(next.text) || isRow(next)) break;
+      if (previous.y - next.y > CAPTION_LINE_GAP * Math.max(previous.height, next.height)) break;
+      if (Math.abs(next.height - segment.height) > 0.15 * segment.height) break;
+      lines.push(next);
+    }
+    lines.forEach((line) => used.add(line));
+
+    const table = /^t/i.test(match[1]);
+    captions.push({
+      type: table ? "table" : "figure",
+      number: match[2],
+      label: `${table ? "Table" : "Figure"} ${match[2]}`,
+      caption: lines.map((line) => line.text).join(" ").slice(match[0].length).trim(),
+      segments: lines,
+      top: segment.y,
+      bottom: lines[lines.length - 1].y,
+      height: segment.height,
+    });
+  });
+  return captions;
+}
+
+// Runs of row-like lines; a short single-cell line (a group heading inside a
+// table) is kept when another row follows it
+function findRowBlocks(flow, used) {
+  const blocks = [];
+  let block = null;
+  flow.forEach((segment, i) => {
+    const previous = block?.[block.length - 1];
+    const close = previous && previous.y - segment.y <= ROW_GAP * Math.max(previous.height, segment.height);
+    const heading = segment.cells.length === 1 && segment.text.length <= MAX_CELL_CHARS / 2 && flow[i + 1] && isRow(flow[i + 1]);
+
+    if (!used.has(segment) && (isRow(segment) || (block && close && heading))) {
+      if (block && close) block.push(segment);
+      else blocks.push((block = [segment]));
+    } else {
+      block = null;
+    }
+  });
+  return blocks.map((segments) => {
+    // A trailing group heading without rows is not part of the table
+    while (segments.length > 0 && !isRow(segments[segments.length - 1])) segments.pop();
+    return segments;
+  }).filter((segments) => segments.length > 0);
+}
+
+// Columns from the widest rows; every cell goes to the column it overlaps most
+function alignColumns(segments) {
+  const width = Math.max(...segments.map((segment) => segment.cells.length));
+  const widest = segments.filter((segment) => segment.cells.length === width);
+  const columns = Array.from({ length: width }, (_, c) => ({
+    x: Math.min(...widest.map((segment) => segment.cells[c].x)),
+    end: Math.max(...widest.map((segment) => segment.cells[c].end)),
+  }));
+
+  return segments.map((segment) => {
+    const row = new Array(width).fill("");
+    segment.cells.forEach((cell) => {
+      let best = 0;
+      let bestScore = -Infinity;
+      columns.forEach((column, c) => {
+        const overlap = Math.min(cell.end, column.end) - Math.max(cell.x, column.x);
+        const score = overlap > 0 ? overlap : -Math.abs((cell.x + cell.end) / 2 - (column.x + column.end) / 2);
+        if (score > bestScore) {
+          bestScore = score;
+          best = c;
+        }
+      });
+      row[best] = row[best] ? `${row[best]} ${cell.text}` : cell.text;
+    });
+    return row;
+  });
+}
+
+function numericShare(rows) {
+  const cells = rows.flat().filter(Boolean);
+  return cells.filter((cell) => /\d/.test(cell)).length / (cells.length || 1);
+}
+
+/**
+ * Tables and figure captions on one page.
+ * @param {{str: string, transform: number[], width: number, height: number}[]} textItems - `getTextContent().items`
+ * @param {{width?: number}} [page] - Page width (from the viewport), for two-column detection
+ * @returns {{
+ *   tables: {label: string|null, number: string|null, caption: string, rows: string[][], items: number[]}[],
+ *   figures: {label: string, number: string, caption: string, items: number[]}[],
+ *   usedItems: Set<number>
+ * }} `items` and `usedItems` are indices into `textItems`; tables are listed top to bottom
+ */
+export function analyzePageLayout(textItems, { width = 0 } = {}) {
+  const flows = splitColumns(groupLines(toItems(textItems)), width);
+  const used = new Set();
+  const tables = [];
+  const figures = [];
+  const itemsOf = (segments) => segments.flatMap((segment) => segment.items);
+
+  flows.forEach((flow) => {
+    const captions = findCaptions(flow, used);
+    const tableCaptions = captions.filter((caption) => caption.type === "table");
+
+    findRowBlocks(flow, used).forEach((segments) => {
+      const top = segments[0].y;
+      const bottom = segments[segments.length - 1].y;
+      const height = Math.max(...segments.map((segment) => segment.height));
+      // Captions usually sit above a table; below is the fallback
+      const caption =
+        tableCaptions.find((c) => !c.table && c.bottom > top && c.bottom - top <= CAPTION_TABLE_GAP * height) ||
+        tableCaptions.find((c) => !c.table && c.top < bottom && bottom - c.top <= CAPTION_TABLE_GAP * height);
+
+      const rows = alignColumns(segments);
+      const cellCounts = segments.map((segment) => segment.cells.length).sort((a, b) => a - b);
+      const accepted = caption
+        ? segments.length >= 2
+        : segments.length >= MIN_UNCAPTIONED_ROWS &&
+          cellCounts[Math.floor(cellCounts.length / 2)] >= 3 &&
+          numericShare(rows) >= MIN_NUMERIC_SHARE;
+      if (!accepted) return;
+
+      segments.forEach((segment) => used.add(segment));
+      const table = { label: null, number: null, caption: "", rows, items: itemsOf(segments), top };
+      if (caption) {
+        caption.table = table;
+        Object.assign(table, { label: caption.label, number: caption.number, caption: caption.caption });
+        table.items.push(...itemsOf(caption.segments));
+      }
+      tables.push(table);
+    });
+
+    // Captions whose table body was not recognised are still worth keeping
+    tableCaptions.filter((caption) => !caption.table).forEach((caption) => {
+      tables.push({ label: caption.label, number: caption.number, caption: caption.caption, rows: [], items: itemsOf(caption.segments), top: caption.top });
+    });
+    captions.filter((caption) => caption.type === "figure").forEach((caption) => {
+      figures.push({ label: caption.label, number: caption.number, caption: caption.caption, items: itemsOf(caption.segments) });
+    });
+  });
+
+  tables.sort((a, b) => b.top - a.top);
+  const usedItems = new Set([...tables, ...figures].flatMap((element) => element.items));
+  return { tables: tables.map(({ top, ...table }) => table), figures, usedItems };
+}
+
+/**
+ * Text of a table as indexed and shown to the LLM: the caption line, then one
+ * line per row with cells separated by " | ".
+ * @param {{label?: string|null, caption?: string, rows: string[][]}} table
+ * @returns {string}
+ */
+export function formatTable({ label, caption, rows }) {
+  const heading = [label, caption].filter(Boolean).join(": ") || "Table";
+  return [heading, ...rows.map((row) => row.join(" | "))].join("\n");
+}
@@ -0,0 +1,88 @@
+// query-understanding.js
+/**
+ * Query understanding before retrieval.
+ * A follow-up like "what about their evaluation?" means nothing to the
+ * embedder on its own, so the latest turn is rewritten into a standalone
+ * query from the recent conversation, expanded into a few paraphrases and a
+ * hypothetical answer passage (HyDE, Gao et al., 2022), and classified as a
+ * literature-review request or a regular question.
+ * The LLM is asked for JSON; anything unusable falls back to the question as typed.
+ */
+
+const TURN_CHARS = 600; // Per earlier message shown to the rewriter
+
+/**
+ * Messages asking the LLM to rewrite and expand a question.
+ * @param {string} question - The latest user message
+ * @param {{role: string, text: string}[]} turns - Recent earlier messages, oldest first
+ * @param {{paraphrases?: number}} [options]
+ * @returns {{role: string, content: string}[]}
+ */
+export function buildRewriteMessages(question, turns, { paraphrases = 2 } = {}) {
+  const system =
+    "You turn a researcher's latest message into search queries over their uploaded papers. " +
+    'Reply with JSON only, in the form {"query": string, "paraphrases": [string], "hypothetical": string, "review": boolean}. ' +
+    '"query" is the latest message as a standalone search query: resolve pronouns and references such as "they" or "that method" from the conversation, and keep names, methods and datasets. ' +
+    `"paraphrases" are up to ${paraphrases} alternative phrasings of the query that use different keywords. ` +
+    '"hypothetical" is two or three sentences that a paper answering the query might contain. ' +
+    '"review" is true only if the user asks for a literature review, survey or related-work overview of the papers as a whole.';
+
+  const transcript = turns
+    .map((turn) => `${turn.role === "user" ? "User" : "Assistant"}: ${turn.text.slice(0, TURN_CHARS)}`)
+    .join("\n\n");
+
+  return [
+    { role: "system", content: system },
+    {
+      role: "user",
+      content:
+        (transcript ? `--- CONVERSATION ---\n${transcript}\n--- END CONVERSATION ---\n\n` : "") +
+        `Latest message: ${question}\n\nReply with the JSON.`,
+    },
+  ];
+}
+
+/**
+ * Parse the LLM reply into retrieval queries.
+ * @param {string} reply
+ * @param {string} question - Used when the reply has no usable query
+ * @param {{paraphrases?: number}} [options]
+ * @returns {{query: string, paraphrases: string[], hypothetical: string, review: boolean, rewritten: boolean}}
+ */
+export function parseRewriteReply(reply, question, { paraphrases = 2 } = {}) {
+  const fallback = { query: question, paraphrases: [], hypothetical: "", review: false, rewritten: false };
+  const json = /\{[\s\S]*\}/.exec(reply || "")?.[0];
+  if (!json) return fallback;
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    return fallback;
+  }
+
+  const text = (value) => (typeof value === "string" ? value.trim().replace(/^["']|["']$/g, "").trim() : "");
+  const query = text(data.query) || question;
+  const seen = new Set([query.toLowerCase()]);
+  const alternatives = (Array.isArray(data.paraphrases) ? data.paraphrases : [])
+    .map(text)
+    .filter((phrase) => phrase && !seen.has(phrase.toLowerCase()) && seen.add(phrase.toLowerCase()))
+    .slice(0, paraphrases);
+
+  return {
+    query,
+    paraphrases: alternatives,
+    hypothetical: text(data.hypothetical),
+    review: data.review === true,
+    rewritten: query !== question,
+  };
+}
+
+/**
+ * Every query to retrieve with, the standalone query first.
+ * @param {{query: string, paraphrases: string[], hypothetical: string}} understanding
+ * @returns {string[]}
+ */
+export function retrievalQueries({ query, paraphrases, hypothetical }) {
+  return [query, ...paraphrases, hypothetical].filter(Boolean);
+}
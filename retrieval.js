@@ -0,0 +1,171 @@
+// retrieval.js
+/**
+ * Retrieval helpers shared by the vector, keyword and hybrid search modes,
+ * and the second stage that turns the fused candidates into the final top-k:
+ * dedupe -> optional cross-encoder re-scoring -> maximal marginal relevance.
+ */
+
+import { dotProduct } from "./vector-store.js";
+
+const RRF_K = 60; // Standard constant from Cormack et al. (2009)
+const SHINGLE_SIZE = 3; // Word n-grams compared when deduping
+const ELEMENT_REFERENCE = /\b(Table|Tab\.|Figure|Fig\.)\s*(\d+|[IVXLC]+)\b/gi;
+const RESULTS_QUESTION = /\b(results?|accuracy|precision|recall|f1|bleu|rouge|perplexity|scores?|performance|outperform\w*|benchmarks?|baselines?|ablations?|tables?|how (much|many|well))\b/i;
+
+export const DEFAULT_RETRIEVAL = {
+  topK: 5,
+  minSimilarity: 0.1, // Vector matches below this cosine similarity are dropped
+  diversity: 0.3, // MMR trade-off: 0 = relevance only, 1 = novelty only
+  rerank: false, // Re-score candidates with a cross-encoder
+};
+
+/**
+ * Stable identifier of a chunk across the vector store and the keyword index.
+ * @param {{source: string, chunkIndex: number}} chunk
+ * @returns {string}
+ */
+export function chunkKey(chunk) {
+  return `${chunk.source}::${chunk.chunkIndex}`;
+}
+
+/**
+ * Tables and figures a query asks about: ones it names ("Table 2", "Fig. 3"),
+ * and whether it asks about results (then tables are searched as well).
+ * @param {string} query
+ * @returns {{labels: string[], results: boolean}} `labels` as chunk labels ("Table 2", "Figure 3")
+ */
+export function elementTargets(query) {
+  const labels = [...(query || "").matchAll(ELEMENT_REFERENCE)]
+    .map(([, kind, number]) => `${/^t/i.test(kind) ? "Table" : "Figure"} ${number.toUpperCase()}`);
+  return { labels: [...new Set(labels)], results: RESULTS_QUESTION.test(query || "") };
+}
+
+/**
+ * Reciprocal rank fusion: score(d) = sum over rankings of 1 / (k + rank(d)).
+ * Only ranks matter, so cosine similarities and BM25 scores can be fused
+ * without normalizing them.
+ * @param {string[][]} rankings - Lists of ids, best first
+ * @param {number} [k]
+ * @returns {{id: string, score: number}[]} Best first
+ */
+export function reciprocalRankFusion(rankings, k = RRF_K) {
+  const scores = new Map();
+  rankings.forEach((ranking) => {
+    ranking.forEach((id, rank) => {
+      scores.set(id, (scores.get(id) || 0) + 1 / (k + rank + 1));
+    });
+  });
+
+  return [...scores.entries()]
+    .map(([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// --- Second stage ---
+
+function shingles(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < SHINGLE_SIZE) return new Set(words.length > 0 ? [words.join(" ")] : []);
+  const grams = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) grams.add(words.slice(i, i + SHINGLE_SIZE).join(" "));
+  return grams;
+}
+
+function containment(grams, other) {
+  if (grams.size === 0) return 0;
+  let shared = 0;
+  grams.forEach((gram) => {
+    if (other.has(gram)) shared++;
+  });
+  return shared / grams.size;
+}
+
+// Chunks stored before tables and figures were extracted have no type
+function isTextChunk(chunk) {
+  return (chunk.type ?? "text") === "text";
+}
+
+/**
+ * Drop chunks that repeat a better-ranked one: a neighbouring window of the
+ * same paper that repeats a good part of it (heavy chunk overlap), or any
+ * passage whose word trigrams are mostly contained in it (e.g. a paper
+ * uploaded twice).
+ * @param {{source: string, chunkIndex: number, text: string}[]} chunks - Best first
+ * @param {{maxOverlap?: number, maxNeighbourOverlap?: number}} [options] - Share of trigrams
+ *   that may repeat, for any pair and for neighbouring windows of one paper
+ * @returns {object[]}
+ */
+export function dedupeChunks(chunks, { maxOverlap = 0.5, maxNeighbourOverlap = 0.25 } = {}) {
+  const kept = [];
+  chunks.forEach((chunk) => {
+    const grams = shingles(chunk.text);
+    const repeats = kept.some((other) => {
+      const overlap = containment(grams, other.grams);
+      // Only body-text windows overlap; table and figure chunks are numbered after them
+      const neighbour = other.chunk.source === chunk.source && Math.abs(other.chunk.chunkIndex - chunk.chunkIndex) === 1 &&
+        isTextChunk(chunk) && isTextChunk(other.chunk);
+      return overlap > maxOverlap || (neighbour && overlap > maxNeighbourOverlap);
+    });
+    if (!repeats) kept.push({ chunk, grams });
+  });
+  return kept.map(({ chunk }) => chunk);
+}
+
+/**
+ * Scale non-negative scores so the best one is 1.
+ * @param {number[]} scores
+ * @returns {number[]}
+ */
+export function normalizeScores(scores) {
+  const max = Math.max(0, ...scores);
+  return scores.map((score) => (max > 0 ? Math.max(0, score) / max : 0));
+}
+
+/**
+ * Redundancy of two chunks for MMR: embedding similarity blended with whether
+ * they come from the same paper, so selections spread across papers.
+ * @param {(chunk: object) => ArrayLike<number>|null} embeddingOf - Normalized embeddings
+ * @param {{samePaperWeight?: number}} [options]
+ * @returns {(a: object, b: object) => number} In [0, 1]
+ */
+export function chunkRedundancy(embeddingOf, { samePaperWeight = 0.3 } = {}) {
+  return (a, b) => {
+    const embeddingA = embeddingOf(a);
+    const embeddingB = embeddingOf(b);
+    const semantic = embeddingA && embeddingB ? Math.max(0, dotProduct(embeddingA, embeddingB)) : 0;
+    return (1 - samePaperWeight) * semantic + (a.source === b.source ? samePaperWeight : 0);
+  };
+}
+
+/**
+ * Maximal marginal relevance (Carbonell & Goldstein, 1998): repeatedly take
+ * the candidate with the best (1 - diversity) * relevance - diversity * redundancy,
+ * where redundancy is its highest similarity to anything already taken.
+ * @param {object[]} candidates
+ * @param {{k: number, diversity?: number, relevance: (item: object, index: number) => number, similarity: (a: object, b: object) => number}} options
+ *   relevance and similarity in [0, 1]
+ * @returns {object[]} In selection order
+ */
+export function maximalMarginalRelevance(candidates, { k, diversity = DEFAULT_RETRIEVAL.diversity, relevance, similarity }) {
+  const remaining = candidates.map((item, i) => ({ item, relevance: relevance(item, i), redundancy: 0 }));
+  const selected = [];
+
+  while (selected.length < k && remaining.length > 0) {
+    let best = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((entry, i) => {
+      const score = (1 - diversity) * entry.relevance - diversity * entry.redundancy;
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    });
+
+    const [picked] = remaining.splice(best, 1);
+    selected.push(picked.item);
+    remaining.forEach((entry) => {
+      entry.redundancy = Math.max(entry.redundancy, similarity(entry.item, picked.item));
+    });
+  }
+  return selected;
+}
@@ -0,0 +1,226 @@
+// retriever.js
+/**
+ * The retrieval path behind searchSimilarChunks, shared by the app and the
+ * evaluation harness:
+ *
+ *   per query: vector / BM25 / hybrid (RRF) candidates
+ *   -> several queries fused by rank
+ *   -> second stage: dedupe, optional cross-encoder, MMR
+ *   -> tables and figure captions the query names or asks about (results questions)
+ *
+ * Models are passed in, so the same path runs with stubs outside the browser.
+ */
+
+import {
+  DEFAULT_RETRIEVAL,
+  chunkKey,
+  elementTargets,
+  reciprocalRankFusion,
+  dedupeChunks,
+  normalizeScores,
+  chunkRedundancy,
+  maximalMarginalRelevance,
+} from "./retrieval.js";
+
+const RETRIEVAL_CANDIDATES = 50; // Candidates taken from each ranking before fusion
+const RERANK_POOL = 30; // Fused candidates passed to the second stage
+const NAMED_ELEMENTS = 3; // Chunks added for a table or figure the query names ("Table 2")
+const RESULT_TABLES = 2; // Table chunks added for questions about results
+
+/**
+ * @param {object} deps
+ * @param {ReturnType<typeof import("./vector-store.js").createVectorStore>} deps.vectorIndex
+ * @param {ReturnType<typeof import("./bm25.js").createBM25Index>} deps.keywordIndex
+ * @param {Map<string, object>} deps.chunkLookup - chunkKey -> chunk
+ * @param {(text: string) => Promise<ArrayLike<number>|null>} deps.embedQuery - Normalized embedding, or null while no embedder is available
+ * @param {(query: string, chunks: object[]) => Promise<number[]>} [deps.crossEncode] - Relevance in [0, 1] per chunk
+ */
+export function createRetriever({ vectorIndex, keywordIndex, chunkLookup, embedQuery, crossEncode = null }) {
+  // Chunks of the given papers (null = all) and chunk types (null = all; chunks stored before types are "text")
+  const inScope = (chunk, sources, types) =>
+    Boolean(chunk) && (!sources || sources.has(chunk.source)) && (!types || types.has(chunk.type || "text"));
+
+  function rankByVector(queryVector, sources, types, minSimilarity) {
+    // Vectors are normalized, so the store ranks by dot product (= cosine similarity).
+    // A paper or type subset is searched exhaustively, so chunks outside it cannot crowd out the candidates
+    const results = sources || types
+      ? vectorIndex.search(queryVector, { k: vectorIndex.size, minScore: minSimilarity, exact: true })
+      : vectorIndex.search(queryVector, { k: RETRIEVAL_CANDIDATES, minScore: minSimilarity });
+
+    return results
+      .filter((result) => chunkLookup.has(result.id))
+      .map((result) => ({ ...chunkLookup.get(result.id), similarity: result.score }))
+      .filter((chunk) => inScope(chunk, sources, types))
+      .slice(0, RETRIEVAL_CANDIDATES);
+  }
+
+  function rankByKeyword(query, sources, types) {
+    if (!sources && !types) return keywordIndex.search(query, RETRIEVAL_CANDIDATES);
+    return keywordIndex
+      .search(query, Infinity)
+      .filter((result) => inScope(chunkLookup.get(result.id), sources, types))
+      .slice(0, RETRIEVAL_CANDIDATES);
+  }
+
+  // First stage for one query: a pool of candidates, each with the score it was ranked by
+  function firstStage(query, queryVector, { mode, sources, types = null, minSimilarity }) {
+    const vectorResults = mode === "keyword" ? [] : rankByVector(queryVector, sources, types, minSimilarity);
+    const keywordResults = mode === "vector" ? [] : rankByKeyword(query, sources, types);
+
+    let candidates;
+    if (mode === "vector") {
+      candidates = vectorResults.slice(0, RERANK_POOL).map((chunk) => ({ ...chunk, score: chunk.similarity }));
+    } else {
+      const similarities = new Map(vectorResults.map((result) => [chunkKey(result), result.similarity]));
+      const bm25Scores = new Map(keywordResults.map((result) => [result.id, result.score]));
+
+      const ranked = mode === "keyword"
+        ? keywordResults
+        : reciprocalRankFusion([
+            vectorResults.map(chunkKey),
+            keywordResults.map((result) => result.id),
+          ]);
+
+      candidates = ranked
+        .filter((result) => chunkLookup.has(result.id))
+        .slice(0, RERANK_POOL)
+        .map((result) => ({
+          ...chunkLookup.get(result.id),
+          similarity: similarities.get(result.id),
+          bm25Score: bm25Scores.get(result.id) ?? 0,
+          fusedScore: mode === "hybrid" ? result.score : undefined,
+          score: result.score,
+        }));
+    }
+
+    console.log(`📊 "${query.substring(0, 60)}": ${vectorResults.length} vector above threshold ${minSimilarity}, ${keywordResults.length} keyword matches`);
+    return candidates;
+  }
+
+  // Final top-K from the pool: overlapping neighbours are dropped, then MMR
+  // trades relevance (cross-encoder or first-stage score) against redundancy
+  async function selectChunks(query, candidates, { topK, diversity, rerank }) {
+    const unique = dedupeChunks(candidates);
+    if (unique.length < candidates.length) {
+      console.log(`✂️ Dropped ${candidates.length - unique.length} overlapping or duplicate chunks`);
+    }
+
+    let relevance = normalizeScores(unique.map((chunk) => chunk.score ?? 0));
+    if (rerank && crossEncode && unique.length > 0) {
+      try {
+        const started = performance.now();
+        relevance = await crossEncode(query, unique);
+        unique.forEach((chunk, i) => { chunk.rerankScore = relevance[i]; });
+        console.log(`🧮 Re-ranked ${unique.length} chunks with the cross-encoder in ${Math.round(performance.now() - started)} ms`);
+      } catch (error) {
+        console.warn("⚠️ Cross-encoder re-ranking failed, keeping first-stage scores:", error);
+      }
+    }
+
+    const relevanceOf = new Map(unique.map((chunk, i) => [chunk, relevance[i]]));
+    const embeddings = new Map(unique.map((chunk) => [chunk, vectorIndex.get(chunkKey(chunk))]));
+    return maximalMarginalRelevance(unique, {
+      k: topK,
+      diversity,
+      relevance: (chunk) => relevanceOf.get(chunk),
+      similarity: chunkRedundancy((chunk) => embeddings.get(chunk)),
+    });
+  }
+
+  /**
+   * @param {string} query - Also what the cross-encoder scores against
+   * @param {object} [options] - DEFAULT_RETRIEVAL settings, plus:
+   * @param {"hybrid"|"vector"|"keyword"} [options.mode]
+   * @param {Set<string>|null} [options.sources] - Only search these papers (null = all)
+   * @param {string[]} [options.queries] - Several queries (rewrites, paraphrases, HyDE) whose pools are fused
+   * @returns {Promise<object[]>} Chunks, best first
+   */
+  async function search(query, options = {}) {
+    const { mode: requestedMode = "hybrid", sources = null, queries = [query], topK, minSimilarity, diversity, rerank } = {
+      ...DEFAULT_RETRIEVAL,
+      ...options,
+    };
+    if (chunkLookup.size === 0) return [];
+
+    let mode = requestedMode;
+    let elementVector = null; // First query's embedding, reused to search the tables
+    const pools = [];
+    for (const text of queries) {
+      let queryVector = null;
+      if (mode !== "keyword") {
+        queryVector = await embedQuery(text);
+        if (!queryVector) {
+          if (mode === "vector") {
+            console.warn("❌ Embedder not available for search");
+            return [];
+          }
+          console.warn("⚠️ Embedder not available, falling back to keyword search");
+          mode = "keyword";
+        }
+      }
+      elementVector ??= queryVector;
+      pools.push(firstStage(text, queryVector, { mode, sources, minSimilarity }));
+    }
+
+    let candidates = pools[0];
+    if (pools.length > 1) {
+      // Multi-query: fuse the per-query pools by rank, keeping each chunk's first-seen scores
+      const byKey = new Map();
+      pools.flat().forEach((chunk) => {
+        if (!byKey.has(chunkKey(chunk))) byKey.set(chunkKey(chunk), chunk);
+      });
+      candidates = reciprocalRankFusion(pools.map((pool) => pool.map(chunkKey)))
+        .slice(0, RERANK_POOL)
+        .map((result) => ({ ...byKey.get(result.id), score: result.score }));
+    }
+
+    const selected = await selectChunks(query, candidates, { topK, diversity, rerank });
+    const results = addElementChunks(query, selected, { mode, sources, topK, minSimilarity, queryVector: elementVector });
+    console.log(`📊 Found ${results.length} relevant chunks from ${candidates.length} candidates`);
+    return results;
+  }
+
+  // Tables and figure captions named in the query ("Table 2") come first; questions
+  // about results also get the best matching tables. Both replace the lowest-ranked
+  // chunks, at most half of them, so the answer still sees `topK` chunks and the
+  // best body-text chunks stay in
+  function addElementChunks(query, selected, { mode, sources, topK, minSimilarity, queryVector }) {
+    const { labels, results } = elementTargets(query);
+    if (labels.length === 0 && !results) return selected;
+
+    // Tables and figures ranked by the query itself, so "Table 2" of the paper the
+    // question is about wins over every other paper's Table 2
+    const pool = firstStage(query, queryVector, { mode, sources, types: new Set(["table", "figure"]), minSimilarity });
+    const ranked = new Map(pool.map((chunk) => [chunkKey(chunk), chunk]));
+    const rank = new Map(pool.map((chunk, i) => [chunkKey(chunk), i]));
+    const selectedPapers = new Set(selected.map((chunk) => chunk.source));
+
+    // Each named element comes from the papers the answer already draws on or,
+    // if none of them has it, from the paper whose element the query ranks best
+    const labelled = [...chunkLookup.values()]
+      .filter((chunk) => chunk.label && inScope(chunk, sources, null))
+      .sort((a, b) => (rank.get(chunkKey(a)) ?? pool.length) - (rank.get(chunkKey(b)) ?? pool.length));
+    const chunksNamed = (label) => {
+      const matches = labelled.filter((chunk) => chunk.label.replace(/ \(part \d+ of \d+\)$/, "") === label);
+      const fromSelected = matches.filter((chunk) => selectedPapers.has(chunk.source));
+      if (fromSelected.length > 0) return fromSelected;
+      const best = matches.find((chunk) => ranked.has(chunkKey(chunk)));
+      return best ? matches.filter((chunk) => chunk.source === best.source) : [];
+    };
+    const named = labels
+      .flatMap(chunksNamed)
+      .slice(0, NAMED_ELEMENTS)
+      .map((chunk) => ranked.get(chunkKey(chunk)) || chunk);
+    const tables = results ? pool.filter((chunk) => chunk.type === "table").slice(0, RESULT_TABLES) : [];
+    if (named.length === 0 && tables.length === 0) return selected;
+
+    const extra = [...named, ...tables].filter((chunk) => !selected.some((other) => chunkKey(other) === chunkKey(chunk)));
+    const unique = [...new Map(extra.map((chunk) => [chunkKey(chunk), chunk])).values()]
+      .slice(0, Math.max(1, Math.floor(topK / 2)));
+    if (unique.length > 0) console.log(`📐 Added ${unique.length} table/figure chunks: ${unique.map((chunk) => chunk.label || chunk.type).join(", ")}`);
+    const kept = selected.slice(0, topK - unique.length);
+    return [...unique.filter((chunk) => named.includes(chunk)), ...kept, ...unique.filter((chunk) => !named.includes(chunk))];
+  }
+
+  return { search };
+}
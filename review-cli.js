@@ -0,0 +1,180 @@
+// review-cli.js
+/**
+ * Headless run of the multi-agent literature review (Node 20+), on the stub
+ * engine from eval-stubs.js:
+ *
+ *   node --experimental-default-type=module review-cli.js <papers-dir> [--show]
+ *
+ *   --show                   Print every agent's output
+ *
+ * Checks the contract the app relies on: the agents run in order
+ * (Summarizer per paper, Theme Extractor, Comparator, Writer), each stage
+ * gets the earlier stages' output, streamed tokens add up to the result, and
+ * aborting the signal stops the pipeline before the next agent or mid-stream.
+ * Exits with status 1 if any check fails.
+ */
+
+import { readFile, readdir } from "node:fs/promises";
+import { join } from "node:path";
+
+import { DEFAULT_CHUNKING, buildChunks } from "./chunking.js";
+import { createEngineClient, runLiteratureReview, buildPaperContext } from "./agents.js";
+import { createStubEngine } from "./eval-stubs.js";
+
+const TEXT_EXTENSIONS = /\.(txt|md|tex)$/i;
+const REQUEST = "Write a literature review of the uploaded papers";
+
+async function loadPapers(dir) {
+  const names = (await readdir(dir)).filter((name) => TEXT_EXTENSIONS.test(name)).sort();
+  const chunksByPaper = new Map();
+  for (const name of names) {
+    const text = await readFile(join(dir, name), "utf8");
+    chunksByPaper.set(name, buildChunks(text, name, [], DEFAULT_CHUNKING));
+  }
+  return { papers: names.map((name) => ({ name })), chunksByPaper };
+}
+
+// The stub engine, recording the prompt of every call in order
+function createRecordingEngine() {
+  const engine = createStubEngine();
+  const prompts = [];
+  const create = engine.chat.completions.create;
+  engine.chat.completions.create = (request) => {
+    prompts.push(request.messages.find((message) => message.role === "user").content);
+    return create(request);
+  };
+  return { engine, prompts };
+}
+
+function createChecks() {
+  const failures = [];
+  return {
+    failures,
+    check(condition, message) {
+      console.log(`${condition ? "✅" : "❌"} ${message}`);
+      if (!condition) failures.push(message);
+    },
+  };
+}
+
+async function review({ papers, chunksByPaper }, hooks = {}) {
+  const { engine, prompts } = createRecordingEngine();
+  const client = createEngineClient(engine);
+  const events = [];
+  const result = await runLiteratureReview({
+    client,
+    request: REQUEST,
+    papers,
+    getPaperContext: (paper) => buildPaperContext(chunksByPaper.get(paper.name)),
+    labelFor: (name) => `Paper ${name}`,
+    onStage: (event) => {
+      events.push(event);
+      hooks.onStage?.(event, client);
+    },
+    onToken: hooks.onToken && ((stage, delta, text) => hooks.onToken(stage, delta, text, client)),
+    signal: hooks.signal,
+    temperature: 0,
+  });
+  return { result, events, prompts };
+}
+
+async function checkFullRun(library, { check }, show) {
+  console.log("\nFull run");
+  const streamed = new Map(); // stage -> text of its latest call
+  const { result, events, prompts } = await review(library, {
+    onToken: (stage, delta, text) => streamed.set(stage, text),
+  });
+  const paperNames = library.papers.map((paper) => paper.name);
+
+  const expectedOrder = [...paperNames.flatMap(() => ["summarizer:start", "summarizer:done"]),
+    "themes:start", "themes:done", "comparator:start", "comparator:done", "writer:start", "writer:done"];
+  check(events.map((event) => `${event.stage}:${event.status}`).join(" ") === expectedOrder.join(" "),
+    "Stages run in order: Summarizer per paper, Theme Extractor, Comparator, Writer");
+  check(events.filter((event) => event.stage === "summarizer" && event.status === "start").map((event) => event.paper).join() === paperNames.join(),
+    "Every paper is summarized once, in the given order");
+  check(prompts.length === paperNames.length + 3, `One engine call per agent step (${prompts.length})`);
+
+  check(!result.interrupted, "The run is not marked as interrupted");
+  check(result.summaries.length === paperNames.length && result.summaries.every((item) => item.summary), "Every summary is non-empty");
+  check(Boolean(result.themes && result.comparison && result.review), "Themes, comparison and review are non-empty");
+  check(events.filter((event) => event.status === "done").every((event) => event.output),
+    "Every finished stage reports its output");
+
+  const [themesPrompt, comparatorPrompt, writerPrompt] = prompts.slice(paperNames.length);
+  check(paperNames.every((name, i) => prompts[i].includes(`Paper: Paper ${name}`)), "Summarizer prompts cite papers through labelFor");
+  check(result.summaries.every(({ summary }) => themesPrompt.includes(summary)), "The Theme Extractor gets every summary");
+  check(comparatorPrompt.includes(result.themes), "The Comparator gets the themes");
+  check(writerPrompt.includes(REQUEST) && writerPrompt.includes(result.themes) && writerPrompt.includes(result.comparison),
+    "The Writer gets the request, themes and comparison");
+  check(streamed.get("writer")?.trim() === result.review, "Streamed Writer tokens add up to the review");
+
+  if (show) {
+    result.summaries.forEach(({ paper, summary }) => console.log(`\n📝 ${paper}\n${summary}`));
+    console.log(`\n🧭 Themes\n${result.themes}\n\n⚖️ Comparison\n${result.comparison}\n\n✍️ Review\n${result.review}`);
+  }
+}
+
+async function checkAbortBetweenAgents(library, { check }) {
+  console.log("\nAbort after the first summary");
+  const controller = new AbortController();
+  const { result, events, prompts } = await review(library, {
+    signal: controller.signal,
+    onStage: (event) => {
+      if (event.stage === "summarizer" && event.status === "done") controller.abort();
+    },
+  });
+
+  check(result.interrupted, "The run is marked as interrupted");
+  check(result.summaries.length === 1 && prompts.length === 1, "No agent runs after the abort");
+  check(!result.themes && !result.comparison && !result.review, "Later stages stay empty");
+  check(events.at(-1)?.stage === "summarizer" && events.at(-1)?.status === "done", "The last stage event is the finished summary");
+}
+
+async function checkAbortMidStream(library, { check }) {
+  console.log("\nAbort while the Writer streams");
+  const controller = new AbortController();
+  let writerTokens = 0;
+  const { result, events } = await review(library, {
+    signal: controller.signal,
+    // Like the Stop button: abort the signal and interrupt the engine
+    onToken: (stage, delta, text, client) => {
+      if (stage !== "writer" || ++writerTokens < 2) return;
+      controller.abort();
+      client.interrupt();
+    },
+  });
+
+  check(result.interrupted, "The run is marked as interrupted");
+  check(Boolean(result.themes && result.comparison), "Earlier stages keep their output");
+  check(writerTokens === 2, `The Writer stops streaming right after the abort (${writerTokens} tokens)`);
+  check(events.at(-1)?.stage === "writer" && events.at(-1)?.output === result.review, "The partial review is reported");
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const papersDir = args.find((arg) => !arg.startsWith("--"));
+  if (!papersDir) {
+    console.error("Usage: node --experimental-default-type=module review-cli.js <papers-dir> [--show]");
+    process.exit(2);
+  }
+
+  const library = await loadPapers(papersDir);
+  if (library.papers.length < 2) throw new Error(`Need at least two .txt, .md or .tex papers in ${papersDir}`);
+  console.log(`📚 ${library.papers.length} papers: ${library.papers.map((paper) => paper.name).join(", ")}`);
+
+  const checks = createChecks();
+  await checkFullRun(library, checks, args.includes("--show"));
+  await checkAbortBetweenAgents(library, checks);
+  await checkAbortMidStream(library, checks);
+
+  if (checks.failures.length > 0) {
+    console.error(`\n❌ ${checks.failures.length} checks failed`);
+    process.exit(1);
+  }
+  console.log("\n✅ All checks passed");
+}
+
+main().catch((error) => {
+  console.error("❌ Review run failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,170 @@
+// scope.js
+/**
+ * Retrieval scope: collections and tags on papers, and @-mentions that pin a
+ * single question to specific papers.
+ *
+ * Papers carry `collection` (a name, or null) and `tags` (normalized, see
+ * normalizeTag). Papers, collections and tags each get a handle that can be
+ * mentioned in a question:
+ *
+ *   @vaswani2017      one paper (first author + year, else the file name)
+ *   @side-project     every paper in a collection or with a tag
+ */
+
+const MENTION_PATTERN = /(^|\s)@([\p{L}\p{N}_.-]+)/gu;
+
+/**
+ * Lowercase ASCII form used for handles and tags: "Graph Neural Nets" -> "graph-neural-nets".
+ * @param {string} text
+ * @returns {string}
+ */
+export function toHandle(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+export const normalizeTag = toHandle;
+
+/**
+ * Tags typed as a comma-separated list.
+ * @param {string} text
+ * @returns {string[]} Normalized, without duplicates
+ */
+export function parseTagList(text) {
+  return [...new Set(String(text || "").split(",").map(normalizeTag).filter(Boolean))];
+}
+
+function paperBaseHandle(paper) {
+  const metadata = paper.metadata || {};
+  const surname = toHandle(metadata.authors?.[0]?.trim().split(/\s+/).pop()).replace(/-/g, "");
+  if (surname) return `${surname}${metadata.year || ""}`;
+  return toHandle(paper.name.replace(/\.[^.]+$/, "")) || "paper";
+}
+
+/**
+ * Collections and tags in use, with their papers.
+ * @param {object[]} papers
+ * @returns {{collections: {name: string, handle: string, papers: object[]}[], tags: {tag: string, papers: object[]}[]}}
+ */
+export function libraryFacets(papers) {
+  const collections = new Map();
+  const tags = new Map();
+  papers.forEach((paper) => {
+    const name = paper.collection?.trim();
+    if (name) {
+      const handle = toHandle(name);
+      if (!collections.has(handle)) collections.set(handle, { name, handle, papers: [] });
+      collections.get(handle).papers.push(paper);
+    }
+    (paper.tags || []).forEach((tag) => {
+      if (!tags.has(tag)) tags.set(tag, { tag, papers: [] });
+      tags.get(tag).papers.push(paper);
+    });
+  });
+
+  const byName = (a, b) => (a.name ?? a.tag).localeCompare(b.name ?? b.tag);
+  return { collections: [...collections.values()].sort(byName), tags: [...tags.values()].sort(byName) };
+}
+
+/**
+ * Everything that can be @-mentioned. Each paper gets one unique handle
+ * (letters are appended when two papers share author and year; the shared
+ * handle then mentions all of them). BibTeX keys and file names also work
+ * but are marked `alias` so suggestion lists can skip them.
+ * @param {object[]} papers
+ * @returns {{handle: string, kind: "paper"|"papers"|"collection"|"tag", label: string, papers: object[], alias?: boolean}[]}
+ */
+export function mentionTargets(papers) {
+  const groups = new Map();
+  papers.forEach((paper) => {
+    const base = paperBaseHandle(paper);
+    if (!groups.has(base)) groups.set(base, []);
+    groups.get(base).push(paper);
+  });
+
+  const targets = [];
+  groups.forEach((group, base) => {
+    group.forEach((paper, i) => {
+      const handle = group.length === 1 ? base : `${base}${i < 26 ? String.fromCharCode(97 + i) : i + 1}`;
+      targets.push({ handle, kind: "paper", label: paper.name, papers: [paper] });
+    });
+    if (group.length > 1) targets.push({ handle: base, kind: "papers", label: `${group.length} papers`, papers: group });
+  });
+
+  papers.forEach((paper) => {
+    [paper.metadata?.bibKey, paper.name.replace(/\.[^.]+$/, "")].forEach((alias) => {
+      const handle = toHandle(alias);
+      if (handle && !targets.some((target) => target.handle === handle && target.papers.includes(paper))) {
+        targets.push({ handle, kind: "paper", label: paper.name, papers: [paper], alias: true });
+      }
+    });
+  });
+
+  const { collections, tags } = libraryFacets(papers);
+  collections.forEach(({ name, handle, papers: members }) => {
+    targets.push({ handle, kind: "collection", label: name, papers: members });
+  });
+  tags.forEach(({ tag, papers: members }) => {
+    targets.push({ handle: tag, kind: "tag", label: `#${tag}`, papers: members });
+  });
+  return targets;
+}
+
+/**
+ * Resolve the @-mentions in a question. Mentions are replaced by readable
+ * names in `query` (what is searched for and sent to the model); unknown
+ * mentions are left as typed.
+ * @param {string} text
+ * @param {object[]} papers
+ * @param {{labelFor?: (paper: object) => string}} [options] - How a mentioned paper is named in `query`
+ * @returns {{query: string, papers: object[], mentions: string[], unknown: string[]}}
+ */
+export function parseMentions(text, papers, { labelFor = (paper) => paper.name } = {}) {
+  const byHandle = new Map();
+  mentionTargets(papers).forEach((target) => {
+    if (!byHandle.has(target.handle)) byHandle.set(target.handle, []);
+    byHandle.get(target.handle).push(target);
+  });
+
+  const pinned = new Set();
+  const mentions = [];
+  const unknown = [];
+  const describe = (target) => {
+    if (target.kind === "paper") return labelFor(target.papers[0]);
+    if (target.kind === "papers") return target.papers.map(labelFor).join(" and ");
+    if (target.kind === "collection") return `the papers in "${target.label}"`;
+    return `the papers tagged ${target.label}`;
+  };
+
+  const query = text.replace(MENTION_PATTERN, (match, lead, raw) => {
+    // "@smith2021." at the end of a sentence
+    const trailing = raw.match(/[.-]+$/)?.[0] ?? "";
+    const word = raw.slice(0, raw.length - trailing.length);
+    const targets = byHandle.get(toHandle(word));
+    if (!targets) {
+      unknown.push(word);
+      return match;
+    }
+    targets.forEach((target) => target.papers.forEach((paper) => pinned.add(paper)));
+    mentions.push(word);
+    return `${lead}${targets.map(describe).join(" and ")}${trailing}`;
+  });
+
+  return { query, papers: papers.filter((paper) => pinned.has(paper)), mentions, unknown };
+}
+
+/**
+ * The partial mention being typed just before the caret, e.g. "vas" in "compare @vas".
+ * @param {string} text
+ * @param {number} caret
+ * @returns {{start: number, partial: string}|null} `start` is the index of the "@"
+ */
+export function mentionAtCaret(text, caret) {
+  const match = text.slice(0, caret).match(/(^|\s)@([\p{L}\p{N}_.-]*)$/u);
+  if (!match) return null;
+  return { start: caret - match[2].length - 1, partial: match[2] };
+}
@@ -0,0 +1,89 @@
+// sessions.js
+/**
+ * Saved chat sessions.
+ * A session is everything that shapes one conversation:
+ *
+ *   { id, name, autoNamed, createdAt, updatedAt,
+ *     messages, summary,            // message model (messages.js) + rolling summary
+ *     promptType, customPrompt,     // system prompt choice
+ *     temperature,
+ *     paperNames }                  // papers searched, or null for the whole library
+ *
+ * Sessions are plain objects so they can be stored in IndexedDB as they are.
+ */
+
+const DEFAULT_SESSION_NAME = "New session";
+const AUTO_NAME_LENGTH = 48;
+
+let nextId = 1;
+
+function sessionId() {
+  return `s${Date.now().toString(36)}-${nextId++}`;
+}
+
+/**
+ * @param {{name?: string, promptType?: string, customPrompt?: string, temperature?: number, paperNames?: string[]|null}} [fields]
+ * @returns {object}
+ */
+export function createSession({
+  name = null,
+  promptType = "default",
+  customPrompt = "",
+  temperature = 0.7,
+  paperNames = null,
+} = {}) {
+  const now = Date.now();
+  return {
+    id: sessionId(),
+    name: name || DEFAULT_SESSION_NAME,
+    autoNamed: !name, // Renamed after the first question until the user picks a name
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    summary: "",
+    promptType,
+    customPrompt,
+    temperature,
+    paperNames,
+  };
+}
+
+/**
+ * Independent copy of a session (messages included) under a new id.
+ * @param {object} session
+ * @param {string} [name]
+ * @returns {object}
+ */
+export function duplicateSession(session, name = `${session.name} (copy)`) {
+  const now = Date.now();
+  return {
+    ...structuredClone(session),
+    id: sessionId(),
+    name,
+    autoNamed: false,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Session name from its first question.
+ * @param {string} text
+ * @returns {string}
+ */
+export function sessionNameFrom(text) {
+  const line = text.replace(/\s+/g, " ").trim();
+  if (line.length <= AUTO_NAME_LENGTH) return line || DEFAULT_SESSION_NAME;
+  const cut = line.slice(0, AUTO_NAME_LENGTH);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${lastSpace > AUTO_NAME_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+/**
+ * Most recently used first.
+ * @param {object[]} sessions
+ * @returns {object[]}
+ */
+export function sortSessions(sessions) {
+  return [...sessions].sort((a, b) => b.updatedAt - a.updatedAt);
+}
@@ -0,0 +1,238 @@
+// storage.js
+/**
+ * IndexedDB persistence for the paper library and saved chat sessions.
+ * Keeps embedded chunks, paper metadata and the original PDF blobs so a page
+ * reload does not require re-running the embedder.
+ * Every function rejects if IndexedDB is unavailable; callers treat
+ * persistence as optional and keep working in memory.
+ */
+
+const DB_NAME = "ai-paper-assistant";
+const DB_VERSION = 2;
+const PAPERS_STORE = "papers"; // keyPath: name
+const CHUNKS_STORE = "chunks"; // keyPath: [source, chunkIndex]
+const SESSIONS_STORE = "sessions"; // keyPath: id (v2)
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+}
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(PAPERS_STORE)) {
+        db.createObjectStore(PAPERS_STORE, { keyPath: "name" });
+      }
+      if (!db.objectStoreNames.contains(CHUNKS_STORE)) {
+        const chunks = db.createObjectStore(CHUNKS_STORE, { keyPath: ["source", "chunkIndex"] });
+        chunks.createIndex("source", "source", { unique: false });
+      }
+      if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+        db.createObjectStore(SESSIONS_STORE, { keyPath: "id" });
+      }
+    };
+
+    // Another tab still holds an older version open; the upgrade cannot run
+    // until it closes, so fail now and let callers fall back to memory
+    let blocked = false;
+    request.onblocked = () => {
+      blocked = true;
+      reject(new Error("The paper library is open in another tab with an older version. Close other tabs of this app and reload."));
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      if (blocked) {
+        // The other tab closed after we gave up; don't keep a stray connection
+        db.close();
+        return;
+      }
+      // Step aside when a newer version of the app opens the database elsewhere
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a retry on the next call if opening failed
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+// Embeddings are stored as Float32Array (half the size of a JS number array)
+function serializeChunk(chunk) {
+  return {
+    ...chunk,
+    embedding: chunk.embedding ? Float32Array.from(chunk.embedding) : null,
+  };
+}
+
+function deserializeChunk(record) {
+  return {
+    ...record,
+    embedding: record.embedding ? Float32Array.from(record.embedding) : null,
+  };
+}
+
+/**
+ * Load every stored paper and chunk.
+ * @returns {Promise<{papers: object[], chunks: object[]}>}
+ */
+export async function loadLibrary() {
+  const db = await openDatabase();
+  const tx = db.transaction([PAPERS_STORE, CHUNKS_STORE], "readonly");
+
+  const [papers, chunkRecords] = await Promise.all([
+    requestToPromise(tx.objectStore(PAPERS_STORE).getAll()),
+    requestToPromise(tx.objectStore(CHUNKS_STORE).getAll()),
+  ]);
+
+  papers.sort((a, b) => new Date(a.uploadTime) - new Date(b.uploadTime));
+  return { papers, chunks: chunkRecords.map(deserializeChunk) };
+}
+
+/**
+ * Save (or replace) a paper together with its embedded chunks.
+ * @param {{name: string, chunks: number, uploadTime: Date, file: Blob}} paper
+ * @param {object[]} chunks
+ */
+export async function savePaper(paper, chunks) {
+  const db = await openDatabase();
+  const tx = db.transaction([PAPERS_STORE, CHUNKS_STORE], "readwrite");
+  const chunkStore = tx.objectStore(CHUNKS_STORE);
+
+  tx.objectStore(PAPERS_STORE).put(paper);
+  chunkStore.delete(IDBKeyRange.bound([paper.name, -Infinity], [paper.name, Infinity]));
+  chunks.forEach((chunk) => chunkStore.put(serializeChunk(chunk)));
+
+  await transactionDone(tx);
+}
+
+/**
+ * Update a paper record (e.g. its metadata) without touching its chunks.
+ * @param {{name: string}} paper
+ */
+export async function updatePaper(paper) {
+  const db = await openDatabase();
+  const tx = db.transaction(PAPERS_STORE, "readwrite");
+  tx.objectStore(PAPERS_STORE).put(paper);
+  await transactionDone(tx);
+}
+
+/**
+ * Delete a paper and all of its chunks.
+ * @param {string} name
+ */
+export async function deletePaper(name) {
+  const db = await openDatabase();
+  const tx = db.transaction([PAPERS_STORE, CHUNKS_STORE], "readwrite");
+
+  tx.objectStore(PAPERS_STORE).delete(name);
+  tx.objectStore(CHUNKS_STORE).delete(IDBKeyRange.bound([name, -Infinity], [name, Infinity]));
+
+  await transactionDone(tx);
+}
+
+/**
+ * Remove every stored paper and chunk.
+ */
+export async function clearLibrary() {
+  const db = await openDatabase();
+  const tx = db.transaction([PAPERS_STORE, CHUNKS_STORE], "readwrite");
+
+  tx.objectStore(PAPERS_STORE).clear();
+  tx.objectStore(CHUNKS_STORE).clear();
+
+  await transactionDone(tx);
+}
+
+// --- Chat sessions ---
+
+/**
+ * Load every saved chat session.
+ * @returns {Promise<object[]>}
+ */
+export async function loadSessions() {
+  const db = await openDatabase();
+  const tx = db.transaction(SESSIONS_STORE, "readonly");
+  return requestToPromise(tx.objectStore(SESSIONS_STORE).getAll());
+}
+
+/**
+ * Save (or replace) a chat session.
+ * @param {{id: string}} session
+ */
+export async function saveSession(session) {
+  const db = await openDatabase();
+  const tx = db.transaction(SESSIONS_STORE, "readwrite");
+  tx.objectStore(SESSIONS_STORE).put(session);
+  await transactionDone(tx);
+}
+
+/**
+ * @param {string} id
+ */
+export async function deleteSession(id) {
+  const db = await openDatabase();
+  const tx = db.transaction(SESSIONS_STORE, "readwrite");
+  tx.objectStore(SESSIONS_STORE).delete(id);
+  await transactionDone(tx);
+}
+
+/**
+ * Browser storage usage for this origin (includes cached model weights).
+ * @returns {Promise<{usage: number, quota: number}|null>}
+ */
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+}
+
+/**
+ * Approximate size of the library itself: PDF blobs, chunk text and
+ * Float32 embeddings.
+ * @param {{file?: Blob}[]} papers
+ * @param {{text: string}[]} chunks
+ * @param {number} dimensions - Embedding dimensions
+ * @returns {number} Bytes
+ */
+export function estimateLibraryBytes(papers, chunks, dimensions) {
+  const fileBytes = papers.reduce((sum, paper) => sum + (paper.file?.size || 0), 0);
+  const chunkBytes = chunks.reduce((sum, chunk) => sum + chunk.text.length * 2 + dimensions * 4, 0);
+  return fileBytes + chunkBytes;
+}
+
+export function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+  return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
@@ -0,0 +1,225 @@
+// vector-store.js
+/**
+ * Vector store with contiguous Float32Array storage.
+ * Embeddings from the embedder are L2-normalized, so cosine similarity is a
+ * plain dot product. Search is exact (brute force) by default; an optional
+ * HNSW index gives approximate search for large libraries and is updated
+ * incrementally on every add/remove.
+ */
+
+import { createHNSWIndex } from "./hnsw.js";
+
+const INITIAL_CAPACITY = 1024;
+
+/**
+ * Calculate cosine similarity between two vectors
+ * Formula: similarity = (Á·B) / (||Á|| × ||B||)
+ * Kept for vectors that are not normalized (e.g. averaged document vectors).
+ * @param {ArrayLike<number>} vecA - First vector
+ * @param {ArrayLike<number>} vecB - Second vector
+ * @returns {number} Similarity score between 0 and 1
+ */
+export function cosineSimilarity(vecA, vecB) {
+  if (!vecA || !vecB) {
+    console.warn("❌ One or both vectors are null/undefined");
+    return 0;
+  }
+  
+  if (vecA.length !== vecB.length) {
+    console.warn(`❌ Vector length mismatch: ${vecA.length} vs ${vecB.length}`);
+    return 0;
+  }
+  
+  if (vecA.length === 0) return 0;
+
+  // Calculate dot product and magnitudes
+  let dotProduct = 0;
+  let magnitudeA = 0;
+  let magnitudeB = 0;
+  
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    magnitudeA += vecA[i] * vecA[i];
+    magnitudeB += vecB[i] * vecB[i];
+  }
+  
+  // Calculate magnitudes (L2 norm)
+  magnitudeA = Math.sqrt(magnitudeA);
+  magnitudeB = Math.sqrt(magnitudeB);
+  
+  // Avoid division by zero
+  if (magnitudeA === 0 || magnitudeB === 0) {
+    console.warn("❌ One or both vectors have zero magnitude");
+    return 0;
+  }
+  
+  // Return cosine similarity
+  const similarity = dotProduct / (magnitudeA * magnitudeB);
+  return Math.max(0, Math.min(1, similarity)); // Clamp between 0 and 1
+}
+
+/**
+ * Dot product of two equally long vectors (cosine similarity for normalized vectors).
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number}
+ */
+export function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.dimensions] - Inferred from the first vector if omitted
+ * @param {object|false} [options.ann] - HNSW options ({ M, efConstruction, efSearch }) or false for exact search only
+ */
+export function createVectorStore({ dimensions = null, ann = false } = {}) {
+  let dims = dimensions;
+  let capacity = 0;
+  let data = new Float32Array(0); // slot-major: vector of slot i at [i * dims, (i + 1) * dims)
+  const ids = []; // slot -> id
+  const slots = new Map(); // id -> slot
+  let annIndex = null;
+
+  function vectorAt(slot) {
+    return data.subarray(slot * dims, (slot + 1) * dims);
+  }
+
+  function getVector(id) {
+    const slot = slots.get(id);
+    return slot === undefined ? null : vectorAt(slot);
+  }
+
+  function ensureCapacity(required) {
+    if (required <= capacity) return;
+    let nextCapacity = Math.max(capacity, INITIAL_CAPACITY);
+    while (nextCapacity < required) nextCapacity *= 2;
+
+    const grown = new Float32Array(nextCapacity * dims);
+    grown.set(data.subarray(0, ids.length * dims));
+    data = grown;
+    capacity = nextCapacity;
+  }
+
+  /**
+   * Add or replace a vector.
+   * @param {string} id
+   * @param {ArrayLike<number>} vector
+   */
+  function add(id, vector) {
+    if (dims === null) dims = vector.length;
+    if (vector.length !== dims) {
+      throw new Error(`Vector length mismatch: expected ${dims}, got ${vector.length}`);
+    }
+
+    let slot = slots.get(id);
+    if (slot === undefined) {
+      slot = ids.length;
+      ensureCapacity(slot + 1);
+      ids.push(id);
+      slots.set(id, slot);
+    } else {
+      annIndex?.remove(id);
+    }
+
+    data.set(vector, slot * dims);
+    annIndex?.insert(id);
+  }
+
+  function remove(id) {
+    const slot = slots.get(id);
+    if (slot === undefined) return;
+
+    annIndex?.remove(id);
+
+    // Keep storage contiguous: move the last vector into the freed slot
+    const lastSlot = ids.length - 1;
+    if (slot !== lastSlot) {
+      const lastId = ids[lastSlot];
+      data.copyWithin(slot * dims, lastSlot * dims, (lastSlot + 1) * dims);
+      ids[slot] = lastId;
+      slots.set(lastId, slot);
+    }
+    ids.pop();
+    slots.delete(id);
+  }
+
+  /**
+   * Exact top-k by dot product.
+   * @param {ArrayLike<number>} query
+   * @param {number} k
+   * @param {number} [minScore]
+   * @returns {{id: string, score: number}[]} Best first
+   */
+  function searchExact(query, k, minScore = -Infinity) {
+    const results = [];
+    for (let slot = 0; slot < ids.length; slot++) {
+      const offset = slot * dims;
+      let score = 0;
+      for (let d = 0; d < dims; d++) score += query[d] * data[offset + d];
+      if (score >= minScore) results.push({ id: ids[slot], score });
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+
+  /**
+   * Top-k search; uses the HNSW index when enabled unless `exact` is set.
+   * @param {ArrayLike<number>} query
+   * @param {{k?: number, minScore?: number, exact?: boolean, ef?: number}} [options]
+   * @returns {{id: string, score: number}[]} Best first
+   */
+  function search(query, { k = 10, minScore = -Infinity, exact = false, ef } = {}) {
+    if (ids.length === 0) return [];
+    const queryVector = query instanceof Float32Array ? query : Float32Array.from(query);
+
+    if (annIndex && !exact) {
+      return annIndex.search(queryVector, k, ef).filter((result) => result.score >= minScore);
+    }
+    return searchExact(queryVector, k, minScore);
+  }
+
+  /**
+   * Build (or drop, with `false`) the HNSW index over the stored vectors.
+   * @param {object|false} options
+   */
+  function setANN(options) {
+    annIndex = null;
+    if (!options) return;
+
+    annIndex = createHNSWIndex({ getVector, similarity: dotProduct, ...options });
+    ids.forEach((id) => annIndex.insert(id));
+  }
+
+  function clear() {
+    ids.length = 0;
+    slots.clear();
+    annIndex?.clear();
+  }
+
+  if (ann) setANN(ann);
+
+  return {
+    add,
+    remove,
+    search,
+    setANN,
+    clear,
+    has: (id) => slots.has(id),
+    /** Copy of a stored vector (safe to keep; storage may be reallocated). */
+    get: (id) => {
+      const vector = getVector(id);
+      return vector ? Float32Array.from(vector) : null;
+    },
+    get size() {
+      return ids.length;
+    },
+    get dimensions() {
+      return dims;
+    },
+    get annEnabled() {
+      return annIndex !== null;
+    },
+  };
+}
@@ -0,0 +1,268 @@
+// verification.js
+/**
+ * Post-generation verification (hallucination guard).
+ * An answer is split into sentences and each claim is checked against the
+ * passages it was generated from:
+ *
+ * - sources: every cited source must be an uploaded paper ("[smith2020.pdf]",
+ *   "[Smith et al., 2020]" and "Smith et al. (2020)" in prose included, the
+ *   latter citing the paper like a bracket would) and numbered citations must
+ *   point at a retrieved chunk;
+ * - numbers and quoted phrases must appear in the cited passages;
+ * - a cited sentence must share some vocabulary with its passages.
+ *
+ * Sentences end up supported, unsupported or uncited; headings and short
+ * connective lines are not claims and stay unmarked (status null).
+ * The checks are lexical, so they catch invented sources and numbers, not
+ * every misreading.
+ */
+
+import { parseCitations, resolveCitation } from "./citations.js";
+import { tokenize } from "./bm25.js";
+import { toHandle } from "./scope.js";
+
+const MIN_OVERLAP = 0.2; // Share of a cited sentence's terms that must occur in its passages
+const MIN_OVERLAP_TERMS = 5; // Shorter sentences skip the overlap check
+const MIN_CLAIM_TERMS = 4; // Shorter lines without numbers are not treated as claims
+
+const BRACKET_PATTERN = /\[([^[\]\n]{1,200})\]/g;
+const CITATION_RUN = /^(\s*\[[^[\]\n]{1,200}\])+[.,;:]?/;
+const ABBREVIATION_END = /\b(et al|e\.g|i\.e|etc|vs|cf|fig|figs|eq|eqs|sec|no|approx|resp)\.$/i;
+const NUMERIC_CITATION = /^\s*(source:\s*)?\d+(\s*[,;]\s*\d+)*\s*$/i;
+const FILE_NAME = /[\p{L}\p{N}_.-]+\.(pdf|txt|md|tex|docx?|html?)\b/iu;
+const FILE_NAMES = new RegExp(FILE_NAME.source, "giu");
+const AUTHOR_YEAR = /^(\p{Lu}[\p{L}'-]+)(\s+et al\.?|\s+(and|&)\s+\p{Lu}[\p{L}'-]+)?,?\s*\(?((19|20)\d{2})[a-z]?\)?$/u;
+// "Smith et al. (2020)", "Smith et al., 2020", "Smith and Jones (2020)"
+const PROSE_AUTHOR_YEAR = /\b(\p{Lu}[\p{L}'-]+)(\s+et al\.?,?\s*\(?|\s+(and|&)\s+\p{Lu}[\p{L}'-]+\s*\()((19|20)\d{2})[a-z]?\)?/gu;
+const QUOTED = /["“]([^"”\n]{8,300})["”]/g;
+const NUMBER = /(?<![\p{L}\p{N}.])\d+(,\d{3})*(\.\d+)?(\s?%)?/gu;
+const YEAR = /^(19|20)\d{2}$/;
+const LIST_MARKER = /^\s*(#+\s*|[-*•]\s+|\d+[.)]\s+|\*\*)/;
+const NUMBER_WORDS = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten"];
+
+function normalizeForMatch(text) {
+  return String(text || "").toLowerCase().replace(/[^\p{L}\p{N}%.]+/gu, " ").replace(/\s+/g, " ").trim();
+}
+
+// Crude stemming so "trained" matches "training"
+function stem(term) {
+  return term.length > 5 ? term.slice(0, 5) : term;
+}
+
+function numberValues(text) {
+  const values = new Set();
+  for (const match of String(text || "").matchAll(NUMBER)) {
+    values.add(parseFloat(match[0].replace(/[,%\s]/g, "")));
+  }
+  // "two tasks" in a passage supports "2 tasks" in the answer
+  const words = new Set(String(text || "").toLowerCase().match(/\p{L}+/gu) || []);
+  NUMBER_WORDS.forEach((word, value) => { if (words.has(word)) values.add(value); });
+  return values;
+}
+
+/**
+ * Sentence spans of an answer. Line breaks always end a sentence; citations
+ * written after the full stop ("... results. [2]") stay with their sentence.
+ * @param {string} text
+ * @returns {{start: number, end: number, text: string}[]} Offsets into `text`, whitespace between sentences excluded
+ */
+export function splitSentences(text) {
+  const spans = [];
+  const push = (start, end) => {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    if (end > start) spans.push({ start, end });
+  };
+
+  let start = 0;
+  for (const match of text.matchAll(/([.!?]["'”)]*)([ \t]+)|\n+/g)) {
+    const end = match.index + (match[1]?.length ?? 0);
+    if (match[1] && ABBREVIATION_END.test(text.slice(start, end))) continue;
+
+    // Move citations that follow the full stop back onto this sentence
+    let next = match.index + match[0].length;
+    const trailing = match[1] ? CITATION_RUN.exec(text.slice(next)) : null;
+    if (trailing) {
+      push(start, next + trailing[0].length);
+      start = next + trailing[0].length;
+      continue;
+    }
+    push(start, end);
+    start = next;
+  }
+  push(start, text.length);
+
+  return spans.map((span) => ({ ...span, text: text.slice(span.start, span.end) }));
+}
+
+/**
+ * Check an answer against the passages it was generated from.
+ * @param {string} text
+ * @param {object} options
+ * @param {object[]} [options.sources] - Chunks numbered [1..n] in the prompt
+ * @param {object[]} [options.evidence] - Every passage the answer may draw on (defaults to `sources`)
+ * @param {{name: string, metadata?: object}[]} [options.papers] - Uploaded papers
+ * @param {Object<string, string>} [options.aliases] - Citation label -> paper name
+ * @returns {{sentences: {start: number, end: number, status: "supported"|"unsupported"|"uncited"|null, issues: string[]}[], unknownSources: string[], counts: {supported: number, unsupported: number, uncited: number}}}
+ */
+export function verifyAnswer(text, { sources = [], evidence = sources, papers = [], aliases = {} } = {}) {
+  const paperNames = papers.map((paper) => paper.name);
+  const knownNames = new Set(paperNames.map((name) => name.toLowerCase()));
+  const knownAuthorYears = new Map(); // "vaswani 2017" -> names of the papers it can mean
+  papers.forEach((paper) => {
+    const year = paper.metadata?.year;
+    (paper.metadata?.authors || []).forEach((author) => {
+      const surname = toHandle(author.trim().split(/\s+/).pop());
+      if (!surname || !year) return;
+      const key = `${surname} ${year}`;
+      if (!knownAuthorYears.has(key)) knownAuthorYears.set(key, new Set());
+      knownAuthorYears.get(key).add(paper.name);
+    });
+  });
+  const isKnownAuthorYear = (surname, year) => knownAuthorYears.has(`${toHandle(surname)} ${year}`);
+
+  // "Vaswani et al. (2017)" in prose cites the paper its label names or, when the
+  // wording differs from the label ("Smith and Jones" for "Smith & Jones"), every
+  // paper with that author and year
+  const proseCitations = (match) => {
+    const resolved = resolveCitation(match[0], sources, paperNames, aliases);
+    if (resolved) return resolved;
+    return [...knownAuthorYears.get(`${toHandle(match[1])} ${match[4]}`)]
+      .map((paper) => ({ label: match[0].trim(), sourceIndex: null, paper }));
+  };
+
+  const unknownSources = new Set();
+  const counts = { supported: 0, unsupported: 0, uncited: 0 };
+
+  const sentences = splitSentences(text || "").map(({ start, end, text: sentence }) => {
+    const issues = [];
+    const citations = parseCitations(sentence, { sources, paperNames, aliases })
+      .filter((segment) => segment.type === "citation");
+
+    // Sources that are not in the library, or numbers with no retrieved chunk behind them
+    for (const match of sentence.matchAll(BRACKET_PATTERN)) {
+      const inner = match[1].replace(/^\s*source:\s*/i, "").trim();
+      if (NUMERIC_CITATION.test(inner)) {
+        inner.match(/\d+/g)
+          .filter((n) => n < 1 || n > sources.length)
+          .forEach((n) => issues.push(`[${n}] does not match any retrieved passage`));
+      } else if (!citations.some((citation) => citation.raw === match[0])) {
+        const author = AUTHOR_YEAR.exec(inner);
+        if ((author && !isKnownAuthorYear(author[1], author[4])) || (!author && FILE_NAME.test(inner))) {
+          unknownSources.add(inner);
+          issues.push(`Cites "${inner}", which is not in your library`);
+        }
+      }
+    }
+    const prose = sentence.replace(BRACKET_PATTERN, " ");
+    for (const match of prose.matchAll(FILE_NAMES)) {
+      if (!knownNames.has(match[0].toLowerCase())) {
+        unknownSources.add(match[0]);
+        issues.push(`Mentions "${match[0]}", which is not in your library`);
+      }
+    }
+    for (const match of prose.matchAll(PROSE_AUTHOR_YEAR)) {
+      if (isKnownAuthorYear(match[1], match[4])) {
+        proseCitations(match)
+          .filter((citation) => !citations.some((other) => other.paper === citation.paper))
+          .forEach((citation) => citations.push({ type: "citation", raw: match[0], ...citation }));
+        continue;
+      }
+      const label = match[0].trim();
+      unknownSources.add(label);
+      issues.push(`Refers to "${label}", which is not in your library`);
+    }
+
+    // Claims: numbers and quotes outside citations and author-year labels
+    const claimText = prose.replace(PROSE_AUTHOR_YEAR, " ").replace(LIST_MARKER, "");
+    const numbers = [...claimText.matchAll(NUMBER)]
+      .map((match) => match[0].trim())
+      .filter((number) => !YEAR.test(number));
+    const quotes = [...claimText.matchAll(QUOTED)]
+      .map((match) => match[1].trim())
+      .filter((quote) => quote.split(/\s+/).length >= 3);
+    const terms = tokenize(claimText);
+
+    const isHeading = /^\s*#/.test(sentence) || /:\s*$/.test(sentence);
+    const isClaim = !isHeading && (numbers.length > 0 || quotes.length > 0 || terms.length >= MIN_CLAIM_TERMS);
+    if (!isClaim && issues.length === 0) return { start, end, status: null, issues };
+
+    // Passages a sentence can be checked against: the chunks it cites, else everything retrieved
+    const cited = citations.length > 0 || issues.length > 0;
+    const passages = citations.flatMap((citation) =>
+      citation.sourceIndex !== null && NUMERIC_CITATION.test(citation.label)
+        ? [sources[citation.sourceIndex]]
+        : evidence.filter((chunk) => chunk.source === citation.paper)
+    );
+    citations
+      .filter((citation) => !evidence.some((chunk) => chunk.source === citation.paper))
+      .forEach((citation) => issues.push(`${citation.paper} was not among the retrieved passages`));
+
+    const passageText = (cited ? passages : evidence).map((chunk) => chunk?.text || "").join("\n");
+    const available = numberValues(passageText);
+    numbers
+      .filter((number) => !available.has(parseFloat(number.replace(/[,%\s]/g, ""))))
+      .forEach((number) => issues.push(`${number} does not appear in the ${cited ? "cited" : "retrieved"} passages`));
+
+    const normalizedPassages = normalizeForMatch(passageText);
+    quotes
+      .filter((quote) => !normalizedPassages.includes(normalizeForMatch(quote)))
+      .forEach((quote) => issues.push(`Quote "${quote}" does not appear in the ${cited ? "cited" : "retrieved"} passages`));
+
+    if (citations.length > 0 && passages.length > 0 && terms.length >= MIN_OVERLAP_TERMS) {
+      const passageTerms = new Set(tokenize(passageText).map(stem));
+      const overlap = terms.filter((term) => passageTerms.has(stem(term))).length / terms.length;
+      if (overlap < MIN_OVERLAP) issues.push("Shares little wording with the cited passages");
+    }
+
+    const status = !cited ? "uncited" : issues.length > 0 ? "unsupported" : "supported";
+    counts[status]++;
+    return { start, end, status, issues: [...new Set(issues)] };
+  });
+
+  return { sentences, unknownSources: [...unknownSources], counts };
+}
+
+/**
+ * Sentences a revision should address: unsupported ones, and uncited ones
+ * whose numbers or quotes are not in any retrieved passage.
+ * @param {ReturnType<typeof verifyAnswer>} verification
+ * @returns {object[]}
+ */
+export function flaggedSentences(verification) {
+  return verification.sentences.filter(
+    (sentence) => sentence.status === "unsupported" || (sentence.status === "uncited" && sentence.issues.length > 0)
+  );
+}
+
+/**
+ * Messages asking the LLM to revise the flagged claims of an answer.
+ * @param {object} params
+ * @param {string} params.question
+ * @param {string} params.answer
+ * @param {ReturnType<typeof verifyAnswer>} params.verification
+ * @param {string} params.context - The passages the answer was generated from, as shown to the model
+ * @returns {{role: string, content: string}[]}
+ */
+export function buildRevisionMessages({ question, answer, verification, context }) {
+  const problems = flaggedSentences(verification)
+    .map((sentence) => `- "${answer.slice(sentence.start, sentence.end)}"\n  Problems: ${sentence.issues.join("; ")}`)
+    .join("\n");
+
+  return [
+    {
+      role: "system",
+      content:
+        "You are a careful research assistant who fixes unsupported claims in answers about uploaded papers. " +
+        "Use only the provided passages. Keep every supported sentence and the citation style of the original answer. " +
+        "Correct or remove the flagged claims, never cite a source that is not in the passages, and do not add new claims. " +
+        "Reply with the revised answer only.",
+    },
+    {
+      role: "user",
+      content:
+        `${context}Question: ${question}\n\n--- ANSWER ---\n${answer}\n--- END ANSWER ---\n\n` +
+        `--- FLAGGED SENTENCES ---\n${problems}\n--- END FLAGGED SENTENCES ---\n\nRevise the answer.`,
+    },
+  ];
+}
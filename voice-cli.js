@@ -0,0 +1,146 @@
+// voice-cli.js
+/**
+ * Headless replay of recorded WAV fixtures through the voice-mode detector
+ * and state machine (Node 20+):
+ *
+ *   node --experimental-default-type=module voice-cli.js <fixtures-dir> [options]
+ *
+ *   --threshold <x>          --noise-ratio <x>
+ *   --min-speech <ms>        --silence <ms>        --pre-roll <ms>
+ *   --frame <ms>             Frame size fed to the detector (default 30)
+ *
+ * <fixtures-dir>/expected.json lists the fixtures with the utterances
+ * ({startMs, endMs}) and state transitions ({timeMs, from, to, event}) each
+ * should produce, and optional replayVoiceFixture options per case. Times
+ * may differ by `toleranceMs`. Exits with status 1 on any mismatch, so
+ * detector changes can be checked the way voice-lab.html tunes them.
+ */
+
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+
+import { decodeWav, replayVoiceFixture } from "./voice.js";
+
+const DEFAULT_TOLERANCE_MS = 60;
+const VAD_OPTIONS = {
+  threshold: "threshold",
+  "noise-ratio": "noiseRatio",
+  "min-speech": "minSpeechMs",
+  silence: "silenceMs",
+  "pre-roll": "preRollMs",
+};
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) positional.push(arg);
+    else options[arg.slice(2)] = argv[++i];
+  }
+  return { positional, options };
+}
+
+function numberOption(value, name) {
+  const number = Number(value);
+  if (Number.isNaN(number)) throw new Error(`--${name} needs a number`);
+  return number;
+}
+
+function parseFixtures(data) {
+  const parsed = JSON.parse(data);
+  if (!Array.isArray(parsed?.cases) || parsed.cases.length === 0) {
+    throw new Error('Fixture list needs a non-empty "cases" array');
+  }
+  parsed.cases.forEach((fixture, i) => {
+    if (typeof fixture?.file !== "string") throw new Error(`Case ${i + 1} has no file`);
+  });
+  return {
+    name: String(parsed.name || "Voice fixtures"),
+    toleranceMs: Number(parsed.toleranceMs ?? DEFAULT_TOLERANCE_MS),
+    cases: parsed.cases,
+  };
+}
+
+const formatUtterance = ({ startMs, endMs }) => `${startMs}-${endMs} ms`;
+const formatTransition = ({ timeMs, from, to, event }) => `${timeMs} ms ${from} -> ${to} (${event})`;
+
+// Differences between what a fixture produced and what it should, as readable lines
+function compareReplay(result, fixture, toleranceMs) {
+  const problems = [];
+  const near = (a, b) => Math.abs(a - b) <= toleranceMs;
+
+  const expectedUtterances = fixture.utterances ?? [];
+  if (result.utterances.length !== expectedUtterances.length) {
+    problems.push(`${result.utterances.length} utterances, expected ${expectedUtterances.length}`);
+  }
+  expectedUtterances.forEach((expected, i) => {
+    const actual = result.utterances[i];
+    if (actual && !(near(actual.startMs, expected.startMs) && near(actual.endMs, expected.endMs))) {
+      problems.push(`utterance ${i + 1} at ${formatUtterance(actual)}, expected ${formatUtterance(expected)}`);
+    }
+  });
+
+  if (fixture.transitions) {
+    const length = Math.max(result.transitions.length, fixture.transitions.length);
+    for (let i = 0; i < length; i++) {
+      const actual = result.transitions[i];
+      const expected = fixture.transitions[i];
+      const same = actual && expected &&
+        actual.from === expected.from && actual.to === expected.to && actual.event === expected.event &&
+        near(actual.timeMs, expected.timeMs);
+      if (!same) {
+        problems.push(`transition ${i + 1} is ${actual ? formatTransition(actual) : "missing"}, expected ${expected ? formatTransition(expected) : "none"}`);
+        break; // Everything after the first divergence differs too
+      }
+    }
+  }
+  return problems;
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [fixturesDir] = positional;
+  if (!fixturesDir) {
+    console.error("Usage: node --experimental-default-type=module voice-cli.js <fixtures-dir> [--threshold x] [--silence ms] [--frame ms]");
+    process.exit(2);
+  }
+
+  const vad = {};
+  Object.entries(VAD_OPTIONS).forEach(([flag, key]) => {
+    if (options[flag] !== undefined) vad[key] = numberOption(options[flag], flag);
+  });
+  const frameMs = options.frame !== undefined ? numberOption(options.frame, "frame") : undefined;
+
+  const fixtures = parseFixtures(await readFile(join(fixturesDir, "expected.json"), "utf8"));
+  console.log(`🎙️ ${fixtures.name}: ${fixtures.cases.length} fixtures (±${fixtures.toleranceMs} ms)\n`);
+
+  let failures = 0;
+  for (const fixture of fixtures.cases) {
+    const file = await readFile(join(fixturesDir, fixture.file));
+    const { sampleRate, samples } = decodeWav(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength));
+    const caseOptions = fixture.options || {};
+    const result = replayVoiceFixture(samples, sampleRate, {
+      ...caseOptions,
+      frameMs: frameMs ?? caseOptions.frameMs,
+      vad: { ...caseOptions.vad, ...vad },
+    });
+
+    const problems = compareReplay(result, fixture, fixtures.toleranceMs);
+    const heard = result.utterances.length > 0 ? result.utterances.map(formatUtterance).join(", ") : "no utterances";
+    console.log(`${problems.length === 0 ? "✅" : "❌"} ${fixture.file} (${sampleRate} Hz): ${heard}`);
+    problems.forEach((problem) => console.log(`   ${problem}`));
+    if (problems.length > 0) failures++;
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} of ${fixtures.cases.length} fixtures differ from expected.json`);
+    process.exit(1);
+  }
+  console.log("\n✅ All fixtures match");
+}
+
+main().catch((error) => {
+  console.error("❌ Voice replay failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,203 @@
+// voice-lab.js
+console.log("✅ voice-lab.js loaded");
+
+/**
+ * Replays WAV fixtures through the voice-mode VAD and state machine, so
+ * thresholds and timings can be tuned and checked without a live microphone.
+ * voice-cli.js replays the committed fixtures (eval-fixtures/voice) headlessly
+ * against their expected results.
+ */
+
+import { pipeline } from "https://cdn.jsdelivr.net/npm/@xenova/transformers@2.6.0";
+import { WHISPER_SAMPLE_RATE, decodeWav, replayVoiceFixture, resample } from "./voice.js";
+
+const WHISPER_MODEL = "Xenova/whisper-tiny";
+
+// --- UI Refs ---
+const filesInput = document.getElementById("lab-files");
+const thresholdInput = document.getElementById("lab-threshold");
+const noiseRatioInput = document.getElementById("lab-noise-ratio");
+const minSpeechInput = document.getElementById("lab-min-speech");
+const silenceInput = document.getElementById("lab-silence");
+const preRollInput = document.getElementById("lab-pre-roll");
+const frameInput = document.getElementById("lab-frame");
+const transcribingInput = document.getElementById("lab-stage-transcribing");
+const thinkingInput = document.getElementById("lab-stage-thinking");
+const speakingInput = document.getElementById("lab-stage-speaking");
+const transcribeCheckbox = document.getElementById("lab-transcribe");
+const runBtn = document.getElementById("lab-run");
+const statusEl = document.getElementById("lab-status");
+const resultsEl = document.getElementById("lab-results");
+
+let transcriber = null;
+
+function setStatus(text) {
+  statusEl.textContent = text;
+  console.log(`🎙️ ${text}`);
+}
+
+const nextFrame = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const numberFrom = (input, fallback) => {
+  const value = parseFloat(input.value);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char]);
+}
+
+const seconds = (ms) => `${(ms / 1000).toFixed(2)}s`;
+
+// --- Rendering ---
+
+// RMS per frame, the threshold line and detected utterances shaded
+function drawRms(canvas, rms, frameMs, utterances, threshold) {
+  const context = canvas.getContext("2d");
+  const { width, height } = canvas;
+  const peak = Math.max(threshold * 2, ...rms);
+  const totalMs = rms.length * frameMs;
+  const x = (ms) => (ms / totalMs) * width;
+  const y = (value) => height - (value / peak) * height;
+
+  context.clearRect(0, 0, width, height);
+  context.fillStyle = "rgba(99, 102, 241, 0.15)";
+  utterances.forEach(({ startMs, endMs }) => context.fillRect(x(startMs), 0, x(endMs) - x(startMs), height));
+
+  context.strokeStyle = "#6366f1";
+  context.beginPath();
+  rms.forEach((value, i) => (i === 0 ? context.moveTo(0, y(value)) : context.lineTo(x(i * frameMs), y(value))));
+  context.stroke();
+
+  context.strokeStyle = "#ef4444";
+  context.setLineDash([4, 4]);
+  context.beginPath();
+  context.moveTo(0, y(threshold));
+  context.lineTo(width, y(threshold));
+  context.stroke();
+  context.setLineDash([]);
+}
+
+function renderFixture({ name, durationMs, sampleRate, result, frameMs, threshold, transcripts }) {
+  const card = document.createElement("section");
+  card.className = "glass-panel rounded-3xl p-5 shadow-neu-soft";
+
+  const utteranceRows = result.utterances
+    .map((utterance, i) => `
+      <tr class="border-b border-gray-100">
+        <td class="py-1">${i + 1}</td>
+        <td class="py-1">${seconds(utterance.startMs)}</td>
+        <td class="py-1">${seconds(utterance.endMs)}</td>
+        <td class="py-1">${seconds(utterance.endMs - utterance.startMs)}</td>
+        <td class="py-1 text-gray-500">${transcripts ? escapeHtml(transcripts[i] || "—") : ""}</td>
+      </tr>
+    `)
+    .join("");
+
+  const transitionRows = result.transitions
+    .map((transition) => `
+      <tr class="border-b border-gray-100">
+        <td class="py-1">${seconds(transition.timeMs)}</td>
+        <td class="py-1">${transition.from} → <span class="font-medium">${transition.to}</span></td>
+        <td class="py-1 text-gray-500">${transition.event}</td>
+      </tr>
+    `)
+    .join("");
+
+  card.innerHTML = `
+    <h3 class="font-bold text-gray-700 mb-1">${escapeHtml(name)}</h3>
+    <div class="text-[10px] text-gray-400 mb-3">${seconds(durationMs)} • ${sampleRate} Hz • ${result.utterances.length} utterance(s)</div>
+    <canvas width="800" height="120" class="w-full h-28 bg-white/60 rounded-lg mb-4"></canvas>
+    <div class="grid md:grid-cols-2 gap-4 text-xs">
+      <table class="w-full">
+        <thead><tr class="text-left text-gray-500 border-b border-gray-200">
+          <th class="py-1">#</th><th class="py-1">Start</th><th class="py-1">End</th><th class="py-1">Length</th><th class="py-1">${transcripts ? "Transcript" : ""}</th>
+        </tr></thead>
+        <tbody>${utteranceRows || '<tr><td colspan="5" class="py-2 text-gray-400">No speech detected.</td></tr>'}</tbody>
+      </table>
+      <table class="w-full">
+        <thead><tr class="text-left text-gray-500 border-b border-gray-200">
+          <th class="py-1">Time</th><th class="py-1">State</th><th class="py-1">Event</th>
+        </tr></thead>
+        <tbody>${transitionRows}</tbody>
+      </table>
+    </div>
+  `;
+  resultsEl.appendChild(card);
+  drawRms(card.querySelector("canvas"), result.rms, frameMs, result.utterances, threshold);
+}
+
+// --- Replay ---
+
+async function transcribeUtterances(samples, sampleRate, utterances) {
+  if (!transcriber) {
+    setStatus("Loading Whisper…");
+    transcriber = await pipeline("automatic-speech-recognition", WHISPER_MODEL);
+  }
+  const transcripts = [];
+  for (const [i, { startMs, endMs }] of utterances.entries()) {
+    setStatus(`Transcribing utterance ${i + 1}/${utterances.length}…`);
+    const audio = samples.subarray(Math.floor((startMs / 1000) * sampleRate), Math.ceil((endMs / 1000) * sampleRate));
+    const output = await transcriber(resample(audio, sampleRate, WHISPER_SAMPLE_RATE), { language: "english", task: "transcribe" });
+    transcripts.push(output.text.trim());
+  }
+  return transcripts;
+}
+
+async function runReplay() {
+  const files = [...filesInput.files];
+  if (files.length === 0) {
+    setStatus("Choose one or more WAV files first.");
+    return;
+  }
+
+  runBtn.disabled = true;
+  resultsEl.innerHTML = "";
+  try {
+    const frameMs = numberFrom(frameInput, 30);
+    const threshold = numberFrom(thresholdInput, 0.02);
+    const options = {
+      frameMs,
+      vad: {
+        threshold,
+        noiseRatio: numberFrom(noiseRatioInput, 3),
+        minSpeechMs: numberFrom(minSpeechInput, 200),
+        silenceMs: numberFrom(silenceInput, 1000),
+        preRollMs: numberFrom(preRollInput, 300),
+      },
+      stageMs: {
+        transcribing: numberFrom(transcribingInput, 0),
+        thinking: numberFrom(thinkingInput, 0),
+        speaking: numberFrom(speakingInput, 0),
+      },
+    };
+
+    for (const file of files) {
+      setStatus(`Replaying ${file.name}…`);
+      await nextFrame();
+      const { sampleRate, samples } = decodeWav(await file.arrayBuffer());
+      const result = replayVoiceFixture(samples, sampleRate, options);
+      const transcripts = transcribeCheckbox.checked
+        ? await transcribeUtterances(samples, sampleRate, result.utterances)
+        : null;
+
+      renderFixture({
+        name: file.name,
+        durationMs: (samples.length / sampleRate) * 1000,
+        sampleRate,
+        result,
+        frameMs,
+        threshold,
+        transcripts,
+      });
+    }
+    setStatus(`Done: ${files.length} fixture(s).`);
+  } catch (error) {
+    console.error("❌ Replay failed:", error);
+    setStatus(`Replay failed: ${error.message}`);
+  } finally {
+    runBtn.disabled = false;
+  }
+}
+
+runBtn.addEventListener("click", runReplay);
@@ -0,0 +1,412 @@
+// voice.js
+/**
+ * Hands-free voice mode: an RMS voice activity detector, the
+ * Listening -> Transcribing -> Thinking -> Speaking state machine, and thin
+ * wrappers around the microphone and SpeechSynthesis.
+ * The detector and state machine are plain functions over Float32Array
+ * frames, so recorded WAV files can be replayed through them
+ * (replayVoiceFixture) without a live microphone.
+ */
+
+export const WHISPER_SAMPLE_RATE = 16000;
+
+// --- State machine ---
+
+export const VOICE_STATES = {
+  IDLE: "idle",
+  LISTENING: "listening",
+  TRANSCRIBING: "transcribing",
+  THINKING: "thinking",
+  SPEAKING: "speaking",
+};
+
+// state -> event -> next state. "stop" works from every state, see dispatch().
+const TRANSITIONS = {
+  idle: { start: "listening" },
+  listening: { "speech-end": "transcribing" },
+  transcribing: { transcribed: "thinking", done: "listening" },
+  thinking: { answered: "speaking", done: "listening" },
+  speaking: { done: "listening" },
+};
+
+/**
+ * @param {{onChange?: (state: string, previous: string, event: string) => void}} [options]
+ * @returns {{state: string, dispatch: (event: string) => boolean}}
+ */
+export function createVoiceStateMachine({ onChange } = {}) {
+  let state = VOICE_STATES.IDLE;
+
+  return {
+    get state() {
+      return state;
+    },
+
+    /**
+     * Apply an event. Events that do not fit the current state are ignored,
+     * e.g. a transcript that arrives after the user switched voice mode off.
+     * @returns {boolean} Whether the state changed
+     */
+    dispatch(event) {
+      const next = event === "stop" ? VOICE_STATES.IDLE : TRANSITIONS[state][event];
+      if (!next || next === state) return false;
+      const previous = state;
+      state = next;
+      onChange?.(state, previous, event);
+      return true;
+    },
+  };
+}
+
+// --- Voice activity detection ---
+
+export const DEFAULT_VAD_OPTIONS = {
+  threshold: 0.02, // RMS amplitude that counts as speech
+  noiseRatio: 3, // ...and it must also be this many times the background noise floor
+  minSpeechMs: 200, // Louder bursts shorter than this (clicks, taps) are ignored
+  silenceMs: 1000, // This much quiet ends the utterance
+  preRollMs: 300, // Audio kept from before the speech started so the first syllable is not cut
+  maxUtteranceMs: 30000, // Whisper transcribes 30 s windows
+};
+
+/**
+ * Root mean square amplitude of a frame.
+ * @param {Float32Array} frame
+ * @returns {number}
+ */
+export function frameRms(frame) {
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+  return frame.length > 0 ? Math.sqrt(sum / frame.length) : 0;
+}
+
+function concatFrames(frames) {
+  const audio = new Float32Array(frames.reduce((total, frame) => total + frame.length, 0));
+  let offset = 0;
+  frames.forEach((frame) => {
+    audio.set(frame, offset);
+    offset += frame.length;
+  });
+  return audio;
+}
+
+/**
+ * RMS-amplitude voice activity detector. Feed it consecutive frames of any
+ * size; it reports when speech starts and hands over the utterance audio
+ * once the speaker has been quiet for `silenceMs`.
+ * @param {{sampleRate: number} & Partial<typeof DEFAULT_VAD_OPTIONS>} options
+ */
+export function createVAD({ sampleRate, ...options }) {
+  const settings = { ...DEFAULT_VAD_OPTIONS, ...options };
+  let noiseFloor = null;
+  let frames = []; // Pre-roll while waiting, the utterance once speech started
+  let framesMs = 0;
+  let speaking = false;
+  let loudMs = 0; // Speech heard while deciding whether this is an utterance
+  let candidateMs = 0; // ...and the time since that candidate began
+  let quietMs = 0;
+
+  const reset = () => {
+    frames = [];
+    framesMs = 0;
+    speaking = false;
+    loudMs = 0;
+    candidateMs = 0;
+    quietMs = 0;
+  };
+
+  return {
+    get speaking() {
+      return speaking;
+    },
+
+    get noiseFloor() {
+      return noiseFloor ?? 0;
+    },
+
+    /** Forget any partial utterance; the noise floor is kept. */
+    reset,
+
+    /**
+     * @param {Float32Array} frame
+     * @returns {{type: "speech-start"}|{type: "speech-end", audio: Float32Array}|null}
+     *   The speech-end audio includes the pre-roll
+     */
+    process(frame) {
+      const durationMs = (frame.length / sampleRate) * 1000;
+      const rms = frameRms(frame);
+      const loud = rms >= Math.max(settings.threshold, (noiseFloor ?? 0) * settings.noiseRatio);
+      frames.push(frame);
+      framesMs += durationMs;
+
+      if (speaking) {
+        quietMs = loud ? 0 : quietMs + durationMs;
+        if (quietMs < settings.silenceMs && framesMs < settings.maxUtteranceMs) return null;
+
+        const event = { type: "speech-end", audio: concatFrames(frames) };
+        reset();
+        return event;
+      }
+
+      if (loud) {
+        loudMs += durationMs;
+        candidateMs += durationMs;
+        quietMs = 0;
+      } else {
+        // The noise floor only learns from audio that is not speech
+        noiseFloor = noiseFloor === null ? rms : noiseFloor * 0.95 + rms * 0.05;
+        quietMs += durationMs;
+        if (loudMs > 0) candidateMs += durationMs;
+        // Short dips between syllables keep the candidate alive, longer ones drop it
+        if (quietMs > settings.minSpeechMs) {
+          loudMs = 0;
+          candidateMs = 0;
+        }
+      }
+
+      if (loudMs >= settings.minSpeechMs) {
+        speaking = true;
+        quietMs = 0;
+        return { type: "speech-start" };
+      }
+
+      // Keep only the pre-roll (plus any candidate speech) while waiting
+      const keepMs = settings.preRollMs + candidateMs;
+      while (frames.length > 1 && framesMs - (frames[0].length / sampleRate) * 1000 >= keepMs) {
+        framesMs -= (frames.shift().length / sampleRate) * 1000;
+      }
+      return null;
+    },
+  };
+}
+
+// --- Audio helpers ---
+
+/**
+ * Decode a RIFF/WAVE file (8/16/24/32-bit PCM or 32-bit float) to mono samples.
+ * @param {ArrayBuffer} buffer
+ * @returns {{sampleRate: number, samples: Float32Array}}
+ */
+export function decodeWav(buffer) {
+  const view = new DataView(buffer);
+  const tag = (offset) => String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+  if (buffer.byteLength < 12 || tag(0) !== "RIFF" || tag(8) !== "WAVE") {
+    throw new Error("Not a WAV file.");
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.byteLength) {
+    const id = tag(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === "fmt ") {
+      let audioFormat = view.getUint16(body, true);
+      if (audioFormat === 0xfffe) audioFormat = view.getUint16(body + 24, true); // WAVE_FORMAT_EXTENSIBLE
+      format = {
+        audioFormat,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (id === "data") {
+      if (!format) throw new Error("WAV data chunk before fmt chunk.");
+      const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+      const bytes = bitsPerSample / 8;
+      const readers = {
+        "1:8": (at) => (view.getUint8(at) - 128) / 128,
+        "1:16": (at) => view.getInt16(at, true) / 32768,
+        "1:24": (at) => (view.getUint8(at) | (view.getUint8(at + 1) << 8) | (view.getInt8(at + 2) << 16)) / 8388608,
+        "1:32": (at) => view.getInt32(at, true) / 2147483648,
+        "3:32": (at) => view.getFloat32(at, true),
+      };
+      const read = readers[`${audioFormat}:${bitsPerSample}`];
+      if (!read) throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit).`);
+
+      const available = Math.min(size, buffer.byteLength - body);
+      const count = Math.floor(available / (bytes * channels));
+      const samples = new Float32Array(count);
+      for (let i = 0; i < count; i++) {
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++) sum += read(body + (i * channels + channel) * bytes);
+        samples[i] = sum / channels;
+      }
+      return { sampleRate, samples };
+    }
+    offset = body + size + (size % 2); // Chunks are word aligned
+  }
+  throw new Error("WAV file has no audio data.");
+}
+
+/**
+ * Resample to `toRate` (Whisper expects 16 kHz). Downsampling averages each
+ * output sample's input span, which doubles as a cheap low-pass filter.
+ * @param {Float32Array} samples
+ * @param {number} fromRate
+ * @param {number} [toRate]
+ * @returns {Float32Array}
+ */
+export function resample(samples, fromRate, toRate = WHISPER_SAMPLE_RATE) {
+  if (fromRate === toRate) return samples;
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    if (ratio > 1) {
+      const start = Math.floor(position);
+      const end = Math.min(samples.length, Math.floor(position + ratio));
+      let sum = 0;
+      for (let j = start; j < end; j++) sum += samples[j];
+      output[i] = sum / Math.max(end - start, 1);
+    } else {
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, samples.length - 1);
+      output[i] = samples[index] + (samples[next] - samples[index]) * (position - index);
+    }
+  }
+  return output;
+}
+
+/**
+ * Replay recorded audio through the VAD and state machine, as the live loop
+ * would see it. Transcribing, thinking and speaking take `stageMs`
+ * milliseconds of audio time each; like the live loop, the detector ignores
+ * the microphone until the machine is listening again.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {{frameMs?: number, stageMs?: {transcribing?: number, thinking?: number, speaking?: number}, vad?: object}} [options]
+ * Utterance times include the detector's pre-roll.
+ * @returns {{utterances: {startMs: number, endMs: number, samples: number}[], transitions: {timeMs: number, from: string, to: string, event: string}[], rms: number[]}}
+ */
+export function replayVoiceFixture(samples, sampleRate, { frameMs = 30, stageMs = {}, vad: vadOptions = {} } = {}) {
+  const frameLength = Math.max(1, Math.round((sampleRate * frameMs) / 1000));
+  const vad = createVAD({ sampleRate, ...vadOptions });
+  const utterances = [];
+  const transitions = [];
+  const rms = [];
+  let timeMs = 0;
+
+  const machine = createVoiceStateMachine({
+    onChange: (to, from, event) => {
+      transitions.push({ timeMs: Math.round(timeMs), from, to, event });
+      if (to === VOICE_STATES.LISTENING) vad.reset();
+    },
+  });
+
+  // Pipeline stages finish on a fixed schedule of audio time
+  const stages = [
+    ["transcribed", stageMs.transcribing ?? 0],
+    ["answered", stageMs.thinking ?? 0],
+    ["done", stageMs.speaking ?? 0],
+  ];
+  let pending = [];
+
+  machine.dispatch("start");
+  for (let start = 0; start < samples.length; start += frameLength) {
+    const frame = samples.subarray(start, Math.min(start + frameLength, samples.length));
+    rms.push(frameRms(frame));
+
+    while (pending.length > 0 && pending[0].atMs <= timeMs) machine.dispatch(pending.shift().event);
+    timeMs += (frame.length / sampleRate) * 1000;
+    if (machine.state !== VOICE_STATES.LISTENING) continue;
+
+    const event = vad.process(frame);
+    if (event?.type !== "speech-end") continue;
+
+    const audioMs = (event.audio.length / sampleRate) * 1000;
+    utterances.push({ startMs: Math.round(timeMs - audioMs), endMs: Math.round(timeMs), samples: event.audio.length });
+    machine.dispatch("speech-end");
+    let atMs = timeMs;
+    pending = stages.map(([stageEvent, ms]) => ({ event: stageEvent, atMs: (atMs += ms) }));
+  }
+  pending.forEach(({ event }) => machine.dispatch(event));
+  machine.dispatch("stop");
+
+  return { utterances, transitions, rms };
+}
+
+// --- Browser I/O ---
+
+/**
+ * Start capturing the microphone. `onFrame` receives mono Float32Array frames.
+ * @param {(frame: Float32Array) => void} onFrame
+ * @returns {Promise<{sampleRate: number, stop: () => void}>}
+ */
+export async function startMicrophone(onFrame) {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true },
+  });
+  const context = new AudioContext();
+  const source = context.createMediaStreamSource(stream);
+  // ScriptProcessorNode keeps this a single file; an AudioWorklet would need its own module
+  const processor = context.createScriptProcessor(2048, 1, 1);
+  processor.onaudioprocess = (event) => onFrame(new Float32Array(event.inputBuffer.getChannelData(0)));
+  source.connect(processor);
+  processor.connect(context.destination);
+
+  return {
+    sampleRate: context.sampleRate,
+    stop() {
+      processor.disconnect();
+      source.disconnect();
+      stream.getTracks().forEach((track) => track.stop());
+      context.close();
+    },
+  };
+}
+
+/**
+ * Turn an answer into something worth reading aloud: no citation brackets,
+ * Markdown markers, URLs or emoji.
+ * @param {string} text
+ * @returns {string}
+ */
+export function textForSpeech(text) {
+  return (text || "")
+    .replace(/\[[^\]\n]{1,200}\]/g, "")
+    .replace(/https?:\/\/[^\s)]+/g, "")
+    .replace(/\(\s*\)/g, "")
+    .replace(/^\s*#{1,6}\s+/gm, "")
+    .replace(/^\s*[-*•]\s+/gm, "")
+    .replace(/[*_`>]+/g, "")
+    .replace(/\p{Extended_Pictographic}\uFE0F?/gu, "")
+    .replace(/\s+([.,;:!?])/g, "$1")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+}
+
+/**
+ * Read text aloud with SpeechSynthesis. Sentences are queued as separate
+ * utterances because some browsers stop long utterances part way.
+ * @param {string} text
+ * @param {{signal?: AbortSignal, rate?: number, lang?: string}} [options]
+ * @returns {Promise<void>} Resolves when speaking finished or was cancelled
+ */
+export function speak(text, { signal, rate = 1, lang = "en-US" } = {}) {
+  const sentences = text.match(/[^.!?\n]+[.!?]*/g)?.map((sentence) => sentence.trim()).filter(Boolean) || [];
+  if (sentences.length === 0 || signal?.aborted || !("speechSynthesis" in globalThis)) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const finish = () => {
+      signal?.removeEventListener("abort", cancel);
+      resolve();
+    };
+    const cancel = () => {
+      speechSynthesis.cancel();
+      finish();
+    };
+    signal?.addEventListener("abort", cancel, { once: true });
+
+    sentences.forEach((sentence, i) => {
+      const utterance = new SpeechSynthesisUtterance(sentence);
+      utterance.rate = rate;
+      utterance.lang = lang;
+      if (i === sentences.length - 1) {
+        utterance.onend = finish;
+        utterance.onerror = finish;
+      }
+      speechSynthesis.speak(utterance);
+    });
+  });
+}